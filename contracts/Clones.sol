@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Clones
+ * @dev Deploys EIP-1167 minimal proxies with CREATE2 so their addresses can be predicted off-chain.
+ * Every clone delegates all calls to a shared implementation contract but keeps its own storage.
+ */
+library Clones {
+    // Raised when CREATE2 fails, e.g. because a clone already exists for the salt
+    error CloneFailed(address implementation, bytes32 salt);
+
+    /**
+     * @dev Returns the EIP-1167 creation code for a clone of `implementation`
+     * @param implementation Address of the contract the clone delegates to
+     * @return code Creation code (55 bytes)
+     */
+    function creationCode(address implementation) internal pure returns (bytes memory code) {
+        return abi.encodePacked(
+            hex"3d602d80600a3d3981f3363d3d373d3d3d363d73",
+            implementation,
+            hex"5af43d82803e903d91602b57fd5bf3"
+        );
+    }
+
+    /**
+     * @dev Deploys a clone of `implementation` at a deterministic address
+     * @param implementation Address of the contract the clone delegates to
+     * @param salt CREATE2 salt; the same salt cannot be used twice
+     * @return instance Address of the new clone
+     */
+    function cloneDeterministic(address implementation, bytes32 salt) internal returns (address instance) {
+        bytes memory code = creationCode(implementation);
+        assembly {
+            instance := create2(0, add(code, 0x20), mload(code), salt)
+        }
+        if (instance == address(0)) revert CloneFailed(implementation, salt);
+    }
+
+    /**
+     * @dev Computes the address a clone will be deployed at
+     * @param implementation Address of the contract the clone delegates to
+     * @param salt CREATE2 salt
+     * @param deployer Address of the contract performing the CREATE2
+     * @return predicted Address of the clone
+     */
+    function predictDeterministicAddress(
+        address implementation,
+        bytes32 salt,
+        address deployer
+    ) internal pure returns (address predicted) {
+        bytes32 hash = keccak256(
+            abi.encodePacked(bytes1(0xff), deployer, salt, keccak256(creationCode(implementation)))
+        );
+        return address(uint160(uint256(hash)));
+    }
+}
@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ThreePartyEscrow.sol";
+import "./Clones.sol";
+
+/**
+ * @title EscrowFactory
+ * @dev Deploys ThreePartyEscrow instances as minimal-proxy clones and keeps an on-chain registry.
+ * Clones are created with CREATE2, so the escrow address is known before the transaction is mined.
+ */
+contract EscrowFactory {
+    // Shared implementation every clone delegates to
+    address public immutable implementation;
+
+    // Registry of every escrow created by this factory
+    address[] private escrows;
+    mapping(address => bool) public isEscrow;
+
+    // Registry indexes by participant role
+    mapping(address => address[]) private escrowsByBuyer;
+    mapping(address => address[]) private escrowsBySeller;
+    mapping(address => address[]) private escrowsByMediator;
+
+    // Raised when a token escrow is requested without a token
+    error ZeroTokenAddress();
+
+    // Event for off-chain discovery of new escrows
+    event EscrowCreated(
+        address indexed escrow,
+        address indexed buyer,
+        address indexed seller,
+        address mediator,
+        address token,
+        bytes32 salt
+    );
+
+    /**
+     * @dev Deploys the implementation contract
+     * The implementation is initialized with placeholder parties nobody controls,
+     * so it can never be initialized or operated directly.
+     */
+    constructor() {
+        implementation = address(new ThreePartyEscrow(address(1), address(2), address(3)));
+    }
+
+    /**
+     * @dev Deploys and initializes a new Ether escrow clone
+     * @param _buyer Address of the buyer
+     * @param _seller Address of the seller
+     * @param _mediator Address of the mediator
+     * @param _salt Caller-chosen salt that makes the escrow address unique
+     * @return escrow Address of the new escrow
+     */
+    function createEscrow(
+        address _buyer,
+        address _seller,
+        address _mediator,
+        bytes32 _salt
+    ) external returns (address escrow) {
+        return _createEscrow(_buyer, _seller, _mediator, address(0), _salt);
+    }
+
+    /**
+     * @dev Deploys and initializes a new ERC-20 token escrow clone
+     * @param _buyer Address of the buyer
+     * @param _seller Address of the seller
+     * @param _mediator Address of the mediator
+     * @param _token Address of the ERC-20 token to escrow
+     * @param _salt Caller-chosen salt that makes the escrow address unique
+     * @return escrow Address of the new escrow
+     */
+    function createTokenEscrow(
+        address _buyer,
+        address _seller,
+        address _mediator,
+        address _token,
+        bytes32 _salt
+    ) external returns (address escrow) {
+        if (_token == address(0)) revert ZeroTokenAddress();
+        return _createEscrow(_buyer, _seller, _mediator, _token, _salt);
+    }
+
+    /**
+     * @dev Computes the address createEscrow or createTokenEscrow will deploy to
+     * @param _token ERC-20 token of the escrow, or address(0) for native Ether
+     * @return predicted Address of the escrow
+     */
+    function predictEscrowAddress(
+        address _buyer,
+        address _seller,
+        address _mediator,
+        address _token,
+        bytes32 _salt
+    ) external view returns (address predicted) {
+        return Clones.predictDeterministicAddress(
+            implementation,
+            _cloneSalt(_buyer, _seller, _mediator, _token, _salt),
+            address(this)
+        );
+    }
+
+    /**
+     * @dev Returns the number of escrows created by this factory
+     */
+    function escrowCount() external view returns (uint256) {
+        return escrows.length;
+    }
+
+    /**
+     * @dev Returns every escrow created by this factory
+     */
+    function getEscrows() external view returns (address[] memory) {
+        return escrows;
+    }
+
+    /**
+     * @dev Returns the escrows in which `_party` is the buyer
+     */
+    function getEscrowsByBuyer(address _party) external view returns (address[] memory) {
+        return escrowsByBuyer[_party];
+    }
+
+    /**
+     * @dev Returns the escrows in which `_party` is the seller
+     */
+    function getEscrowsBySeller(address _party) external view returns (address[] memory) {
+        return escrowsBySeller[_party];
+    }
+
+    /**
+     * @dev Returns the escrows in which `_party` is the mediator
+     */
+    function getEscrowsByMediator(address _party) external view returns (address[] memory) {
+        return escrowsByMediator[_party];
+    }
+
+    /**
+     * @dev Deploys a clone, initializes it and records it in the registry
+     */
+    function _createEscrow(
+        address _buyer,
+        address _seller,
+        address _mediator,
+        address _token,
+        bytes32 _salt
+    ) private returns (address escrow) {
+        escrow = Clones.cloneDeterministic(implementation, _cloneSalt(_buyer, _seller, _mediator, _token, _salt));
+        ThreePartyEscrow(escrow).initialize(_buyer, _seller, _mediator, _token);
+
+        escrows.push(escrow);
+        isEscrow[escrow] = true;
+        escrowsByBuyer[_buyer].push(escrow);
+        escrowsBySeller[_seller].push(escrow);
+        escrowsByMediator[_mediator].push(escrow);
+
+        emit EscrowCreated(escrow, _buyer, _seller, _mediator, _token, _salt);
+    }
+
+    /**
+     * @dev Binds the CREATE2 salt to the parties and asset so a salt cannot be squatted
+     * by someone deploying a different configuration to the same address
+     */
+    function _cloneSalt(
+        address _buyer,
+        address _seller,
+        address _mediator,
+        address _token,
+        bytes32 _salt
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(_buyer, _seller, _mediator, _token, _salt));
+    }
+}
@@ -0,0 +1,320 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MilestoneEscrow
+ * @dev A three-party escrow that pays out in milestones.
+ * The buyer funds every milestone up front; each milestone is then released to the seller
+ * or refunded to the buyer independently, using the same 2-of-3 approval rule as ThreePartyEscrow.
+ */
+contract MilestoneEscrow {
+    // Roles and vote directions named in errors, numbered as in ThreePartyEscrow
+    enum Role { Buyer, Seller, Mediator }
+    enum Direction { Release, Refund }
+
+    // Per-milestone amount, description and approval tracking
+    struct Milestone {
+        uint256 amount;
+        bytes32 descriptionHash;
+        bool buyerApprovedRelease;
+        bool sellerApprovedRelease;
+        bool mediatorApprovedRelease;
+        bool buyerApprovedRefund;
+        bool sellerApprovedRefund;
+        bool mediatorApprovedRefund;
+        bool released;
+        bool refunded;
+    }
+
+    // State variables for participant roles
+    address public buyer;
+    address public seller;
+    address public mediator;
+
+    // Milestones in payment order
+    Milestone[] private milestones;
+
+    // Sum of all milestone amounts, required as the deposit
+    uint256 public totalAmount;
+
+    // Set once the buyer has deposited totalAmount
+    bool public funded;
+
+    // Events for external auditing and tracking
+    event FundsDeposited(address indexed buyer, uint256 amount);
+    event ApprovalGiven(address indexed approver, uint256 indexed milestoneId);
+    event MilestoneReleased(uint256 indexed milestoneId, address indexed seller, uint256 amount);
+    event MilestoneRefunded(uint256 indexed milestoneId, address indexed buyer, uint256 amount);
+
+    // Custom errors; names shared with ThreePartyEscrow carry the same meaning and parameters
+    error NotAParty(address caller);
+    error NotBuyer(address caller);
+    error ZeroAddress(Role role);
+    error DuplicateParty(Role first, Role second);
+    error NoMilestones();
+    error LengthMismatch(uint256 first, uint256 second);
+    error ZeroMilestoneAmount(uint256 milestoneId);
+    error MilestoneNotFound(uint256 milestoneId);
+    error NoFundsDeposited();
+    error MilestoneClosed(uint256 milestoneId);
+    error AlreadyFunded();
+    error DepositMismatch(uint256 value, uint256 required);
+    error AlreadyApproved(address party, Direction direction);
+    error InsufficientApprovals(uint8 have, uint8 need);
+    error TransferFailed(address to, uint256 value);
+
+    // Modifier to restrict function access to the three parties only
+    modifier onlyParty() {
+        if (msg.sender != buyer && msg.sender != seller && msg.sender != mediator) revert NotAParty(msg.sender);
+        _;
+    }
+
+    // Modifier to restrict operations to funded milestones that are still locked
+    modifier milestoneOpen(uint256 _milestoneId) {
+        if (_milestoneId >= milestones.length) revert MilestoneNotFound(_milestoneId);
+        if (!funded) revert NoFundsDeposited();
+        Milestone storage milestone = milestones[_milestoneId];
+        if (milestone.released || milestone.refunded) revert MilestoneClosed(_milestoneId);
+        _;
+    }
+
+    /**
+     * @dev Constructor to initialize the escrow with participant roles and milestones
+     * @param _buyer Address of the buyer
+     * @param _seller Address of the seller
+     * @param _mediator Address of the mediator
+     * @param _amounts Amount locked for each milestone
+     * @param _descriptionHashes Hash of each milestone's off-chain description
+     */
+    constructor(
+        address _buyer,
+        address _seller,
+        address _mediator,
+        uint256[] memory _amounts,
+        bytes32[] memory _descriptionHashes
+    ) {
+        // Validate that no address is zero
+        if (_buyer == address(0)) revert ZeroAddress(Role.Buyer);
+        if (_seller == address(0)) revert ZeroAddress(Role.Seller);
+        if (_mediator == address(0)) revert ZeroAddress(Role.Mediator);
+
+        // Ensure all three parties are different addresses
+        if (_buyer == _seller) revert DuplicateParty(Role.Buyer, Role.Seller);
+        if (_buyer == _mediator) revert DuplicateParty(Role.Buyer, Role.Mediator);
+        if (_seller == _mediator) revert DuplicateParty(Role.Seller, Role.Mediator);
+
+        // Validate milestones
+        if (_amounts.length == 0) revert NoMilestones();
+        if (_amounts.length != _descriptionHashes.length) revert LengthMismatch(_amounts.length, _descriptionHashes.length);
+
+        buyer = _buyer;
+        seller = _seller;
+        mediator = _mediator;
+
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            if (_amounts[i] == 0) revert ZeroMilestoneAmount(i);
+            Milestone storage milestone = milestones.push();
+            milestone.amount = _amounts[i];
+            milestone.descriptionHash = _descriptionHashes[i];
+            totalAmount += _amounts[i];
+        }
+    }
+
+    /**
+     * @dev Buyer funds all milestones at once
+     * The deposit must equal the sum of the milestone amounts
+     */
+    function deposit() external payable {
+        if (msg.sender != buyer) revert NotBuyer(msg.sender);
+        if (funded) revert AlreadyFunded();
+        if (msg.value != totalAmount) revert DepositMismatch(msg.value, totalAmount);
+
+        funded = true;
+        emit FundsDeposited(buyer, msg.value);
+    }
+
+    /**
+     * @dev Logs approval to release a milestone to the seller
+     * Each party can only approve once per milestone
+     * @param _milestoneId Index of the milestone
+     */
+    function approveRelease(uint256 _milestoneId) external onlyParty milestoneOpen(_milestoneId) {
+        Milestone storage milestone = milestones[_milestoneId];
+
+        if (msg.sender == buyer) {
+            if (milestone.buyerApprovedRelease) revert AlreadyApproved(msg.sender, Direction.Release);
+            milestone.buyerApprovedRelease = true;
+        } else if (msg.sender == seller) {
+            if (milestone.sellerApprovedRelease) revert AlreadyApproved(msg.sender, Direction.Release);
+            milestone.sellerApprovedRelease = true;
+        } else if (msg.sender == mediator) {
+            if (milestone.mediatorApprovedRelease) revert AlreadyApproved(msg.sender, Direction.Release);
+            milestone.mediatorApprovedRelease = true;
+        }
+
+        emit ApprovalGiven(msg.sender, _milestoneId);
+    }
+
+    /**
+     * @dev Logs approval to refund a milestone to the buyer
+     * Each party can only approve once per milestone
+     * @param _milestoneId Index of the milestone
+     */
+    function approveRefund(uint256 _milestoneId) external onlyParty milestoneOpen(_milestoneId) {
+        Milestone storage milestone = milestones[_milestoneId];
+
+        if (msg.sender == buyer) {
+            if (milestone.buyerApprovedRefund) revert AlreadyApproved(msg.sender, Direction.Refund);
+            milestone.buyerApprovedRefund = true;
+        } else if (msg.sender == seller) {
+            if (milestone.sellerApprovedRefund) revert AlreadyApproved(msg.sender, Direction.Refund);
+            milestone.sellerApprovedRefund = true;
+        } else if (msg.sender == mediator) {
+            if (milestone.mediatorApprovedRefund) revert AlreadyApproved(msg.sender, Direction.Refund);
+            milestone.mediatorApprovedRefund = true;
+        }
+
+        emit ApprovalGiven(msg.sender, _milestoneId);
+    }
+
+    /**
+     * @dev Transfers a milestone's funds to the seller once at least two unique approvals exist
+     * Other milestones stay locked
+     * @param _milestoneId Index of the milestone
+     */
+    function finalizeRelease(uint256 _milestoneId) external onlyParty milestoneOpen(_milestoneId) {
+        Milestone storage milestone = milestones[_milestoneId];
+        uint8 approvals = _countReleaseApprovals(milestone);
+        if (approvals < 2) revert InsufficientApprovals(approvals, 2);
+
+        // Update state before external call (checks-effects-interactions)
+        milestone.released = true;
+
+        (bool success, ) = seller.call{value: milestone.amount}("");
+        if (!success) revert TransferFailed(seller, milestone.amount);
+
+        emit MilestoneReleased(_milestoneId, seller, milestone.amount);
+    }
+
+    /**
+     * @dev Refunds a milestone's funds to the buyer once at least two unique approvals exist
+     * Other milestones stay locked
+     * @param _milestoneId Index of the milestone
+     */
+    function finalizeRefund(uint256 _milestoneId) external onlyParty milestoneOpen(_milestoneId) {
+        Milestone storage milestone = milestones[_milestoneId];
+        uint8 approvals = _countRefundApprovals(milestone);
+        if (approvals < 2) revert InsufficientApprovals(approvals, 2);
+
+        // Update state before external call (checks-effects-interactions)
+        milestone.refunded = true;
+
+        (bool success, ) = buyer.call{value: milestone.amount}("");
+        if (!success) revert TransferFailed(buyer, milestone.amount);
+
+        emit MilestoneRefunded(_milestoneId, buyer, milestone.amount);
+    }
+
+    /**
+     * @dev Returns the number of milestones
+     */
+    function getMilestoneCount() external view returns (uint256) {
+        return milestones.length;
+    }
+
+    /**
+     * @dev Get the current state of a single milestone
+     * Milestone-aware counterpart of ThreePartyEscrow.getEscrowState()
+     * @param _milestoneId Index of the milestone
+     */
+    function getMilestoneState(uint256 _milestoneId) external view returns (
+        uint256 _amount,
+        bytes32 _descriptionHash,
+        bool _buyerApprovedRelease,
+        bool _sellerApprovedRelease,
+        bool _mediatorApprovedRelease,
+        bool _buyerApprovedRefund,
+        bool _sellerApprovedRefund,
+        bool _mediatorApprovedRefund,
+        bool _released,
+        bool _refunded
+    ) {
+        if (_milestoneId >= milestones.length) revert MilestoneNotFound(_milestoneId);
+        Milestone storage milestone = milestones[_milestoneId];
+        return (
+            milestone.amount,
+            milestone.descriptionHash,
+            milestone.buyerApprovedRelease,
+            milestone.sellerApprovedRelease,
+            milestone.mediatorApprovedRelease,
+            milestone.buyerApprovedRefund,
+            milestone.sellerApprovedRefund,
+            milestone.mediatorApprovedRefund,
+            milestone.released,
+            milestone.refunded
+        );
+    }
+
+    /**
+     * @dev Get overall progress across all milestones for monitoring
+     */
+    function getEscrowProgress() external view returns (
+        address _buyer,
+        address _seller,
+        address _mediator,
+        bool _funded,
+        uint256 _milestoneCount,
+        uint256 _releasedCount,
+        uint256 _refundedCount,
+        uint256 _totalAmount,
+        uint256 _releasedAmount,
+        uint256 _refundedAmount,
+        uint256 _lockedAmount
+    ) {
+        for (uint256 i = 0; i < milestones.length; i++) {
+            if (milestones[i].released) {
+                _releasedCount++;
+                _releasedAmount += milestones[i].amount;
+            } else if (milestones[i].refunded) {
+                _refundedCount++;
+                _refundedAmount += milestones[i].amount;
+            }
+        }
+
+        return (
+            buyer,
+            seller,
+            mediator,
+            funded,
+            milestones.length,
+            _releasedCount,
+            _refundedCount,
+            totalAmount,
+            _releasedAmount,
+            _refundedAmount,
+            funded ? totalAmount - _releasedAmount - _refundedAmount : 0
+        );
+    }
+
+    /**
+     * @dev Internal function to count release approvals for a milestone
+     * @return count Number of release approvals
+     */
+    function _countReleaseApprovals(Milestone storage _milestone) private view returns (uint8 count) {
+        if (_milestone.buyerApprovedRelease) count++;
+        if (_milestone.sellerApprovedRelease) count++;
+        if (_milestone.mediatorApprovedRelease) count++;
+        return count;
+    }
+
+    /**
+     * @dev Internal function to count refund approvals for a milestone
+     * @return count Number of refund approvals
+     */
+    function _countRefundApprovals(Milestone storage _milestone) private view returns (uint8 count) {
+        if (_milestone.buyerApprovedRefund) count++;
+        if (_milestone.sellerApprovedRefund) count++;
+        if (_milestone.mediatorApprovedRefund) count++;
+        return count;
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IERC20.sol";
+
+/**
+ * @title SafeERC20
+ * @dev Token transfers that tolerate non-standard ERC-20 implementations.
+ * Tokens such as USDT do not return a bool from transfer/transferFrom, so a call
+ * is treated as successful when it does not revert and returns either nothing or `true`.
+ */
+library SafeERC20 {
+    // Raised when a token reverts or returns `false` from transferFrom
+    error TokenTransferFailed(address token, address from, address to, uint256 value);
+
+    /**
+     * @dev Transfers `value` tokens from `from` to `to`, reverting on failure
+     */
+    function safeTransferFrom(IERC20 token, address from, address to, uint256 value) internal {
+        if (!_callOptionalReturn(token, abi.encodeCall(IERC20.transferFrom, (from, to, value)))) {
+            revert TokenTransferFailed(address(token), from, to, value);
+        }
+    }
+
+    /**
+     * @dev Transfers `value` tokens to `to`
+     * @return success False if the token reverted or returned `false`
+     */
+    function trySafeTransfer(IERC20 token, address to, uint256 value) internal returns (bool success) {
+        return _callOptionalReturn(token, abi.encodeCall(IERC20.transfer, (to, value)));
+    }
+
+    /**
+     * @dev Performs a token call and accepts an empty or `true` return value
+     */
+    function _callOptionalReturn(IERC20 token, bytes memory data) private returns (bool) {
+        if (address(token).code.length == 0) {
+            return false;
+        }
+        (bool success, bytes memory returndata) = address(token).call(data);
+        return success && (returndata.length == 0 || abi.decode(returndata, (bool)));
+    }
+}
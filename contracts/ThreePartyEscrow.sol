@@ -1,13 +1,19 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./IERC20.sol";
+import "./SafeERC20.sol";
+
 /**
  * @title ThreePartyEscrow
  * @dev A three-party escrow contract where funds are released only when 2 out of 3 parties approve.
  * The three parties are: buyer, seller, and mediator.
+ * Funds are held in native Ether, or in an ERC-20 token when one is bound at initialization.
  * Uses ERC standard practices for secure fund handling and event tracking.
  */
 contract ThreePartyEscrow {
+    using SafeERC20 for IERC20;
+    
     // State variables for participant roles
     address public buyer;
     address public seller;
@@ -30,24 +36,227 @@ contract ThreePartyEscrow {
     bool public fundsReleased;
     bool public fundsRefunded;
     
+    // Set once the parties are assigned, either by the constructor or by initialize() on a clone
+    bool public initialized;
+    
+    // ERC-20 token held in escrow; address(0) means native Ether
+    IERC20 public token;
+    
+    // Timeout configuration in seconds, set by the buyer before deposit (0 disables the timeout)
+    uint256 public deliveryPeriod;
+    uint256 public inspectionPeriod;
+    
+    // Timeout tracking
+    uint256 public deliveryDeadline;
+    uint256 public deliveryClaimedAt;
+    bool public deliveryDisputed;
+    
+    // Settlement proposal tracking; approvals are keyed by proposal hash so a new proposal resets consensus
+    bytes32 public settlementProposalHash;
+    uint256 public proposedSellerShareBps;
+    uint256 public settlementNonce;
+    mapping(bytes32 => mapping(address => bool)) public settlementApprovals;
+    bool public fundsSettled;
+    
+    // How the mediator fee is charged
+    enum FeeType { None, Flat, BasisPoints }
+    
+    // Fee configuration, set by the buyer before deposit
+    FeeType public mediatorFeeType;
+    uint256 public mediatorFee;
+    address public platformFeeRecipient;
+    uint256 public platformFeeBps;
+    
+    // Pull-payment mode: payouts are credited and recipients withdraw them, set by the buyer before deposit
+    bool public pullPayments;
+    mapping(address => uint256) public pendingWithdrawals;
+    
+    // Direction of a vote
+    enum Direction { Release, Refund }
+    
+    // A vote signed off-chain with EIP-712, submitted by anyone
+    struct SignedVote {
+        address signer;
+        uint256 deadline;
+        bytes signature;
+    }
+    
+    // Per-party nonces for signed votes, preventing replay
+    mapping(address => uint256) public nonces;
+    
+    // EIP-712 type hashes for signed votes
+    bytes32 public constant VOTE_TYPEHASH = keccak256("Vote(uint8 direction,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    
+    // Lifecycle of the escrow; every transition emits StateChanged
+    // Settled is appended so the other values keep their positions for clients
+    enum State {
+        AwaitingDeposit,
+        Funded,
+        ReleaseApproved,
+        RefundApproved,
+        Disputed,
+        Released,
+        Refunded,
+        Cancelled,
+        Settled
+    }
+    
+    // Current lifecycle state
+    State public state;
+    
+    // Dispute record, kept with the escrow so the mediator rules on what the parties submitted;
+    // evidence itself lives off-chain and is identified by its URI and content hash
+    address public disputeRaisedBy;
+    bytes32 public disputeReasonHash;
+    uint256 public evidenceCount;
+    bytes32 public rulingRationaleHash;
+    
+    // Party roles, used by mediator replacement and key rotation
+    enum Role { Buyer, Seller, Mediator }
+    
+    // A party's pending move to a new address, executable by the new key after the timelock
+    struct KeyRotation {
+        address newAddress;
+        uint256 executableAt;
+    }
+    
+    // Mediator replacement: buyer and seller nominate the same candidate, who then accepts
+    address public mediatorNominee;
+    bool public buyerNominatedMediator;
+    bool public sellerNominatedMediator;
+    
+    // Pending key rotation per role
+    mapping(Role => KeyRotation) public keyRotations;
+    
+    // Delay between proposing a key rotation and the new key taking over
+    uint256 public constant KEY_ROTATION_DELAY = 2 days;
+    
+    // Pooled funding: the buyer may set a target that contributions must reach before the escrow is funded
+    // (0 means the first deposit funds it) and approve who besides the buyer may contribute;
+    // refunds go back to each contributor in proportion
+    uint256 public targetAmount;
+    uint256 public totalContributed;
+    mapping(address => uint256) public contributions;
+    mapping(address => bool) public approvedContributors;
+    address[] private contributors;
+    
+    // Bound on distinct contributors, keeping refunds within the block gas limit
+    uint256 public constant MAX_CONTRIBUTORS = 10;
+    
+    // Basis-point denominator for settlement splits and fees
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    
     // Events for external auditing and tracking
     event FundsDeposited(address indexed buyer, uint256 amount);
-    event ApprovalGiven(address indexed approver);
+    event ApprovalGiven(address indexed approver, Direction direction);
+    event ApprovalRevoked(address indexed approver, Direction direction);
     event FundsReleased(address indexed seller, uint256 amount);
     event FundsRefunded(address indexed buyer, uint256 amount);
+    event TimeoutsConfigured(uint256 deliveryPeriod, uint256 inspectionPeriod);
+    event DeliveryClaimed(address indexed seller, uint256 inspectionEndsAt);
+    event DeliveryDisputed(address indexed buyer);
+    event SettlementProposed(address indexed proposer, bytes32 indexed proposalHash, uint256 sellerShareBps);
+    event SettlementApproved(address indexed approver, bytes32 indexed proposalHash);
+    event FundsSettled(bytes32 indexed proposalHash, uint256 sellerAmount, uint256 buyerAmount);
+    event FeesConfigured(FeeType mediatorFeeType, uint256 mediatorFee, address platformFeeRecipient, uint256 platformFeeBps);
+    event MediatorFeePaid(address indexed mediator, uint256 amount);
+    event PlatformFeePaid(address indexed recipient, uint256 amount);
+    event PullPaymentsConfigured(bool enabled);
+    event PaymentCredited(address indexed recipient, uint256 amount);
+    event Withdrawn(address indexed recipient, uint256 amount);
+    event StateChanged(State indexed from, State indexed to);
+    event DisputeRaised(address indexed raisedBy, bytes32 reasonHash);
+    event EvidenceSubmitted(address indexed submitter, uint256 indexed index, string uri, bytes32 contentHash);
+    event RulingIssued(address indexed mediator, Direction direction, bytes32 rationaleHash);
+    event MediatorNominated(address indexed nominatedBy, address indexed candidate);
+    event KeyRotationProposed(Role indexed role, address indexed newAddress, uint256 executableAt);
+    event KeyRotationCancelled(Role indexed role, address indexed newAddress);
+    event PartyReplaced(Role indexed role, address indexed previous, address indexed replacement);
+    event FundingConfigured(uint256 targetAmount);
+    event ContributorApproved(address indexed contributor, bool approved);
+    event ContributionReceived(address indexed contributor, uint256 amount, uint256 totalContributed);
+    event ContributionRefunded(address indexed contributor, uint256 amount);
+    
+    // Custom errors; parameters carry what a client needs to explain the revert
+    // Access control
+    error NotAParty(address caller);
+    error NotBuyer(address caller);
+    error NotSeller(address caller);
+    error NotMediator(address caller);
+    error NotBuyerOrSeller(address caller);
+    
+    // Parties and initialization
+    error AlreadyInitialized();
+    error ZeroAddress(Role role);
+    error DuplicateParty(Role first, Role second);
+    error AlreadyAParty(address account);
+    error TokenNotContract(address token);
+    
+    // Lifecycle
+    error InvalidState(State current);
+    error NoFundsDeposited();
+    error FundsAlreadyPaidOut();
+    
+    // Funding and payouts
+    error NotEtherEscrow(address token);
+    error NotTokenEscrow();
+    error PermitFailed();
+    error ZeroDeposit();
+    error InvalidFeeConfig();
+    error BpsTooHigh(uint256 bps);
+    error NothingToWithdraw(address account);
+    error TransferFailed(address to, uint256 value);
+    
+    // Votes, signatures and settlements
+    error AlreadyApproved(address party, Direction direction);
+    error NoApprovalToRevoke(address party, Direction direction);
+    error InsufficientApprovals(uint8 have, uint8 need);
+    error SignatureExpired(uint256 deadline);
+    error InvalidSignature(address signer);
+    error ProposalNotCurrent(bytes32 proposalHash);
+    error SettlementAlreadyApproved(address party);
+    error NoSettlementProposed();
+    
+    // Delivery deadline and inspection period
+    error TimeoutsNotConfigured();
+    error DeliveryAlreadyClaimed();
+    error DeliveryDeadlinePassed(uint256 deadline);
+    error DeliveryNotClaimed();
+    error DeliveryAlreadyDisputed();
+    error InspectionPeriodOver(uint256 endedAt);
+    error ReclaimNotAvailable();
+    error ClaimNotAvailable();
+    
+    // Disputes
+    error HashRequired();
+    error EvidenceUriRequired();
+    error DisputeAlreadyRaised(address raisedBy);
+    error NoDisputeRaised();
+    error RulingAlreadyIssued();
+    
+    // Mediator replacement and key rotation
+    error NotNominee(address caller);
+    error NominationIncomplete(bool buyerNominated, bool sellerNominated);
+    error NoKeyRotationPending(Role role);
+    error NotRotationTarget(address caller);
+    error KeyRotationTimelocked(uint256 executableAt);
+    
+    // Pooled funding
+    error FundingStarted(uint256 contributed);
+    error TooManyContributors(uint256 max);
     
     // Modifier to restrict function access to the three parties only
+    // The checks live in private functions so they are not inlined into every function using them
     modifier onlyParty() {
-        require(
-            msg.sender == buyer || msg.sender == seller || msg.sender == mediator,
-            "Only parties can call this function"
-        );
+        _checkParty();
         _;
     }
     
-    // Modifier to prevent operations after funds have been released or refunded
+    // Modifier to prevent operations after funds have been released, refunded or settled
     modifier fundsNotReleased() {
-        require(!fundsReleased && !fundsRefunded, "Funds already released or refunded");
+        _checkFundsNotReleased();
         _;
     }
     
@@ -58,19 +267,45 @@ contract ThreePartyEscrow {
      * @param _mediator Address of the mediator
      */
     constructor(address _buyer, address _seller, address _mediator) {
+        _initialize(_buyer, _seller, _mediator, address(0));
+    }
+    
+    /**
+     * @dev Initializes a minimal-proxy clone deployed by EscrowFactory
+     * Clones do not run the constructor, so the parties are assigned here exactly once
+     * @param _buyer Address of the buyer
+     * @param _seller Address of the seller
+     * @param _mediator Address of the mediator
+     * @param _token ERC-20 token to escrow, or address(0) for native Ether
+     */
+    function initialize(address _buyer, address _seller, address _mediator, address _token) external {
+        _initialize(_buyer, _seller, _mediator, _token);
+    }
+    
+    /**
+     * @dev Validates and stores the participant roles and the escrowed asset
+     */
+    function _initialize(address _buyer, address _seller, address _mediator, address _token) internal {
+        if (initialized) revert AlreadyInitialized();
+        
         // Validate that no address is zero
-        require(_buyer != address(0), "Buyer address cannot be zero");
-        require(_seller != address(0), "Seller address cannot be zero");
-        require(_mediator != address(0), "Mediator address cannot be zero");
+        if (_buyer == address(0)) revert ZeroAddress(Role.Buyer);
+        if (_seller == address(0)) revert ZeroAddress(Role.Seller);
+        if (_mediator == address(0)) revert ZeroAddress(Role.Mediator);
         
         // Ensure all three parties are different addresses
-        require(_buyer != _seller, "Buyer and seller must be different");
-        require(_buyer != _mediator, "Buyer and mediator must be different");
-        require(_seller != _mediator, "Seller and mediator must be different");
+        if (_buyer == _seller) revert DuplicateParty(Role.Buyer, Role.Seller);
+        if (_buyer == _mediator) revert DuplicateParty(Role.Buyer, Role.Mediator);
+        if (_seller == _mediator) revert DuplicateParty(Role.Seller, Role.Mediator);
+        
+        // A token escrow must point at a deployed contract
+        if (_token != address(0) && _token.code.length == 0) revert TokenNotContract(_token);
         
+        initialized = true;
         buyer = _buyer;
         seller = _seller;
         mediator = _mediator;
+        token = IERC20(_token);
     }
     
     /**
@@ -78,42 +313,469 @@ contract ThreePartyEscrow {
      * Value stored as escrow deposit
      */
     function deposit() external payable {
-        // Only buyer can deposit funds
-        require(msg.sender == buyer, "Only buyer can deposit");
+        // Token escrows are funded through depositToken
+        if (address(token) != address(0)) revert NotEtherEscrow(address(token));
+        
+        _recordDeposit(msg.value);
+    }
+    
+    /**
+     * @dev Buyer transfers ERC-20 tokens into the contract to lock funds on-chain
+     * Requires a prior allowance; the amount actually received is stored as the deposit
+     * @param _value Number of tokens to deposit
+     */
+    function depositToken(uint256 _value) public {
+        if (address(token) == address(0)) revert NotTokenEscrow();
+        
+        // Measure the balance change so fee-on-transfer tokens are recorded accurately
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), _value);
+        
+        _recordDeposit(token.balanceOf(address(this)) - balanceBefore);
+    }
+    
+    /**
+     * @dev Deposits tokens using an EIP-2612 permit signature instead of a prior approval
+     * A permit that was already submitted by someone else is tolerated as long as the allowance exists
+     * @param _value Number of tokens to deposit
+     * @param _deadline Permit expiry timestamp
+     * @param _v Signature recovery id
+     * @param _r Signature r value
+     * @param _s Signature s value
+     */
+    function depositWithPermit(
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        if (address(token) == address(0)) revert NotTokenEscrow();
+        
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), _value, _deadline, _v, _r, _s) {
+        } catch {
+            if (token.allowance(msg.sender, address(this)) < _value) revert PermitFailed();
+        }
+        
+        depositToken(_value);
+    }
+    
+    /**
+     * @dev Validates and records a contribution to the escrow
+     * The escrow is funded once contributions reach the target; later contributions top up the funds held
+     * @param _value Amount received by the contract
+     */
+    function _recordDeposit(uint256 _value) private {
+        // Besides the buyer, only contributors the buyer approved may fund the escrow
+        if (msg.sender != buyer && !approvedContributors[msg.sender]) revert NotBuyer(msg.sender);
         
         // Deposit must be a positive amount
-        require(msg.value > 0, "Deposit must be greater than 0");
+        if (_value == 0) revert ZeroDeposit();
         
-        // Prevent double deposits - fail-safe design
-        require(amount == 0, "Funds already deposited");
+        // Contributions are accepted until the parties reach consensus, raise a dispute or the escrow closes
+        if (state != State.AwaitingDeposit && state != State.Funded) revert InvalidState(state);
         
-        amount = msg.value;
-        emit FundsDeposited(buyer, amount);
+        if (contributions[msg.sender] == 0) {
+            if (contributors.length == MAX_CONTRIBUTORS) revert TooManyContributors(MAX_CONTRIBUTORS);
+            contributors.push(msg.sender);
+        }
+        contributions[msg.sender] += _value;
+        totalContributed += _value;
+        emit ContributionReceived(msg.sender, _value, totalContributed);
+        
+        if (state == State.Funded) {
+            amount += _value;
+        } else if (totalContributed >= targetAmount) {
+            amount = totalContributed;
+            _setState(State.Funded);
+            
+            // Start the delivery clock if a deadline is configured
+            if (deliveryPeriod > 0) {
+                deliveryDeadline = block.timestamp + deliveryPeriod;
+            }
+            
+            emit FundsDeposited(buyer, amount);
+        }
+    }
+    
+    /**
+     * @dev Buyer configures the delivery deadline and inspection period before depositing
+     * The delivery deadline starts counting at deposit; the inspection period starts when the seller claims delivery
+     * @param _deliveryPeriod Seconds the seller has to deliver after deposit (0 disables the deadline)
+     * @param _inspectionPeriod Seconds the buyer has to dispute a delivery claim (0 disables seller claims)
+     */
+    function configureTimeouts(uint256 _deliveryPeriod, uint256 _inspectionPeriod) external {
+        _checkConfigurable();
+        
+        deliveryPeriod = _deliveryPeriod;
+        inspectionPeriod = _inspectionPeriod;
+        emit TimeoutsConfigured(_deliveryPeriod, _inspectionPeriod);
+    }
+    
+    /**
+     * @dev Buyer configures the fees deducted at finalization before depositing
+     * The mediator fee is only charged when the mediator's vote was decisive for the outcome;
+     * the platform fee is charged on every payout
+     * @param _mediatorFeeType None, Flat (fixed amount) or BasisPoints (share of the deposit)
+     * @param _mediatorFee Fee amount for Flat, or basis points for BasisPoints
+     * @param _platformFeeRecipient Address receiving the platform fee (address(0) disables it)
+     * @param _platformFeeBps Platform fee in basis points
+     */
+    function configureFees(
+        FeeType _mediatorFeeType,
+        uint256 _mediatorFee,
+        address _platformFeeRecipient,
+        uint256 _platformFeeBps
+    ) external {
+        _checkConfigurable();
+        if (_mediatorFeeType == FeeType.None && _mediatorFee != 0) revert InvalidFeeConfig();
+        if (_platformFeeRecipient == address(0) && _platformFeeBps != 0) revert InvalidFeeConfig();
+        
+        // Percentage fees together can never exceed the deposit
+        uint256 totalBps = _platformFeeBps;
+        if (_mediatorFeeType == FeeType.BasisPoints) {
+            totalBps += _mediatorFee;
+        }
+        if (totalBps > BPS_DENOMINATOR) revert BpsTooHigh(totalBps);
+        
+        mediatorFeeType = _mediatorFeeType;
+        mediatorFee = _mediatorFee;
+        platformFeeRecipient = _platformFeeRecipient;
+        platformFeeBps = _platformFeeBps;
+        emit FeesConfigured(_mediatorFeeType, _mediatorFee, _platformFeeRecipient, _platformFeeBps);
+    }
+    
+    /**
+     * @dev Buyer opts into pull payments before depositing
+     * Finalization then credits each recipient instead of transferring, so a recipient
+     * that rejects payments cannot block the escrow from settling
+     * @param _enabled Whether payouts are credited for withdrawal
+     */
+    function configurePullPayments(bool _enabled) external {
+        _checkConfigurable();
+        
+        pullPayments = _enabled;
+        emit PullPaymentsConfigured(_enabled);
+    }
+    
+    /**
+     * @dev Buyer sets the amount contributions must reach before the escrow is funded
+     * @param _targetAmount Amount in wei or token units (0 restores funding by the first deposit)
+     */
+    function configureFunding(uint256 _targetAmount) external {
+        _checkConfigurable();
+        
+        targetAmount = _targetAmount;
+        emit FundingConfigured(_targetAmount);
+    }
+    
+    /**
+     * @dev Buyer allows or stops an address, such as an insurer or co-buyer, contributing to the escrow
+     * Contributions already made stay in the ledger when an approval is withdrawn
+     * @param _contributor Address to approve or disapprove
+     * @param _approved Whether `_contributor` may deposit
+     */
+    function setContributor(address _contributor, bool _approved) external {
+        if (msg.sender != buyer) revert NotBuyer(msg.sender);
+        if (state != State.AwaitingDeposit && state != State.Funded) revert InvalidState(state);
+        
+        approvedContributors[_contributor] = _approved;
+        emit ContributorApproved(_contributor, _approved);
+    }
+    
+    /**
+     * @dev Buyer or seller calls off the deal before it is funded
+     * Contributions made towards the target are returned in full;
+     * a cancelled escrow can no longer be configured or funded
+     */
+    function cancel() external {
+        if (msg.sender != buyer && msg.sender != seller) revert NotBuyerOrSeller(msg.sender);
+        if (state != State.AwaitingDeposit) revert InvalidState(state);
+        
+        _setState(State.Cancelled);
+        if (totalContributed > 0) {
+            _refundContributors(totalContributed);
+        }
+    }
+    
+    /**
+     * @dev Withdraws funds credited to the caller by a pull-payment finalization or a contributor refund
+     */
+    function withdraw() external {
+        uint256 owed = pendingWithdrawals[msg.sender];
+        if (owed == 0) revert NothingToWithdraw(msg.sender);
+        
+        // Update state before external call (checks-effects-interactions)
+        pendingWithdrawals[msg.sender] = 0;
+        
+        if (!_sendFunds(msg.sender, owed)) revert TransferFailed(msg.sender, owed);
+        emit Withdrawn(msg.sender, owed);
+    }
+    
+    /**
+     * @dev Returns the fees that would be deducted from a payout
+     * Percentage fees round down; a flat mediator fee is capped at what remains after the platform fee
+     * @param _value Amount being paid out
+     * @param _mediatorDecisive Whether the mediator's vote decided the outcome
+     * @return platformFeeAmount Fee paid to the platform fee recipient
+     * @return mediatorFeeAmount Fee paid to the mediator
+     * @return netAmount Amount left for the buyer and/or seller
+     */
+    function quoteFees(uint256 _value, bool _mediatorDecisive) public view returns (
+        uint256 platformFeeAmount,
+        uint256 mediatorFeeAmount,
+        uint256 netAmount
+    ) {
+        platformFeeAmount = (_value * platformFeeBps) / BPS_DENOMINATOR;
+        
+        if (_mediatorDecisive) {
+            if (mediatorFeeType == FeeType.Flat) {
+                mediatorFeeAmount = mediatorFee;
+            } else if (mediatorFeeType == FeeType.BasisPoints) {
+                mediatorFeeAmount = (_value * mediatorFee) / BPS_DENOMINATOR;
+            }
+            if (mediatorFeeAmount > _value - platformFeeAmount) {
+                mediatorFeeAmount = _value - platformFeeAmount;
+            }
+        }
+        
+        netAmount = _value - platformFeeAmount - mediatorFeeAmount;
+    }
+    
+    /**
+     * @dev Seller claims the goods or services were delivered, starting the inspection period
+     * Must happen before the delivery deadline; the buyer can dispute until the period ends
+     */
+    function claimDelivery() external fundsNotReleased {
+        if (msg.sender != seller) revert NotSeller(msg.sender);
+        if (amount == 0) revert NoFundsDeposited();
+        if (inspectionPeriod == 0) revert TimeoutsNotConfigured();
+        if (deliveryClaimedAt != 0) revert DeliveryAlreadyClaimed();
+        if (deliveryDeadline != 0 && block.timestamp > deliveryDeadline) revert DeliveryDeadlinePassed(deliveryDeadline);
+        
+        deliveryClaimedAt = block.timestamp;
+        emit DeliveryClaimed(seller, block.timestamp + inspectionPeriod);
+    }
+    
+    /**
+     * @dev Buyer challenges a delivery claim during the inspection period
+     * A disputed delivery can only be settled by 2-of-3 approvals
+     */
+    function disputeDelivery() external fundsNotReleased {
+        if (msg.sender != buyer) revert NotBuyer(msg.sender);
+        if (deliveryClaimedAt == 0) revert DeliveryNotClaimed();
+        if (deliveryDisputed) revert DeliveryAlreadyDisputed();
+        if (_inspectionElapsed()) revert InspectionPeriodOver(deliveryClaimedAt + inspectionPeriod);
+        if (state != State.Funded && state != State.Disputed) revert InvalidState(state);
+        
+        deliveryDisputed = true;
+        emit DeliveryDisputed(buyer);
+        if (state != State.Disputed) {
+            _setState(State.Disputed);
+        }
+    }
+    
+    /**
+     * @dev Buyer or seller escalates the escrow to the mediator
+     * Also allowed after a delivery dispute, to record its reason; blocks the timeout payouts
+     * @param _reasonHash Hash of the off-chain statement explaining the dispute
+     */
+    function raiseDispute(bytes32 _reasonHash) external fundsNotReleased {
+        if (msg.sender != buyer && msg.sender != seller) revert NotBuyerOrSeller(msg.sender);
+        if (amount == 0) revert NoFundsDeposited();
+        if (_reasonHash == bytes32(0)) revert HashRequired();
+        if (disputeRaisedBy != address(0)) revert DisputeAlreadyRaised(disputeRaisedBy);
+        if (state != State.Funded && state != State.Disputed) revert InvalidState(state);
+        
+        disputeRaisedBy = msg.sender;
+        disputeReasonHash = _reasonHash;
+        emit DisputeRaised(msg.sender, _reasonHash);
+        if (state != State.Disputed) {
+            _setState(State.Disputed);
+        }
+    }
+    
+    /**
+     * @dev Buyer or seller records a piece of evidence while a dispute is open
+     * Only the reference is stored in the event log; off-chain tools collect it for the mediator
+     * @param _uri Where the evidence can be fetched, e.g. an ipfs:// URI
+     * @param _contentHash Hash of the evidence content, so the mediator can check what was fetched
+     */
+    function submitEvidence(string calldata _uri, bytes32 _contentHash) external fundsNotReleased {
+        if (msg.sender != buyer && msg.sender != seller) revert NotBuyerOrSeller(msg.sender);
+        if (!_isDisputed()) revert NoDisputeRaised();
+        if (bytes(_uri).length == 0) revert EvidenceUriRequired();
+        if (_contentHash == bytes32(0)) revert HashRequired();
+        
+        emit EvidenceSubmitted(msg.sender, evidenceCount, _uri, _contentHash);
+        evidenceCount++;
+    }
+    
+    /**
+     * @dev Mediator rules on an open dispute; the ruling counts as the mediator's approval
+     * A ruling is issued once; it replaces a vote the mediator cast the other way
+     * @param _direction Release to the seller or Refund to the buyer
+     * @param _rationaleHash Hash of the mediator's off-chain reasoning
+     */
+    function rule(Direction _direction, bytes32 _rationaleHash) external fundsNotReleased {
+        if (msg.sender != mediator) revert NotMediator(msg.sender);
+        if (!_isDisputed()) revert NoDisputeRaised();
+        if (_rationaleHash == bytes32(0)) revert HashRequired();
+        if (rulingRationaleHash != bytes32(0)) revert RulingAlreadyIssued();
+        
+        rulingRationaleHash = _rationaleHash;
+        emit RulingIssued(mediator, _direction, _rationaleHash);
+        
+        if (_direction == Direction.Release && !mediatorApprovedRelease) {
+            _approveRelease(mediator);
+        } else if (_direction == Direction.Refund && !mediatorApprovedRefund) {
+            _approveRefund(mediator);
+        }
+    }
+    
+    /**
+     * @dev Buyer or seller nominates a new mediator, e.g. when the current one lost its key or is conflicted
+     * Nominating a different candidate withdraws the other side's nomination
+     * @param _candidate Address proposed as mediator; must not already be a party
+     */
+    function nominateMediator(address _candidate) external fundsNotReleased {
+        if (msg.sender != buyer && msg.sender != seller) revert NotBuyerOrSeller(msg.sender);
+        if (_candidate == address(0)) revert ZeroAddress(Role.Mediator);
+        if (_isParty(_candidate)) revert AlreadyAParty(_candidate);
+        
+        if (_candidate != mediatorNominee) {
+            mediatorNominee = _candidate;
+            buyerNominatedMediator = false;
+            sellerNominatedMediator = false;
+        }
+        if (msg.sender == buyer) {
+            buyerNominatedMediator = true;
+        } else {
+            sellerNominatedMediator = true;
+        }
+        emit MediatorNominated(msg.sender, _candidate);
+    }
+    
+    /**
+     * @dev The nominee takes over as mediator once both buyer and seller nominated it
+     * The old mediator's votes and ruling are discarded
+     */
+    function acceptMediatorRole() external fundsNotReleased {
+        if (msg.sender != mediatorNominee) revert NotNominee(msg.sender);
+        if (!buyerNominatedMediator || !sellerNominatedMediator) {
+            revert NominationIncomplete(buyerNominatedMediator, sellerNominatedMediator);
+        }
+        
+        _replaceParty(Role.Mediator, msg.sender);
+    }
+    
+    /**
+     * @dev A party proposes moving its role to a new address
+     * The new key accepts after KEY_ROTATION_DELAY, giving the other parties time to react;
+     * a new proposal replaces the pending one
+     * @param _newAddress Address that will hold the caller's role
+     */
+    function proposeKeyRotation(address _newAddress) external onlyParty fundsNotReleased {
+        if (_newAddress == address(0)) revert ZeroAddress(_roleOf(msg.sender));
+        if (_isParty(_newAddress)) revert AlreadyAParty(_newAddress);
+        
+        Role role = _roleOf(msg.sender);
+        uint256 executableAt = block.timestamp + KEY_ROTATION_DELAY;
+        keyRotations[role] = KeyRotation(_newAddress, executableAt);
+        emit KeyRotationProposed(role, _newAddress, executableAt);
+    }
+    
+    /**
+     * @dev A party withdraws its pending key rotation
+     */
+    function cancelKeyRotation() external onlyParty {
+        Role role = _roleOf(msg.sender);
+        address newAddress = keyRotations[role].newAddress;
+        if (newAddress == address(0)) revert NoKeyRotationPending(role);
+        
+        delete keyRotations[role];
+        emit KeyRotationCancelled(role, newAddress);
+    }
+    
+    /**
+     * @dev The new key completes a rotation once the timelock has passed
+     * @param _role Role being taken over
+     */
+    function acceptKeyRotation(Role _role) external fundsNotReleased {
+        KeyRotation memory rotation = keyRotations[_role];
+        if (rotation.newAddress == address(0) || msg.sender != rotation.newAddress) revert NotRotationTarget(msg.sender);
+        if (block.timestamp < rotation.executableAt) revert KeyRotationTimelocked(rotation.executableAt);
+        
+        // The same party moves to a new key, so its contribution follows
+        _moveContribution(_role == Role.Buyer ? buyer : _role == Role.Seller ? seller : mediator, msg.sender);
+        _replaceParty(_role, msg.sender);
+    }
+    
+    /**
+     * @dev Buyer reclaims the deposit once the delivery deadline passed without delivery or release consensus
+     */
+    function reclaimAfterDeadline() external fundsNotReleased {
+        if (msg.sender != buyer) revert NotBuyer(msg.sender);
+        if (!_canReclaim()) revert ReclaimNotAvailable();
+        
+        _refundFunds(false);
+    }
+    
+    /**
+     * @dev Seller claims the deposit once an undisputed inspection period has elapsed
+     */
+    function claimAfterInspection() external fundsNotReleased {
+        if (msg.sender != seller) revert NotSeller(msg.sender);
+        if (!_canClaim()) revert ClaimNotAvailable();
+        
+        _releaseFunds(false);
     }
     
     /**
      * @dev Logs approval from one of the three permitted parties
      * Increments total approvals and prevents re-approvals by the same party
      * Each party can only approve once - fail-safe design
+     * A party's release approval replaces its refund approval, if any
      */
     function approveRelease() external onlyParty fundsNotReleased {
+        _approveRelease(msg.sender);
+    }
+    
+    /**
+     * @dev Withdraws the caller's release approval before funds are paid out
+     * Drops a ReleaseApproved escrow back to Funded (or Disputed) if consensus is lost
+     */
+    function revokeReleaseApproval() external onlyParty fundsNotReleased {
+        if (!_clearReleaseApproval(msg.sender)) revert NoApprovalToRevoke(msg.sender, Direction.Release);
+        _syncApprovalState();
+    }
+    
+    /**
+     * @dev Records a release approval for `_party`
+     * @param _party Party whose approval is recorded
+     */
+    function _approveRelease(address _party) private {
         // Require that funds have been deposited before approval
-        require(amount > 0, "No funds deposited");
+        if (amount == 0) revert NoFundsDeposited();
         
         // Track approval based on caller and prevent double-approval
-        if (msg.sender == buyer) {
-            require(!buyerApprovedRelease, "Buyer already approved release");
+        if (_party == buyer) {
+            if (buyerApprovedRelease) revert AlreadyApproved(_party, Direction.Release);
             buyerApprovedRelease = true;
-        } else if (msg.sender == seller) {
-            require(!sellerApprovedRelease, "Seller already approved release");
+        } else if (_party == seller) {
+            if (sellerApprovedRelease) revert AlreadyApproved(_party, Direction.Release);
             sellerApprovedRelease = true;
-        } else if (msg.sender == mediator) {
-            require(!mediatorApprovedRelease, "Mediator already approved release");
+        } else if (_party == mediator) {
+            if (mediatorApprovedRelease) revert AlreadyApproved(_party, Direction.Release);
             mediatorApprovedRelease = true;
         }
         
         // Emit event for external auditing
-        emit ApprovalGiven(msg.sender);
+        emit ApprovalGiven(_party, Direction.Release);
+        
+        // A party votes one way at a time
+        _clearRefundApproval(_party);
+        _syncApprovalState();
     }
     
     /**
@@ -121,28 +783,40 @@ contract ThreePartyEscrow {
      * Implements consensus release - prevents double-payouts
      */
     function finalizeRelease() external onlyParty fundsNotReleased {
+        _finalizeRelease();
+    }
+    
+    /**
+     * @dev Checks release consensus and pays the seller
+     */
+    function _finalizeRelease() private {
         // Require funds to be deposited
-        require(amount > 0, "No funds deposited");
+        if (amount == 0) revert NoFundsDeposited();
         
         // Check if we have 2 out of 3 approvals for release
         uint8 approvalCount = _countReleaseApprovals();
-        require(approvalCount >= 2, "Need at least 2 approvals to release funds");
+        if (approvalCount < 2) revert InsufficientApprovals(approvalCount, 2);
         
-        _releaseFunds();
+        _releaseFunds(_isMediatorDecisive(mediatorApprovedRelease, approvalCount));
     }
     
     /**
      * @dev Returns current escrow state for monitoring
-     * @return status Current state: "Pending", "Approved", or "Funds Released"
+     * @return status Current state: "Pending", "Approved", "Expired", "Claimable",
+     * "Funds Released" or "Funds Refunded"
+     * Human-readable; `state` tells release and refund consensus apart
      */
     function getEscrowStatus() external view returns (string memory) {
-        // If funds have been released or refunded
+        // If funds have been released, refunded or settled
         if (fundsReleased) {
             return "Funds Released";
         }
         if (fundsRefunded) {
             return "Funds Refunded";
         }
+        if (fundsSettled) {
+            return "Funds Settled";
+        }
         
         // If we have at least 2 approvals for release
         if (_countReleaseApprovals() >= 2) {
@@ -154,41 +828,304 @@ contract ThreePartyEscrow {
             return "Approved";
         }
         
+        // If we have at least 2 approvals for the current settlement proposal
+        if (settlementProposalHash != bytes32(0) && _countSettlementApprovals(settlementProposalHash) >= 2) {
+            return "Approved";
+        }
+        
+        // If the buyer can reclaim after the delivery deadline
+        if (_canReclaim()) {
+            return "Expired";
+        }
+        
+        // If the seller can claim after an undisputed inspection period
+        if (_canClaim()) {
+            return "Claimable";
+        }
+        
         // Default state when no consensus reached
         return "Pending";
     }
     
     /**
      * @dev Any party can approve a refund to the buyer
+     * A party's refund approval replaces its release approval, if any
      */
     function approveRefund() external onlyParty fundsNotReleased {
-        require(amount > 0, "No funds deposited");
+        _approveRefund(msg.sender);
+    }
+    
+    /**
+     * @dev Withdraws the caller's refund approval before funds are paid out
+     * Drops a RefundApproved escrow back to Funded (or Disputed) if consensus is lost
+     */
+    function revokeRefundApproval() external onlyParty fundsNotReleased {
+        if (!_clearRefundApproval(msg.sender)) revert NoApprovalToRevoke(msg.sender, Direction.Refund);
+        _syncApprovalState();
+    }
+    
+    /**
+     * @dev Records a refund approval for `_party`
+     * @param _party Party whose approval is recorded
+     */
+    function _approveRefund(address _party) private {
+        if (amount == 0) revert NoFundsDeposited();
         
-        if (msg.sender == buyer) {
-            require(!buyerApprovedRefund, "Buyer already approved refund");
+        if (_party == buyer) {
+            if (buyerApprovedRefund) revert AlreadyApproved(_party, Direction.Refund);
             buyerApprovedRefund = true;
-        } else if (msg.sender == seller) {
-            require(!sellerApprovedRefund, "Seller already approved refund");
+        } else if (_party == seller) {
+            if (sellerApprovedRefund) revert AlreadyApproved(_party, Direction.Refund);
             sellerApprovedRefund = true;
-        } else if (msg.sender == mediator) {
-            require(!mediatorApprovedRefund, "Mediator already approved refund");
+        } else if (_party == mediator) {
+            if (mediatorApprovedRefund) revert AlreadyApproved(_party, Direction.Refund);
             mediatorApprovedRefund = true;
         }
         
-        emit ApprovalGiven(msg.sender);
+        emit ApprovalGiven(_party, Direction.Refund);
+        
+        _clearReleaseApproval(_party);
+        _syncApprovalState();
+    }
+    
+    /**
+     * @dev Clears `_party`'s release approval
+     * @return cleared Whether the party had approved release
+     */
+    function _clearReleaseApproval(address _party) private returns (bool cleared) {
+        if (_party == buyer) {
+            cleared = buyerApprovedRelease;
+            buyerApprovedRelease = false;
+        } else if (_party == seller) {
+            cleared = sellerApprovedRelease;
+            sellerApprovedRelease = false;
+        } else if (_party == mediator) {
+            cleared = mediatorApprovedRelease;
+            mediatorApprovedRelease = false;
+        }
+        
+        if (cleared) {
+            emit ApprovalRevoked(_party, Direction.Release);
+        }
+    }
+    
+    /**
+     * @dev Clears `_party`'s refund approval
+     * @return cleared Whether the party had approved refund
+     */
+    function _clearRefundApproval(address _party) private returns (bool cleared) {
+        if (_party == buyer) {
+            cleared = buyerApprovedRefund;
+            buyerApprovedRefund = false;
+        } else if (_party == seller) {
+            cleared = sellerApprovedRefund;
+            sellerApprovedRefund = false;
+        } else if (_party == mediator) {
+            cleared = mediatorApprovedRefund;
+            mediatorApprovedRefund = false;
+        }
+        
+        if (cleared) {
+            emit ApprovalRevoked(_party, Direction.Refund);
+        }
+    }
+    
+    /**
+     * @dev Moves between Funded/Disputed and ReleaseApproved/RefundApproved as votes change
+     * A party votes one way at a time, so both directions can never have consensus at once
+     */
+    function _syncApprovalState() private {
+        State next = _isDisputed() ? State.Disputed : State.Funded;
+        if (_countReleaseApprovals() >= 2) {
+            next = State.ReleaseApproved;
+        } else if (_countRefundApprovals() >= 2) {
+            next = State.RefundApproved;
+        }
+        
+        if (next != state) {
+            _setState(next);
+        }
     }
     
     /**
      * @dev Finalize refund to buyer once at least two unique approvals exist
      */
     function finalizeRefund() external onlyParty fundsNotReleased {
-        require(amount > 0, "No funds deposited");
+        _finalizeRefund();
+    }
+    
+    /**
+     * @dev Checks refund consensus and pays the buyer
+     */
+    function _finalizeRefund() private {
+        if (amount == 0) revert NoFundsDeposited();
         
         // Check if we have 2 out of 3 approvals for refund
         uint8 approvalCount = _countRefundApprovals();
-        require(approvalCount >= 2, "Need at least 2 approvals to refund funds");
+        if (approvalCount < 2) revert InsufficientApprovals(approvalCount, 2);
         
-        _refundFunds();
+        _refundFunds(_isMediatorDecisive(mediatorApprovedRefund, approvalCount));
+    }
+    
+    /**
+     * @dev Records a vote signed off-chain by a party; anyone may submit it
+     * Lets parties without gas approve through a relayer
+     * @param _direction Release or Refund
+     * @param _vote Signer, expiry and EIP-712 signature over Vote(direction, nonce, deadline)
+     */
+    function approveWithSig(Direction _direction, SignedVote calldata _vote) external fundsNotReleased {
+        _applySignedVote(_direction, _vote);
+    }
+    
+    /**
+     * @dev Records signed votes and finalizes in a single transaction
+     * Typically called by a relayer with two signatures that together reach consensus
+     * @param _direction Release or Refund
+     * @param _votes Signed votes to record before finalizing
+     */
+    function finalizeWithSignatures(Direction _direction, SignedVote[] calldata _votes) external fundsNotReleased {
+        for (uint256 i = 0; i < _votes.length; i++) {
+            _applySignedVote(_direction, _votes[i]);
+        }
+        
+        if (_direction == Direction.Release) {
+            _finalizeRelease();
+        } else {
+            _finalizeRefund();
+        }
+    }
+    
+    /**
+     * @dev Returns the EIP-712 domain separator
+     * Computed on every call because clones share the implementation's code but not its address
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes("ThreePartyEscrow")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+    
+    /**
+     * @dev Verifies a signed vote, consumes the signer's nonce and records the approval
+     */
+    function _applySignedVote(Direction _direction, SignedVote calldata _vote) private {
+        if (block.timestamp > _vote.deadline) revert SignatureExpired(_vote.deadline);
+        if (!_isParty(_vote.signer)) revert NotAParty(_vote.signer);
+        
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                DOMAIN_SEPARATOR(),
+                keccak256(abi.encode(VOTE_TYPEHASH, uint8(_direction), nonces[_vote.signer], _vote.deadline))
+            )
+        );
+        if (_recoverSigner(digest, _vote.signature) != _vote.signer) revert InvalidSignature(_vote.signer);
+        nonces[_vote.signer]++;
+        
+        if (_direction == Direction.Release) {
+            _approveRelease(_vote.signer);
+        } else {
+            _approveRefund(_vote.signer);
+        }
+    }
+    
+    /**
+     * @dev Recovers the signer of a 65-byte signature, rejecting malleable signatures
+     * @return signer Recovered address, or address(0) if the signature is invalid
+     */
+    function _recoverSigner(bytes32 _digest, bytes calldata _signature) private pure returns (address signer) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+        
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        
+        // Only accept the lower half of the curve order for s (EIP-2)
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        
+        return ecrecover(_digest, v, r, s);
+    }
+    
+    /**
+     * @dev Any party proposes splitting the deposit between seller and buyer
+     * Replaces any previous proposal, which resets consensus; the proposer approves automatically
+     * @param _sellerShareBps Seller's share in basis points (e.g. 7000 pays 70% to seller, 30% to buyer)
+     * @return proposalHash Hash identifying this proposal, to be passed to approveSettlement
+     */
+    function proposeSettlement(uint256 _sellerShareBps) external onlyParty fundsNotReleased returns (bytes32 proposalHash) {
+        if (amount == 0) revert NoFundsDeposited();
+        if (_sellerShareBps > BPS_DENOMINATOR) revert BpsTooHigh(_sellerShareBps);
+        
+        settlementNonce++;
+        proposalHash = keccak256(abi.encode(address(this), settlementNonce, _sellerShareBps));
+        settlementProposalHash = proposalHash;
+        proposedSellerShareBps = _sellerShareBps;
+        emit SettlementProposed(msg.sender, proposalHash, _sellerShareBps);
+        
+        settlementApprovals[proposalHash][msg.sender] = true;
+        emit SettlementApproved(msg.sender, proposalHash);
+    }
+    
+    /**
+     * @dev Approves a specific settlement proposal
+     * Binding the approval to the hash guarantees the party agreed to this exact split
+     * @param _proposalHash Hash of the proposal being approved
+     */
+    function approveSettlement(bytes32 _proposalHash) external onlyParty fundsNotReleased {
+        if (_proposalHash == bytes32(0) || _proposalHash != settlementProposalHash) revert ProposalNotCurrent(_proposalHash);
+        if (settlementApprovals[_proposalHash][msg.sender]) revert SettlementAlreadyApproved(msg.sender);
+        
+        settlementApprovals[_proposalHash][msg.sender] = true;
+        emit SettlementApproved(msg.sender, _proposalHash);
+    }
+    
+    /**
+     * @dev Pays out the current settlement proposal once at least two parties approved it
+     */
+    function finalizeSettlement() external onlyParty fundsNotReleased {
+        if (amount == 0) revert NoFundsDeposited();
+        if (settlementProposalHash == bytes32(0)) revert NoSettlementProposed();
+        
+        // Check if we have 2 out of 3 approvals for the current proposal
+        uint8 approvalCount = _countSettlementApprovals(settlementProposalHash);
+        if (approvalCount < 2) revert InsufficientApprovals(approvalCount, 2);
+        
+        _settleFunds(_isMediatorDecisive(settlementApprovals[settlementProposalHash][mediator], approvalCount));
+    }
+    
+    /**
+     * @dev Returns the number of parties currently approving a release
+     */
+    function getReleaseApprovalCount() external view returns (uint8) {
+        return _countReleaseApprovals();
+    }
+    
+    /**
+     * @dev Returns the number of parties currently approving a refund
+     */
+    function getRefundApprovalCount() external view returns (uint8) {
+        return _countRefundApprovals();
+    }
+    
+    /**
+     * @dev Internal function to count approvals for a settlement proposal
+     * @return count Number of approvals for the proposal
+     */
+    function _countSettlementApprovals(bytes32 _proposalHash) private view returns (uint8 count) {
+        if (settlementApprovals[_proposalHash][buyer]) count++;
+        if (settlementApprovals[_proposalHash][seller]) count++;
+        if (settlementApprovals[_proposalHash][mediator]) count++;
+        return count;
     }
     
     /**
@@ -214,47 +1151,307 @@ contract ThreePartyEscrow {
     }
     
     /**
-     * @dev Internal function to release funds to seller
+     * @dev The mediator's vote is decisive when it was one of exactly two approvals
+     * If buyer and seller agree on their own the mediator did no work and earns no fee
+     */
+    function _isMediatorDecisive(bool _mediatorApproved, uint8 _approvalCount) private pure returns (bool) {
+        return _mediatorApproved && _approvalCount == 2;
+    }
+    
+    /**
+     * @dev Whether the buyer disputed a delivery claim or either side raised a dispute
+     */
+    function _isDisputed() private view returns (bool) {
+        return deliveryDisputed || disputeRaisedBy != address(0);
+    }
+    
+    /**
+     * @dev Reverts unless the caller is one of the three parties
+     */
+    function _checkParty() private view {
+        if (!_isParty(msg.sender)) revert NotAParty(msg.sender);
+    }
+    
+    /**
+     * @dev Reverts unless the buyer calls before any contribution, so contributors fund known terms
+     */
+    function _checkConfigurable() private view {
+        if (msg.sender != buyer) revert NotBuyer(msg.sender);
+        if (state != State.AwaitingDeposit) revert InvalidState(state);
+        if (totalContributed > 0) revert FundingStarted(totalContributed);
+    }
+    
+    /**
+     * @dev Reverts once funds have been released, refunded or settled
+     */
+    function _checkFundsNotReleased() private view {
+        if (fundsReleased || fundsRefunded || fundsSettled) revert FundsAlreadyPaidOut();
+    }
+    
+    /**
+     * @dev Whether `_account` currently holds one of the three roles
+     */
+    function _isParty(address _account) private view returns (bool) {
+        return _account == buyer || _account == seller || _account == mediator;
+    }
+    
+    /**
+     * @dev Role held by `_party`, which must be a party
+     */
+    function _roleOf(address _party) private view returns (Role) {
+        if (_party == buyer) return Role.Buyer;
+        if (_party == seller) return Role.Seller;
+        return Role.Mediator;
+    }
+    
+    /**
+     * @dev Moves `_role` to `_to`, discarding every vote cast by the previous address
+     * Release and refund approvals are revoked, the current settlement approval is dropped,
+     * and a replaced mediator's ruling no longer stands
+     */
+    function _replaceParty(Role _role, address _to) private {
+        if (_isParty(_to)) revert AlreadyAParty(_to);
+        
+        address previous = _role == Role.Buyer ? buyer : _role == Role.Seller ? seller : mediator;
+        _clearReleaseApproval(previous);
+        _clearRefundApproval(previous);
+        settlementApprovals[settlementProposalHash][previous] = false;
+        settlementApprovals[settlementProposalHash][_to] = false;
+        delete keyRotations[_role];
+        
+        if (_role == Role.Buyer) {
+            buyer = _to;
+            buyerNominatedMediator = false;
+        } else if (_role == Role.Seller) {
+            seller = _to;
+            sellerNominatedMediator = false;
+        } else {
+            mediator = _to;
+            rulingRationaleHash = bytes32(0);
+            mediatorNominee = address(0);
+            buyerNominatedMediator = false;
+            sellerNominatedMediator = false;
+        }
+        emit PartyReplaced(_role, previous, _to);
+        
+        // Consensus may have been lost with the discarded votes
+        if (amount > 0) {
+            _syncApprovalState();
+        }
+    }
+    
+    /**
+     * @dev Whether the inspection period following a delivery claim has ended
+     */
+    function _inspectionElapsed() private view returns (bool) {
+        return block.timestamp > deliveryClaimedAt + inspectionPeriod;
+    }
+    
+    /**
+     * @dev Whether the buyer may reclaim: deadline passed, nothing delivered, no dispute or release consensus
+     */
+    function _canReclaim() private view returns (bool) {
+        return amount > 0
+            && disputeRaisedBy == address(0)
+            && deliveryDeadline > 0
+            && block.timestamp > deliveryDeadline
+            && deliveryClaimedAt == 0
+            && _countReleaseApprovals() < 2;
+    }
+    
+    /**
+     * @dev Whether the seller may claim: delivery claimed, inspection over, no dispute or refund consensus
+     */
+    function _canClaim() private view returns (bool) {
+        return amount > 0
+            && deliveryClaimedAt > 0
+            && !_isDisputed()
+            && _inspectionElapsed()
+            && _countRefundApprovals() < 2;
+    }
+    
+    /**
+     * @dev Internal function to release funds to seller, net of fees
      * Uses checks-effects-interactions pattern for security
+     * @param _mediatorDecisive Whether the mediator fee applies
      */
-    function _releaseFunds() private {
-        require(amount > 0, "No funds to release");
-        require(!fundsReleased, "Funds already released");
+    function _releaseFunds(bool _mediatorDecisive) private {
+        if (amount == 0) revert NoFundsDeposited();
+        if (fundsReleased) revert FundsAlreadyPaidOut();
         
         // Update state before external call (checks-effects-interactions)
         fundsReleased = true;
-        uint256 amountToRelease = amount;
+        uint256 total = amount;
         amount = 0;
+        _setState(State.Released);
+        
+        uint256 amountToRelease = _deductFees(total, _mediatorDecisive);
         
         // Transfer funds to seller
-        (bool success, ) = seller.call{value: amountToRelease}("");
-        require(success, "Transfer to seller failed");
+        if (!_transferOut(seller, amountToRelease)) revert TransferFailed(seller, amountToRelease);
         
         // Emit event for external auditing
         emit FundsReleased(seller, amountToRelease);
     }
     
     /**
-     * @dev Internal function to refund funds to buyer
+     * @dev Internal function to refund funds to the contributors, net of fees
      * Uses checks-effects-interactions pattern for security
+     * @param _mediatorDecisive Whether the mediator fee applies
      */
-    function _refundFunds() private {
-        require(amount > 0, "No funds to refund");
-        require(!fundsRefunded, "Funds already refunded");
+    function _refundFunds(bool _mediatorDecisive) private {
+        if (amount == 0) revert NoFundsDeposited();
+        if (fundsRefunded) revert FundsAlreadyPaidOut();
         
         // Update state before external call (checks-effects-interactions)
         fundsRefunded = true;
-        uint256 amountToRefund = amount;
+        uint256 total = amount;
         amount = 0;
+        _setState(State.Refunded);
         
-        // Transfer funds to buyer
-        (bool success, ) = buyer.call{value: amountToRefund}("");
-        require(success, "Transfer to buyer failed");
+        uint256 amountToRefund = _deductFees(total, _mediatorDecisive);
+        
+        // Pay the contributors back; the event reports the total refunded
+        _refundContributors(amountToRefund);
         
         // Emit event for external auditing
         emit FundsRefunded(buyer, amountToRefund);
     }
     
+    /**
+     * @dev Internal function to split funds between seller and buyer, net of fees
+     * The seller's share is rounded down; the remainder is refunded to the contributors
+     * Uses checks-effects-interactions pattern for security
+     * @param _mediatorDecisive Whether the mediator fee applies
+     */
+    function _settleFunds(bool _mediatorDecisive) private {
+        // Update state before external calls (checks-effects-interactions)
+        fundsSettled = true;
+        uint256 total = amount;
+        amount = 0;
+        _setState(State.Settled);
+        
+        uint256 netAmount = _deductFees(total, _mediatorDecisive);
+        uint256 sellerAmount = (netAmount * proposedSellerShareBps) / BPS_DENOMINATOR;
+        uint256 buyerAmount = netAmount - sellerAmount;
+        
+        if (sellerAmount > 0) {
+            if (!_transferOut(seller, sellerAmount)) revert TransferFailed(seller, sellerAmount);
+        }
+        if (buyerAmount > 0) {
+            _refundContributors(buyerAmount);
+        }
+        
+        emit FundsSettled(settlementProposalHash, sellerAmount, buyerAmount);
+    }
+    
+    /**
+     * @dev Pays `_value` back to the contributors in proportion to what each put in
+     * Other contributors' shares are credited to pendingWithdrawals, so one that rejects payment
+     * cannot block the refund; shares round down and the buyer receives the remainder
+     * @param _value Amount being refunded
+     */
+    function _refundContributors(uint256 _value) private {
+        uint256 remaining = _value;
+        for (uint256 i = 0; i < contributors.length; i++) {
+            address contributor = contributors[i];
+            if (contributor == buyer) continue;
+            
+            uint256 share = (_value * contributions[contributor]) / totalContributed;
+            if (share == 0) continue;
+            remaining -= share;
+            pendingWithdrawals[contributor] += share;
+            emit PaymentCredited(contributor, share);
+            emit ContributionRefunded(contributor, share);
+        }
+        
+        if (remaining > 0) {
+            if (!_transferOut(buyer, remaining)) revert TransferFailed(buyer, remaining);
+            emit ContributionRefunded(buyer, remaining);
+        }
+    }
+    
+    /**
+     * @dev Moves `_from`'s contribution to `_to`, merging it if `_to` already contributed
+     * The ledger keeps the order of first contribution
+     */
+    function _moveContribution(address _from, address _to) private {
+        uint256 moved = contributions[_from];
+        if (moved == 0) return;
+        
+        uint256 i;
+        while (contributors[i] != _from) i++;
+        if (contributions[_to] == 0) {
+            contributors[i] = _to;
+        } else {
+            for (; i + 1 < contributors.length; i++) {
+                contributors[i] = contributors[i + 1];
+            }
+            contributors.pop();
+        }
+        contributions[_from] = 0;
+        contributions[_to] += moved;
+    }
+    
+    /**
+     * @dev Internal function to move to a new lifecycle state
+     * @param _to State being entered
+     */
+    function _setState(State _to) private {
+        emit StateChanged(state, _to);
+        state = _to;
+    }
+    
+    /**
+     * @dev Internal function to pay the platform and mediator fees out of a payout
+     * @param _value Amount being paid out
+     * @param _mediatorDecisive Whether the mediator fee applies
+     * @return netAmount Amount left for the buyer and/or seller
+     */
+    function _deductFees(uint256 _value, bool _mediatorDecisive) private returns (uint256 netAmount) {
+        uint256 platformFeeAmount;
+        uint256 mediatorFeeAmount;
+        (platformFeeAmount, mediatorFeeAmount, netAmount) = quoteFees(_value, _mediatorDecisive);
+        
+        if (platformFeeAmount > 0) {
+            if (!_transferOut(platformFeeRecipient, platformFeeAmount)) revert TransferFailed(platformFeeRecipient, platformFeeAmount);
+            emit PlatformFeePaid(platformFeeRecipient, platformFeeAmount);
+        }
+        if (mediatorFeeAmount > 0) {
+            if (!_transferOut(mediator, mediatorFeeAmount)) revert TransferFailed(mediator, mediatorFeeAmount);
+            emit MediatorFeePaid(mediator, mediatorFeeAmount);
+        }
+    }
+    
+    /**
+     * @dev Internal function to pay out escrowed funds, or credit them in pull-payment mode
+     * @param _to Recipient of the funds
+     * @param _value Amount to pay
+     * @return success Whether the payment succeeded; crediting always succeeds
+     */
+    function _transferOut(address _to, uint256 _value) private returns (bool success) {
+        if (pullPayments) {
+            pendingWithdrawals[_to] += _value;
+            emit PaymentCredited(_to, _value);
+            return true;
+        }
+        return _sendFunds(_to, _value);
+    }
+    
+    /**
+     * @dev Internal function to transfer escrowed Ether or tokens
+     * @param _to Recipient of the funds
+     * @param _value Amount to transfer
+     * @return success Whether the transfer succeeded
+     */
+    function _sendFunds(address _to, uint256 _value) private returns (bool success) {
+        if (address(token) == address(0)) {
+            (success, ) = _to.call{value: _value}("");
+        } else {
+            success = token.trySafeTransfer(_to, _value);
+        }
+    }
+    
     /**
      * @dev Get the current state of the escrow
      */
@@ -287,4 +1484,15 @@ contract ThreePartyEscrow {
             fundsRefunded
         );
     }
+    
+    /**
+     * @dev Returns the contributors in order of first contribution, with what each contributed
+     */
+    function getContributions() external view returns (address[] memory _contributors, uint256[] memory _amounts) {
+        _contributors = contributors;
+        _amounts = new uint256[](contributors.length);
+        for (uint256 i = 0; i < contributors.length; i++) {
+            _amounts[i] = contributions[contributors[i]];
+        }
+    }
 }
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ThreePartyEscrow.sol";
+
+/**
+ * @title ThreePartyTokenEscrow
+ * @dev ThreePartyEscrow bound to an ERC-20 token at construction.
+ * The buyer funds it with depositToken() or depositWithPermit(); payouts use safe-transfer semantics.
+ */
+contract ThreePartyTokenEscrow is ThreePartyEscrow {
+    /**
+     * @dev Constructor to initialize a token escrow
+     * @param _buyer Address of the buyer
+     * @param _seller Address of the seller
+     * @param _mediator Address of the mediator
+     * @param _token Address of the ERC-20 token to escrow
+     */
+    constructor(
+        address _buyer,
+        address _seller,
+        address _mediator,
+        address _token
+    ) ThreePartyEscrow(_buyer, _seller, _mediator) {
+        // Rejects address(0) too, which has no code
+        if (_token.code.length == 0) revert TokenNotContract(_token);
+        token = IERC20(_token);
+    }
+}
@@ -0,0 +1,319 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title WeightedEscrow
+ * @dev An escrow decided by an arbitrary set of weighted approvers instead of buyer, seller and mediator.
+ * Funds are released to the seller once the weight approving a release reaches the release threshold,
+ * and refunded to the buyer once the weight approving a refund reaches the refund threshold.
+ * Approvers can be co-buyers, several mediators or anyone else; the buyer and seller only vote
+ * if they are listed as approvers.
+ */
+contract WeightedEscrow {
+    // Direction of a vote
+    enum Direction { Release, Refund }
+
+    // Parties named in errors, numbered as in ThreePartyEscrow.Role
+    enum Role { Buyer, Seller }
+
+    // Lifecycle of the escrow; every transition emits StateChanged
+    enum State {
+        AwaitingDeposit,
+        Funded,
+        ReleaseApproved,
+        RefundApproved,
+        Released,
+        Refunded
+    }
+
+    // Depositor, and recipient of a refund
+    address public buyer;
+
+    // Recipient of a release
+    address public seller;
+
+    // Approvers in construction order, and the weight of each vote (0 for non-approvers)
+    address[] private approvers;
+    mapping(address => uint256) public weightOf;
+    uint256 public totalWeight;
+
+    // Weight needed to finalize each direction
+    uint256 public releaseThreshold;
+    uint256 public refundThreshold;
+
+    // Votes per approver, and the weight currently approving each direction
+    mapping(address => bool) public approvedRelease;
+    mapping(address => bool) public approvedRefund;
+    uint256 public releaseWeight;
+    uint256 public refundWeight;
+
+    // Escrow deposit amount
+    uint256 public amount;
+
+    // Current lifecycle state
+    State public state;
+
+    // Events for external auditing and tracking
+    event FundsDeposited(address indexed buyer, uint256 amount);
+    event ApprovalGiven(address indexed approver, Direction direction, uint256 weight);
+    event ApprovalRevoked(address indexed approver, Direction direction, uint256 weight);
+    event FundsReleased(address indexed seller, uint256 amount);
+    event FundsRefunded(address indexed buyer, uint256 amount);
+    event StateChanged(State indexed from, State indexed to);
+
+    // Custom errors; names shared with ThreePartyEscrow carry the same meaning and parameters
+    error NotApprover(address caller);
+    error NotAParty(address caller);
+    error NotBuyer(address caller);
+    error ZeroAddress(Role role);
+    error DuplicateParty(Role first, Role second);
+    error NoApprovers();
+    error LengthMismatch(uint256 first, uint256 second);
+    error ZeroApprover(uint256 index);
+    error ZeroWeight(address approver);
+    error DuplicateApprover(address approver);
+    error ThresholdOutOfRange(Direction direction, uint256 threshold, uint256 totalWeight);
+    error ConflictingThresholds(uint256 releaseThreshold, uint256 refundThreshold, uint256 totalWeight);
+    error ZeroDeposit();
+    error AlreadyFunded();
+    error NoFundsDeposited();
+    error FundsAlreadyPaidOut();
+    error AlreadyApproved(address party, Direction direction);
+    error NoApprovalToRevoke(address party, Direction direction);
+    error ThresholdNotReached(Direction direction, uint256 weight, uint256 threshold);
+    error TransferFailed(address to, uint256 value);
+
+    // Modifier to restrict voting to listed approvers
+    modifier onlyApprover() {
+        if (weightOf[msg.sender] == 0) revert NotApprover(msg.sender);
+        _;
+    }
+
+    // Modifier to restrict voting to a funded escrow that has not paid out
+    modifier whileFunded() {
+        if (state == State.AwaitingDeposit) revert NoFundsDeposited();
+        if (state == State.Released || state == State.Refunded) revert FundsAlreadyPaidOut();
+        _;
+    }
+
+    /**
+     * @dev Constructor to initialize the escrow with its parties, approvers and thresholds
+     * The thresholds must add up to more than the total weight, so release and refund can never
+     * both have consensus at the same time
+     * @param _buyer Address of the buyer
+     * @param _seller Address of the seller
+     * @param _approvers Addresses allowed to vote
+     * @param _weights Weight of each approver's vote
+     * @param _releaseThreshold Weight needed to release to the seller
+     * @param _refundThreshold Weight needed to refund the buyer
+     */
+    constructor(
+        address _buyer,
+        address _seller,
+        address[] memory _approvers,
+        uint256[] memory _weights,
+        uint256 _releaseThreshold,
+        uint256 _refundThreshold
+    ) {
+        // Validate the parties the funds move between
+        if (_buyer == address(0)) revert ZeroAddress(Role.Buyer);
+        if (_seller == address(0)) revert ZeroAddress(Role.Seller);
+        if (_buyer == _seller) revert DuplicateParty(Role.Buyer, Role.Seller);
+
+        // Validate approvers
+        if (_approvers.length == 0) revert NoApprovers();
+        if (_approvers.length != _weights.length) revert LengthMismatch(_approvers.length, _weights.length);
+
+        uint256 total;
+        for (uint256 i = 0; i < _approvers.length; i++) {
+            if (_approvers[i] == address(0)) revert ZeroApprover(i);
+            if (_weights[i] == 0) revert ZeroWeight(_approvers[i]);
+            if (weightOf[_approvers[i]] != 0) revert DuplicateApprover(_approvers[i]);
+            weightOf[_approvers[i]] = _weights[i];
+            total += _weights[i];
+        }
+
+        // Validate thresholds
+        if (_releaseThreshold == 0 || _releaseThreshold > total) {
+            revert ThresholdOutOfRange(Direction.Release, _releaseThreshold, total);
+        }
+        if (_refundThreshold == 0 || _refundThreshold > total) {
+            revert ThresholdOutOfRange(Direction.Refund, _refundThreshold, total);
+        }
+        if (_releaseThreshold + _refundThreshold <= total) {
+            revert ConflictingThresholds(_releaseThreshold, _refundThreshold, total);
+        }
+
+        buyer = _buyer;
+        seller = _seller;
+        approvers = _approvers;
+        totalWeight = total;
+        releaseThreshold = _releaseThreshold;
+        refundThreshold = _refundThreshold;
+    }
+
+    /**
+     * @dev Buyer sends Ether to the contract to lock funds on-chain
+     */
+    function deposit() external payable {
+        if (msg.sender != buyer) revert NotBuyer(msg.sender);
+        if (msg.value == 0) revert ZeroDeposit();
+        if (state != State.AwaitingDeposit) revert AlreadyFunded();
+
+        amount = msg.value;
+        _setState(State.Funded);
+        emit FundsDeposited(buyer, msg.value);
+    }
+
+    /**
+     * @dev Adds the caller's weight to the release side
+     * An approver votes one way at a time, so this replaces a refund approval
+     */
+    function approveRelease() external onlyApprover whileFunded {
+        if (approvedRelease[msg.sender]) revert AlreadyApproved(msg.sender, Direction.Release);
+
+        approvedRelease[msg.sender] = true;
+        releaseWeight += weightOf[msg.sender];
+        emit ApprovalGiven(msg.sender, Direction.Release, weightOf[msg.sender]);
+
+        _clearRefundApproval(msg.sender);
+        _syncApprovalState();
+    }
+
+    /**
+     * @dev Adds the caller's weight to the refund side
+     * An approver votes one way at a time, so this replaces a release approval
+     */
+    function approveRefund() external onlyApprover whileFunded {
+        if (approvedRefund[msg.sender]) revert AlreadyApproved(msg.sender, Direction.Refund);
+
+        approvedRefund[msg.sender] = true;
+        refundWeight += weightOf[msg.sender];
+        emit ApprovalGiven(msg.sender, Direction.Refund, weightOf[msg.sender]);
+
+        _clearReleaseApproval(msg.sender);
+        _syncApprovalState();
+    }
+
+    /**
+     * @dev Withdraws the caller's release approval before funds are paid out
+     */
+    function revokeReleaseApproval() external onlyApprover whileFunded {
+        if (!_clearReleaseApproval(msg.sender)) revert NoApprovalToRevoke(msg.sender, Direction.Release);
+        _syncApprovalState();
+    }
+
+    /**
+     * @dev Withdraws the caller's refund approval before funds are paid out
+     */
+    function revokeRefundApproval() external onlyApprover whileFunded {
+        if (!_clearRefundApproval(msg.sender)) revert NoApprovalToRevoke(msg.sender, Direction.Refund);
+        _syncApprovalState();
+    }
+
+    /**
+     * @dev Transfers locked funds to the seller once the release threshold is reached
+     * Callable by any approver, the buyer or the seller
+     */
+    function finalizeRelease() external whileFunded {
+        if (!_canFinalize()) revert NotAParty(msg.sender);
+        if (releaseWeight < releaseThreshold) revert ThresholdNotReached(Direction.Release, releaseWeight, releaseThreshold);
+
+        // Update state before external call (checks-effects-interactions)
+        uint256 total = amount;
+        amount = 0;
+        _setState(State.Released);
+
+        (bool success, ) = seller.call{value: total}("");
+        if (!success) revert TransferFailed(seller, total);
+        emit FundsReleased(seller, total);
+    }
+
+    /**
+     * @dev Refunds locked funds to the buyer once the refund threshold is reached
+     * Callable by any approver, the buyer or the seller
+     */
+    function finalizeRefund() external whileFunded {
+        if (!_canFinalize()) revert NotAParty(msg.sender);
+        if (refundWeight < refundThreshold) revert ThresholdNotReached(Direction.Refund, refundWeight, refundThreshold);
+
+        // Update state before external call (checks-effects-interactions)
+        uint256 total = amount;
+        amount = 0;
+        _setState(State.Refunded);
+
+        (bool success, ) = buyer.call{value: total}("");
+        if (!success) revert TransferFailed(buyer, total);
+        emit FundsRefunded(buyer, total);
+    }
+
+    /**
+     * @dev Returns the approvers and their weights in construction order
+     */
+    function getApprovers() external view returns (address[] memory _approvers, uint256[] memory _weights) {
+        _approvers = approvers;
+        _weights = new uint256[](approvers.length);
+        for (uint256 i = 0; i < approvers.length; i++) {
+            _weights[i] = weightOf[approvers[i]];
+        }
+    }
+
+    /**
+     * @dev Clears `_approver`'s release approval
+     * @return cleared Whether the approver had approved release
+     */
+    function _clearReleaseApproval(address _approver) private returns (bool cleared) {
+        cleared = approvedRelease[_approver];
+        if (cleared) {
+            approvedRelease[_approver] = false;
+            releaseWeight -= weightOf[_approver];
+            emit ApprovalRevoked(_approver, Direction.Release, weightOf[_approver]);
+        }
+    }
+
+    /**
+     * @dev Clears `_approver`'s refund approval
+     * @return cleared Whether the approver had approved refund
+     */
+    function _clearRefundApproval(address _approver) private returns (bool cleared) {
+        cleared = approvedRefund[_approver];
+        if (cleared) {
+            approvedRefund[_approver] = false;
+            refundWeight -= weightOf[_approver];
+            emit ApprovalRevoked(_approver, Direction.Refund, weightOf[_approver]);
+        }
+    }
+
+    /**
+     * @dev Moves between Funded and ReleaseApproved/RefundApproved as votes change
+     * The threshold check at construction guarantees at most one direction has consensus
+     */
+    function _syncApprovalState() private {
+        State next = State.Funded;
+        if (releaseWeight >= releaseThreshold) {
+            next = State.ReleaseApproved;
+        } else if (refundWeight >= refundThreshold) {
+            next = State.RefundApproved;
+        }
+
+        if (next != state) {
+            _setState(next);
+        }
+    }
+
+    /**
+     * @dev Whether the caller may finalize: an approver, the buyer or the seller
+     */
+    function _canFinalize() private view returns (bool) {
+        return weightOf[msg.sender] > 0 || msg.sender == buyer || msg.sender == seller;
+    }
+
+    /**
+     * @dev Internal function to move to a new lifecycle state
+     * @param _to State being entered
+     */
+    function _setState(State _to) private {
+        emit StateChanged(state, _to);
+        state = _to;
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockNonStandardERC20
+ * @dev USDT-style token whose transfer functions return nothing, for local testing only
+ */
+contract MockNonStandardERC20 {
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    function mint(address _to, uint256 _value) external {
+        balanceOf[_to] += _value;
+        emit Transfer(address(0), _to, _value);
+    }
+
+    function approve(address _spender, uint256 _value) external {
+        allowance[msg.sender][_spender] = _value;
+        emit Approval(msg.sender, _spender, _value);
+    }
+
+    function transfer(address _to, uint256 _value) external {
+        _transfer(msg.sender, _to, _value);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _value) external {
+        require(allowance[_from][msg.sender] >= _value, "Insufficient allowance");
+        allowance[_from][msg.sender] -= _value;
+        _transfer(_from, _to, _value);
+    }
+
+    function _transfer(address _from, address _to, uint256 _value) private {
+        require(balanceOf[_from] >= _value, "Insufficient balance");
+        balanceOf[_from] -= _value;
+        balanceOf[_to] += _value;
+        emit Transfer(_from, _to, _value);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ThreePartyEscrow.sol";
+
+/**
+ * @title RejectingReceiver
+ * @dev Contract party that rejects Ether until told otherwise, for local testing only
+ */
+contract RejectingReceiver {
+    bool public acceptPayments;
+
+    function setAcceptPayments(bool _accept) external {
+        acceptPayments = _accept;
+    }
+
+    function approveRelease(ThreePartyEscrow _escrow) external {
+        _escrow.approveRelease();
+    }
+
+    function deposit(ThreePartyEscrow _escrow) external payable {
+        _escrow.deposit{value: msg.value}();
+    }
+
+    function withdraw(ThreePartyEscrow _escrow) external {
+        _escrow.withdraw();
+    }
+
+    receive() external payable {
+        require(acceptPayments, "Payments rejected");
+    }
+}
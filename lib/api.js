@@ -0,0 +1,395 @@
+import http from "http";
+import { ethers } from "ethers";
+import { decodeEscrowError, isEscrowError } from "./errors.js";
+import { EscrowClient, State, loadArtifact } from "./escrowClient.js";
+
+/**
+ * HTTP/JSON API over escrows
+ *
+ * Lets clients that cannot reach the chain read escrow state, list a party's
+ * escrows (from an EscrowIndexer) and hand over pre-signed approval
+ * transactions for broadcast. The server never holds keys: approvals arrive
+ * signed and are only checked and relayed. Integers are returned as decimal
+ * strings. The OpenAPI document is served at GET /openapi.json.
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+const APPROVAL_METHODS = ["approveRelease", "approveRefund", "approveWithSig"];
+const VOTING_STATES = ["Funded", "Disputed"];
+
+/**
+ * Error answered with an HTTP status and a JSON `{ error }` body
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status HTTP status code
+   * @param {string} message
+   * @param {object} [details] Extra body fields, e.g. the decoded revert
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Creates the API server; call listen() on the result
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider Provider for reads and broadcasts
+ * @param {import("./indexer.js").EscrowIndexer} [options.indexer] Indexer backing GET /escrows; the route answers 501 without one
+ * @param {{abi: Array}} [options.artifact] Compiled ThreePartyEscrow; loaded from disk when omitted
+ * @returns {http.Server}
+ */
+export function createApiServer({ provider, indexer, artifact = loadArtifact() }) {
+  const iface = new ethers.Interface(artifact.abi);
+  const routes = [
+    ["GET", /^\/openapi\.json$/, () => OPENAPI_SPEC],
+    ["GET", /^\/escrows$/, (request, url) => listEscrows(indexer, url.searchParams)],
+    ["GET", /^\/escrows\/([^/]+)$/, (request, url, address) => getEscrow(provider, artifact, address)],
+    [
+      "POST",
+      /^\/escrows\/([^/]+)\/approvals$/,
+      async (request, url, address) => [202, await submitApproval(provider, iface, address, await readJson(request))],
+    ],
+  ];
+
+  return http.createServer(async (request, response) => {
+    try {
+      const url = new URL(request.url, "http://localhost");
+      const matches = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (matches.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+      const route = matches.find(([method]) => method === request.method);
+      if (!route) {
+        throw new HttpError(405, `Method ${request.method} not allowed`);
+      }
+
+      const [, pattern, handler] = route;
+      const result = await handler(request, url, ...url.pathname.match(pattern).slice(1));
+      const [status, body] = Array.isArray(result) ? result : [200, result];
+      send(response, status, body);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        send(response, error.status, { error: error.message, ...error.details });
+      } else {
+        send(response, 502, { error: error.shortMessage ?? error.message });
+      }
+    }
+  });
+}
+
+async function getEscrow(provider, artifact, address) {
+  address = parseAddress(address);
+  if ((await provider.getCode(address)) === "0x") {
+    throw new HttpError(404, `No escrow at ${address}`);
+  }
+
+  const client = EscrowClient.attach(address, provider, { artifact });
+  let state, status;
+  try {
+    [state, status] = await Promise.all([client.getState(), client.contract.getEscrowStatus()]);
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") {
+      throw new HttpError(404, `${address} is not an escrow`);
+    }
+    throw error;
+  }
+
+  const { release, refund } = state.approvals;
+  let consensus = null;
+  if (state.state === "ReleaseApproved" || state.state === "Released") {
+    consensus = "release";
+  } else if (state.state === "RefundApproved" || state.state === "Refunded") {
+    consensus = "refund";
+  }
+  const awaitingVotes = VOTING_STATES.includes(state.state)
+    ? ["buyer", "seller", "mediator"].filter((party) => !release[party] && !refund[party])
+    : [];
+
+  return { ...state, status, consensus, awaitingVotes };
+}
+
+function listEscrows(indexer, params) {
+  if (!indexer) {
+    throw new HttpError(501, "Listing escrows requires an indexer");
+  }
+
+  const filter = {};
+  if (params.has("party")) {
+    filter.party = parseAddress(params.get("party"));
+  }
+  if (params.has("role")) {
+    filter.role = params.get("role");
+    if (!["buyer", "seller", "mediator"].includes(filter.role)) {
+      throw new HttpError(400, "role must be buyer, seller or mediator");
+    }
+  }
+  if (params.has("state")) {
+    filter.state = params.get("state");
+    if (!(filter.state in State)) {
+      throw new HttpError(400, `Unknown state: ${filter.state}`);
+    }
+  }
+  if (params.has("split")) {
+    if (!["true", "false"].includes(params.get("split"))) {
+      throw new HttpError(400, "split must be true or false");
+    }
+    filter.split = params.get("split") === "true";
+  }
+
+  return { escrows: indexer.findEscrows(filter) };
+}
+
+async function submitApproval(provider, iface, address, body) {
+  address = parseAddress(address);
+  if (typeof body?.signedTransaction !== "string") {
+    throw new HttpError(400, "Body must be { \"signedTransaction\": \"0x...\" }");
+  }
+
+  let tx;
+  try {
+    tx = ethers.Transaction.from(body.signedTransaction);
+  } catch {
+    throw new HttpError(400, "signedTransaction is not a serialized transaction");
+  }
+  if (!tx.isSigned()) {
+    throw new HttpError(400, "Transaction is not signed");
+  }
+  if (tx.to !== address) {
+    throw new HttpError(400, `Transaction is addressed to ${tx.to}, not ${address}`);
+  }
+  const { chainId } = await provider.getNetwork();
+  if (tx.chainId !== chainId) {
+    throw new HttpError(400, `Transaction is for chain ${tx.chainId}, not ${chainId}`);
+  }
+  const call = iface.parseTransaction({ data: tx.data, value: tx.value });
+  if (!call || !APPROVAL_METHODS.includes(call.name)) {
+    throw new HttpError(400, `Only ${APPROVAL_METHODS.join(", ")} can be submitted`);
+  }
+
+  // Preflight so a vote the escrow would reject is refused with its reason instead of mined as a revert
+  try {
+    await provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value });
+  } catch (error) {
+    const decoded = decodeEscrowError(error, iface);
+    if (isEscrowError(decoded)) {
+      throw new HttpError(422, decoded.reason, { errorName: decoded.errorName, params: decoded.params });
+    }
+    throw new HttpError(422, decoded.shortMessage ?? decoded.message);
+  }
+
+  const response = await provider.broadcastTransaction(body.signedTransaction);
+  return { transactionHash: response.hash, from: tx.from, method: call.name };
+}
+
+function parseAddress(value) {
+  if (!ethers.isAddress(value)) {
+    throw new HttpError(400, `Not an address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    request.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Request body is not valid JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function send(response, status, body) {
+  const json = JSON.stringify(body, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+  response.writeHead(status, { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(json) });
+  response.end(json);
+}
+
+const addressSchema = { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" };
+const uintSchema = { type: "string", pattern: "^[0-9]+$", description: "Integer as a decimal string" };
+const stateSchema = { type: "string", enum: Object.keys(State) };
+const errorResponse = {
+  description: "Error",
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+};
+const addressParameter = { name: "address", in: "path", required: true, schema: addressSchema };
+const partyVotes = {
+  type: "object",
+  properties: {
+    buyer: { type: "boolean" },
+    seller: { type: "boolean" },
+    mediator: { type: "boolean" },
+    count: { type: "integer" },
+  },
+};
+
+/** OpenAPI 3.0 description of the API, served at GET /openapi.json */
+export const OPENAPI_SPEC = Object.freeze({
+  openapi: "3.0.3",
+  info: { title: "ThreePartyEscrow API", version: "1.0.0" },
+  paths: {
+    "/escrows/{address}": {
+      get: {
+        summary: "Escrow state read from the chain",
+        parameters: [addressParameter],
+        responses: {
+          200: {
+            description: "Escrow state",
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Escrow" } } },
+          },
+          400: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    "/escrows": {
+      get: {
+        summary: "Indexed escrows, optionally filtered by party",
+        parameters: [
+          { name: "party", in: "query", schema: addressSchema },
+          { name: "role", in: "query", schema: { type: "string", enum: ["buyer", "seller", "mediator"] } },
+          { name: "state", in: "query", schema: stateSchema },
+          { name: "split", in: "query", schema: { type: "boolean" } },
+        ],
+        responses: {
+          200: {
+            description: "Matching escrows",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: { escrows: { type: "array", items: { $ref: "#/components/schemas/EscrowSummary" } } },
+                },
+              },
+            },
+          },
+          400: errorResponse,
+          501: errorResponse,
+        },
+      },
+    },
+    "/escrows/{address}/approvals": {
+      post: {
+        summary: "Broadcast a pre-signed approveRelease, approveRefund or approveWithSig transaction",
+        parameters: [addressParameter],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["signedTransaction"],
+                properties: { signedTransaction: { type: "string", description: "Serialized signed transaction" } },
+              },
+            },
+          },
+        },
+        responses: {
+          202: {
+            description: "Transaction broadcast",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    transactionHash: { type: "string" },
+                    from: addressSchema,
+                    method: { type: "string", enum: APPROVAL_METHODS },
+                  },
+                },
+              },
+            },
+          },
+          400: errorResponse,
+          422: errorResponse,
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Error: {
+        type: "object",
+        properties: {
+          error: { type: "string" },
+          errorName: { type: "string", description: "Custom error the escrow reverted with, e.g. NotAParty" },
+          params: { type: "object", description: "Arguments of the custom error by parameter name" },
+        },
+      },
+      Escrow: {
+        type: "object",
+        properties: {
+          address: addressSchema,
+          buyer: addressSchema,
+          seller: addressSchema,
+          mediator: addressSchema,
+          token: { ...addressSchema, nullable: true },
+          amount: uintSchema,
+          state: stateSchema,
+          approvals: { type: "object", properties: { release: partyVotes, refund: partyVotes } },
+          fundsReleased: { type: "boolean" },
+          fundsRefunded: { type: "boolean" },
+          fundsSettled: { type: "boolean" },
+          funding: {
+            type: "object",
+            properties: {
+              target: { ...uintSchema, description: "Amount contributions must reach before the escrow is funded; 0 when the first deposit funds it" },
+              contributed: uintSchema,
+              contributions: {
+                type: "array",
+                items: { type: "object", properties: { contributor: addressSchema, amount: uintSchema } },
+              },
+            },
+          },
+          status: { type: "string", description: "getEscrowStatus() result" },
+          consensus: { type: "string", enum: ["release", "refund"], nullable: true },
+          awaitingVotes: {
+            type: "array",
+            items: { type: "string", enum: ["buyer", "seller", "mediator"] },
+            description: "Parties yet to vote while votes are open",
+          },
+        },
+      },
+      EscrowSummary: {
+        type: "object",
+        properties: {
+          address: addressSchema,
+          buyer: addressSchema,
+          seller: addressSchema,
+          mediator: addressSchema,
+          startBlock: { type: "integer" },
+          syncedBlock: { type: "integer" },
+          state: stateSchema,
+          deposited: uintSchema,
+          votes: {
+            type: "object",
+            properties: {
+              release: { type: "array", items: { type: "string" } },
+              refund: { type: "array", items: { type: "string" } },
+            },
+          },
+          split: { type: "boolean" },
+          lastEventBlock: { type: "integer", nullable: true },
+        },
+      },
+    },
+  },
+});
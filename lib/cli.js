@@ -0,0 +1,323 @@
+import fs from "fs";
+import { parseArgs } from "util";
+import { ethers } from "ethers";
+import { EscrowError } from "./errors.js";
+import { EscrowClient, State } from "./escrowClient.js";
+import { Direction } from "./signatures.js";
+import { sleep } from "./timers.js";
+
+/**
+ * `escrow` command-line tool
+ *
+ * Subcommands map onto EscrowClient calls. The RPC endpoint and signing key
+ * come from flags or the environment, so the same commands work against a
+ * local Hardhat node (`npx hardhat node`) and a live network.
+ */
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const TERMINAL_STATES = ["Released", "Refunded", "Cancelled", "Settled"];
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+];
+
+export const USAGE = `Usage: escrow <command> [options]
+
+Commands:
+  deploy --seller <addr> --mediator <addr> [--buyer <addr>]
+                                      Deploy an escrow (buyer defaults to the signer)
+  deposit <escrow> --amount <value>   Deposit or top up (Ether, or token units for token escrows)
+  approve <escrow> release|refund     Vote to release or refund
+  finalize <escrow> [release|refund]  Pay out; the direction defaults to the one with consensus
+  status <escrow>                     Show the escrow state
+  watch <escrow> [--from-block <n>] [--interval <ms>]
+                                      Print events until the escrow is paid out or cancelled
+
+Options:
+  --rpc <url>          RPC endpoint (env ESCROW_RPC_URL, default ${DEFAULT_RPC_URL})
+  --keystore <file>    Encrypted JSON keystore (env ESCROW_KEYSTORE; password in ESCROW_KEYSTORE_PASSWORD)
+  --json               Print machine-readable JSON
+  -h, --help           Show this help
+
+Without a keystore the signer is read from ESCROW_PRIVATE_KEY.`;
+
+const OPTIONS = {
+  rpc: { type: "string" },
+  keystore: { type: "string" },
+  json: { type: "boolean", default: false },
+  buyer: { type: "string" },
+  seller: { type: "string" },
+  mediator: { type: "string" },
+  amount: { type: "string" },
+  "from-block": { type: "string" },
+  interval: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Invalid invocation; reported with the usage text and exit code 2
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv Arguments after the executable name
+ * @param {object} [io]
+ * @param {Record<string, string|undefined>} [io.env] Environment variables
+ * @param {{write: (chunk: string) => void}} [io.stdout]
+ * @param {{write: (chunk: string) => void}} [io.stderr]
+ * @param {import("ethers").Provider} [io.provider] Provider to use instead of connecting to the RPC URL
+ * @param {AbortSignal} [io.signal] Stops `watch` early
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, provider, signal } = {}) {
+  let ownProvider;
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command] = positionals;
+    if (values.help || !command) {
+      stdout.write(`${USAGE}\n`);
+      return values.help ? 0 : 2;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    if (!provider) {
+      ownProvider = new ethers.JsonRpcProvider(values.rpc ?? env.ESCROW_RPC_URL ?? DEFAULT_RPC_URL);
+    }
+    const context = {
+      options: values,
+      args: positionals.slice(1),
+      env,
+      provider: provider ?? ownProvider,
+      signal,
+      print: (human, json) => stdout.write(`${values.json ? toJson(json) : human}\n`),
+    };
+    await handler(context);
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+      stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    const message = error instanceof EscrowError ? error.reason : error.shortMessage ?? error.message;
+    stderr.write(`Error: ${message}\n`);
+    return 1;
+  } finally {
+    // Stop the provider's network polling so the process can exit
+    ownProvider?.destroy();
+  }
+}
+
+const COMMANDS = {
+  async deploy({ options, env, provider, print }) {
+    const signer = await getSigner(options, env, provider);
+    const parties = {
+      buyer: options.buyer ?? (await signer.getAddress()),
+      seller: requireAddress(options.seller, "--seller"),
+      mediator: requireAddress(options.mediator, "--mediator"),
+    };
+    requireAddress(parties.buyer, "--buyer");
+
+    const client = await EscrowClient.deploy(signer, parties);
+    const address = await client.getAddress();
+    print(`Escrow deployed at ${address}`, { address, ...parties });
+  },
+
+  async deposit({ options, args, env, provider, print }) {
+    if (options.amount === undefined) {
+      throw new UsageError("--amount is required");
+    }
+    const client = await attach(args, provider, await getSigner(options, env, provider));
+
+    const tokenAddress = await client.contract.token();
+    let value;
+    if (tokenAddress === ethers.ZeroAddress) {
+      value = ethers.parseEther(options.amount);
+    } else {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, client.contract.runner);
+      value = ethers.parseUnits(options.amount, await token.decimals());
+      const escrowAddress = await client.getAddress();
+      const owner = await client.contract.runner.getAddress();
+      if ((await token.allowance(owner, escrowAddress)) < value) {
+        // Only pay for an allowance once the escrow's own checks would accept the deposit
+        const { prediction } = await client.simulate("deposit", client.contract.runner, { value });
+        if (prediction) {
+          throw prediction;
+        }
+        await (await token.approve(escrowAddress, value)).wait();
+      }
+    }
+
+    const estimatedGas = await preflight(client, "deposit", { value });
+    await printReceipt(print, "Deposited", await client.deposit(value), { value, estimatedGas });
+  },
+
+  async approve({ options, args, env, provider, print }) {
+    const direction = parseDirection(args[1], true);
+    const client = await attach(args, provider, await getSigner(options, env, provider));
+    const estimatedGas = await preflight(client, direction === Direction.Release ? "approveRelease" : "approveRefund");
+    await printReceipt(print, `Approved ${args[1]}`, await client.approve(direction), { direction: args[1], estimatedGas });
+  },
+
+  async finalize({ options, args, env, provider, print }) {
+    const client = await attach(args, provider, await getSigner(options, env, provider));
+    let direction = parseDirection(args[1], false);
+    if (direction === undefined) {
+      const { state } = await client.getState();
+      if (state === "ReleaseApproved") {
+        direction = Direction.Release;
+      } else if (state === "RefundApproved") {
+        direction = Direction.Refund;
+      } else {
+        throw new Error(`No direction has consensus (state ${state}); pass release or refund`);
+      }
+    }
+
+    const name = direction === Direction.Release ? "release" : "refund";
+    const estimatedGas = await preflight(client, direction === Direction.Release ? "finalizeRelease" : "finalizeRefund");
+    await printReceipt(print, `Finalized ${name}`, await client.finalize(direction), { direction: name, estimatedGas });
+  },
+
+  async status({ args, provider, print }) {
+    const client = await attach(args, provider, provider);
+    const state = await client.getState();
+    const amount = state.token ? `${state.amount} (token ${state.token})` : `${ethers.formatEther(state.amount)} ETH`;
+
+    print(
+      [
+        `Escrow:   ${state.address}`,
+        `State:    ${state.state}`,
+        `Amount:   ${amount}`,
+        `Buyer:    ${state.buyer}`,
+        `Seller:   ${state.seller}`,
+        `Mediator: ${state.mediator}`,
+        `Release:  ${formatVotes(state.approvals.release)}`,
+        `Refund:   ${formatVotes(state.approvals.refund)}`,
+      ].join("\n"),
+      state
+    );
+  },
+
+  async watch({ options, args, provider, signal, print }) {
+    const client = await attach(args, provider, provider);
+    const iface = client.contract.interface;
+    const address = await client.getAddress();
+    const interval = options.interval === undefined ? 2000 : parseInteger(options.interval, "--interval");
+    let fromBlock = options["from-block"] === undefined
+      ? await provider.getBlockNumber()
+      : parseInteger(options["from-block"], "--from-block");
+
+    while (!signal?.aborted) {
+      const toBlock = await provider.getBlockNumber();
+      if (toBlock >= fromBlock) {
+        const logs = await provider.getLogs({ address, fromBlock, toBlock });
+        for (const log of logs) {
+          const event = iface.parseLog(log);
+          if (!event) continue;
+          const eventArgs = Object.fromEntries(event.fragment.inputs.map((input, i) => [input.name, event.args[i]]));
+          print(
+            `[block ${log.blockNumber}] ${event.name} ${Object.entries(eventArgs).map(([k, v]) => `${k}=${v}`).join(" ")}`.trimEnd(),
+            { block: log.blockNumber, transactionHash: log.transactionHash, event: event.name, args: eventArgs }
+          );
+        }
+        fromBlock = toBlock + 1;
+      }
+
+      if (TERMINAL_STATES.includes(Object.keys(State)[Number(await client.contract.state())])) {
+        return;
+      }
+      await sleep(interval, signal);
+    }
+  },
+};
+
+/**
+ * Resolves the signing wallet from a keystore file or ESCROW_PRIVATE_KEY
+ */
+async function getSigner(options, env, provider) {
+  const keystore = options.keystore ?? env.ESCROW_KEYSTORE;
+  if (keystore) {
+    if (env.ESCROW_KEYSTORE_PASSWORD === undefined) {
+      throw new UsageError("ESCROW_KEYSTORE_PASSWORD is required with a keystore");
+    }
+    const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystore, "utf8"), env.ESCROW_KEYSTORE_PASSWORD);
+    return wallet.connect(provider);
+  }
+  if (env.ESCROW_PRIVATE_KEY) {
+    return new ethers.Wallet(env.ESCROW_PRIVATE_KEY, provider);
+  }
+  throw new UsageError("Set ESCROW_PRIVATE_KEY or ESCROW_KEYSTORE to send transactions");
+}
+
+async function attach(args, provider, runner) {
+  const address = requireAddress(args[0], "<escrow>");
+  if ((await provider.getCode(address)) === "0x") {
+    throw new Error(`No contract deployed at ${address}`);
+  }
+  return EscrowClient.attach(address, runner);
+}
+
+/**
+ * Simulates an action as the client's signer and resolves its gas estimate, or throws the decoded revert
+ * so a transaction that would fail is never broadcast
+ */
+async function preflight(client, action, options) {
+  const simulation = await client.simulate(action, client.contract.runner, options);
+  if (!simulation.ok) {
+    throw simulation.error;
+  }
+  return simulation.gas;
+}
+
+async function printReceipt(print, action, tx, extra) {
+  const receipt = await tx.wait();
+  print(`${action} in ${receipt.hash} (block ${receipt.blockNumber})`, {
+    transactionHash: receipt.hash,
+    block: receipt.blockNumber,
+    ...extra,
+  });
+}
+
+function parseDirection(value, required) {
+  if (value === undefined && !required) return undefined;
+  if (value === "release") return Direction.Release;
+  if (value === "refund") return Direction.Refund;
+  throw new UsageError(`Expected release or refund, got ${value ?? "nothing"}`);
+}
+
+function requireAddress(value, name) {
+  if (!value) {
+    throw new UsageError(`${name} is required`);
+  }
+  if (!ethers.isAddress(value)) {
+    throw new UsageError(`${name} is not an address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+function formatVotes(votes) {
+  const parties = ["buyer", "seller", "mediator"].filter((party) => votes[party]);
+  return parties.length ? `${votes.count} (${parties.join(", ")})` : "0";
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
@@ -0,0 +1,177 @@
+import { ethers } from "ethers";
+
+/**
+ * ABI and storage-layout compatibility checks
+ *
+ * A snapshot reduces a compiled artifact to what integrators and clones
+ * depend on: function and error selectors, event topics and the storage
+ * layout. compareSnapshots() diffs a committed baseline against the current
+ * build. Additions are compatible; removing or changing anything existing is
+ * not, and neither is a storage variable that moves, changes type or
+ * overlaps a variable of the baseline.
+ */
+
+/**
+ * Reduces a compiled artifact to its public interface and storage layout
+ * @param {{abi: Array, storageLayout?: {storage: Array, types: object}}} artifact Artifact from scripts/compile.js
+ * @returns {Snapshot}
+ */
+export function createSnapshot(artifact) {
+  const iface = new ethers.Interface(artifact.abi);
+  const functions = {};
+  const events = {};
+  const errors = {};
+
+  iface.forEachFunction((fragment) => {
+    functions[fragment.format("sighash")] = {
+      selector: fragment.selector,
+      stateMutability: fragment.stateMutability,
+      outputs: fragment.outputs.map((output) => output.format("sighash")),
+    };
+  });
+  iface.forEachEvent((fragment) => {
+    events[fragment.format("sighash")] = {
+      topic: fragment.topicHash,
+      indexed: fragment.inputs.map((input) => input.indexed),
+      anonymous: fragment.anonymous,
+    };
+  });
+  iface.forEachError((fragment) => {
+    errors[fragment.format("sighash")] = { selector: fragment.selector };
+  });
+
+  const layout = artifact.storageLayout ?? { storage: [], types: {} };
+  const storage = layout.storage.map((variable) => ({
+    label: variable.label,
+    slot: Number(variable.slot),
+    offset: variable.offset,
+    type: layout.types[variable.type].label,
+    bytes: Number(layout.types[variable.type].numberOfBytes),
+  }));
+
+  return { functions: sortKeys(functions), events: sortKeys(events), errors: sortKeys(errors), storage };
+}
+
+/**
+ * Compares the current snapshot of a contract with its baseline
+ * @param {Snapshot} baseline
+ * @param {Snapshot} current
+ * @returns {Comparison}
+ */
+export function compareSnapshots(baseline, current) {
+  const functions = diffEntries(baseline.functions, current.functions, (before, after) =>
+    before.stateMutability !== after.stateMutability || before.outputs.join(",") !== after.outputs.join(",")
+  );
+  const events = diffEntries(baseline.events, current.events, (before, after) =>
+    before.anonymous !== after.anonymous || before.indexed.join(",") !== after.indexed.join(",")
+  );
+  const errors = diffEntries(baseline.errors, current.errors, () => false);
+  const storage = compareStorage(baseline.storage, current.storage);
+
+  const problems = [
+    ...functions.removed.map((signature) => `function ${signature} was removed`),
+    ...functions.changed.map(({ signature, before, after }) => `function ${signature} changed: ${describeFunctionChange(before, after)}`),
+    ...events.removed.map((signature) => `event ${signature} was removed`),
+    ...events.changed.map(({ signature }) => `event ${signature} changed its indexed or anonymous flags`),
+    ...errors.removed.map((signature) => `error ${signature} was removed`),
+    ...storage.collisions,
+  ];
+
+  return { compatible: problems.length === 0, problems, functions, events, errors, storage };
+}
+
+function diffEntries(before, after, isChanged) {
+  return {
+    added: Object.keys(after).filter((key) => !(key in before)),
+    removed: Object.keys(before).filter((key) => !(key in after)),
+    changed: Object.keys(before)
+      .filter((key) => key in after && isChanged(before[key], after[key]))
+      .map((signature) => ({ signature, before: before[signature], after: after[signature] })),
+  };
+}
+
+function describeFunctionChange(before, after) {
+  const changes = [];
+  if (before.stateMutability !== after.stateMutability) {
+    changes.push(`${before.stateMutability} -> ${after.stateMutability}`);
+  }
+  if (before.outputs.join(",") !== after.outputs.join(",")) {
+    changes.push(`returns (${before.outputs.join(",")}) -> (${after.outputs.join(",")})`);
+  }
+  return changes.join(", ");
+}
+
+/**
+ * Every baseline variable must keep its slot, offset and type, and no new
+ * variable may overlap the bytes the baseline occupies
+ */
+function compareStorage(before, after) {
+  const collisions = [];
+  const renamed = [];
+  const position = (variable) => `slot ${variable.slot} offset ${variable.offset}`;
+  const range = (variable) => [variable.slot * 32 + variable.offset, variable.slot * 32 + variable.offset + variable.bytes];
+  const overlaps = (a, b) => range(a)[0] < range(b)[1] && range(b)[0] < range(a)[1];
+
+  const matched = new Set();
+  for (const old of before) {
+    const samePosition = (variable) => variable.slot === old.slot && variable.offset === old.offset;
+    const byLabel = after.find((variable) => variable.label === old.label);
+    if (byLabel && !samePosition(byLabel)) {
+      matched.add(byLabel);
+      collisions.push(`storage ${old.label} moved from ${position(old)} to ${position(byLabel)}`);
+      continue;
+    }
+
+    // Without its label, the variable now at its position replaced it
+    const same = byLabel ?? after.find((variable) => samePosition(variable) && !before.some(({ label }) => label === variable.label));
+    if (!same) {
+      collisions.push(`storage ${old.label} (${old.type}) at ${position(old)} was removed`);
+      continue;
+    }
+    matched.add(same);
+    if (same.type !== old.type || same.bytes !== old.bytes) {
+      collisions.push(`storage at ${position(old)} changed from ${old.type} ${old.label} to ${same.type} ${same.label}`);
+    } else if (same.label !== old.label) {
+      renamed.push({ from: old.label, to: same.label, slot: old.slot, offset: old.offset });
+    }
+  }
+
+  const added = after.filter((variable) => !matched.has(variable));
+  for (const variable of added) {
+    const clash = before.find((old) => overlaps(old, variable));
+    if (clash) {
+      collisions.push(`storage ${variable.label} at ${position(variable)} overlaps ${clash.label} from the baseline`);
+    }
+  }
+
+  return { collisions, renamed, added: added.map((variable) => variable.label) };
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * @typedef {object} Snapshot
+ * @property {Record<string, {selector: string, stateMutability: string, outputs: string[]}>} functions By signature
+ * @property {Record<string, {topic: string, indexed: boolean[], anonymous: boolean}>} events By signature
+ * @property {Record<string, {selector: string}>} errors By signature
+ * @property {Array<{label: string, slot: number, offset: number, type: string, bytes: number}>} storage
+ */
+
+/**
+ * @typedef {object} EntryDiff
+ * @property {string[]} added Signatures
+ * @property {string[]} removed Signatures
+ * @property {Array<{signature: string, before: object, after: object}>} changed
+ */
+
+/**
+ * @typedef {object} Comparison
+ * @property {boolean} compatible Whether the current build can replace the baseline
+ * @property {string[]} problems Human-readable incompatibilities
+ * @property {EntryDiff} functions
+ * @property {EntryDiff} events
+ * @property {EntryDiff} errors
+ * @property {{collisions: string[], renamed: Array<{from: string, to: string, slot: number, offset: number}>, added: string[]}} storage
+ */
@@ -0,0 +1,246 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+/**
+ * Manifest-backed escrow deployments
+ *
+ * A network's config file lists the escrows to deploy by name. Every
+ * deployment is recorded in the network's manifest (address, transaction,
+ * block, constructor arguments, bytecode hash and compiler version), which is
+ * meant to be committed. The manifest is written as soon as a transaction is
+ * sent, so an interrupted batch resumes by waiting for the recorded
+ * transaction instead of deploying twice, and an escrow whose configuration
+ * is already in the manifest is never redeployed.
+ */
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Error for a config that conflicts with the manifest or with itself
+ */
+export class DeploymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DeploymentError";
+  }
+}
+
+/**
+ * Reads and validates a network's deployment config
+ * @param {string} file Path to a JSON file `{ "escrows": [{ "name", "buyer", "seller", "mediator" }] }`
+ * @returns {{escrows: EscrowConfig[]}}
+ */
+export function loadDeploymentConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(config.escrows)) {
+    throw new DeploymentError(`${file}: "escrows" must be an array`);
+  }
+
+  const names = new Set();
+  for (const [i, escrow] of config.escrows.entries()) {
+    if (typeof escrow.name !== "string" || escrow.name === "") {
+      throw new DeploymentError(`${file}: escrows[${i}] needs a name`);
+    }
+    if (names.has(escrow.name)) {
+      throw new DeploymentError(`${file}: duplicate escrow name "${escrow.name}"`);
+    }
+    names.add(escrow.name);
+    for (const role of ["buyer", "seller", "mediator"]) {
+      if (!ethers.isAddress(escrow[role])) {
+        throw new DeploymentError(`${file}: ${escrow.name}.${role} is not an address`);
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * Reads a manifest, or returns an empty one if the file does not exist
+ * @param {string} file Manifest path
+ * @param {object} expected
+ * @param {string} expected.network Network name
+ * @param {bigint|number} expected.chainId Chain the manifest must belong to
+ * @returns {Manifest}
+ */
+export function loadManifest(file, { network, chainId }) {
+  if (!fs.existsSync(file)) {
+    return { version: MANIFEST_VERSION, network, chainId: Number(chainId), deployments: {} };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new DeploymentError(`${file}: unsupported manifest version ${manifest.version}`);
+  }
+  if (manifest.chainId !== Number(chainId)) {
+    throw new DeploymentError(`${file} belongs to chain ${manifest.chainId}, not ${chainId}`);
+  }
+  return manifest;
+}
+
+/**
+ * Hashes what determines a deployment: contract, creation bytecode and constructor arguments
+ * @param {string} contractName
+ * @param {string} bytecodeHash keccak256 of the creation bytecode
+ * @param {string[]} constructorArgs Checksummed party addresses
+ * @returns {string} 32-byte hex hash
+ */
+export function computeConfigHash(contractName, bytecodeHash, constructorArgs) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["string", "bytes32", "address[]"], [contractName, bytecodeHash, constructorArgs])
+  );
+}
+
+/**
+ * Deploys every escrow in the config that the manifest does not already record
+ * @param {object} params
+ * @param {import("ethers").Signer} params.signer Deployer, connected to the target network
+ * @param {string} params.network Network name recorded in a new manifest
+ * @param {{escrows: EscrowConfig[]}} params.config Result of loadDeploymentConfig()
+ * @param {string} params.manifestPath Manifest to read and update
+ * @param {{abi: Array, bytecode: string}} params.artifact Compiled ThreePartyEscrow
+ * @param {string} params.compilerVersion solc version the artifact was built with
+ * @param {string} [params.contractName] Name recorded in the manifest
+ * @param {(message: string) => void} [params.log] Progress output
+ * @returns {Promise<{deployed: string[], skipped: string[], manifest: Manifest}>} Names deployed and skipped by this run
+ */
+export async function deployEscrows({
+  signer,
+  network,
+  config,
+  manifestPath,
+  artifact,
+  compilerVersion,
+  contractName = "ThreePartyEscrow",
+  log = () => {},
+}) {
+  const provider = signer.provider;
+  const { chainId } = await provider.getNetwork();
+  const manifest = loadManifest(manifestPath, { network, chainId });
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const bytecodeHash = ethers.keccak256(artifact.bytecode);
+
+  // Check the whole batch before sending anything
+  const plan = config.escrows.map((escrow) => {
+    const constructorArgs = [escrow.buyer, escrow.seller, escrow.mediator].map((address) => ethers.getAddress(address));
+    return { name: escrow.name, constructorArgs, configHash: computeConfigHash(contractName, bytecodeHash, constructorArgs) };
+  });
+  const seen = new Map(
+    Object.entries(manifest.deployments)
+      .filter(([name]) => !plan.some((item) => item.name === name))
+      .map(([name, entry]) => [entry.configHash, name])
+  );
+  for (const item of plan) {
+    const recorded = manifest.deployments[item.name];
+    if (recorded && recorded.configHash !== item.configHash) {
+      throw new DeploymentError(
+        `${item.name} is already deployed at ${recorded.address} with a different configuration; give the new escrow another name`
+      );
+    }
+    if (seen.has(item.configHash)) {
+      throw new DeploymentError(`${item.name} is identical to ${seen.get(item.configHash)}; refusing to deploy it twice`);
+    }
+    seen.set(item.configHash, item.name);
+  }
+
+  const deployed = [];
+  const skipped = [];
+  for (const item of plan) {
+    let entry = manifest.deployments[item.name];
+    if (entry?.status === "deployed") {
+      log(`${item.name}: already deployed at ${entry.address}`);
+      skipped.push(item.name);
+      continue;
+    }
+
+    let receipt = entry ? await resumePending(provider, entry, log, item.name) : null;
+    if (!receipt) {
+      const deployer = await signer.getAddress();
+      const nonce = await provider.getTransactionCount(deployer, "pending");
+      const tx = await signer.sendTransaction({ ...(await factory.getDeployTransaction(...item.constructorArgs)), nonce });
+      entry = {
+        status: "pending",
+        contract: contractName,
+        address: ethers.getCreateAddress({ from: deployer, nonce }),
+        transactionHash: tx.hash,
+        blockNumber: null,
+        deployer,
+        constructorArgs: item.constructorArgs,
+        bytecodeHash,
+        compilerVersion,
+        configHash: item.configHash,
+      };
+      manifest.deployments[item.name] = entry;
+      saveManifest(manifestPath, manifest);
+      log(`${item.name}: sent ${tx.hash}`);
+      receipt = await tx.wait();
+    }
+
+    if (receipt.status !== 1) {
+      delete manifest.deployments[item.name];
+      saveManifest(manifestPath, manifest);
+      throw new DeploymentError(`${item.name}: deployment ${receipt.hash} reverted`);
+    }
+    manifest.deployments[item.name] = { ...entry, status: "deployed", blockNumber: receipt.blockNumber };
+    saveManifest(manifestPath, manifest);
+    log(`${item.name}: deployed at ${entry.address} (block ${receipt.blockNumber})`);
+    deployed.push(item.name);
+  }
+
+  return { deployed, skipped, manifest };
+}
+
+/**
+ * Waits for the transaction of a pending entry
+ * @returns {Promise<import("ethers").TransactionReceipt|null>} null if the transaction was dropped
+ */
+async function resumePending(provider, entry, log, name) {
+  const receipt = await provider.getTransactionReceipt(entry.transactionHash);
+  if (receipt) {
+    return receipt;
+  }
+  const tx = await provider.getTransaction(entry.transactionHash);
+  if (tx) {
+    log(`${name}: waiting for ${entry.transactionHash}`);
+    return tx.wait();
+  }
+  log(`${name}: ${entry.transactionHash} was dropped; deploying again`);
+  return null;
+}
+
+function saveManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(manifest, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
+
+/**
+ * @typedef {object} EscrowConfig
+ * @property {string} name Unique name of the escrow in this network's manifest
+ * @property {string} buyer
+ * @property {string} seller
+ * @property {string} mediator
+ */
+
+/**
+ * @typedef {object} ManifestEntry
+ * @property {"pending"|"deployed"} status
+ * @property {string} contract Contract name
+ * @property {string} address
+ * @property {string} transactionHash
+ * @property {number|null} blockNumber Null while pending
+ * @property {string} deployer
+ * @property {string[]} constructorArgs Buyer, seller and mediator
+ * @property {string} bytecodeHash keccak256 of the creation bytecode
+ * @property {string} compilerVersion
+ * @property {string} configHash computeConfigHash() of the deployment
+ */
+
+/**
+ * @typedef {object} Manifest
+ * @property {number} version Manifest format version
+ * @property {string} network
+ * @property {number} chainId
+ * @property {Record<string, ManifestEntry>} deployments Entries by escrow name
+ */
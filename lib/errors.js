@@ -0,0 +1,229 @@
+/**
+ * Decoding and wording of escrow reverts
+ *
+ * The escrow contracts revert with custom errors such as
+ * `InsufficientApprovals(uint8 have, uint8 need)`; MilestoneEscrow and
+ * WeightedEscrow reuse ThreePartyEscrow's names where the meaning is the same.
+ * decodeEscrowError() turns the revert data of an ethers v6 error into an
+ * EscrowError carrying the error name and its arguments by parameter name
+ * (`params`), so callers branch on `errorName` instead of matching strings.
+ * Require strings from other contracts, such as tokens, decode to
+ * `errorName: "Error"`.
+ *
+ * Messages come from a catalog per locale. Each entry is a function of the
+ * params and the catalog, whose `roles`, `directions` and `states` word the
+ * enum values; a locale only needs the entries it translates and falls back
+ * to English for the rest.
+ */
+
+const en = {
+  roles: ["buyer", "seller", "mediator"],
+  directions: ["release", "refund"],
+  states: [
+    "awaiting deposit",
+    "funded",
+    "approved for release",
+    "approved for refund",
+    "disputed",
+    "released",
+    "refunded",
+    "cancelled",
+    "settled",
+  ],
+  errors: {
+    NotAParty: ({ caller }) => `${caller} is not a party to this escrow`,
+    NotBuyer: ({ caller }) => `Only the buyer can do this (called by ${caller})`,
+    NotSeller: ({ caller }) => `Only the seller can do this (called by ${caller})`,
+    NotMediator: ({ caller }) => `Only the mediator can do this (called by ${caller})`,
+    NotBuyerOrSeller: ({ caller }) => `Only the buyer or seller can do this (called by ${caller})`,
+
+    AlreadyInitialized: () => "Escrow already initialized",
+    ZeroAddress: ({ role }, { roles }) => `The ${roles[role]} address cannot be zero`,
+    DuplicateParty: ({ first, second }, { roles }) => `The ${roles[first]} and ${roles[second]} must be different addresses`,
+    AlreadyAParty: ({ account }) => `${account} is already a party to this escrow`,
+    TokenNotContract: ({ token }) => `Token ${token} is not a contract`,
+
+    InvalidState: ({ current }, { states }) => `Not allowed while the escrow is ${states[current]}`,
+    NoFundsDeposited: () => "No funds deposited",
+    FundsAlreadyPaidOut: () => "Funds already released, refunded or settled",
+
+    NotEtherEscrow: ({ token }) => `This escrow holds token ${token}; use depositToken`,
+    NotTokenEscrow: () => "This escrow holds Ether, not tokens",
+    PermitFailed: () => "Permit failed and no allowance exists",
+    ZeroDeposit: () => "Deposit must be greater than 0",
+    InvalidFeeConfig: () => "A mediator fee needs a fee type and a platform fee needs a recipient",
+    BpsTooHigh: ({ bps }) => `${Number(bps) / 100}% exceeds 100%`,
+    NothingToWithdraw: ({ account }) => `Nothing to withdraw for ${account}`,
+    TransferFailed: ({ to, value }) => `Transfer of ${value} to ${to} failed`,
+
+    AlreadyApproved: ({ party, direction }, { directions }) => `${party} already approved ${directions[direction]}`,
+    NoApprovalToRevoke: ({ party, direction }, { directions }) => `${party} has no ${directions[direction]} approval to revoke`,
+    InsufficientApprovals: ({ have, need }) => `Need ${need} approvals, have ${have}`,
+    SignatureExpired: ({ deadline }) => `Signature expired at ${new Date(Number(deadline) * 1000).toISOString()}`,
+    InvalidSignature: ({ signer }) => `Signature is not from ${signer}`,
+    ProposalNotCurrent: ({ proposalHash }) => `Settlement proposal ${proposalHash} is not current`,
+    SettlementAlreadyApproved: ({ party }) => `${party} already approved this settlement`,
+    NoSettlementProposed: () => "No settlement proposed",
+
+    TimeoutsNotConfigured: () => "Inspection period not configured",
+    DeliveryAlreadyClaimed: () => "Delivery already claimed",
+    DeliveryDeadlinePassed: ({ deadline }) => `Delivery deadline passed at ${new Date(Number(deadline) * 1000).toISOString()}`,
+    DeliveryNotClaimed: () => "Delivery not claimed",
+    DeliveryAlreadyDisputed: () => "Delivery already disputed",
+    InspectionPeriodOver: ({ endedAt }) => `Inspection period ended at ${new Date(Number(endedAt) * 1000).toISOString()}`,
+    ReclaimNotAvailable: () => "Deadline reclaim not available",
+    ClaimNotAvailable: () => "Inspection claim not available",
+
+    HashRequired: () => "A non-zero hash is required",
+    EvidenceUriRequired: () => "Evidence URI required",
+    DisputeAlreadyRaised: ({ raisedBy }) => `Dispute already raised by ${raisedBy}`,
+    NoDisputeRaised: () => "No dispute raised",
+    RulingAlreadyIssued: () => "Ruling already issued",
+
+    NotNominee: ({ caller }) => `${caller} is not the mediator nominee`,
+    NominationIncomplete: ({ buyerNominated, sellerNominated }) =>
+      `Buyer and seller must both nominate (buyer: ${buyerNominated ? "yes" : "no"}, seller: ${sellerNominated ? "yes" : "no"})`,
+    NoKeyRotationPending: ({ role }, { roles }) => `No key rotation pending for the ${roles[role]}`,
+    NotRotationTarget: ({ caller }) => `No key rotation to ${caller}`,
+    KeyRotationTimelocked: ({ executableAt }) =>
+      `Key rotation is timelocked until ${new Date(Number(executableAt) * 1000).toISOString()}`,
+    FundingStarted: ({ contributed }) => `Terms are fixed once funding starts (${contributed} contributed)`,
+    TooManyContributors: ({ max }) => `The escrow accepts at most ${max} contributors`,
+
+    // MilestoneEscrow
+    NoMilestones: () => "At least one milestone required",
+    LengthMismatch: ({ first, second }) => `Array lengths differ (${first} and ${second})`,
+    ZeroMilestoneAmount: ({ milestoneId }) => `Milestone ${milestoneId} amount must be greater than 0`,
+    MilestoneNotFound: ({ milestoneId }) => `Milestone ${milestoneId} does not exist`,
+    MilestoneClosed: ({ milestoneId }) => `Milestone ${milestoneId} already released or refunded`,
+    AlreadyFunded: () => "Funds already deposited",
+    DepositMismatch: ({ value, required }) => `Deposit must equal the milestone total of ${required} (sent ${value})`,
+
+    // WeightedEscrow
+    NotApprover: ({ caller }) => `${caller} is not an approver`,
+    NoApprovers: () => "At least one approver required",
+    ZeroApprover: ({ index }) => `Approver ${index} address cannot be zero`,
+    ZeroWeight: ({ approver }) => `Weight of ${approver} must be greater than 0`,
+    DuplicateApprover: ({ approver }) => `${approver} is listed more than once`,
+    ThresholdOutOfRange: ({ direction, threshold, totalWeight }, { directions }) =>
+      `The ${directions[direction]} threshold ${threshold} must be between 1 and the total weight ${totalWeight}`,
+    ConflictingThresholds: ({ releaseThreshold, refundThreshold, totalWeight }) =>
+      `Thresholds allow conflicting consensus (${releaseThreshold} + ${refundThreshold} <= ${totalWeight})`,
+    ThresholdNotReached: ({ direction, weight, threshold }, { directions }) =>
+      `The ${directions[direction]} threshold needs weight ${threshold}, have ${weight}`,
+
+    // EscrowFactory, Clones and SafeERC20
+    ZeroTokenAddress: () => "Token address cannot be zero",
+    CloneFailed: ({ salt }) => `Clone deployment failed; salt ${salt} may already be used`,
+    TokenTransferFailed: ({ from, value }) => `Token transfer of ${value} from ${from} failed`,
+  },
+};
+
+/** Message catalogs by locale; add a locale by passing your own catalogs to formatEscrowError() */
+export const ERROR_MESSAGES = Object.freeze({ en });
+
+/**
+ * A decoded contract revert
+ */
+export class EscrowError extends Error {
+  /**
+   * @param {object} params
+   * @param {string} params.errorName "Error" for require strings, "Panic", or the custom error name
+   * @param {Array} params.args Decoded error arguments
+   * @param {Record<string, unknown>} [params.params] Arguments by parameter name, uint8 values as numbers
+   * @param {string} params.data Raw revert data
+   * @param {Error} params.cause Original provider error
+   */
+  constructor({ errorName, args, params = {}, data, cause }) {
+    const reason = formatEscrowError({ errorName, args, params });
+    super(reason, { cause });
+    this.name = "EscrowError";
+    this.errorName = errorName;
+    this.args = args;
+    this.params = params;
+    this.reason = reason;
+    this.data = data;
+  }
+
+  /**
+   * Words the error in another locale
+   * @param {FormatOptions} [options]
+   * @returns {string}
+   */
+  localize(options) {
+    return formatEscrowError(this, options);
+  }
+}
+
+/**
+ * Decodes the revert data carried by a provider error
+ * @param {Error} error Error thrown by ethers or the provider
+ * @param {import("ethers").Interface} iface Interface used to decode custom errors
+ * @returns {Error} An EscrowError, or `error` unchanged if it carries no decodable revert data
+ */
+export function decodeEscrowError(error, iface) {
+  const raw = error?.data ?? error?.error?.data;
+  const data = typeof raw === "string" ? raw : raw?.data;
+  if (typeof data !== "string" || data === "0x") {
+    return error;
+  }
+
+  let parsed;
+  try {
+    parsed = iface.parseError(data);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed) {
+    return error;
+  }
+
+  const args = [...parsed.args];
+  const params = Object.fromEntries(
+    parsed.fragment.inputs.map((input, i) => [input.name || String(i), input.type === "uint8" ? Number(args[i]) : args[i]])
+  );
+  return new EscrowError({ errorName: parsed.name, args, params, data, cause: error });
+}
+
+/**
+ * Whether `error` is an EscrowError, optionally of a given custom error
+ * @param {unknown} error
+ * @param {string} [errorName] e.g. "InsufficientApprovals"
+ * @returns {boolean}
+ */
+export function isEscrowError(error, errorName) {
+  return error instanceof EscrowError && (errorName === undefined || error.errorName === errorName);
+}
+
+/**
+ * Words a decoded revert for display
+ * @param {{errorName: string, args: Array, params: Record<string, unknown>}} error
+ * @param {FormatOptions} [options]
+ * @returns {string} The catalog message; the require string for "Error"; otherwise `Name(args)`
+ */
+export function formatEscrowError({ errorName, args, params }, { locale = "en", catalogs = ERROR_MESSAGES } = {}) {
+  for (const catalog of [catalogs[locale], ERROR_MESSAGES[locale], en]) {
+    const format = catalog?.errors?.[errorName];
+    if (format) {
+      return format(params, { ...en, ...catalog });
+    }
+  }
+  if (errorName === "Error") {
+    return args[0];
+  }
+  return `${errorName}(${args.map(String).join(", ")})`;
+}
+
+/**
+ * @typedef {object} FormatOptions
+ * @property {string} [locale] Catalog to use; entries it lacks fall back to English
+ * @property {Record<string, MessageCatalog>} [catalogs] Catalogs by locale, e.g. `{ ...ERROR_MESSAGES, de }`
+ */
+
+/**
+ * @typedef {object} MessageCatalog
+ * @property {string[]} [roles] Names of the Role enum values
+ * @property {string[]} [directions] Names of the Direction enum values
+ * @property {string[]} [states] Names of the State enum values
+ * @property {Record<string, (params: object, catalog: MessageCatalog) => string>} errors Message per error name
+ */
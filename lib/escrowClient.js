@@ -0,0 +1,558 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { EscrowError, decodeEscrowError } from "./errors.js";
+import { Direction } from "./signatures.js";
+
+export { EscrowError, decodeEscrowError };
+
+/**
+ * EscrowClient wraps a ThreePartyEscrow contract with the calls scripts and
+ * backends need: deploy, deposit, vote, finalize and read the state as a
+ * plain object. simulate() checks an action before it is sent, so a call
+ * that would revert is explained instead of paid for. Reverts are rethrown
+ * as EscrowError with the reason or custom error already decoded, and keep
+ * the raw revert data on `data` so existing tooling (e.g. Hardhat's
+ * revertedWithCustomError) still recognises them.
+ */
+
+/** Lifecycle states, matching the ThreePartyEscrow.State enum */
+export const State = Object.freeze({
+  AwaitingDeposit: 0,
+  Funded: 1,
+  ReleaseApproved: 2,
+  RefundApproved: 3,
+  Disputed: 4,
+  Released: 5,
+  Refunded: 6,
+  Cancelled: 7,
+  Settled: 8,
+});
+
+const STATE_NAMES = Object.keys(State);
+
+// Artifacts are looked up next to this package, not the caller's working directory
+const PACKAGE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Mirrors ThreePartyEscrow.MAX_CONTRIBUTORS
+const MAX_CONTRIBUTORS = 10;
+
+const SIMULATED_ACTIONS = ["deposit", "approveRelease", "approveRefund", "finalizeRelease", "finalizeRefund"];
+
+/** Party roles, matching the ThreePartyEscrow.Role enum */
+export const PartyRole = Object.freeze({
+  Buyer: 0,
+  Seller: 1,
+  Mediator: 2,
+});
+
+/**
+ * Loads a compiled contract artifact
+ * Supports both the Hardhat layout (`artifacts/`) and the layout written by scripts/compile.js (`build/`),
+ * which is what the published package ships
+ * @param {string} [name] Contract name
+ * @param {string} [root] Directory holding `artifacts/` or `build/`; defaults to this package's root
+ * @returns {{abi: Array, bytecode: string}}
+ */
+export function loadArtifact(name = "ThreePartyEscrow", root = PACKAGE_ROOT) {
+  const candidates = [
+    path.join(root, "artifacts", "contracts", `${name}.sol`, `${name}.json`),
+    path.join(root, "build", "contracts", `${name}.json`),
+  ];
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      const { abi, bytecode } = JSON.parse(fs.readFileSync(candidate, "utf8"));
+      return { abi, bytecode };
+    }
+  }
+  throw new Error(`Artifact for ${name} not found; compile the contracts first`);
+}
+
+/**
+ * Client for a single ThreePartyEscrow (or ThreePartyTokenEscrow) instance
+ */
+export class EscrowClient {
+  /**
+   * @param {import("ethers").Contract} contract Escrow contract, connected to the signer that sends transactions
+   */
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * Deploys a new escrow; the deploying signer does not have to be the buyer
+   * @param {import("ethers").Signer} signer Deployer
+   * @param {object} params
+   * @param {string} params.buyer Address of the buyer
+   * @param {string} params.seller Address of the seller
+   * @param {string} params.mediator Address of the mediator
+   * @param {object} [options]
+   * @param {{abi: Array, bytecode: string}} [options.artifact] Compiled ThreePartyEscrow; loaded from disk when omitted
+   * @returns {Promise<EscrowClient>} Client connected to `signer`, resolved once the contract is deployed
+   */
+  static async deploy(signer, { buyer, seller, mediator }, { artifact = loadArtifact() } = {}) {
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    let contract;
+    try {
+      contract = await factory.deploy(buyer, seller, mediator);
+    } catch (error) {
+      throw decodeEscrowError(error, factory.interface);
+    }
+    await contract.waitForDeployment();
+    return new EscrowClient(contract);
+  }
+
+  /**
+   * Attaches to an escrow that is already deployed
+   * @param {string} address Escrow address
+   * @param {import("ethers").ContractRunner} runner Signer for transactions, or a provider for read-only use
+   * @param {object} [options]
+   * @param {{abi: Array}} [options.artifact] Compiled ThreePartyEscrow; loaded from disk when omitted
+   * @returns {EscrowClient}
+   */
+  static attach(address, runner, { artifact = loadArtifact() } = {}) {
+    return new EscrowClient(new ethers.Contract(address, artifact.abi, runner));
+  }
+
+  /**
+   * Returns a client sending transactions from another signer
+   * @param {import("ethers").Signer} signer
+   * @returns {EscrowClient}
+   */
+  connect(signer) {
+    return new EscrowClient(this.contract.connect(signer));
+  }
+
+  /**
+   * Escrow address
+   * @returns {Promise<string>}
+   */
+  getAddress() {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * Deposits funds as the buyer, or as a contributor the buyer approved
+   * Sends Ether, or pulls tokens with depositToken() when the escrow holds a token;
+   * the escrow must already be approved to spend the tokens. Deposits made after the
+   * escrow is funded top up the amount held
+   * @param {bigint} value Amount in wei or token units
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  async deposit(value) {
+    const token = await this.contract.token();
+    if (token === ethers.ZeroAddress) {
+      return this.#send("deposit", [], { value });
+    }
+    return this.#send("depositToken", [value]);
+  }
+
+  /**
+   * Sets the amount contributions must reach before the escrow is funded, as the buyer
+   * Must be called before the first deposit
+   * @param {bigint} targetAmount Amount in wei or token units, or 0 to fund on the buyer's first deposit
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  configureFunding(targetAmount) {
+    return this.#send("configureFunding", [targetAmount]);
+  }
+
+  /**
+   * Allows or stops an address contributing to the escrow, as the buyer
+   * @param {string} contributor Address of an insurer, co-buyer or other third party
+   * @param {boolean} [approved] false withdraws the approval
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  setContributor(contributor, approved = true) {
+    return this.#send("setContributor", [contributor, approved]);
+  }
+
+  /**
+   * Votes to release (Direction.Release) or refund (Direction.Refund)
+   * @param {number} direction One of Direction
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  approve(direction) {
+    return this.#send(directionMethod(direction, "approveRelease", "approveRefund"), []);
+  }
+
+  /**
+   * Withdraws the caller's vote for a direction
+   * @param {number} direction One of Direction
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  revoke(direction) {
+    return this.#send(directionMethod(direction, "revokeReleaseApproval", "revokeRefundApproval"), []);
+  }
+
+  /**
+   * Pays out once 2 of 3 parties approved the direction
+   * @param {number} direction One of Direction
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  finalize(direction) {
+    return this.#send(directionMethod(direction, "finalizeRelease", "finalizeRefund"), []);
+  }
+
+  /**
+   * Escalates the escrow to the mediator as the buyer or seller
+   * @param {string} reasonHash 32-byte hash of the off-chain statement, e.g. from prepareDispute()
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  raiseDispute(reasonHash) {
+    return this.#send("raiseDispute", [reasonHash]);
+  }
+
+  /**
+   * Records a piece of evidence for an open dispute as the buyer or seller
+   * @param {string} uri Where the evidence can be fetched
+   * @param {string} contentHash keccak256 of the evidence content
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  submitEvidence(uri, contentHash) {
+    return this.#send("submitEvidence", [uri, contentHash]);
+  }
+
+  /**
+   * Rules on an open dispute as the mediator; the ruling counts as the mediator's vote
+   * @param {number} direction One of Direction
+   * @param {string} rationaleHash 32-byte hash of the mediator's reasoning
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  rule(direction, rationaleHash) {
+    return this.#send("rule", [direction, rationaleHash]);
+  }
+
+  /**
+   * Nominates a new mediator as the buyer or seller; the nominee takes over once both nominated it and it accepts
+   * @param {string} candidate Address of the new mediator
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  nominateMediator(candidate) {
+    return this.#send("nominateMediator", [candidate]);
+  }
+
+  /**
+   * Takes over as mediator, as the nominee
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  acceptMediatorRole() {
+    return this.#send("acceptMediatorRole", []);
+  }
+
+  /**
+   * Proposes moving the signer's role to a new address, which can accept after KEY_ROTATION_DELAY
+   * @param {string} newAddress Address that will hold the role
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  proposeKeyRotation(newAddress) {
+    return this.#send("proposeKeyRotation", [newAddress]);
+  }
+
+  /**
+   * Withdraws the signer's pending key rotation
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  cancelKeyRotation() {
+    return this.#send("cancelKeyRotation", []);
+  }
+
+  /**
+   * Completes a key rotation as the new address, once the timelock has passed
+   * @param {number} role One of PartyRole
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  acceptKeyRotation(role) {
+    return this.#send("acceptKeyRotation", [role]);
+  }
+
+  /**
+   * Reads the pending mediator nomination and key rotations
+   * @returns {Promise<RoleChanges>}
+   */
+  async getRoleChanges() {
+    const c = this.contract;
+    const [nominee, buyerNominated, sellerNominated, ...rotations] = await Promise.all([
+      c.mediatorNominee(),
+      c.buyerNominatedMediator(),
+      c.sellerNominatedMediator(),
+      ...Object.values(PartyRole).map((role) => c.keyRotations(role)),
+    ]);
+
+    return {
+      mediatorNomination:
+        nominee === ethers.ZeroAddress ? null : { candidate: nominee, buyer: buyerNominated, seller: sellerNominated },
+      keyRotations: Object.fromEntries(
+        Object.keys(PartyRole).map((name, i) => [
+          name.toLowerCase(),
+          rotations[i].newAddress === ethers.ZeroAddress
+            ? null
+            : { newAddress: rotations[i].newAddress, executableAt: rotations[i].executableAt },
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Collects the dispute record from the escrow's event log
+   * @param {object} [options]
+   * @param {import("ethers").BlockTag} [options.fromBlock] First block to search; defaults to the genesis block
+   * @returns {Promise<DisputeRecord|null>} null if no dispute was raised
+   */
+  async getDispute({ fromBlock = 0 } = {}) {
+    const [raised] = await this.contract.queryFilter(this.contract.filters.DisputeRaised(), fromBlock);
+    if (!raised) {
+      return null;
+    }
+    const [evidence, rulings, replacements] = await Promise.all([
+      this.contract.queryFilter(this.contract.filters.EvidenceSubmitted(), fromBlock),
+      this.contract.queryFilter(this.contract.filters.RulingIssued(), fromBlock),
+      this.contract.queryFilter(this.contract.filters.PartyReplaced(PartyRole.Mediator), fromBlock),
+    ]);
+    // Replacing the mediator discards its ruling, so only one issued after the last replacement stands
+    const replaced = replacements.at(-1);
+    const ruling = rulings.findLast(
+      (log) => !replaced || log.blockNumber > replaced.blockNumber || (log.blockNumber === replaced.blockNumber && log.index > replaced.index)
+    );
+
+    return {
+      raisedBy: raised.args.raisedBy,
+      reasonHash: raised.args.reasonHash,
+      blockNumber: raised.blockNumber,
+      evidence: evidence.map((log) => ({
+        index: Number(log.args.index),
+        submitter: log.args.submitter,
+        uri: log.args.uri,
+        contentHash: log.args.contentHash,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+      })),
+      ruling: ruling
+        ? {
+            direction: Number(ruling.args.direction),
+            rationaleHash: ruling.args.rationaleHash,
+            blockNumber: ruling.blockNumber,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Reads the escrow state
+   * @returns {Promise<EscrowState>}
+   */
+  async getState() {
+    const [address, tuple, state, token, fundsSettled, target, contributed, [contributors, amounts]] = await Promise.all([
+      this.contract.getAddress(),
+      this.contract.getEscrowState(),
+      this.contract.state(),
+      this.contract.token(),
+      this.contract.fundsSettled(),
+      this.contract.targetAmount(),
+      this.contract.totalContributed(),
+      this.contract.getContributions(),
+    ]);
+    const release = {
+      buyer: tuple._buyerApprovedRelease,
+      seller: tuple._sellerApprovedRelease,
+      mediator: tuple._mediatorApprovedRelease,
+    };
+    const refund = {
+      buyer: tuple._buyerApprovedRefund,
+      seller: tuple._sellerApprovedRefund,
+      mediator: tuple._mediatorApprovedRefund,
+    };
+
+    return {
+      address,
+      buyer: tuple._buyer,
+      seller: tuple._seller,
+      mediator: tuple._mediator,
+      token: token === ethers.ZeroAddress ? null : token,
+      amount: tuple._amount,
+      state: STATE_NAMES[Number(state)],
+      approvals: {
+        release: { ...release, count: countVotes(release) },
+        refund: { ...refund, count: countVotes(refund) },
+      },
+      fundsReleased: tuple._fundsReleased,
+      fundsRefunded: tuple._fundsRefunded,
+      fundsSettled,
+      funding: {
+        target,
+        contributed,
+        contributions: contributors.map((contributor, i) => ({ contributor, amount: amounts[i] })),
+      },
+    };
+  }
+
+  /**
+   * Checks whether `signer` could take an action now, without sending a transaction
+   * The escrow state is checked the way the contract would to explain a failure, then an
+   * eth_call dry-run confirms the outcome and, if it succeeds, the gas is estimated
+   * @param {SimulatedAction} action
+   * @param {import("ethers").Signer} signer Account that would send the transaction
+   * @param {object} [options]
+   * @param {bigint} [options.value] Amount to deposit; required for "deposit"
+   * @returns {Promise<SimulationResult>}
+   */
+  async simulate(action, signer, { value } = {}) {
+    if (!SIMULATED_ACTIONS.includes(action)) {
+      throw new TypeError(`Cannot simulate ${action}; expected one of ${SIMULATED_ACTIONS.join(", ")}`);
+    }
+    if (action === "deposit" && value === undefined) {
+      throw new TypeError("Simulating a deposit needs options.value");
+    }
+
+    const from = await signer.getAddress();
+    const [state, approvedContributor] = await Promise.all([this.getState(), this.contract.approvedContributors(from)]);
+    const contract = this.contract.connect(signer);
+    const [method, args, overrides] =
+      action !== "deposit" ? [action, [], {}] : state.token ? ["depositToken", [value], {}] : ["deposit", [], { value }];
+
+    const predicted = predictRevert(state, action, from, value, approvedContributor);
+    let error = null;
+    let gas = null;
+    try {
+      await contract[method].staticCall(...args, overrides);
+      gas = await contract[method].estimateGas(...args, overrides);
+    } catch (dryRunError) {
+      error = decodeEscrowError(dryRunError, contract.interface);
+    }
+
+    return {
+      action,
+      from,
+      ok: error === null,
+      prediction: predicted && decodeEscrowError({ data: contract.interface.encodeErrorResult(...predicted) }, contract.interface),
+      error,
+      reason: error && (error.reason ?? error.shortMessage ?? error.message),
+      gas,
+    };
+  }
+
+  /**
+   * Sends a transaction, decoding any revert into an EscrowError
+   */
+  async #send(method, args, overrides = {}) {
+    try {
+      return await this.contract[method](...args, overrides);
+    } catch (error) {
+      throw decodeEscrowError(error, this.contract.interface);
+    }
+  }
+}
+
+/**
+ * @typedef {object} PartyVotes
+ * @property {boolean} buyer
+ * @property {boolean} seller
+ * @property {boolean} mediator
+ * @property {number} count Number of parties voting this way
+ */
+
+/**
+ * @typedef {object} EscrowState
+ * @property {string} address Escrow address
+ * @property {string} buyer
+ * @property {string} seller
+ * @property {string} mediator
+ * @property {string|null} token ERC-20 token address, or null for an Ether escrow
+ * @property {bigint} amount Funds currently held
+ * @property {keyof typeof State} state Lifecycle state name
+ * @property {{release: PartyVotes, refund: PartyVotes}} approvals
+ * @property {boolean} fundsReleased
+ * @property {boolean} fundsRefunded
+ * @property {boolean} fundsSettled
+ * @property {FundingState} funding Target and contributions towards the escrow
+ */
+
+/**
+ * @typedef {object} FundingState
+ * @property {bigint} target Amount contributions must reach before the escrow is funded; 0 when the first deposit funds it
+ * @property {bigint} contributed Total contributed, including top-ups
+ * @property {{contributor: string, amount: bigint}[]} contributions Per contributor, in order of first contribution
+ */
+
+/**
+ * @typedef {"deposit"|"approveRelease"|"approveRefund"|"finalizeRelease"|"finalizeRefund"} SimulatedAction
+ */
+
+/**
+ * @typedef {object} SimulationResult
+ * @property {SimulatedAction} action
+ * @property {string} from Simulated sender
+ * @property {boolean} ok Whether the dry-run succeeded, i.e. the transaction would not revert now
+ * @property {EscrowError|null} prediction Error the escrow state says the call reverts with, or null if it should succeed
+ * @property {Error|null} error Decoded dry-run revert, or null
+ * @property {string|null} reason Readable explanation of the dry-run revert
+ * @property {bigint|null} gas Gas estimate when the dry-run succeeded
+ */
+
+/**
+ * @typedef {object} RoleChanges
+ * @property {{candidate: string, buyer: boolean, seller: boolean}|null} mediatorNomination
+ *   Pending mediator candidate and which side nominated it, or null
+ * @property {Record<"buyer"|"seller"|"mediator", {newAddress: string, executableAt: bigint}|null>} keyRotations
+ *   Pending key rotation per role, with the timestamp the new key can accept from
+ */
+
+/**
+ * @typedef {object} EvidenceRecord
+ * @property {number} index Position in submission order
+ * @property {string} submitter
+ * @property {string} uri
+ * @property {string} contentHash
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ */
+
+/**
+ * @typedef {object} DisputeRecord
+ * @property {string} raisedBy Buyer or seller
+ * @property {string} reasonHash
+ * @property {number} blockNumber Block the dispute was raised in
+ * @property {EvidenceRecord[]} evidence In submission order
+ * @property {{direction: number, rationaleHash: string, blockNumber: number}|null} ruling
+ */
+
+function directionMethod(direction, releaseMethod, refundMethod) {
+  if (direction === Direction.Release) return releaseMethod;
+  if (direction === Direction.Refund) return refundMethod;
+  throw new TypeError(`Unknown direction: ${direction}`);
+}
+
+/**
+ * Applies the contract's checks for a simulated action to a getState() snapshot
+ * @returns {[string, Array]|null} Name and arguments of the custom error the call would revert with, or null
+ */
+function predictRevert(state, action, from, value, approvedContributor) {
+  const party = ["buyer", "seller", "mediator"].find((role) => state[role] === from);
+  if (action === "deposit") {
+    const { contributions } = state.funding;
+    if (party !== "buyer" && !approvedContributor) return ["NotBuyer", [from]];
+    if (BigInt(value) === 0n) return ["ZeroDeposit", []];
+    if (state.state !== "AwaitingDeposit" && state.state !== "Funded") return ["InvalidState", [State[state.state]]];
+    if (contributions.length === MAX_CONTRIBUTORS && !contributions.some(({ contributor }) => contributor === from)) {
+      return ["TooManyContributors", [MAX_CONTRIBUTORS]];
+    }
+    return null;
+  }
+
+  if (!party) return ["NotAParty", [from]];
+  if (state.fundsReleased || state.fundsRefunded || state.fundsSettled) return ["FundsAlreadyPaidOut", []];
+  if (state.amount === 0n) return ["NoFundsDeposited", []];
+
+  const direction = action.endsWith("Release") ? Direction.Release : Direction.Refund;
+  const votes = direction === Direction.Release ? state.approvals.release : state.approvals.refund;
+  if (action.startsWith("approve")) {
+    return votes[party] ? ["AlreadyApproved", [from, direction]] : null;
+  }
+  return votes.count < 2 ? ["InsufficientApprovals", [votes.count, 2]] : null;
+}
+
+function countVotes(votes) {
+  return [votes.buyer, votes.seller, votes.mediator].filter(Boolean).length;
+}
@@ -0,0 +1,184 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+/**
+ * Dispute evidence bundling
+ *
+ * Evidence never goes on-chain: files are put in a content-addressed store,
+ * listed with their hashes in a bundle document, and only the bundle's URI
+ * and keccak256 hash are submitted with submitEvidence(). Reasons and
+ * rulings work the same way with a single text statement. The mediator
+ * fetches the bundle from the store and checks every hash with
+ * verifyEvidence(), so nothing a party uploads can be swapped afterwards.
+ *
+ * fileContentStore() keeps content in a local directory under its keccak256
+ * hash; anything with the same put()/get() shape (e.g. an IPFS client) can
+ * take its place.
+ */
+
+export const BUNDLE_VERSION = 1;
+
+const CAS_URI = /^cas:\/\/(0x[0-9a-f]{64})$/;
+
+const DISPUTE_ABI = new ethers.Interface([
+  "function raiseDispute(bytes32 reasonHash)",
+  "function submitEvidence(string uri, bytes32 contentHash)",
+  "function rule(uint8 direction, bytes32 rationaleHash)",
+]);
+
+/**
+ * Content-addressed store backed by a local directory
+ * @param {string} dir Directory holding one file per content hash
+ * @returns {ContentStore}
+ */
+export function fileContentStore(dir) {
+  return {
+    async put(data) {
+      const bytes = toBytes(data);
+      const hash = ethers.keccak256(bytes);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, hash), bytes);
+      return `cas://${hash}`;
+    },
+
+    async get(uri) {
+      const match = uri.match(CAS_URI);
+      if (!match) {
+        throw new TypeError(`Not a cas:// URI: ${uri}`);
+      }
+      try {
+        return new Uint8Array(await fs.promises.readFile(path.join(dir, match[1])));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          throw new Error(`${uri} is not in the store`);
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Stores evidence files and a bundle listing them
+ * @param {object} params
+ * @param {ContentStore} params.store
+ * @param {Array<string|{name: string, data: Uint8Array|string}>} params.files File paths, or named contents
+ * @param {string} [params.description] Summary shown to the mediator
+ * @returns {Promise<{bundle: EvidenceBundle, uri: string, contentHash: string, call: PreparedCall}>}
+ *   The bundle, where it is stored, its hash and the submitEvidence() call
+ */
+export async function bundleEvidence({ store, files, description = "" }) {
+  if (files.length === 0) {
+    throw new TypeError("An evidence bundle needs at least one file");
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const { name, data } = typeof file === "string"
+      ? { name: path.basename(file), data: await fs.promises.readFile(file) }
+      : file;
+    const bytes = toBytes(data);
+    entries.push({ name, size: bytes.length, contentHash: ethers.keccak256(bytes), uri: await store.put(bytes) });
+  }
+
+  const bundle = { version: BUNDLE_VERSION, description, files: entries };
+  const { uri, contentHash } = await putDocument(store, JSON.stringify(bundle));
+  return { bundle, uri, contentHash, call: prepareCall("submitEvidence", [uri, contentHash]) };
+}
+
+/**
+ * Stores the reason for a dispute and, when files are given, the evidence for it
+ * @param {object} params
+ * @param {ContentStore} params.store
+ * @param {string} params.reason Statement explaining the dispute
+ * @param {Array<string|{name: string, data: Uint8Array|string}>} [params.files] Evidence submitted with it
+ * @returns {Promise<{reason: {uri: string, contentHash: string}, evidence: object|null, calls: PreparedCall[]}>}
+ *   raiseDispute() followed by submitEvidence() if there is evidence, in the order they must be sent
+ */
+export async function prepareDispute({ store, reason, files = [] }) {
+  const stored = await putDocument(store, reason);
+  const calls = [prepareCall("raiseDispute", [stored.contentHash])];
+
+  let evidence = null;
+  if (files.length > 0) {
+    evidence = await bundleEvidence({ store, files, description: reason });
+    calls.push(evidence.call);
+  }
+  return { reason: stored, evidence, calls };
+}
+
+/**
+ * Stores the mediator's reasoning and prepares the rule() call
+ * @param {object} params
+ * @param {ContentStore} params.store
+ * @param {number} params.direction One of Direction
+ * @param {string} params.rationale The mediator's reasoning
+ * @returns {Promise<{uri: string, contentHash: string, call: PreparedCall}>}
+ */
+export async function prepareRuling({ store, direction, rationale }) {
+  const stored = await putDocument(store, rationale);
+  return { ...stored, call: prepareCall("rule", [direction, stored.contentHash]) };
+}
+
+/**
+ * Fetches an evidence bundle and checks it and every file against their hashes
+ * @param {object} params
+ * @param {ContentStore} params.store
+ * @param {string} params.uri Bundle URI, as submitted on-chain
+ * @param {string} params.contentHash Bundle hash, as submitted on-chain
+ * @returns {Promise<{valid: boolean, bundle: EvidenceBundle|null, files: Array<{name: string, uri: string, valid: boolean}>}>}
+ *   `valid` only if the bundle and all of its files match
+ */
+export async function verifyEvidence({ store, uri, contentHash }) {
+  const data = await store.get(uri);
+  if (ethers.keccak256(data) !== contentHash) {
+    return { valid: false, bundle: null, files: [] };
+  }
+
+  const bundle = JSON.parse(ethers.toUtf8String(data));
+  const files = [];
+  for (const file of bundle.files) {
+    let valid;
+    try {
+      valid = ethers.keccak256(await store.get(file.uri)) === file.contentHash;
+    } catch {
+      valid = false;
+    }
+    files.push({ name: file.name, uri: file.uri, valid });
+  }
+  return { valid: files.every((file) => file.valid), bundle, files };
+}
+
+async function putDocument(store, text) {
+  const bytes = toBytes(text);
+  return { uri: await store.put(bytes), contentHash: ethers.keccak256(bytes) };
+}
+
+function prepareCall(method, args) {
+  return { method, args, data: DISPUTE_ABI.encodeFunctionData(method, args) };
+}
+
+function toBytes(data) {
+  return typeof data === "string" ? ethers.toUtf8Bytes(data) : new Uint8Array(data);
+}
+
+/**
+ * @typedef {object} ContentStore
+ * @property {(data: Uint8Array) => Promise<string>} put Stores content and returns its URI
+ * @property {(uri: string) => Promise<Uint8Array>} get Returns the content stored under a URI
+ */
+
+/**
+ * @typedef {object} EvidenceBundle
+ * @property {number} version Bundle format version
+ * @property {string} description
+ * @property {Array<{name: string, size: number, contentHash: string, uri: string}>} files
+ */
+
+/**
+ * @typedef {object} PreparedCall
+ * @property {string} method Escrow function name
+ * @property {Array} args Arguments, for EscrowClient or ethers.Contract
+ * @property {string} data Encoded calldata, for a raw transaction to the escrow
+ */
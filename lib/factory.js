@@ -0,0 +1,124 @@
+import { ethers } from "ethers";
+
+/**
+ * Helpers for deploying ThreePartyEscrow clones through EscrowFactory
+ *
+ * The factory deploys EIP-1167 minimal proxies with CREATE2, so the escrow
+ * address depends only on the factory, the implementation, the parties, the
+ * escrowed token and a salt. predictEscrowAddress() mirrors
+ * EscrowFactory.predictEscrowAddress() off-chain, letting a backend show the
+ * address before the transaction is mined.
+ */
+
+const CLONE_PREFIX = "0x3d602d80600a3d3981f3363d3d373d3d3d363d73";
+const CLONE_SUFFIX = "0x5af43d82803e903d91602b57fd5bf3";
+
+/**
+ * Returns the EIP-1167 creation code for a clone of `implementation`
+ * @param {string} implementation Address of the escrow implementation
+ * @returns {string} Hex-encoded creation code
+ */
+export function cloneCreationCode(implementation) {
+  return ethers.concat([CLONE_PREFIX, ethers.getAddress(implementation), CLONE_SUFFIX]);
+}
+
+/**
+ * Computes the CREATE2 salt the factory derives from the escrow configuration and the caller's salt
+ * @param {string} buyer Address of the buyer
+ * @param {string} seller Address of the seller
+ * @param {string} mediator Address of the mediator
+ * @param {string} token Address of the ERC-20 token, or the zero address for Ether
+ * @param {string} salt 32-byte hex salt chosen by the caller
+ * @returns {string} 32-byte hex salt used for CREATE2
+ */
+export function computeCloneSalt(buyer, seller, mediator, token, salt) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "address", "address", "address", "bytes32"],
+      [buyer, seller, mediator, token, salt]
+    )
+  );
+}
+
+/**
+ * Predicts the escrow address without touching the chain
+ * @param {object} params
+ * @param {string} params.factory Address of the EscrowFactory
+ * @param {string} params.implementation Address returned by factory.implementation()
+ * @param {string} params.buyer Address of the buyer
+ * @param {string} params.seller Address of the seller
+ * @param {string} params.mediator Address of the mediator
+ * @param {string} [params.token] Address of the ERC-20 token; omit for an Ether escrow
+ * @param {string} params.salt 32-byte hex salt
+ * @returns {string} Checksummed escrow address
+ */
+export function predictEscrowAddress({ factory, implementation, buyer, seller, mediator, token = ethers.ZeroAddress, salt }) {
+  return ethers.getCreate2Address(
+    factory,
+    computeCloneSalt(buyer, seller, mediator, token, salt),
+    ethers.keccak256(cloneCreationCode(implementation))
+  );
+}
+
+/**
+ * Generates a random 32-byte salt
+ * @returns {string} 32-byte hex salt
+ */
+export function randomSalt() {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+/**
+ * Deploys a new escrow through the factory
+ *
+ * The predicted address is available before the transaction is mined through
+ * the `predictedAddress` field; `wait()` resolves once the EscrowCreated event
+ * has been observed and confirms the address matches.
+ *
+ * @param {import("ethers").Contract} factory EscrowFactory contract connected to a signer
+ * @param {object} params
+ * @param {string} params.buyer Address of the buyer
+ * @param {string} params.seller Address of the seller
+ * @param {string} params.mediator Address of the mediator
+ * @param {string} [params.token] Address of the ERC-20 token; omit for an Ether escrow
+ * @param {string} [params.salt] 32-byte hex salt; a random one is generated when omitted
+ * @returns {Promise<{predictedAddress: string, salt: string, tx: import("ethers").TransactionResponse, wait: () => Promise<string>}>}
+ */
+export async function deployViaFactory(factory, { buyer, seller, mediator, token = ethers.ZeroAddress, salt = randomSalt() }) {
+  const predictedAddress = predictEscrowAddress({
+    factory: await factory.getAddress(),
+    implementation: await factory.implementation(),
+    buyer,
+    seller,
+    mediator,
+    token,
+    salt,
+  });
+
+  const tx = ethers.getAddress(token) === ethers.ZeroAddress
+    ? await factory.createEscrow(buyer, seller, mediator, salt)
+    : await factory.createTokenEscrow(buyer, seller, mediator, token, salt);
+
+  const wait = async () => {
+    const receipt = await tx.wait();
+    const created = receipt.logs
+      .map((log) => {
+        try {
+          return factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "EscrowCreated");
+
+    if (!created) {
+      throw new Error("EscrowCreated event not found in transaction receipt");
+    }
+    if (created.args.escrow !== predictedAddress) {
+      throw new Error(`Escrow deployed at ${created.args.escrow}, expected ${predictedAddress}`);
+    }
+    return created.args.escrow;
+  };
+
+  return { predictedAddress, salt, tx, wait };
+}
@@ -0,0 +1,53 @@
+/**
+ * Off-chain mirror of ThreePartyEscrow.quoteFees()
+ *
+ * Percentage fees round down, so any odd wei stays with the buyer or seller.
+ * A flat mediator fee is capped at what remains after the platform fee.
+ */
+
+export const BPS_DENOMINATOR = 10000n;
+
+/** Mediator fee types, matching the ThreePartyEscrow.FeeType enum */
+export const FeeType = Object.freeze({
+  None: 0,
+  Flat: 1,
+  BasisPoints: 2,
+});
+
+/**
+ * Computes the fees deducted from a payout
+ * @param {object} params
+ * @param {bigint} params.value Amount being paid out
+ * @param {boolean} params.mediatorDecisive Whether the mediator's vote decided the outcome
+ * @param {number} [params.mediatorFeeType] One of FeeType
+ * @param {bigint} [params.mediatorFee] Flat amount, or basis points for FeeType.BasisPoints
+ * @param {bigint} [params.platformFeeBps] Platform fee in basis points
+ * @returns {{platformFeeAmount: bigint, mediatorFeeAmount: bigint, netAmount: bigint}}
+ */
+export function computeFees({
+  value,
+  mediatorDecisive,
+  mediatorFeeType = FeeType.None,
+  mediatorFee = 0n,
+  platformFeeBps = 0n,
+}) {
+  const platformFeeAmount = (value * BigInt(platformFeeBps)) / BPS_DENOMINATOR;
+
+  let mediatorFeeAmount = 0n;
+  if (mediatorDecisive) {
+    if (mediatorFeeType === FeeType.Flat) {
+      mediatorFeeAmount = BigInt(mediatorFee);
+    } else if (mediatorFeeType === FeeType.BasisPoints) {
+      mediatorFeeAmount = (value * BigInt(mediatorFee)) / BPS_DENOMINATOR;
+    }
+    if (mediatorFeeAmount > value - platformFeeAmount) {
+      mediatorFeeAmount = value - platformFeeAmount;
+    }
+  }
+
+  return {
+    platformFeeAmount,
+    mediatorFeeAmount,
+    netAmount: value - platformFeeAmount - mediatorFeeAmount,
+  };
+}
@@ -0,0 +1,666 @@
+import type { Server } from "http";
+import type {
+  BlockTag,
+  Contract,
+  ContractRunner,
+  ContractTransactionResponse,
+  Interface,
+  Provider,
+  Signer,
+  TransactionResponse,
+} from "ethers";
+import type { EscrowIndexer } from "./indexer.js";
+
+export declare const Direction: Readonly<{
+  Release: 0;
+  Refund: 1;
+}>;
+export type Direction = (typeof Direction)[keyof typeof Direction];
+
+export declare const State: Readonly<{
+  AwaitingDeposit: 0;
+  Funded: 1;
+  ReleaseApproved: 2;
+  RefundApproved: 3;
+  Disputed: 4;
+  Released: 5;
+  Refunded: 6;
+  Cancelled: 7;
+  Settled: 8;
+}>;
+export type StateName = keyof typeof State;
+
+export declare const PartyRole: Readonly<{
+  Buyer: 0;
+  Seller: 1;
+  Mediator: 2;
+}>;
+export type PartyRole = (typeof PartyRole)[keyof typeof PartyRole];
+
+export interface KeyRotation {
+  newAddress: string;
+  /** Timestamp from which the new key can accept */
+  executableAt: bigint;
+}
+
+export interface RoleChanges {
+  /** Pending mediator candidate and which side nominated it */
+  mediatorNomination: { candidate: string; buyer: boolean; seller: boolean } | null;
+  keyRotations: Record<"buyer" | "seller" | "mediator", KeyRotation | null>;
+}
+
+export declare const FeeType: Readonly<{
+  None: 0;
+  Flat: 1;
+  BasisPoints: 2;
+}>;
+export type FeeType = (typeof FeeType)[keyof typeof FeeType];
+
+export declare const BPS_DENOMINATOR: bigint;
+
+export interface Artifact {
+  abi: ReadonlyArray<unknown>;
+  bytecode: string;
+}
+
+export interface PartyVotes {
+  buyer: boolean;
+  seller: boolean;
+  mediator: boolean;
+  /** Number of parties voting this way */
+  count: number;
+}
+
+export interface EscrowState {
+  address: string;
+  buyer: string;
+  seller: string;
+  mediator: string;
+  /** ERC-20 token address, or null for an Ether escrow */
+  token: string | null;
+  /** Funds currently held */
+  amount: bigint;
+  state: StateName;
+  approvals: {
+    release: PartyVotes;
+    refund: PartyVotes;
+  };
+  fundsReleased: boolean;
+  fundsRefunded: boolean;
+  fundsSettled: boolean;
+  funding: FundingState;
+}
+
+export interface FundingState {
+  /** Amount contributions must reach before the escrow is funded; 0 when the first deposit funds it */
+  target: bigint;
+  /** Total contributed, including top-ups */
+  contributed: bigint;
+  /** Per contributor, in order of first contribution */
+  contributions: { contributor: string; amount: bigint }[];
+}
+
+/** Parameters of each escrow contract custom error; uint8 values (counts and enums) are numbers */
+export interface EscrowErrorParams {
+  NotAParty: { caller: string };
+  NotBuyer: { caller: string };
+  NotSeller: { caller: string };
+  NotMediator: { caller: string };
+  NotBuyerOrSeller: { caller: string };
+  AlreadyInitialized: {};
+  ZeroAddress: { role: PartyRole };
+  DuplicateParty: { first: PartyRole; second: PartyRole };
+  AlreadyAParty: { account: string };
+  TokenNotContract: { token: string };
+  InvalidState: { current: (typeof State)[StateName] };
+  NoFundsDeposited: {};
+  FundsAlreadyPaidOut: {};
+  NotEtherEscrow: { token: string };
+  NotTokenEscrow: {};
+  PermitFailed: {};
+  ZeroDeposit: {};
+  InvalidFeeConfig: {};
+  BpsTooHigh: { bps: bigint };
+  NothingToWithdraw: { account: string };
+  TransferFailed: { to: string; value: bigint };
+  AlreadyApproved: { party: string; direction: Direction };
+  NoApprovalToRevoke: { party: string; direction: Direction };
+  InsufficientApprovals: { have: number; need: number };
+  SignatureExpired: { deadline: bigint };
+  InvalidSignature: { signer: string };
+  ProposalNotCurrent: { proposalHash: string };
+  SettlementAlreadyApproved: { party: string };
+  NoSettlementProposed: {};
+  TimeoutsNotConfigured: {};
+  DeliveryAlreadyClaimed: {};
+  DeliveryDeadlinePassed: { deadline: bigint };
+  DeliveryNotClaimed: {};
+  DeliveryAlreadyDisputed: {};
+  InspectionPeriodOver: { endedAt: bigint };
+  ReclaimNotAvailable: {};
+  ClaimNotAvailable: {};
+  HashRequired: {};
+  EvidenceUriRequired: {};
+  DisputeAlreadyRaised: { raisedBy: string };
+  NoDisputeRaised: {};
+  RulingAlreadyIssued: {};
+  NotNominee: { caller: string };
+  NominationIncomplete: { buyerNominated: boolean; sellerNominated: boolean };
+  NoKeyRotationPending: { role: PartyRole };
+  NotRotationTarget: { caller: string };
+  KeyRotationTimelocked: { executableAt: bigint };
+  FundingStarted: { contributed: bigint };
+  TooManyContributors: { max: bigint };
+  // MilestoneEscrow
+  NoMilestones: {};
+  LengthMismatch: { first: bigint; second: bigint };
+  ZeroMilestoneAmount: { milestoneId: bigint };
+  MilestoneNotFound: { milestoneId: bigint };
+  MilestoneClosed: { milestoneId: bigint };
+  AlreadyFunded: {};
+  DepositMismatch: { value: bigint; required: bigint };
+  // WeightedEscrow
+  NotApprover: { caller: string };
+  NoApprovers: {};
+  ZeroApprover: { index: bigint };
+  ZeroWeight: { approver: string };
+  DuplicateApprover: { approver: string };
+  ThresholdOutOfRange: { direction: Direction; threshold: bigint; totalWeight: bigint };
+  ConflictingThresholds: { releaseThreshold: bigint; refundThreshold: bigint; totalWeight: bigint };
+  ThresholdNotReached: { direction: Direction; weight: bigint; threshold: bigint };
+  // EscrowFactory, Clones and SafeERC20
+  ZeroTokenAddress: {};
+  CloneFailed: { implementation: string; salt: string };
+  TokenTransferFailed: { token: string; from: string; to: string; value: bigint };
+}
+export type EscrowErrorName = keyof EscrowErrorParams;
+
+export interface MessageCatalog {
+  /** Names of the Role enum values */
+  roles?: string[];
+  /** Names of the Direction enum values */
+  directions?: string[];
+  /** Names of the State enum values */
+  states?: string[];
+  errors: { [Name in EscrowErrorName]?: (params: EscrowErrorParams[Name], catalog: Required<MessageCatalog>) => string } & {
+    [name: string]: ((params: any, catalog: Required<MessageCatalog>) => string) | undefined;
+  };
+}
+
+export interface FormatOptions {
+  /** Catalog to use; entries it lacks fall back to English */
+  locale?: string;
+  /** Catalogs by locale */
+  catalogs?: Record<string, MessageCatalog>;
+}
+
+export declare const ERROR_MESSAGES: Readonly<Record<string, MessageCatalog>>;
+
+export declare class EscrowError<Name extends string = string> extends Error {
+  name: "EscrowError";
+  /** "Error" for require strings, "Panic", or the custom error name */
+  errorName: Name;
+  args: unknown[];
+  /** Arguments by parameter name */
+  params: Name extends EscrowErrorName ? EscrowErrorParams[Name] : Record<string, unknown>;
+  /** English message */
+  reason: string;
+  /** Raw revert data */
+  data: string;
+  constructor(params: { errorName: Name; args: unknown[]; params?: Record<string, unknown>; data: string; cause: Error });
+  localize(options?: FormatOptions): string;
+}
+
+export declare function decodeEscrowError(error: unknown, iface: Interface): Error;
+
+export declare function isEscrowError(error: unknown): error is EscrowError;
+export declare function isEscrowError<Name extends string>(error: unknown, errorName: Name): error is EscrowError<Name>;
+
+export declare function formatEscrowError(
+  error: { errorName: string; args: unknown[]; params: Record<string, unknown> },
+  options?: FormatOptions
+): string;
+
+/** Reads `artifacts/` or `build/` under `root`, which defaults to this package's directory */
+export declare function loadArtifact(name?: string, root?: string): Artifact;
+
+export declare class EscrowClient {
+  readonly contract: Contract;
+  constructor(contract: Contract);
+  static deploy(
+    signer: Signer,
+    params: { buyer: string; seller: string; mediator: string },
+    options?: { artifact?: Artifact }
+  ): Promise<EscrowClient>;
+  static attach(address: string, runner: ContractRunner, options?: { artifact?: Pick<Artifact, "abi"> }): EscrowClient;
+  connect(signer: Signer): EscrowClient;
+  getAddress(): Promise<string>;
+  deposit(value: bigint): Promise<ContractTransactionResponse>;
+  configureFunding(targetAmount: bigint): Promise<ContractTransactionResponse>;
+  setContributor(contributor: string, approved?: boolean): Promise<ContractTransactionResponse>;
+  approve(direction: Direction): Promise<ContractTransactionResponse>;
+  revoke(direction: Direction): Promise<ContractTransactionResponse>;
+  finalize(direction: Direction): Promise<ContractTransactionResponse>;
+  raiseDispute(reasonHash: string): Promise<ContractTransactionResponse>;
+  submitEvidence(uri: string, contentHash: string): Promise<ContractTransactionResponse>;
+  rule(direction: Direction, rationaleHash: string): Promise<ContractTransactionResponse>;
+  nominateMediator(candidate: string): Promise<ContractTransactionResponse>;
+  acceptMediatorRole(): Promise<ContractTransactionResponse>;
+  proposeKeyRotation(newAddress: string): Promise<ContractTransactionResponse>;
+  cancelKeyRotation(): Promise<ContractTransactionResponse>;
+  acceptKeyRotation(role: PartyRole): Promise<ContractTransactionResponse>;
+  getRoleChanges(): Promise<RoleChanges>;
+  getDispute(options?: { fromBlock?: BlockTag }): Promise<DisputeRecord | null>;
+  getState(): Promise<EscrowState>;
+  simulate(action: SimulatedAction, signer: Signer, options?: { value?: bigint }): Promise<SimulationResult>;
+}
+
+export type SimulatedAction = "deposit" | "approveRelease" | "approveRefund" | "finalizeRelease" | "finalizeRefund";
+
+export interface SimulationResult {
+  action: SimulatedAction;
+  /** Simulated sender */
+  from: string;
+  /** Whether the eth_call dry-run succeeded */
+  ok: boolean;
+  /** Error the escrow state says the call reverts with, or null if it should succeed */
+  prediction: EscrowError | null;
+  /** Decoded dry-run revert, or null */
+  error: Error | null;
+  /** Readable explanation of the dry-run revert */
+  reason: string | null;
+  /** Gas estimate when the dry-run succeeded */
+  gas: bigint | null;
+}
+
+export declare const WeightedState: Readonly<{
+  AwaitingDeposit: 0;
+  Funded: 1;
+  ReleaseApproved: 2;
+  RefundApproved: 3;
+  Released: 4;
+  Refunded: 5;
+}>;
+export type WeightedStateName = keyof typeof WeightedState;
+
+export interface WeightedEscrowConfig {
+  /** Depositor, refunded on a refund */
+  buyer: string;
+  /** Paid on a release */
+  seller: string;
+  /** Addresses allowed to vote, with their weights */
+  approvers: Array<{ address: string; weight: bigint | number }>;
+  releaseThreshold: bigint | number;
+  refundThreshold: bigint | number;
+}
+
+export interface WeightedEscrowState {
+  address: string;
+  buyer: string;
+  seller: string;
+  /** Funds currently held */
+  amount: bigint;
+  state: WeightedStateName;
+  /** In construction order */
+  approvers: Array<{ address: string; weight: bigint; vote: "release" | "refund" | null }>;
+  totalWeight: bigint;
+  release: { weight: bigint; threshold: bigint };
+  refund: { weight: bigint; threshold: bigint };
+}
+
+/** Returns the total approver weight; throws an EscrowError with the custom error the constructor would revert with */
+export declare function validateApproverSet(config: WeightedEscrowConfig): bigint;
+
+export declare class WeightedEscrowClient {
+  readonly contract: Contract;
+  constructor(contract: Contract);
+  static deploy(signer: Signer, config: WeightedEscrowConfig, options?: { artifact?: Artifact }): Promise<WeightedEscrowClient>;
+  static attach(address: string, runner: ContractRunner, options?: { artifact?: Pick<Artifact, "abi"> }): WeightedEscrowClient;
+  connect(signer: Signer): WeightedEscrowClient;
+  getAddress(): Promise<string>;
+  deposit(value: bigint): Promise<ContractTransactionResponse>;
+  approve(direction: Direction): Promise<ContractTransactionResponse>;
+  revoke(direction: Direction): Promise<ContractTransactionResponse>;
+  finalize(direction: Direction): Promise<ContractTransactionResponse>;
+  getState(): Promise<WeightedEscrowState>;
+}
+
+export interface EvidenceRecord {
+  /** Position in submission order */
+  index: number;
+  submitter: string;
+  uri: string;
+  contentHash: string;
+  blockNumber: number;
+  transactionHash: string;
+}
+
+export interface DisputeRecord {
+  /** Buyer or seller */
+  raisedBy: string;
+  reasonHash: string;
+  /** Block the dispute was raised in */
+  blockNumber: number;
+  /** In submission order */
+  evidence: EvidenceRecord[];
+  ruling: { direction: Direction; rationaleHash: string; blockNumber: number } | null;
+}
+
+export interface ContentStore {
+  /** Stores content and returns its URI */
+  put(data: Uint8Array): Promise<string>;
+  /** Returns the content stored under a URI */
+  get(uri: string): Promise<Uint8Array>;
+}
+
+export interface EvidenceBundle {
+  version: number;
+  description: string;
+  files: Array<{ name: string; size: number; contentHash: string; uri: string }>;
+}
+
+export interface PreparedCall {
+  /** Escrow function name */
+  method: "raiseDispute" | "submitEvidence" | "rule";
+  /** Arguments, for EscrowClient or ethers.Contract */
+  args: unknown[];
+  /** Encoded calldata, for a raw transaction to the escrow */
+  data: string;
+}
+
+export type EvidenceFile = string | { name: string; data: Uint8Array | string };
+
+export declare const BUNDLE_VERSION: number;
+
+export declare function fileContentStore(dir: string): ContentStore;
+
+export declare function bundleEvidence(params: {
+  store: ContentStore;
+  files: EvidenceFile[];
+  description?: string;
+}): Promise<{ bundle: EvidenceBundle; uri: string; contentHash: string; call: PreparedCall }>;
+
+export declare function prepareDispute(params: {
+  store: ContentStore;
+  reason: string;
+  files?: EvidenceFile[];
+}): Promise<{
+  reason: { uri: string; contentHash: string };
+  evidence: { bundle: EvidenceBundle; uri: string; contentHash: string; call: PreparedCall } | null;
+  calls: PreparedCall[];
+}>;
+
+export declare function prepareRuling(params: {
+  store: ContentStore;
+  direction: Direction;
+  rationale: string;
+}): Promise<{ uri: string; contentHash: string; call: PreparedCall }>;
+
+export declare function verifyEvidence(params: {
+  store: ContentStore;
+  uri: string;
+  contentHash: string;
+}): Promise<{ valid: boolean; bundle: EvidenceBundle | null; files: Array<{ name: string; uri: string; valid: boolean }> }>;
+
+export type Role = "buyer" | "seller" | "mediator";
+
+export interface EscrowResource extends EscrowState {
+  /** getEscrowStatus() result, e.g. "Pending" or "Approved" */
+  status: string;
+  consensus: "release" | "refund" | null;
+  /** Parties yet to vote while votes are open */
+  awaitingVotes: Role[];
+}
+
+export declare class HttpError extends Error {
+  name: "HttpError";
+  status: number;
+  details: Record<string, unknown>;
+  constructor(status: number, message: string, details?: Record<string, unknown>);
+}
+
+export declare const OPENAPI_SPEC: Readonly<Record<string, unknown>>;
+
+export declare function createApiServer(options: {
+  provider: Provider;
+  indexer?: EscrowIndexer;
+  artifact?: Pick<Artifact, "abi">;
+}): Server;
+
+export interface EscrowConfig {
+  /** Unique name of the escrow in this network's manifest */
+  name: string;
+  buyer: string;
+  seller: string;
+  mediator: string;
+}
+
+export interface ManifestEntry {
+  status: "pending" | "deployed";
+  contract: string;
+  address: string;
+  transactionHash: string;
+  /** Null while pending */
+  blockNumber: number | null;
+  deployer: string;
+  /** Buyer, seller and mediator */
+  constructorArgs: string[];
+  /** keccak256 of the creation bytecode */
+  bytecodeHash: string;
+  compilerVersion: string;
+  configHash: string;
+}
+
+export interface Manifest {
+  /** Manifest format version */
+  version: number;
+  network: string;
+  chainId: number;
+  /** Entries by escrow name */
+  deployments: Record<string, ManifestEntry>;
+}
+
+export declare const MANIFEST_VERSION: number;
+
+export declare class DeploymentError extends Error {
+  name: "DeploymentError";
+  constructor(message: string);
+}
+
+export declare function loadDeploymentConfig(file: string): { escrows: EscrowConfig[] };
+
+export declare function loadManifest(file: string, expected: { network: string; chainId: bigint | number }): Manifest;
+
+export declare function computeConfigHash(contractName: string, bytecodeHash: string, constructorArgs: string[]): string;
+
+export declare function deployEscrows(params: {
+  signer: Signer;
+  network: string;
+  config: { escrows: EscrowConfig[] };
+  manifestPath: string;
+  artifact: Artifact;
+  compilerVersion: string;
+  contractName?: string;
+  log?: (message: string) => void;
+}): Promise<{ deployed: string[]; skipped: string[]; manifest: Manifest }>;
+
+export interface SignedVote {
+  signer: string;
+  deadline: bigint | number;
+  signature: string;
+}
+
+export declare const VOTE_TYPES: Readonly<{
+  Vote: ReadonlyArray<{ name: string; type: string }>;
+}>;
+
+export declare function buildVoteTypedData(
+  escrow: Contract,
+  params: { direction: Direction; signer: string; deadline: bigint | number; nonce?: bigint | number }
+): Promise<{ domain: Record<string, unknown>; types: typeof VOTE_TYPES; message: Record<string, unknown> }>;
+
+export declare function signVote(
+  signer: Signer,
+  escrow: Contract,
+  params: { direction: Direction; deadline: bigint | number; nonce?: bigint | number }
+): Promise<SignedVote>;
+
+export declare function computeFees(params: {
+  value: bigint;
+  mediatorDecisive: boolean;
+  mediatorFeeType?: FeeType;
+  mediatorFee?: bigint;
+  platformFeeBps?: bigint;
+}): { platformFeeAmount: bigint; mediatorFeeAmount: bigint; netAmount: bigint };
+
+export declare function cloneCreationCode(implementation: string): string;
+
+export declare function computeCloneSalt(
+  buyer: string,
+  seller: string,
+  mediator: string,
+  token: string,
+  salt: string
+): string;
+
+export declare function predictEscrowAddress(params: {
+  factory: string;
+  implementation: string;
+  buyer: string;
+  seller: string;
+  mediator: string;
+  token?: string;
+  salt: string;
+}): string;
+
+export declare function randomSalt(): string;
+
+export declare function deployViaFactory(
+  factory: Contract,
+  params: { buyer: string; seller: string; mediator: string; token?: string; salt?: string }
+): Promise<{ predictedAddress: string; salt: string; tx: TransactionResponse; wait: () => Promise<string> }>;
+
+export interface ContractSnapshot {
+  /** By signature */
+  functions: Record<string, { selector: string; stateMutability: string; outputs: string[] }>;
+  /** By signature */
+  events: Record<string, { topic: string; indexed: boolean[]; anonymous: boolean }>;
+  /** By signature */
+  errors: Record<string, { selector: string }>;
+  storage: Array<{ label: string; slot: number; offset: number; type: string; bytes: number }>;
+}
+
+export interface EntryDiff {
+  added: string[];
+  removed: string[];
+  changed: Array<{ signature: string; before: object; after: object }>;
+}
+
+export interface CompatibilityReport {
+  /** Whether the current build can replace the baseline */
+  compatible: boolean;
+  /** Human-readable incompatibilities */
+  problems: string[];
+  functions: EntryDiff;
+  events: EntryDiff;
+  errors: EntryDiff;
+  storage: {
+    collisions: string[];
+    renamed: Array<{ from: string; to: string; slot: number; offset: number }>;
+    added: string[];
+  };
+}
+
+export declare function createSnapshot(artifact: {
+  abi: readonly any[];
+  storageLayout?: { storage: any[]; types: Record<string, { label: string; numberOfBytes: string }> };
+}): ContractSnapshot;
+
+export declare function compareSnapshots(baseline: ContractSnapshot, current: ContractSnapshot): CompatibilityReport;
+
+export declare const REPORT_VERSION: number;
+
+export declare class VerificationError extends Error {
+  name: "VerificationError";
+  constructor(message: string);
+}
+
+/** Recorded compiler input, as in build/solc-input.json or a Hardhat build info */
+export interface CompilerRecord {
+  solcVersion: string;
+  input: { sources: Record<string, unknown>; settings: Record<string, unknown> };
+}
+
+export interface RecompiledContract {
+  contractName: string;
+  sourceName: string;
+  /** Compiler used and settings without outputSelection */
+  compiler: { version: string; settings: Record<string, unknown> };
+  abi: any[];
+  /** Creation code */
+  bytecode: string;
+  /** Runtime code */
+  deployedBytecode: string;
+  immutableReferences: Record<string, Array<{ start: number; length: number }>>;
+  storageLayout: { storage: any[]; types: Record<string, any> };
+  /** keccak256 of every source file in the build, by source name */
+  sources: Record<string, string>;
+}
+
+export interface PartyCheck {
+  slot: number;
+  offset: number;
+  onChain: string;
+  expected: string | null;
+  match: boolean;
+}
+
+export interface VerificationReport {
+  version: number;
+  chainId: number;
+  /** Block the code and storage were read at */
+  blockNumber: number;
+  blockHash: string;
+  address: string;
+  /** Set for a clone */
+  proxy: { type: "eip1167"; implementation: string } | null;
+  contractName: string;
+  sourceName: string;
+  compiler: { version: string; settings: Record<string, unknown> };
+  sources: Record<string, string>;
+  /** `match` ignores the metadata hash; `metadataMatch` additionally means the sources are byte-for-byte identical */
+  bytecode: { match: boolean; metadataMatch: boolean; deployedHash: string; compiledHash: string };
+  parties: Record<"buyer" | "seller" | "mediator", PartyCheck>;
+  /** The code matches and every claimed party matches */
+  verified: boolean;
+}
+
+export interface SignedReport {
+  report: VerificationReport;
+  signer: string;
+  /** EIP-191 signature over the canonical JSON of `report` */
+  signature: string;
+}
+
+export declare function loadCompiler(version: string): Promise<any>;
+
+export declare function recompile(params: {
+  record: CompilerRecord;
+  contractName?: string;
+  root?: string;
+  compiler?: any;
+}): Promise<RecompiledContract>;
+
+export declare function stripMetadata(code: string): { code: string; metadata: string | null };
+
+export declare function verifyDeployment(params: {
+  provider: Provider;
+  address: string;
+  build: RecompiledContract;
+  expected?: { buyer?: string; seller?: string; mediator?: string };
+  blockTag?: BlockTag;
+}): Promise<VerificationReport>;
+
+export declare function signReport(report: VerificationReport, signer: Signer): Promise<SignedReport>;
+
+export declare function recoverReportSigner(signed: { report: VerificationReport; signature: string }): string;
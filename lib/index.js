@@ -0,0 +1,48 @@
+/**
+ * ThreePartyEscrow JavaScript SDK
+ *
+ * EscrowIndexer and NotificationWatcher keep their state in SQLite, so they
+ * are exported from the `./indexer` and `./notifications` subpaths instead;
+ * importing the SDK does not load better-sqlite3.
+ */
+
+export { EscrowClient, PartyRole, State, loadArtifact } from "./escrowClient.js";
+export { ERROR_MESSAGES, EscrowError, decodeEscrowError, formatEscrowError, isEscrowError } from "./errors.js";
+export {
+  DeploymentError,
+  MANIFEST_VERSION,
+  computeConfigHash,
+  deployEscrows,
+  loadDeploymentConfig,
+  loadManifest,
+} from "./deployments.js";
+export {
+  BUNDLE_VERSION,
+  bundleEvidence,
+  fileContentStore,
+  prepareDispute,
+  prepareRuling,
+  verifyEvidence,
+} from "./evidence.js";
+export { WeightedEscrowClient, WeightedState, validateApproverSet } from "./weightedEscrow.js";
+export { compareSnapshots, createSnapshot } from "./compat.js";
+export {
+  REPORT_VERSION,
+  VerificationError,
+  loadCompiler,
+  recompile,
+  recoverReportSigner,
+  signReport,
+  stripMetadata,
+  verifyDeployment,
+} from "./verification.js";
+export { HttpError, OPENAPI_SPEC, createApiServer } from "./api.js";
+export { Direction, VOTE_TYPES, buildVoteTypedData, signVote } from "./signatures.js";
+export { BPS_DENOMINATOR, FeeType, computeFees } from "./fees.js";
+export {
+  cloneCreationCode,
+  computeCloneSalt,
+  deployViaFactory,
+  predictEscrowAddress,
+  randomSalt,
+} from "./factory.js";
@@ -0,0 +1,60 @@
+import type { Provider } from "ethers";
+import type { Artifact, Role, StateName } from "./index.js";
+
+export interface IndexedEvent {
+  escrow: string;
+  blockNumber: number;
+  blockHash: string;
+  /** Block timestamp in seconds */
+  timestamp: number;
+  transactionHash: string;
+  logIndex: number;
+  /** Event name, e.g. "ApprovalGiven" */
+  event: string;
+  /** Event arguments by name; integers as decimal strings */
+  args: Record<string, string | boolean>;
+}
+
+export interface EscrowSummary {
+  address: string;
+  buyer: string;
+  seller: string;
+  mediator: string;
+  startBlock: number;
+  syncedBlock: number;
+  /** Lifecycle state after the last indexed StateChanged event */
+  state: StateName;
+  /** Total contributed, including top-ups (FundsDeposited amounts for escrows without contribution events) */
+  deposited: bigint;
+  /** Roles (or addresses of non-parties) with an open vote per direction */
+  votes: { release: string[]; refund: string[] };
+  /** Whether open votes disagree and the escrow has not been paid out */
+  split: boolean;
+  lastEventBlock: number | null;
+}
+
+export interface SyncResult {
+  head: number;
+  /** Block the indexer rewound to after a reorg, or null */
+  rewoundTo: number | null;
+}
+
+export declare class EscrowIndexer {
+  readonly provider: Provider;
+  readonly confirmations: number;
+  readonly batchSize: number;
+  constructor(options: {
+    provider: Provider;
+    database?: string;
+    confirmations?: number;
+    batchSize?: number;
+    artifact?: Pick<Artifact, "abi">;
+  });
+  addEscrow(address: string, options?: { startBlock?: number }): Promise<void>;
+  sync(): Promise<SyncResult>;
+  follow(options?: { interval?: number; signal?: AbortSignal; onSync?: (result: SyncResult) => void }): Promise<void>;
+  getTimeline(address: string): IndexedEvent[];
+  getSummary(address: string): EscrowSummary | null;
+  findEscrows(filter?: { party?: string; role?: Role; state?: StateName; split?: boolean }): EscrowSummary[];
+  close(): void;
+}
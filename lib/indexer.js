@@ -0,0 +1,367 @@
+import Database from "better-sqlite3";
+import { ethers } from "ethers";
+import { State, loadArtifact } from "./escrowClient.js";
+import { Direction } from "./signatures.js";
+import { sleep } from "./timers.js";
+
+/**
+ * Event indexer for ThreePartyEscrow contracts
+ *
+ * Follows a set of escrow addresses from their start blocks and stores every
+ * decoded event in SQLite, so an escrow's timeline can be read without
+ * replaying the chain. The hash of each indexed block that carried events,
+ * plus the last block of every batch, is kept; when the stored tip no longer
+ * matches the chain the indexer rewinds `confirmations` blocks, drops what it
+ * stored above that point and indexes the new branch.
+ *
+ * Event arguments are stored as JSON with integers as decimal strings.
+ */
+
+const STATE_NAMES = Object.keys(State);
+const TERMINAL_STATES = ["Released", "Refunded", "Cancelled", "Settled"];
+const ROLES = ["buyer", "seller", "mediator"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS escrows (
+    address TEXT PRIMARY KEY,
+    buyer TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    mediator TEXT NOT NULL,
+    start_block INTEGER NOT NULL,
+    synced_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS escrows_buyer ON escrows (buyer);
+  CREATE INDEX IF NOT EXISTS escrows_seller ON escrows (seller);
+  CREATE INDEX IF NOT EXISTS escrows_mediator ON escrows (mediator);
+
+  CREATE TABLE IF NOT EXISTS events (
+    escrow TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (transaction_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_escrow ON events (escrow, block_number, log_index);
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+`;
+
+/**
+ * Indexes ThreePartyEscrow events into a SQLite database
+ */
+export class EscrowIndexer {
+  #db;
+  #iface;
+
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider Provider to read logs and blocks from
+   * @param {string} [options.database] SQLite file path; defaults to an in-memory database
+   * @param {number} [options.confirmations] Depth treated as final; a reorg rewinds this many blocks
+   * @param {number} [options.batchSize] Maximum number of blocks per getLogs request
+   * @param {{abi: Array}} [options.artifact] Compiled ThreePartyEscrow; loaded from disk when omitted
+   */
+  constructor({ provider, database = ":memory:", confirmations = 12, batchSize = 2000, artifact = loadArtifact() }) {
+    this.provider = provider;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.#iface = new ethers.Interface(artifact.abi);
+    this.#db = new Database(database);
+    this.#db.exec(SCHEMA);
+  }
+
+  /**
+   * Starts following an escrow; a no-op for an escrow that is already followed
+   * @param {string} address Escrow address
+   * @param {object} [options]
+   * @param {number} [options.startBlock] First block to index, e.g. the deployment block
+   * @returns {Promise<void>}
+   */
+  async addEscrow(address, { startBlock = 0 } = {}) {
+    address = ethers.getAddress(address);
+    if (this.#db.prepare("SELECT 1 FROM escrows WHERE address = ?").get(address)) {
+      return;
+    }
+
+    const contract = new ethers.Contract(address, this.#iface, this.provider);
+    const [buyer, seller, mediator] = await Promise.all([contract.buyer(), contract.seller(), contract.mediator()]);
+    this.#db
+      .prepare(
+        `INSERT OR IGNORE INTO escrows (address, buyer, seller, mediator, start_block, synced_block)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(address, buyer, seller, mediator, startBlock, startBlock - 1);
+  }
+
+  /**
+   * Indexes every followed escrow up to the current head
+   * @returns {Promise<{head: number, rewoundTo: number|null}>} The head reached, and the block the
+   *   indexer rewound to if it detected a reorg (null otherwise)
+   */
+  async sync() {
+    const rewoundTo = await this.#rewindIfReorged();
+    const head = await this.provider.getBlockNumber();
+
+    for (;;) {
+      const pending = this.#db.prepare("SELECT address, synced_block FROM escrows WHERE synced_block < ?").all(head);
+      if (pending.length === 0) break;
+
+      const fromBlock = Math.min(...pending.map((escrow) => escrow.synced_block)) + 1;
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+      const batch = pending.filter((escrow) => escrow.synced_block < toBlock);
+      const syncedBlock = new Map(batch.map((escrow) => [escrow.address, escrow.synced_block]));
+
+      const logs = await this.provider.getLogs({ address: [...syncedBlock.keys()], fromBlock, toBlock });
+      const blocks = new Map();
+      for (const number of new Set([...logs.map((log) => log.blockNumber), toBlock])) {
+        const block = await this.provider.getBlock(number);
+        blocks.set(number, { hash: block.hash, timestamp: block.timestamp });
+      }
+      if (logs.some((log) => log.blockHash !== blocks.get(log.blockNumber).hash)) {
+        // The chain reorganised while the batch was read; the next sync rewinds
+        break;
+      }
+
+      this.#storeBatch(logs.filter((log) => log.blockNumber > syncedBlock.get(log.address)), blocks, batch, toBlock);
+    }
+
+    return { head, rewoundTo };
+  }
+
+  /**
+   * Calls sync() repeatedly until the signal is aborted
+   * @param {object} [options]
+   * @param {number} [options.interval] Delay between syncs in milliseconds
+   * @param {AbortSignal} [options.signal] Stops following
+   * @param {(result: {head: number, rewoundTo: number|null}) => void} [options.onSync] Called after each sync
+   * @returns {Promise<void>}
+   */
+  async follow({ interval = 5000, signal, onSync } = {}) {
+    while (!signal?.aborted) {
+      onSync?.(await this.sync());
+      await sleep(interval, signal);
+    }
+  }
+
+  /**
+   * Returns the indexed events of an escrow, oldest first
+   * @param {string} address Escrow address
+   * @returns {IndexedEvent[]}
+   */
+  getTimeline(address) {
+    return this.#db
+      .prepare("SELECT * FROM events WHERE escrow = ? ORDER BY block_number, log_index")
+      .all(ethers.getAddress(address))
+      .map((row) => ({
+        escrow: row.escrow,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        timestamp: row.timestamp,
+        transactionHash: row.transaction_hash,
+        logIndex: row.log_index,
+        event: row.name,
+        args: JSON.parse(row.args),
+      }));
+  }
+
+  /**
+   * Reconstructs an escrow's state from its indexed events
+   * @param {string} address Escrow address
+   * @returns {EscrowSummary|null} null if the escrow is not followed
+   */
+  getSummary(address) {
+    const row = this.#db.prepare("SELECT * FROM escrows WHERE address = ?").get(ethers.getAddress(address));
+    return row ? this.#summarize(row) : null;
+  }
+
+  /**
+   * Finds followed escrows
+   * @param {object} [filter]
+   * @param {string} [filter.party] Address that must be one of the parties
+   * @param {"buyer"|"seller"|"mediator"} [filter.role] Role `party` must hold; any role when omitted
+   * @param {keyof typeof State} [filter.state] Lifecycle state name
+   * @param {boolean} [filter.split] Only escrows with open votes for both release and refund
+   * @returns {EscrowSummary[]}
+   */
+  findEscrows({ party, role, state, split } = {}) {
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new TypeError(`Unknown role: ${role}`);
+    }
+
+    let rows;
+    if (party === undefined) {
+      rows = this.#db.prepare("SELECT * FROM escrows ORDER BY start_block, address").all();
+    } else {
+      // The columns hold the parties at registration; escrows that replaced one are checked on their summary
+      party = ethers.getAddress(party);
+      rows = this.#db
+        .prepare(
+          `SELECT * FROM escrows WHERE ${ROLES.map((column) => `${column} = @party`).join(" OR ")}
+           OR address IN (SELECT escrow FROM events WHERE name = 'PartyReplaced') ORDER BY start_block, address`
+        )
+        .all({ party });
+    }
+
+    const columns = role ? [role] : ROLES;
+    return rows
+      .map((row) => this.#summarize(row))
+      .filter((summary) => party === undefined || columns.some((column) => summary[column] === party))
+      .filter((summary) => (state === undefined || summary.state === state) && (split === undefined || summary.split === split));
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    this.#db.close();
+  }
+
+  /**
+   * Rewinds past blocks whose stored hash no longer matches the chain
+   * @returns {Promise<number|null>} Block rewound to, or null if the stored tip is still canonical
+   */
+  async #rewindIfReorged() {
+    let rewoundTo = null;
+    for (;;) {
+      const tip = this.#db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1").get();
+      if (!tip) return rewoundTo;
+
+      const block = await this.provider.getBlock(tip.number);
+      if (block?.hash === tip.hash) return rewoundTo;
+
+      rewoundTo = Math.max(tip.number - this.confirmations, -1);
+      this.#rewind(rewoundTo);
+    }
+  }
+
+  #rewind(blockNumber) {
+    this.#db.transaction(() => {
+      this.#db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+      this.#db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+      this.#db
+        .prepare("UPDATE escrows SET synced_block = MAX(start_block - 1, MIN(synced_block, ?))")
+        .run(blockNumber);
+    })();
+  }
+
+  #storeBatch(logs, blocks, escrows, toBlock) {
+    const insertEvent = this.#db.prepare(
+      `INSERT OR IGNORE INTO events (escrow, block_number, block_hash, timestamp, transaction_hash, log_index, name, args)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    const insertBlock = this.#db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+    const advance = this.#db.prepare("UPDATE escrows SET synced_block = ? WHERE address = ?");
+
+    this.#db.transaction(() => {
+      for (const log of logs) {
+        const event = this.#iface.parseLog(log);
+        if (!event) continue;
+        const args = Object.fromEntries(event.fragment.inputs.map((input, i) => [input.name, serialize(event.args[i])]));
+        const { timestamp } = blocks.get(log.blockNumber);
+        insertEvent.run(log.address, log.blockNumber, log.blockHash, timestamp, log.transactionHash, log.index, event.name, JSON.stringify(args));
+      }
+      for (const [number, { hash }] of blocks) {
+        insertBlock.run(number, hash);
+      }
+      for (const escrow of escrows) {
+        advance.run(toBlock, escrow.address);
+      }
+    })();
+  }
+
+  #summarize(row) {
+    const parties = { buyer: row.buyer, seller: row.seller, mediator: row.mediator };
+    const votes = new Map();
+    let state = "AwaitingDeposit";
+    let deposited = 0n;
+    let contributed = null;
+    let lastEventBlock = null;
+
+    for (const event of this.getTimeline(row.address)) {
+      lastEventBlock = event.blockNumber;
+      switch (event.event) {
+        case "StateChanged":
+          state = STATE_NAMES[Number(event.args.to)];
+          break;
+        case "FundsDeposited":
+          deposited += BigInt(event.args.amount);
+          break;
+        case "ContributionReceived":
+          contributed = (contributed ?? 0n) + BigInt(event.args.amount);
+          break;
+        case "ApprovalGiven":
+          votes.set(event.args.approver, Number(event.args.direction));
+          break;
+        case "ApprovalRevoked":
+          // Switching sides emits the new ApprovalGiven before revoking the old direction
+          if (votes.get(event.args.approver) === Number(event.args.direction)) {
+            votes.delete(event.args.approver);
+          }
+          break;
+        case "PartyReplaced":
+          parties[ROLES[Number(event.args.role)]] = event.args.replacement;
+          break;
+      }
+    }
+
+    const voters = (direction) =>
+      [...votes].filter(([, vote]) => vote === direction).map(([approver]) => roleOf(parties, approver));
+    const release = voters(Direction.Release);
+    const refund = voters(Direction.Refund);
+
+    return {
+      address: row.address,
+      ...parties,
+      startBlock: row.start_block,
+      syncedBlock: row.synced_block,
+      state,
+      // Escrows deployed before pooled funding only emit FundsDeposited
+      deposited: contributed ?? deposited,
+      votes: { release, refund },
+      split: release.length > 0 && refund.length > 0 && !TERMINAL_STATES.includes(state),
+      lastEventBlock,
+    };
+  }
+}
+
+/**
+ * @typedef {object} IndexedEvent
+ * @property {string} escrow Escrow address
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {number} timestamp Block timestamp in seconds
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {string} event Event name, e.g. "ApprovalGiven"
+ * @property {Record<string, string|boolean>} args Event arguments by name; integers as decimal strings
+ */
+
+/**
+ * @typedef {object} EscrowSummary
+ * @property {string} address Escrow address
+ * @property {string} buyer Current buyer, after any indexed PartyReplaced events
+ * @property {string} seller
+ * @property {string} mediator
+ * @property {number} startBlock First indexed block
+ * @property {number} syncedBlock Last indexed block
+ * @property {keyof typeof State} state Lifecycle state after the last indexed StateChanged event
+ * @property {bigint} deposited Total contributed, including top-ups (FundsDeposited amounts for escrows without contribution events)
+ * @property {{release: string[], refund: string[]}} votes Roles (or addresses of non-parties) with an open vote per direction
+ * @property {boolean} split Whether open votes disagree and the escrow has not been paid out
+ * @property {number|null} lastEventBlock Block of the most recent indexed event
+ */
+
+function roleOf(parties, address) {
+  return ROLES.find((role) => parties[role] === address) ?? address;
+}
+
+function serialize(value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
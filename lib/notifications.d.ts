@@ -0,0 +1,79 @@
+import type { Role } from "./index.js";
+import type { EscrowIndexer } from "./indexer.js";
+
+export type NotificationKind = "vote-decisive" | "votes-conflict" | "funds-settled";
+
+export interface Notification {
+  /** Stable id: `<transactionHash>:<logIndex>:<kind>` */
+  id: string;
+  kind: NotificationKind;
+  escrow: string;
+  blockNumber: number;
+  transactionHash: string;
+  /** Parties the notification is for */
+  recipients: Array<{ role: Role; address: string }>;
+  /** Roles with an open vote per direction */
+  votes: { release: Role[]; refund: Role[] };
+  /** Set on funds-settled */
+  outcome?: "released" | "refunded" | "settled";
+  message: string;
+}
+
+export interface Notifier {
+  /** Unique name used for delivery tracking */
+  name: string;
+  /** Rejects to have the delivery retried */
+  notify(notification: Notification): Promise<void>;
+}
+
+export interface MailMessage {
+  from: string;
+  /** Comma-separated recipients */
+  to: string;
+  subject: string;
+  text: string;
+}
+
+export interface DeliveryStatus {
+  status: "pending" | "delivered" | "failed";
+  attempts: number;
+  lastError: string | null;
+}
+
+export declare class NotificationWatcher {
+  readonly indexer: EscrowIndexer;
+  readonly notifiers: Notifier[];
+  readonly maxAttempts: number;
+  readonly retryDelay: number;
+  constructor(options: {
+    indexer: EscrowIndexer;
+    notifiers: Notifier[];
+    database?: string;
+    maxAttempts?: number;
+    retryDelay?: number;
+  });
+  poll(): Promise<{ queued: number; delivered: number; failed: number }>;
+  follow(options?: { interval?: number; signal?: AbortSignal }): Promise<void>;
+  getNotifications(): Array<Notification & { deliveries: Record<string, DeliveryStatus> }>;
+  close(): void;
+}
+
+export declare function webhookNotifier(options: {
+  url: string;
+  secret: string;
+  name?: string;
+  fetch?: typeof fetch;
+}): Notifier;
+
+export declare function signPayload(secret: string, body: string): string;
+
+export declare function emailNotifier(options: {
+  transport: { sendMail(message: MailMessage): Promise<unknown> };
+  from: string;
+  addressBook: Record<string, string>;
+  name?: string;
+}): Notifier;
+
+export declare function fileMailTransport(dir: string): { sendMail(message: MailMessage): Promise<string> };
+
+export declare function stdoutNotifier(options?: { stream?: { write(chunk: string): unknown }; name?: string }): Notifier;
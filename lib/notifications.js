@@ -0,0 +1,420 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { sleep } from "./timers.js";
+
+/**
+ * Notifications for escrows that need a party's attention
+ *
+ * NotificationWatcher sits on an EscrowIndexer: each poll syncs the indexer,
+ * replays the new events of every followed escrow and queues a notification
+ * when
+ * - a vote leaves a direction one vote short of consensus (`vote-decisive`:
+ *   any remaining party's vote decides),
+ * - votes exist for both release and refund (`votes-conflict`: the remaining
+ *   party, usually the mediator, breaks the tie),
+ * - funds are released, refunded or settled (`funds-settled`).
+ *
+ * Notifications and their per-notifier delivery status live in SQLite.
+ * Notification ids derive from the triggering log, so a restart or a reorg
+ * that re-mines the same transaction never queues a second copy, and a
+ * delivery that succeeded is never repeated. Failed deliveries are retried
+ * with exponential backoff.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cursors (
+    escrow TEXT PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS notifications (
+    id TEXT PRIMARY KEY,
+    payload TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS deliveries (
+    notification_id TEXT NOT NULL,
+    notifier TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error TEXT,
+    PRIMARY KEY (notification_id, notifier)
+  );
+`;
+
+const ROLES = ["buyer", "seller", "mediator"];
+const DIRECTIONS = ["release", "refund"];
+const PAYOUT_EVENTS = { FundsReleased: "released", FundsRefunded: "refunded", FundsSettled: "settled" };
+
+/**
+ * Turns escrow events into notifications and delivers them
+ */
+export class NotificationWatcher {
+  #db;
+
+  /**
+   * @param {object} options
+   * @param {import("./indexer.js").EscrowIndexer} options.indexer Indexer following the watched escrows
+   * @param {Notifier[]} options.notifiers Notifiers; each needs a unique `name`
+   * @param {string} [options.database] SQLite file for the outbox; defaults to an in-memory database
+   * @param {number} [options.maxAttempts] Delivery attempts per notifier before giving up
+   * @param {number} [options.retryDelay] Delay before the first retry in milliseconds; doubles per attempt
+   */
+  constructor({ indexer, notifiers, database = ":memory:", maxAttempts = 5, retryDelay = 1000 }) {
+    const names = notifiers.map((notifier) => notifier.name);
+    if (new Set(names).size !== names.length) {
+      throw new TypeError(`Notifier names must be unique: ${names.join(", ")}`);
+    }
+
+    this.indexer = indexer;
+    this.notifiers = notifiers;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.#db = new Database(database);
+    this.#db.exec(SCHEMA);
+  }
+
+  /**
+   * Syncs the indexer, queues notifications for new events and delivers what is due
+   * @returns {Promise<{queued: number, delivered: number, failed: number}>} Counts for this poll;
+   *   `failed` counts deliveries that gave up after the last attempt
+   */
+  async poll() {
+    const { rewoundTo } = await this.indexer.sync();
+    if (rewoundTo !== null) {
+      // Re-scan the new branch; ids already queued are ignored on insert
+      this.#db
+        .prepare("UPDATE cursors SET block_number = ?, log_index = ? WHERE block_number > ?")
+        .run(rewoundTo, Number.MAX_SAFE_INTEGER, rewoundTo);
+    }
+
+    let queued = 0;
+    for (const escrow of this.indexer.findEscrows()) {
+      for (const notification of this.#scan(escrow)) {
+        queued += this.#enqueue(notification);
+      }
+    }
+
+    return { queued, ...(await this.#deliverDue()) };
+  }
+
+  /**
+   * Calls poll() repeatedly until the signal is aborted
+   * @param {object} [options]
+   * @param {number} [options.interval] Delay between polls in milliseconds
+   * @param {AbortSignal} [options.signal] Stops watching
+   * @returns {Promise<void>}
+   */
+  async follow({ interval = 5000, signal } = {}) {
+    while (!signal?.aborted) {
+      await this.poll();
+      await sleep(interval, signal);
+    }
+  }
+
+  /**
+   * Lists queued notifications with their delivery status per notifier
+   * @returns {Array<Notification & {deliveries: Record<string, {status: string, attempts: number, lastError: string|null}>}>}
+   */
+  getNotifications() {
+    const deliveries = this.#db.prepare("SELECT * FROM deliveries WHERE notification_id = ?");
+    return this.#db
+      .prepare("SELECT * FROM notifications ORDER BY rowid")
+      .all()
+      .map((row) => ({
+        ...JSON.parse(row.payload),
+        deliveries: Object.fromEntries(
+          deliveries.all(row.id).map((delivery) => [
+            delivery.notifier,
+            { status: delivery.status, attempts: delivery.attempts, lastError: delivery.last_error },
+          ])
+        ),
+      }));
+  }
+
+  /**
+   * Closes the outbox database
+   */
+  close() {
+    this.#db.close();
+  }
+
+  /**
+   * Replays an escrow's timeline and returns notifications for events past its cursor
+   */
+  *#scan(escrow) {
+    const cursor = this.#db.prepare("SELECT block_number, log_index FROM cursors WHERE escrow = ?").get(escrow.address)
+      ?? { block_number: -1, log_index: -1 };
+    const timeline = this.indexer.getTimeline(escrow.address);
+    // The escrow carries its current parties; undo replacements to replay from the original ones
+    const parties = ROLES.map((role) => ({ role, address: escrow[role] }));
+    for (const event of [...timeline].reverse()) {
+      if (event.event === "PartyReplaced") {
+        parties[Number(event.args.role)].address = event.args.previous;
+      }
+    }
+    const votes = new Map();
+    let last = null;
+
+    for (const event of timeline) {
+      if (event.event === "ApprovalGiven") {
+        votes.set(event.args.approver, DIRECTIONS[Number(event.args.direction)]);
+      } else if (event.event === "ApprovalRevoked") {
+        // Switching sides emits the new ApprovalGiven before revoking the old direction
+        if (votes.get(event.args.approver) === DIRECTIONS[Number(event.args.direction)]) {
+          votes.delete(event.args.approver);
+        }
+      } else if (event.event === "PartyReplaced") {
+        parties[Number(event.args.role)] = { ...parties[Number(event.args.role)], address: event.args.replacement };
+      }
+
+      const isNew = event.blockNumber > cursor.block_number
+        || (event.blockNumber === cursor.block_number && event.logIndex > cursor.log_index);
+      if (!isNew) continue;
+      last = event;
+
+      const notification = evaluate(event, parties, votes);
+      if (notification) {
+        yield {
+          id: `${event.transactionHash}:${event.logIndex}:${notification.kind}`,
+          escrow: escrow.address,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          ...notification,
+        };
+      }
+    }
+
+    if (last) {
+      this.#db
+        .prepare("INSERT OR REPLACE INTO cursors (escrow, block_number, log_index) VALUES (?, ?, ?)")
+        .run(escrow.address, last.blockNumber, last.logIndex);
+    }
+  }
+
+  #enqueue(notification) {
+    return this.#db.transaction(() => {
+      const { changes } = this.#db
+        .prepare("INSERT OR IGNORE INTO notifications (id, payload) VALUES (?, ?)")
+        .run(notification.id, JSON.stringify(notification));
+      if (changes === 0) return 0;
+
+      const insert = this.#db.prepare(
+        "INSERT INTO deliveries (notification_id, notifier, status, next_attempt_at) VALUES (?, ?, 'pending', 0)"
+      );
+      for (const notifier of this.notifiers) {
+        insert.run(notification.id, notifier.name);
+      }
+      return 1;
+    })();
+  }
+
+  async #deliverDue() {
+    const due = this.#db
+      .prepare(
+        `SELECT deliveries.*, notifications.payload FROM deliveries
+         JOIN notifications ON notifications.id = deliveries.notification_id
+         WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY notifications.rowid`
+      )
+      .all(Date.now());
+    const notifiers = new Map(this.notifiers.map((notifier) => [notifier.name, notifier]));
+    const update = this.#db.prepare(
+      `UPDATE deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?
+       WHERE notification_id = ? AND notifier = ?`
+    );
+
+    let delivered = 0;
+    let failed = 0;
+    for (const delivery of due) {
+      const notifier = notifiers.get(delivery.notifier);
+      if (!notifier) continue; // Notifier removed since the notification was queued
+
+      const attempts = delivery.attempts + 1;
+      try {
+        await notifier.notify(JSON.parse(delivery.payload));
+        update.run("delivered", attempts, 0, null, delivery.notification_id, delivery.notifier);
+        delivered++;
+      } catch (error) {
+        const status = attempts >= this.maxAttempts ? "failed" : "pending";
+        const nextAttemptAt = Date.now() + this.retryDelay * 2 ** (attempts - 1);
+        update.run(status, attempts, nextAttemptAt, error.message, delivery.notification_id, delivery.notifier);
+        if (status === "failed") failed++;
+      }
+    }
+    return { delivered, failed };
+  }
+}
+
+/**
+ * Sends notifications as JSON POST requests signed with HMAC-SHA256
+ * The hex digest of the raw body is sent as `X-Escrow-Signature: sha256=<digest>`;
+ * receivers recompute it with signPayload() to authenticate the request.
+ * @param {object} options
+ * @param {string} options.url Endpoint
+ * @param {string} options.secret Shared HMAC key
+ * @param {string} [options.name] Notifier name used for delivery tracking
+ * @param {typeof fetch} [options.fetch] fetch implementation
+ * @returns {Notifier}
+ */
+export function webhookNotifier({ url, secret, name = "webhook", fetch = globalThis.fetch }) {
+  return {
+    name,
+    async notify(notification) {
+      const body = JSON.stringify(notification);
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Escrow-Notification-Id": notification.id,
+          "X-Escrow-Signature": `sha256=${signPayload(secret, body)}`,
+        },
+        body,
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+    },
+  };
+}
+
+/**
+ * Computes the webhook signature of a request body
+ * @param {string} secret Shared HMAC key
+ * @param {string} body Raw request body
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+export function signPayload(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * Emails the notification's recipients
+ * Recipients without an entry in the address book are skipped; a notification
+ * none of whose recipients has one counts as delivered.
+ * @param {object} options
+ * @param {{sendMail: (message: MailMessage) => Promise<unknown>}} options.transport Mail transport, e.g. a
+ *   nodemailer SMTP transport or fileMailTransport()
+ * @param {string} options.from Sender address
+ * @param {Record<string, string>} options.addressBook Email address per chain address
+ * @param {string} [options.name] Notifier name used for delivery tracking
+ * @returns {Notifier}
+ */
+export function emailNotifier({ transport, from, addressBook, name = "email" }) {
+  const emails = new Map(Object.entries(addressBook).map(([address, email]) => [address.toLowerCase(), email]));
+
+  return {
+    name,
+    async notify(notification) {
+      const to = notification.recipients.map(({ address }) => emails.get(address.toLowerCase())).filter(Boolean);
+      if (to.length === 0) return;
+      await transport.sendMail({
+        from,
+        to: to.join(", "),
+        subject: `Escrow ${notification.escrow}: ${notification.kind}`,
+        text: `${notification.message}\n\nTransaction: ${notification.transactionHash} (block ${notification.blockNumber})\n`,
+      });
+    },
+  };
+}
+
+/**
+ * SMTP stand-in that writes each message to `<dir>/<timestamp>-<n>.eml`
+ * @param {string} dir Output directory; created if missing
+ * @returns {{sendMail: (message: MailMessage) => Promise<string>}} Resolves with the file path
+ */
+export function fileMailTransport(dir) {
+  let sequence = 0;
+  return {
+    async sendMail({ from, to, subject, text }) {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${sequence++}.eml`);
+      fs.writeFileSync(file, `From: ${from}\r\nTo: ${to}\r\nSubject: ${subject}\r\n\r\n${text}`);
+      return file;
+    },
+  };
+}
+
+/**
+ * Writes one line per notification
+ * @param {object} [options]
+ * @param {{write: (chunk: string) => void}} [options.stream] Output stream
+ * @param {string} [options.name] Notifier name used for delivery tracking
+ * @returns {Notifier}
+ */
+export function stdoutNotifier({ stream = process.stdout, name = "stdout" } = {}) {
+  return {
+    name,
+    async notify(notification) {
+      stream.write(`[${notification.kind}] ${notification.escrow}: ${notification.message}\n`);
+    },
+  };
+}
+
+/**
+ * @typedef {object} Notification
+ * @property {string} id Stable id: `<transactionHash>:<logIndex>:<kind>`
+ * @property {"vote-decisive"|"votes-conflict"|"funds-settled"} kind
+ * @property {string} escrow Escrow address
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {Array<{role: string, address: string}>} recipients Parties the notification is for
+ * @property {{release: string[], refund: string[]}} votes Roles with an open vote per direction
+ * @property {string} [outcome] "released", "refunded" or "settled" for funds-settled
+ * @property {string} message Human-readable summary
+ */
+
+/**
+ * @typedef {object} Notifier
+ * @property {string} name Unique name used for delivery tracking
+ * @property {(notification: Notification) => Promise<void>} notify Rejects to have the delivery retried
+ */
+
+/**
+ * @typedef {object} MailMessage
+ * @property {string} from
+ * @property {string} to Comma-separated recipients
+ * @property {string} subject
+ * @property {string} text
+ */
+
+function evaluate(event, parties, votes) {
+  const voted = (direction) => parties.filter(({ address }) => votes.get(address) === direction).map(({ role }) => role);
+  const summary = { release: voted("release"), refund: voted("refund") };
+
+  if (event.event in PAYOUT_EVENTS) {
+    const outcome = PAYOUT_EVENTS[event.event];
+    return { kind: "funds-settled", recipients: parties, votes: summary, outcome, message: `Funds ${outcome}` };
+  }
+  if (event.event !== "ApprovalGiven") {
+    return null;
+  }
+
+  const waiting = parties.filter(({ address }) => !votes.has(address));
+  if (waiting.length === 0) {
+    return null;
+  }
+  const names = waiting.map(({ role }) => role);
+  if (summary.release.length > 0 && summary.refund.length > 0) {
+    return {
+      kind: "votes-conflict",
+      recipients: waiting,
+      votes: summary,
+      message: `${summary.release.join(" and ")} voted release, ${summary.refund.join(" and ")} voted refund; the ${names.join(" and ")} decides`,
+    };
+  }
+
+  const direction = DIRECTIONS[Number(event.args.direction)];
+  if (summary[direction].length === 1) {
+    return {
+      kind: "vote-decisive",
+      recipients: waiting,
+      votes: summary,
+      message: `${summary[direction][0]} voted ${direction}; a vote from the ${names.join(" or ")} decides`,
+    };
+  }
+  return null;
+}
@@ -0,0 +1,77 @@
+/**
+ * EIP-712 helpers for gasless ThreePartyEscrow votes
+ *
+ * A party signs a Vote(direction, nonce, deadline) off-chain; a relayer submits
+ * it with approveWithSig(), or submits two of them with finalizeWithSignatures()
+ * to approve and finalize in one transaction. Works with any ethers v6 signer.
+ */
+
+/** Vote directions, matching the ThreePartyEscrow.Direction enum */
+export const Direction = Object.freeze({
+  Release: 0,
+  Refund: 1,
+});
+
+/** EIP-712 types for a vote */
+export const VOTE_TYPES = Object.freeze({
+  Vote: [
+    { name: "direction", type: "uint8" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+});
+
+/**
+ * Builds the EIP-712 domain, types and message for a vote
+ * @param {import("ethers").Contract} escrow ThreePartyEscrow contract
+ * @param {object} params
+ * @param {number} params.direction One of Direction
+ * @param {string} params.signer Address of the party signing
+ * @param {bigint|number} params.deadline Unix timestamp after which the vote is rejected
+ * @param {bigint|number} [params.nonce] Signer's nonce; read from the escrow when omitted
+ * @returns {Promise<{domain: object, types: object, message: object}>}
+ */
+export async function buildVoteTypedData(escrow, { direction, signer, deadline, nonce }) {
+  const { chainId } = await escrow.runner.provider.getNetwork();
+
+  return {
+    domain: {
+      name: "ThreePartyEscrow",
+      version: "1",
+      chainId,
+      verifyingContract: await escrow.getAddress(),
+    },
+    types: VOTE_TYPES,
+    message: {
+      direction,
+      nonce: nonce ?? (await escrow.nonces(signer)),
+      deadline,
+    },
+  };
+}
+
+/**
+ * Signs a vote and returns it in the shape the escrow expects
+ * @param {import("ethers").Signer} signer Party signing the vote
+ * @param {import("ethers").Contract} escrow ThreePartyEscrow contract
+ * @param {object} params
+ * @param {number} params.direction One of Direction
+ * @param {bigint|number} params.deadline Unix timestamp after which the vote is rejected
+ * @param {bigint|number} [params.nonce] Signer's nonce; read from the escrow when omitted
+ * @returns {Promise<{signer: string, deadline: bigint|number, signature: string}>} SignedVote struct
+ */
+export async function signVote(signer, escrow, { direction, deadline, nonce }) {
+  const address = await signer.getAddress();
+  const { domain, types, message } = await buildVoteTypedData(escrow, {
+    direction,
+    signer: address,
+    deadline,
+    nonce,
+  });
+
+  return {
+    signer: address,
+    deadline,
+    signature: await signer.signTypedData(domain, types, message),
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * Timer helpers shared by the long-running followers (indexer, notifications, CLI watch)
+ */
+
+/**
+ * Waits `ms` milliseconds, or until the signal aborts
+ *
+ * Resolves rather than rejects on abort so polling loops can re-check the
+ * signal and return. The abort listener is removed when the timer fires, so
+ * a long-lived signal does not collect one listener per poll.
+ * @param {number} ms Delay in milliseconds
+ * @param {AbortSignal} [signal] Cuts the wait short
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,330 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+/**
+ * Off-chain verification of a deployed escrow
+ *
+ * recompile() rebuilds a contract from the sources on disk with the compiler
+ * version and settings recorded for a build (build/solc-input.json or a
+ * Hardhat build info). verifyDeployment() compares the result with the
+ * runtime code at an address, ignoring the metadata hash solc appends (it
+ * changes with comments and file paths, not with behaviour), and reads the
+ * party slots back from storage to confirm who the buyer, seller and mediator
+ * are. EIP-1167 clones from EscrowFactory are followed to their
+ * implementation; the parties are read from the clone's own storage.
+ *
+ * signReport() signs the resulting report so it can be handed to a
+ * counterparty, who checks it with recoverReportSigner().
+ */
+
+export const REPORT_VERSION = 1;
+
+const PARTIES = ["buyer", "seller", "mediator"];
+const CLONE_RUNTIME = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+/**
+ * Error for a build that cannot be reproduced or an address with nothing to verify
+ */
+export class VerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "VerificationError";
+  }
+}
+
+/**
+ * Loads the solc build matching a recorded compiler version
+ *
+ * The installed solc package is used when its version matches; any other
+ * version is downloaded from the official solc-bin mirror.
+ * @param {string} version Long version, e.g. "0.8.20+commit.a1b79de6"
+ * @returns {Promise<object>} solc-js compiler
+ */
+export async function loadCompiler(version) {
+  const { default: solc } = await import("solc");
+  if (normalizeVersion(solc.version()) === normalizeVersion(version)) {
+    return solc;
+  }
+  return new Promise((resolve, reject) => {
+    solc.loadRemoteVersion(`v${normalizeVersion(version)}`, (error, compiler) => {
+      if (error) {
+        reject(new VerificationError(`Cannot load solc ${version}: ${error.message}`));
+      } else {
+        resolve(compiler);
+      }
+    });
+  });
+}
+
+/**
+ * Recompiles a contract from the sources under `root` with recorded compiler settings
+ * @param {object} params
+ * @param {{solcVersion: string, input: {sources: object, settings: object}}} params.record Recorded compiler input;
+ *   only its source names and settings are used, the source contents are read from disk
+ * @param {string} [params.contractName]
+ * @param {string} [params.root] Project root the source names are relative to
+ * @param {object} [params.compiler] solc-js compiler; defaults to loadCompiler(record.solcVersion)
+ * @returns {Promise<RecompiledContract>}
+ */
+export async function recompile({ record, contractName = "ThreePartyEscrow", root = process.cwd(), compiler }) {
+  const solc = compiler ?? (await loadCompiler(record.solcVersion));
+  const readSource = (sourceName) => {
+    for (const candidate of [path.join(root, sourceName), path.join(root, "node_modules", sourceName)]) {
+      if (fs.existsSync(candidate)) {
+        return fs.readFileSync(candidate, "utf8");
+      }
+    }
+    return null;
+  };
+
+  const sources = {};
+  for (const sourceName of Object.keys(record.input.sources)) {
+    const content = readSource(sourceName);
+    if (content === null) {
+      throw new VerificationError(`Source ${sourceName} not found under ${root}`);
+    }
+    sources[sourceName] = { content };
+  }
+
+  const { outputSelection, ...settings } = record.input.settings;
+  const input = {
+    language: "Solidity",
+    sources,
+    settings: {
+      ...settings,
+      outputSelection: {
+        "*": {
+          "*": [
+            "abi",
+            "metadata",
+            "storageLayout",
+            "evm.bytecode.object",
+            "evm.deployedBytecode.object",
+            "evm.deployedBytecode.immutableReferences",
+          ],
+        },
+      },
+    },
+  };
+
+  const output = JSON.parse(
+    solc.compile(JSON.stringify(input), {
+      import: (sourceName) => {
+        const contents = readSource(sourceName);
+        return contents === null ? { error: `File not found: ${sourceName}` } : { contents };
+      },
+    })
+  );
+  const errors = (output.errors ?? []).filter((error) => error.severity === "error");
+  if (errors.length > 0) {
+    throw new VerificationError(`Compilation failed:\n${errors.map((error) => error.formattedMessage).join("\n")}`);
+  }
+
+  const [sourceName, contract] =
+    Object.entries(output.contracts ?? {})
+      .map(([name, contracts]) => [name, contracts[contractName]])
+      .find(([, found]) => found) ?? [];
+  if (!contract) {
+    throw new VerificationError(`${contractName} is not defined in the recorded sources`);
+  }
+
+  const metadata = JSON.parse(contract.metadata);
+  return {
+    contractName,
+    sourceName,
+    compiler: { version: solc.version(), settings },
+    abi: contract.abi,
+    bytecode: `0x${contract.evm.bytecode.object}`,
+    deployedBytecode: `0x${contract.evm.deployedBytecode.object}`,
+    immutableReferences: contract.evm.deployedBytecode.immutableReferences ?? {},
+    storageLayout: contract.storageLayout,
+    sources: Object.fromEntries(Object.entries(metadata.sources).map(([name, { keccak256 }]) => [name, keccak256])),
+  };
+}
+
+/**
+ * Removes the CBOR-encoded metadata solc appends to runtime code
+ * @param {string} code Hex runtime code
+ * @returns {{code: string, metadata: string|null}} Code without metadata, and the metadata itself
+ */
+export function stripMetadata(code) {
+  const bytes = ethers.getBytes(code);
+  if (bytes.length < 2) {
+    return { code: ethers.hexlify(bytes), metadata: null };
+  }
+  const length = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  const start = bytes.length - 2 - length;
+  // Every solc metadata map starts with 0xa1-0xa5 (a CBOR map of 1-5 entries)
+  if (length === 0 || start < 0 || bytes[start] < 0xa1 || bytes[start] > 0xa5) {
+    return { code: ethers.hexlify(bytes), metadata: null };
+  }
+  return { code: ethers.hexlify(bytes.slice(0, start)), metadata: ethers.hexlify(bytes.slice(start)) };
+}
+
+/**
+ * Checks the code and parties of a deployed escrow against a recompiled build
+ * @param {object} params
+ * @param {import("ethers").Provider} params.provider
+ * @param {string} params.address Escrow, or an EIP-1167 clone of one
+ * @param {RecompiledContract} params.build Result of recompile()
+ * @param {{buyer?: string, seller?: string, mediator?: string}} [params.expected] Claimed parties; omitted ones are only read back
+ * @param {import("ethers").BlockTag} [params.blockTag] Block to verify at; defaults to the latest block
+ * @returns {Promise<VerificationReport>}
+ */
+export async function verifyDeployment({ provider, address, build, expected = {}, blockTag }) {
+  address = ethers.getAddress(address);
+  const block = await provider.getBlock(blockTag ?? "latest");
+  const { chainId } = await provider.getNetwork();
+
+  let code = await provider.getCode(address, block.number);
+  if (code === "0x") {
+    throw new VerificationError(`No contract deployed at ${address}`);
+  }
+  let proxy = null;
+  const clone = code.match(CLONE_RUNTIME);
+  if (clone) {
+    const implementation = ethers.getAddress(`0x${clone[1]}`);
+    proxy = { type: "eip1167", implementation };
+    code = await provider.getCode(implementation, block.number);
+    if (code === "0x") {
+      throw new VerificationError(`Clone ${address} points to ${implementation}, which has no code`);
+    }
+  }
+
+  const deployed = stripMetadata(maskImmutables(code, build.immutableReferences));
+  const compiled = stripMetadata(maskImmutables(build.deployedBytecode, build.immutableReferences));
+  const bytecode = {
+    match: deployed.code === compiled.code,
+    metadataMatch: deployed.metadata !== null && deployed.metadata === compiled.metadata,
+    deployedHash: ethers.keccak256(code),
+    compiledHash: ethers.keccak256(build.deployedBytecode),
+  };
+
+  const parties = {};
+  for (const role of PARTIES) {
+    const variable = build.storageLayout.storage.find(({ label }) => label === role);
+    if (!variable) {
+      throw new VerificationError(`${build.contractName} has no ${role} storage variable`);
+    }
+    const word = ethers.getBytes(await provider.getStorage(address, BigInt(variable.slot), block.number));
+    const end = 32 - variable.offset;
+    const onChain = ethers.getAddress(ethers.hexlify(word.slice(end - 20, end)));
+    const claimed = expected[role] === undefined ? null : ethers.getAddress(expected[role]);
+    parties[role] = {
+      slot: Number(variable.slot),
+      offset: variable.offset,
+      onChain,
+      expected: claimed,
+      match: claimed === null || claimed === onChain,
+    };
+  }
+
+  return {
+    version: REPORT_VERSION,
+    chainId: Number(chainId),
+    blockNumber: block.number,
+    blockHash: block.hash,
+    address,
+    proxy,
+    contractName: build.contractName,
+    sourceName: build.sourceName,
+    compiler: build.compiler,
+    sources: build.sources,
+    bytecode,
+    parties,
+    verified: bytecode.match && Object.values(parties).every(({ match }) => match),
+  };
+}
+
+/**
+ * Signs a report with EIP-191 over its canonical JSON
+ * @param {VerificationReport} report
+ * @param {import("ethers").Signer} signer Key of whoever vouches for the report
+ * @returns {Promise<SignedReport>}
+ */
+export async function signReport(report, signer) {
+  return {
+    report,
+    signer: await signer.getAddress(),
+    signature: await signer.signMessage(canonicalJson(report)),
+  };
+}
+
+/**
+ * Recovers the address that signed a report
+ *
+ * Compare the result with the `signer` the report claims, and with the key you
+ * expect the verifier to use; any change to the report changes the address.
+ * @param {SignedReport} signed
+ * @returns {string} Checksummed address
+ */
+export function recoverReportSigner({ report, signature }) {
+  return ethers.verifyMessage(canonicalJson(report), signature);
+}
+
+// Immutable values are written into the runtime code by the constructor; zero them on both sides
+function maskImmutables(code, immutableReferences) {
+  const bytes = ethers.getBytes(code);
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      bytes.fill(0, start, start + length);
+    }
+  }
+  return ethers.hexlify(bytes);
+}
+
+// JSON with object keys sorted at every level, so the signed bytes do not depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// "0.8.20+commit.a1b79de6.Emscripten.clang" -> "0.8.20+commit.a1b79de6"
+function normalizeVersion(version) {
+  return version.replace(/^v/, "").split(".").slice(0, 4).join(".");
+}
+
+/**
+ * @typedef {object} RecompiledContract
+ * @property {string} contractName
+ * @property {string} sourceName
+ * @property {{version: string, settings: object}} compiler Compiler used and settings without outputSelection
+ * @property {Array} abi
+ * @property {string} bytecode Creation code
+ * @property {string} deployedBytecode Runtime code
+ * @property {Record<string, Array<{start: number, length: number}>>} immutableReferences
+ * @property {{storage: Array, types: object}} storageLayout
+ * @property {Record<string, string>} sources keccak256 of every source file in the build, by source name
+ */
+
+/**
+ * @typedef {object} VerificationReport
+ * @property {number} version Report format version
+ * @property {number} chainId
+ * @property {number} blockNumber Block the code and storage were read at
+ * @property {string} blockHash
+ * @property {string} address
+ * @property {{type: "eip1167", implementation: string}|null} proxy Set for a clone
+ * @property {string} contractName
+ * @property {string} sourceName
+ * @property {{version: string, settings: object}} compiler
+ * @property {Record<string, string>} sources keccak256 of every source file in the build
+ * @property {{match: boolean, metadataMatch: boolean, deployedHash: string, compiledHash: string}} bytecode
+ *   `match` ignores the metadata hash; `metadataMatch` additionally means the sources are byte-for-byte identical
+ * @property {Record<"buyer"|"seller"|"mediator", {slot: number, offset: number, onChain: string, expected: string|null, match: boolean}>} parties
+ * @property {boolean} verified The code matches and every claimed party matches
+ */
+
+/**
+ * @typedef {object} SignedReport
+ * @property {VerificationReport} report
+ * @property {string} signer Address that claims to have signed
+ * @property {string} signature EIP-191 signature over the canonical JSON of `report`
+ */
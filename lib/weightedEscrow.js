@@ -0,0 +1,253 @@
+import { ethers } from "ethers";
+import { decodeEscrowError } from "./errors.js";
+import { loadArtifact } from "./escrowClient.js";
+import { Direction } from "./signatures.js";
+
+/**
+ * Client for WeightedEscrow, the M-of-N variant of ThreePartyEscrow
+ *
+ * An approver set is a list of `{ address, weight }` plus a weight threshold
+ * per direction. validateApproverSet() applies the constructor's checks
+ * off-chain and throws the custom error the deployment would revert with,
+ * so a backend can reject a bad deal before paying for it.
+ */
+
+/** Lifecycle states, matching the WeightedEscrow.State enum */
+export const WeightedState = Object.freeze({
+  AwaitingDeposit: 0,
+  Funded: 1,
+  ReleaseApproved: 2,
+  RefundApproved: 3,
+  Released: 4,
+  Refunded: 5,
+});
+
+const STATE_NAMES = Object.keys(WeightedState);
+
+// Custom errors of the WeightedEscrow constructor, as the ABI declares them
+const CONSTRUCTOR_ERRORS = new ethers.Interface([
+  "error ZeroAddress(uint8 role)",
+  "error DuplicateParty(uint8 first, uint8 second)",
+  "error NoApprovers()",
+  "error ZeroApprover(uint256 index)",
+  "error ZeroWeight(address approver)",
+  "error DuplicateApprover(address approver)",
+  "error ThresholdOutOfRange(uint8 direction, uint256 threshold, uint256 totalWeight)",
+  "error ConflictingThresholds(uint256 releaseThreshold, uint256 refundThreshold, uint256 totalWeight)",
+]);
+
+/**
+ * Checks an escrow configuration the way the WeightedEscrow constructor does
+ * @param {WeightedEscrowConfig} config
+ * @returns {bigint} Total approver weight
+ * @throws {EscrowError} With the custom error the constructor would revert with
+ */
+export function validateApproverSet({ buyer, seller, approvers, releaseThreshold, refundThreshold }) {
+  const check = (condition, errorName, args = []) => {
+    if (!condition) {
+      throw decodeEscrowError({ data: CONSTRUCTOR_ERRORS.encodeErrorResult(errorName, args) }, CONSTRUCTOR_ERRORS);
+    }
+  };
+  check(buyer !== ethers.ZeroAddress, "ZeroAddress", [0]);
+  check(seller !== ethers.ZeroAddress, "ZeroAddress", [1]);
+  check(ethers.getAddress(buyer) !== ethers.getAddress(seller), "DuplicateParty", [0, 1]);
+  check(approvers.length > 0, "NoApprovers");
+
+  const seen = new Set();
+  let total = 0n;
+  for (const [index, { address, weight }] of approvers.entries()) {
+    check(address !== ethers.ZeroAddress, "ZeroApprover", [index]);
+    check(BigInt(weight) > 0n, "ZeroWeight", [address]);
+    check(!seen.has(ethers.getAddress(address)), "DuplicateApprover", [address]);
+    seen.add(ethers.getAddress(address));
+    total += BigInt(weight);
+  }
+
+  const release = BigInt(releaseThreshold);
+  const refund = BigInt(refundThreshold);
+  check(release > 0n && release <= total, "ThresholdOutOfRange", [Direction.Release, release, total]);
+  check(refund > 0n && refund <= total, "ThresholdOutOfRange", [Direction.Refund, refund, total]);
+  check(release + refund > total, "ConflictingThresholds", [release, refund, total]);
+  return total;
+}
+
+/**
+ * Client for a single WeightedEscrow instance
+ */
+export class WeightedEscrowClient {
+  /**
+   * @param {import("ethers").Contract} contract Escrow contract, connected to the signer that sends transactions
+   */
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * Validates the configuration and deploys a new escrow
+   * @param {import("ethers").Signer} signer Deployer
+   * @param {WeightedEscrowConfig} config
+   * @param {object} [options]
+   * @param {{abi: Array, bytecode: string}} [options.artifact] Compiled WeightedEscrow; loaded from disk when omitted
+   * @returns {Promise<WeightedEscrowClient>} Client connected to `signer`, resolved once the contract is deployed
+   */
+  static async deploy(signer, config, { artifact = loadArtifact("WeightedEscrow") } = {}) {
+    validateApproverSet(config);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    let contract;
+    try {
+      contract = await factory.deploy(
+        config.buyer,
+        config.seller,
+        config.approvers.map(({ address }) => address),
+        config.approvers.map(({ weight }) => weight),
+        config.releaseThreshold,
+        config.refundThreshold
+      );
+    } catch (error) {
+      throw decodeEscrowError(error, factory.interface);
+    }
+    await contract.waitForDeployment();
+    return new WeightedEscrowClient(contract);
+  }
+
+  /**
+   * Attaches to an escrow that is already deployed
+   * @param {string} address Escrow address
+   * @param {import("ethers").ContractRunner} runner Signer for transactions, or a provider for read-only use
+   * @param {object} [options]
+   * @param {{abi: Array}} [options.artifact] Compiled WeightedEscrow; loaded from disk when omitted
+   * @returns {WeightedEscrowClient}
+   */
+  static attach(address, runner, { artifact = loadArtifact("WeightedEscrow") } = {}) {
+    return new WeightedEscrowClient(new ethers.Contract(address, artifact.abi, runner));
+  }
+
+  /**
+   * Returns a client sending transactions from another signer
+   * @param {import("ethers").Signer} signer
+   * @returns {WeightedEscrowClient}
+   */
+  connect(signer) {
+    return new WeightedEscrowClient(this.contract.connect(signer));
+  }
+
+  /**
+   * Escrow address
+   * @returns {Promise<string>}
+   */
+  getAddress() {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * Deposits Ether as the buyer
+   * @param {bigint} value Amount in wei
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  deposit(value) {
+    return this.#send("deposit", [], { value });
+  }
+
+  /**
+   * Adds the signer's weight to a direction
+   * @param {number} direction One of Direction
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  approve(direction) {
+    return this.#send(directionMethod(direction, "approveRelease", "approveRefund"), []);
+  }
+
+  /**
+   * Withdraws the signer's vote for a direction
+   * @param {number} direction One of Direction
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  revoke(direction) {
+    return this.#send(directionMethod(direction, "revokeReleaseApproval", "revokeRefundApproval"), []);
+  }
+
+  /**
+   * Pays out once the direction's threshold is reached
+   * @param {number} direction One of Direction
+   * @returns {Promise<import("ethers").ContractTransactionResponse>}
+   */
+  finalize(direction) {
+    return this.#send(directionMethod(direction, "finalizeRelease", "finalizeRefund"), []);
+  }
+
+  /**
+   * Reads the escrow state, including every approver's weight and vote
+   * @returns {Promise<WeightedEscrowState>}
+   */
+  async getState() {
+    const c = this.contract;
+    const [address, buyer, seller, amount, state, [addresses, weights], totalWeight, thresholds, tallies] = await Promise.all([
+      c.getAddress(),
+      c.buyer(),
+      c.seller(),
+      c.amount(),
+      c.state(),
+      c.getApprovers(),
+      c.totalWeight(),
+      Promise.all([c.releaseThreshold(), c.refundThreshold()]),
+      Promise.all([c.releaseWeight(), c.refundWeight()]),
+    ]);
+    const approvers = await Promise.all(
+      addresses.map(async (approver, i) => {
+        const [release, refund] = await Promise.all([c.approvedRelease(approver), c.approvedRefund(approver)]);
+        return { address: approver, weight: weights[i], vote: release ? "release" : refund ? "refund" : null };
+      })
+    );
+
+    return {
+      address,
+      buyer,
+      seller,
+      amount,
+      state: STATE_NAMES[Number(state)],
+      approvers,
+      totalWeight,
+      release: { weight: tallies[0], threshold: thresholds[0] },
+      refund: { weight: tallies[1], threshold: thresholds[1] },
+    };
+  }
+
+  /**
+   * Sends a transaction, decoding any revert into an EscrowError
+   */
+  async #send(method, args, overrides = {}) {
+    try {
+      return await this.contract[method](...args, overrides);
+    } catch (error) {
+      throw decodeEscrowError(error, this.contract.interface);
+    }
+  }
+}
+
+function directionMethod(direction, releaseMethod, refundMethod) {
+  if (direction === Direction.Release) return releaseMethod;
+  if (direction === Direction.Refund) return refundMethod;
+  throw new TypeError(`Unknown direction: ${direction}`);
+}
+
+/**
+ * @typedef {object} WeightedEscrowConfig
+ * @property {string} buyer Depositor, refunded on a refund
+ * @property {string} seller Paid on a release
+ * @property {Array<{address: string, weight: bigint|number}>} approvers Addresses allowed to vote, with their weights
+ * @property {bigint|number} releaseThreshold Weight needed to release
+ * @property {bigint|number} refundThreshold Weight needed to refund
+ */
+
+/**
+ * @typedef {object} WeightedEscrowState
+ * @property {string} address
+ * @property {string} buyer
+ * @property {string} seller
+ * @property {bigint} amount Funds currently held
+ * @property {keyof typeof WeightedState} state Lifecycle state name
+ * @property {Array<{address: string, weight: bigint, vote: "release"|"refund"|null}>} approvers In construction order
+ * @property {bigint} totalWeight
+ * @property {{weight: bigint, threshold: bigint}} release Weight approving a release, and the weight needed
+ * @property {{weight: bigint, threshold: bigint}} refund Weight approving a refund, and the weight needed
+ */
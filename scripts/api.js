@@ -0,0 +1,45 @@
+import { ethers } from "hardhat";
+import { createApiServer } from "../lib/api.js";
+import { EscrowIndexer } from "../lib/indexer.js";
+
+/**
+ * Runs the escrow HTTP API
+ *
+ * Serves on PORT (default 3000). GET /escrows is backed by an indexer on
+ * INDEXER_DB (default escrows.db) that follows the comma-separated escrow
+ * addresses in ESCROW_ADDRESSES from START_BLOCK (default 0); escrows the
+ * database already follows are kept. Stop it with Ctrl+C.
+ *
+ * Usage:
+ * PORT=3000 ESCROW_ADDRESSES=0x... npx hardhat run scripts/api.js --network <network-name>
+ */
+async function main() {
+  const indexer = new EscrowIndexer({
+    provider: ethers.provider,
+    database: process.env.INDEXER_DB ?? "escrows.db",
+    confirmations: Number(process.env.CONFIRMATIONS ?? 12),
+  });
+  const addresses = (process.env.ESCROW_ADDRESSES ?? "").split(",").map((address) => address.trim()).filter(Boolean);
+  for (const address of addresses) {
+    await indexer.addEscrow(address, { startBlock: Number(process.env.START_BLOCK ?? 0) });
+  }
+
+  const server = createApiServer({ provider: ethers.provider, indexer });
+  const port = Number(process.env.PORT ?? 3000);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Escrow API listening on http://localhost:${port} (OpenAPI at /openapi.json)`);
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  await indexer.follow({ signal: controller.signal });
+
+  await new Promise((resolve) => server.close(resolve));
+  indexer.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
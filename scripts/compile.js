@@ -1,58 +1,155 @@
 import solc from 'solc';
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
 
-// Read the source code
-const contractPath = path.join(process.cwd(), 'contracts', 'ThreePartyEscrow.sol');
-const source = fs.readFileSync(contractPath, 'utf8');
+/**
+ * Compiles every contract under contracts/ with the solc npm package
+ *
+ * Writes one artifact per contract to build/contracts/<ContractName>.json
+ * with the ABI, creation and deployed bytecode, source maps, link references,
+ * metadata, storage layout and gas estimates, plus the exact compiler input
+ * to build/solc-input.json so the build can be reproduced for source
+ * verification. The output stays out of artifacts/, where Hardhat deletes
+ * files it did not write.
+ *
+ * Usage:
+ * node scripts/compile.js [--strict] [--optimizer-runs <n>] [--no-optimizer] [--evm-version <version>]
+ *
+ * --strict fails the build on warnings as well as errors.
+ */
+
+const ARTIFACT_FORMAT = 'escrow-artifact-1';
+
+const { values: options } = parseArgs({
+  options: {
+    strict: { type: 'boolean', default: false },
+    'optimizer-runs': { type: 'string', default: '200' },
+    'no-optimizer': { type: 'boolean', default: false },
+    'evm-version': { type: 'string' },
+  },
+});
+
+const root = process.cwd();
+const contractsDir = path.join(root, 'contracts');
+const buildDir = path.join(root, 'build');
+const artifactsDir = path.join(buildDir, 'contracts');
+
+const runs = Number(options['optimizer-runs']);
+if (!Number.isInteger(runs) || runs < 1) {
+  console.error(`--optimizer-runs must be a positive integer, got ${options['optimizer-runs']}`);
+  process.exit(1);
+}
+
+// Source unit names are paths relative to the project root, e.g. "contracts/mocks/MockERC20.sol"
+function findSources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findSources(fullPath);
+    return entry.name.endsWith('.sol') ? [path.relative(root, fullPath).split(path.sep).join('/')] : [];
+  });
+}
+
+const sourceNames = findSources(contractsDir).sort();
 
 // Prepare the input for the compiler
 const input = {
   language: 'Solidity',
-  sources: {
-    'ThreePartyEscrow.sol': {
-      content: source,
-    },
-  },
+  sources: Object.fromEntries(
+    sourceNames.map((sourceName) => [sourceName, { content: fs.readFileSync(path.join(root, sourceName), 'utf8') }])
+  ),
   settings: {
+    // The escrow exceeds the 24 KB contract size limit without the optimizer
+    optimizer: {
+      enabled: !options['no-optimizer'],
+      runs,
+    },
+    ...(options['evm-version'] ? { evmVersion: options['evm-version'] } : {}),
     outputSelection: {
       '*': {
-        '*': ['abi', 'evm.bytecode'],
+        '*': [
+          'abi',
+          'metadata',
+          'storageLayout',
+          'evm.bytecode.object',
+          'evm.bytecode.sourceMap',
+          'evm.bytecode.linkReferences',
+          'evm.deployedBytecode.object',
+          'evm.deployedBytecode.sourceMap',
+          'evm.deployedBytecode.linkReferences',
+          'evm.gasEstimates',
+        ],
       },
     },
   },
 };
 
-// Compile the contract
-const output = JSON.parse(solc.compile(JSON.stringify(input)));
-
-// Check for errors
-if (output.errors) {
-  let hasError = false;
-  output.errors.forEach((error) => {
-    console.error(error.formattedMessage);
-    if (error.severity === 'error') {
-      hasError = true;
+// Resolve imports that are not under contracts/ (e.g. packages) from the project root or node_modules
+function findImports(importPath) {
+  for (const candidate of [path.join(root, importPath), path.join(root, 'node_modules', importPath)]) {
+    if (fs.existsSync(candidate)) {
+      return { contents: fs.readFileSync(candidate, 'utf8') };
     }
-  });
-  if (hasError) {
-    process.exit(1);
   }
+  return { error: `File not found: ${importPath}` };
 }
 
-// Write the output to artifacts
-const artifactsDir = path.join(process.cwd(), 'artifacts', 'contracts');
+// Compile the contracts
+const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+
+// Check for errors, and for warnings in strict mode
+const problems = (output.errors ?? []).filter(
+  (error) => error.severity === 'error' || (options.strict && error.severity === 'warning')
+);
+(output.errors ?? []).forEach((error) => console.error(error.formattedMessage));
+if (problems.length > 0) {
+  const kind = options.strict ? 'error(s) or warning(s)' : 'error(s)';
+  console.error(`✗ Compilation failed with ${problems.length} ${kind}`);
+  process.exit(1);
+}
+
+// Write one artifact per contract; contract names must be unique across files
 fs.mkdirSync(artifactsDir, { recursive: true });
 
-const contract = output.contracts['ThreePartyEscrow.sol']['ThreePartyEscrow'];
-const artifact = {
-  abi: contract.abi,
-  bytecode: contract.evm.bytecode.object,
-};
+const written = new Map();
+for (const [sourceName, contracts] of Object.entries(output.contracts)) {
+  for (const [contractName, contract] of Object.entries(contracts)) {
+    if (written.has(contractName)) {
+      console.error(`✗ ${contractName} is defined in both ${written.get(contractName)} and ${sourceName}`);
+      process.exit(1);
+    }
+    written.set(contractName, sourceName);
+
+    const { bytecode, deployedBytecode, gasEstimates } = contract.evm;
+    const artifact = {
+      _format: ARTIFACT_FORMAT,
+      contractName,
+      sourceName,
+      compiler: {
+        version: solc.version(),
+        settings: { optimizer: input.settings.optimizer, evmVersion: input.settings.evmVersion ?? null },
+      },
+      abi: contract.abi,
+      bytecode: `0x${bytecode.object}`,
+      deployedBytecode: `0x${deployedBytecode.object}`,
+      sourceMap: bytecode.sourceMap,
+      deployedSourceMap: deployedBytecode.sourceMap,
+      linkReferences: bytecode.linkReferences,
+      deployedLinkReferences: deployedBytecode.linkReferences,
+      metadata: contract.metadata,
+      storageLayout: contract.storageLayout,
+      gasEstimates: gasEstimates ?? null,
+    };
+
+    fs.writeFileSync(path.join(artifactsDir, `${contractName}.json`), JSON.stringify(artifact, null, 2));
+  }
+}
 
+// Keep the exact input so the build can be reproduced
 fs.writeFileSync(
-  path.join(artifactsDir, 'ThreePartyEscrow.json'),
-  JSON.stringify(artifact, null, 2)
+  path.join(buildDir, 'solc-input.json'),
+  JSON.stringify({ solcVersion: solc.version(), input }, null, 2)
 );
 
-console.log('✓ Compiled successfully');
+const warnings = (output.errors ?? []).filter((error) => error.severity === 'warning').length;
+console.log(`✓ Compiled ${written.size} contracts from ${sourceNames.length} files${warnings ? ` (${warnings} warning(s))` : ''}`);
@@ -1,4 +1,5 @@
 import { ethers } from "hardhat";
+import { Direction, EscrowClient } from "../lib/index.js";
 
 /**
  * Example script demonstrating how to interact with the ThreePartyEscrow contract
@@ -7,7 +8,9 @@ import { ethers } from "hardhat";
  * 1. Deploy contract
  * 2. Buyer deposits funds
  * 3. Buyer and seller approve release
- * 4. Funds are released to seller
+ * 4. Funds are released to seller, after simulating the finalize
+ *
+ * It then repeats the flow with an ERC-20 token escrow funded from a mock token.
  */
 async function main() {
   const [buyer, seller, mediator] = await ethers.getSigners();
@@ -21,49 +24,53 @@ async function main() {
   
   // Step 1: Deploy the contract
   console.log("Step 1: Deploying escrow contract...");
-  const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
-  const escrow = await ThreePartyEscrow.deploy(buyer.address, seller.address, mediator.address);
-  await escrow.waitForDeployment();
-  console.log("  Contract deployed at:", await escrow.getAddress());
+  const escrow = await EscrowClient.deploy(buyer, {
+    buyer: buyer.address,
+    seller: seller.address,
+    mediator: mediator.address,
+  });
+  const escrowAddress = await escrow.getAddress();
+  console.log("  Contract deployed at:", escrowAddress);
   console.log();
   
   // Step 2: Buyer deposits funds
   console.log("Step 2: Buyer deposits 1 ETH...");
   const depositAmount = ethers.parseEther("1.0");
-  const depositTx = await escrow.connect(buyer).deposit({ value: depositAmount });
-  await depositTx.wait();
+  await (await escrow.connect(buyer).deposit(depositAmount)).wait();
   console.log("  Deposited:", ethers.formatEther(depositAmount), "ETH");
-  console.log("  Escrow balance:", ethers.formatEther(await ethers.provider.getBalance(await escrow.getAddress())), "ETH");
-  console.log("  Status:", await escrow.getEscrowStatus());
-  console.log();
+  console.log("  Escrow balance:", ethers.formatEther(await ethers.provider.getBalance(escrowAddress)), "ETH");
   
   // Check state
-  let state = await escrow.getEscrowState();
+  let state = await escrow.getState();
+  console.log("  State:", state.state);
+  console.log();
   console.log("Current State:");
-  console.log("  Amount in escrow:", ethers.formatEther(state._amount), "ETH");
-  console.log("  Buyer approved release:", state._buyerApprovedRelease);
-  console.log("  Seller approved release:", state._sellerApprovedRelease);
-  console.log("  Mediator approved release:", state._mediatorApprovedRelease);
+  console.log("  Amount in escrow:", ethers.formatEther(state.amount), "ETH");
+  console.log("  Buyer approved release:", state.approvals.release.buyer);
+  console.log("  Seller approved release:", state.approvals.release.seller);
+  console.log("  Mediator approved release:", state.approvals.release.mediator);
   console.log();
   
   // Step 3: Buyer approves release
   console.log("Step 3: Buyer approves release...");
-  const buyerApproveTx = await escrow.connect(buyer).approveRelease();
-  await buyerApproveTx.wait();
+  await (await escrow.connect(buyer).approve(Direction.Release)).wait();
   console.log("  Buyer approval recorded");
-  console.log("  Status:", await escrow.getEscrowStatus());
   
-  state = await escrow.getEscrowState();
-  console.log("  Buyer approved release:", state._buyerApprovedRelease);
-  console.log("  Funds released:", state._fundsReleased);
+  state = await escrow.getState();
+  console.log("  State:", state.state);
+  console.log("  Release approvals:", state.approvals.release.count);
+  console.log("  Funds released:", state.fundsReleased);
+  
+  // Finalizing now would revert; the simulation says why without spending gas
+  const early = await escrow.simulate("finalizeRelease", buyer);
+  console.log("  Early finalize would fail:", early.reason);
   console.log();
   
   // Step 4: Seller approves release (2nd approval)
   console.log("Step 4: Seller approves release (2nd approval)...");
-  const sellerApproveTx = await escrow.connect(seller).approveRelease();
-  await sellerApproveTx.wait();
+  await (await escrow.connect(seller).approve(Direction.Release)).wait();
   console.log("  Seller approval recorded");
-  console.log("  Status:", await escrow.getEscrowStatus());
+  console.log("  State:", (await escrow.getState()).state);
   console.log();
   
   // Step 5: Finalize release
@@ -71,28 +78,88 @@ async function main() {
   const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
   console.log("  Seller balance before:", ethers.formatEther(sellerBalanceBefore), "ETH");
   
-  const finalizeTx = await escrow.connect(buyer).finalizeRelease();
-  await finalizeTx.wait();
+  const simulation = await escrow.simulate("finalizeRelease", buyer);
+  if (!simulation.ok) throw simulation.error;
+  console.log("  Simulated finalize, estimated gas:", simulation.gas.toString());
+  await (await escrow.connect(buyer).finalize(Direction.Release)).wait();
   
   const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
   
   console.log("  Seller balance after:", ethers.formatEther(sellerBalanceAfter), "ETH");
   console.log("  Net gain:", ethers.formatEther(sellerBalanceAfter - sellerBalanceBefore), "ETH");
-  console.log("  Status:", await escrow.getEscrowStatus());
+  console.log();
+  
+  // A third vote is caught by the simulation before it is sent
+  const late = await escrow.simulate("approveRelease", mediator);
+  console.log("Late approval not sent:", late.reason, `(${late.error.errorName})`);
   console.log();
   
   // Final state
-  state = await escrow.getEscrowState();
+  state = await escrow.getState();
   console.log("Final State:");
-  console.log("  Buyer approved release:", state._buyerApprovedRelease);
-  console.log("  Seller approved release:", state._sellerApprovedRelease);
-  console.log("  Funds released:", state._fundsReleased);
-  console.log("  Amount in escrow:", ethers.formatEther(state._amount), "ETH");
-  console.log("  Escrow balance:", ethers.formatEther(await ethers.provider.getBalance(await escrow.getAddress())), "ETH");
+  console.log("  State:", state.state);
+  console.log("  Buyer approved release:", state.approvals.release.buyer);
+  console.log("  Seller approved release:", state.approvals.release.seller);
+  console.log("  Funds released:", state.fundsReleased);
+  console.log("  Amount in escrow:", ethers.formatEther(state.amount), "ETH");
+  console.log("  Escrow balance:", ethers.formatEther(await ethers.provider.getBalance(escrowAddress)), "ETH");
   console.log();
+  
+  await tokenDemo(buyer, seller, mediator);
   console.log("=== Demo Complete ===");
 }
 
+/**
+ * Runs the same flow with a mock stablecoin instead of Ether
+ */
+async function tokenDemo(buyer, seller, mediator) {
+  console.log("=== ERC-20 Token Escrow ===\n");
+  
+  // Step 1: Deploy a mock stablecoin and fund the buyer
+  console.log("Step 1: Deploying mock token and minting 100 mUSD to buyer...");
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+  await token.waitForDeployment();
+  const depositAmount = ethers.parseUnits("100", 6);
+  await (await token.mint(buyer.address, depositAmount)).wait();
+  console.log("  Token deployed at:", await token.getAddress());
+  console.log();
+  
+  // Step 2: Deploy a token escrow bound to the mock token
+  console.log("Step 2: Deploying token escrow contract...");
+  const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+  const contract = await ThreePartyTokenEscrow.deploy(buyer.address, seller.address, mediator.address, await token.getAddress());
+  await contract.waitForDeployment();
+  const escrow = new EscrowClient(contract);
+  const escrowAddress = await escrow.getAddress();
+  console.log("  Contract deployed at:", escrowAddress);
+  console.log();
+  
+  // Step 3: Buyer approves the escrow and deposits tokens
+  console.log("Step 3: Buyer approves and deposits 100 mUSD...");
+  await (await token.connect(buyer).approve(escrowAddress, depositAmount)).wait();
+  const simulation = await escrow.simulate("deposit", buyer, { value: depositAmount });
+  if (!simulation.ok) throw simulation.error;
+  await (await escrow.connect(buyer).deposit(depositAmount)).wait();
+  console.log("  Escrow token balance:", ethers.formatUnits(await token.balanceOf(escrowAddress), 6), "mUSD");
+  console.log("  State:", (await escrow.getState()).state);
+  console.log();
+  
+  // Step 4: Buyer and mediator approve release
+  console.log("Step 4: Buyer and mediator approve release...");
+  await (await escrow.connect(buyer).approve(Direction.Release)).wait();
+  await (await escrow.connect(mediator).approve(Direction.Release)).wait();
+  console.log("  State:", (await escrow.getState()).state);
+  console.log();
+  
+  // Step 5: Finalize release
+  console.log("Step 5: Finalizing release to seller...");
+  await (await escrow.connect(seller).finalize(Direction.Release)).wait();
+  console.log("  Seller token balance:", ethers.formatUnits(await token.balanceOf(seller.address), 6), "mUSD");
+  console.log("  State:", (await escrow.getState()).state);
+  console.log();
+}
+
 main()
   .then(() => process.exit(0))
   .catch((error) => {
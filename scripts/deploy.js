@@ -1,57 +1,46 @@
-import { ethers } from "hardhat";
+import path from "path";
+import { artifacts, ethers, network } from "hardhat";
+import { deployEscrows, loadDeploymentConfig } from "../lib/deployments.js";
 
 /**
- * Deploy script for ThreePartyEscrow contract
- * 
+ * Deploy script for ThreePartyEscrow contracts
+ *
+ * Deploys the escrows listed in deployments/config/<network-name>.json and
+ * records them in deployments/<network-name>.json. Escrows already in the
+ * manifest are skipped, and a batch that was interrupted resumes where it
+ * stopped. DEPLOY_CONFIG and DEPLOY_MANIFEST override the file paths.
+ *
  * Usage:
  * npx hardhat run scripts/deploy.js --network <network-name>
  */
 async function main() {
   const [deployer] = await ethers.getSigners();
-  
-  console.log("Deploying ThreePartyEscrow contract...");
+  const configPath = process.env.DEPLOY_CONFIG ?? path.join("deployments", "config", `${network.name}.json`);
+  const manifestPath = process.env.DEPLOY_MANIFEST ?? path.join("deployments", `${network.name}.json`);
+
+  console.log(`Deploying ThreePartyEscrow contracts to ${network.name}...`);
   console.log("Deployer:", deployer.address);
   console.log("Deployer balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH");
-  
-  // You need to provide buyer, seller and mediator addresses
-  // These are example addresses - replace with actual addresses
-  const buyerAddress = deployer.address; // Or specify different address
-  const sellerAddress = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"; // Example
-  const mediatorAddress = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"; // Example
-  
-  console.log("\nParticipants:");
-  console.log("  Buyer:", buyerAddress);
-  console.log("  Seller:", sellerAddress);
-  console.log("  Mediator:", mediatorAddress);
-  
-  // Deploy the contract
-  const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
-  const escrow = await ThreePartyEscrow.deploy(buyerAddress, sellerAddress, mediatorAddress);
-  
-  await escrow.waitForDeployment();
-  
-  const escrowAddress = await escrow.getAddress();
-  console.log("\nThreePartyEscrow deployed to:", escrowAddress);
-  
-  // Verify deployment
-  const buyer = await escrow.buyer();
-  const seller = await escrow.seller();
-  const mediator = await escrow.mediator();
-  
-  console.log("\nContract Details:");
-  console.log("  Buyer:", buyer);
-  console.log("  Seller:", seller);
-  console.log("  Mediator:", mediator);
-  console.log("\nDeployment successful!");
-  
-  return escrowAddress;
+  console.log("Config:", configPath);
+
+  const artifact = await artifacts.readArtifact("ThreePartyEscrow");
+  const buildInfo = await artifacts.getBuildInfo("contracts/ThreePartyEscrow.sol:ThreePartyEscrow");
+
+  const { deployed, skipped } = await deployEscrows({
+    signer: deployer,
+    network: network.name,
+    config: loadDeploymentConfig(configPath),
+    manifestPath,
+    artifact,
+    compilerVersion: buildInfo.solcLongVersion,
+    log: (message) => console.log(`  ${message}`),
+  });
+
+  console.log(`\nDeployed ${deployed.length}, skipped ${skipped.length}. Manifest: ${manifestPath}`);
 }
 
 main()
-  .then((address) => {
-    console.log("\nContract deployed at:", address);
-    process.exit(0);
-  })
+  .then(() => process.exit(0))
   .catch((error) => {
     console.error(error);
     process.exit(1);
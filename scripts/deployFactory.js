@@ -0,0 +1,41 @@
+import { ethers } from "hardhat";
+import { deployViaFactory } from "../lib/factory.js";
+
+/**
+ * Deploy script for the EscrowFactory contract
+ *
+ * Deploys the factory and, when BUYER, SELLER and MEDIATOR are set in the
+ * environment, creates a first escrow through it.
+ *
+ * Usage:
+ * npx hardhat run scripts/deployFactory.js --network <network-name>
+ */
+async function main() {
+  const [deployer] = await ethers.getSigners();
+
+  console.log("Deploying EscrowFactory contract...");
+  console.log("Deployer:", deployer.address);
+
+  const EscrowFactory = await ethers.getContractFactory("EscrowFactory");
+  const factory = await EscrowFactory.deploy();
+  await factory.waitForDeployment();
+
+  console.log("\nEscrowFactory deployed to:", await factory.getAddress());
+  console.log("Implementation:", await factory.implementation());
+
+  const { BUYER, SELLER, MEDIATOR } = process.env;
+  if (BUYER && SELLER && MEDIATOR) {
+    console.log("\nCreating escrow...");
+    const deployment = await deployViaFactory(factory, { buyer: BUYER, seller: SELLER, mediator: MEDIATOR });
+    console.log("  Predicted address:", deployment.predictedAddress);
+    console.log("  Salt:", deployment.salt);
+    console.log("  Escrow deployed at:", await deployment.wait());
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+import { ethers } from "hardhat";
+import { EscrowIndexer } from "../lib/indexer.js";
+
+/**
+ * Runs the escrow event indexer
+ *
+ * Follows the comma-separated escrow addresses in ESCROW_ADDRESSES from
+ * START_BLOCK (default 0) and stores their events in INDEXER_DB (default
+ * escrows.db). CONFIRMATIONS sets the reorg depth (default 12). Addresses
+ * already in the database keep their progress, so the indexer resumes after
+ * a restart. Stop it with Ctrl+C.
+ *
+ * Usage:
+ * ESCROW_ADDRESSES=0x...,0x... npx hardhat run scripts/indexer.js --network <network-name>
+ */
+async function main() {
+  const addresses = (process.env.ESCROW_ADDRESSES ?? "").split(",").map((address) => address.trim()).filter(Boolean);
+  if (addresses.length === 0) {
+    throw new Error("Set ESCROW_ADDRESSES to the escrows to index");
+  }
+
+  const indexer = new EscrowIndexer({
+    provider: ethers.provider,
+    database: process.env.INDEXER_DB ?? "escrows.db",
+    confirmations: Number(process.env.CONFIRMATIONS ?? 12),
+  });
+  for (const address of addresses) {
+    await indexer.addEscrow(address, { startBlock: Number(process.env.START_BLOCK ?? 0) });
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+
+  console.log(`Indexing ${addresses.length} escrow(s)...`);
+  await indexer.follow({
+    signal: controller.signal,
+    onSync: ({ head, rewoundTo }) => {
+      if (rewoundTo !== null) {
+        console.log(`Reorg detected; rewound to block ${rewoundTo}`);
+      }
+      console.log(`Indexed up to block ${head}`);
+    },
+  });
+  indexer.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
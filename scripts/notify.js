@@ -0,0 +1,78 @@
+import fs from "fs";
+import { ethers } from "hardhat";
+import { EscrowIndexer } from "../lib/indexer.js";
+import {
+  NotificationWatcher,
+  emailNotifier,
+  fileMailTransport,
+  stdoutNotifier,
+  webhookNotifier,
+} from "../lib/notifications.js";
+
+/**
+ * Runs the notification watcher
+ *
+ * Watches the comma-separated escrow addresses in ESCROW_ADDRESSES and prints
+ * every notification. Optional notifiers:
+ * - WEBHOOK_URL and WEBHOOK_SECRET: signed webhook
+ * - MAIL_DIR and ADDRESS_BOOK (JSON file mapping addresses to emails): emails
+ *   written as .eml files
+ * Progress and delivery status are kept in INDEXER_DB (default escrows.db)
+ * and NOTIFY_DB (default notifications.db), so a restart neither misses nor
+ * repeats notifications. Stop it with Ctrl+C.
+ *
+ * Usage:
+ * ESCROW_ADDRESSES=0x... npx hardhat run scripts/notify.js --network <network-name>
+ */
+async function main() {
+  const addresses = (process.env.ESCROW_ADDRESSES ?? "").split(",").map((address) => address.trim()).filter(Boolean);
+  if (addresses.length === 0) {
+    throw new Error("Set ESCROW_ADDRESSES to the escrows to watch");
+  }
+
+  const notifiers = [stdoutNotifier()];
+  if (process.env.WEBHOOK_URL) {
+    if (!process.env.WEBHOOK_SECRET) {
+      throw new Error("WEBHOOK_SECRET is required with WEBHOOK_URL");
+    }
+    notifiers.push(webhookNotifier({ url: process.env.WEBHOOK_URL, secret: process.env.WEBHOOK_SECRET }));
+  }
+  if (process.env.MAIL_DIR) {
+    notifiers.push(
+      emailNotifier({
+        transport: fileMailTransport(process.env.MAIL_DIR),
+        from: process.env.MAIL_FROM ?? "escrow@localhost",
+        addressBook: JSON.parse(fs.readFileSync(process.env.ADDRESS_BOOK ?? "address-book.json", "utf8")),
+      })
+    );
+  }
+
+  const indexer = new EscrowIndexer({
+    provider: ethers.provider,
+    database: process.env.INDEXER_DB ?? "escrows.db",
+    confirmations: Number(process.env.CONFIRMATIONS ?? 12),
+  });
+  for (const address of addresses) {
+    await indexer.addEscrow(address, { startBlock: Number(process.env.START_BLOCK ?? 0) });
+  }
+  const watcher = new NotificationWatcher({
+    indexer,
+    notifiers,
+    database: process.env.NOTIFY_DB ?? "notifications.db",
+  });
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+
+  console.log(`Watching ${addresses.length} escrow(s) with ${notifiers.map((notifier) => notifier.name).join(", ")}...`);
+  await watcher.follow({ signal: controller.signal });
+  watcher.close();
+  indexer.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
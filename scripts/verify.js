@@ -1,94 +1,130 @@
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
+import { compareSnapshots, createSnapshot } from '../lib/compat.js';
+import { computeFees, FeeType } from '../lib/fees.js';
 
 /**
- * Manual verification of ThreePartyEscrow contract
- * This script verifies the contract structure without requiring a running blockchain
+ * ABI and storage-layout compatibility check
+ *
+ * Compares the artifacts in build/contracts (see scripts/compile.js) with the
+ * baseline committed in compat/baseline.json and reports added, removed and
+ * changed functions, events and custom errors, plus storage layout
+ * collisions. Exits non-zero when a change would break integrators or the
+ * storage of existing deployments and clones.
+ *
+ * After an intentional interface change, review the report and record the
+ * new baseline with --update.
+ *
+ * Usage:
+ * node scripts/verify.js [--update] [--baseline <file>]
  */
 
-console.log("=== ThreePartyEscrow Contract Verification ===\n");
+const CONTRACTS = ['ThreePartyEscrow', 'ThreePartyTokenEscrow', 'MilestoneEscrow', 'WeightedEscrow', 'EscrowFactory'];
 
-// Load the compiled contract
-const artifactPath = path.join(process.cwd(), 'artifacts', 'contracts', 'ThreePartyEscrow.json');
-const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-
-console.log("✓ Contract compiled successfully");
-console.log();
-
-// Verify contract ABI
-console.log("Contract ABI Analysis:");
-console.log("======================");
-
-const functions = artifact.abi.filter(item => item.type === 'function');
-const events = artifact.abi.filter(item => item.type === 'event');
-
-console.log(`\nFunctions (${functions.length}):`);
-functions.forEach(func => {
-  const params = func.inputs.map(input => `${input.type} ${input.name}`).join(', ');
-  const outputs = func.outputs ? func.outputs.map(output => output.type).join(', ') : 'void';
-  console.log(`  - ${func.name}(${params}) → ${outputs} [${func.stateMutability}]`);
+const { values: options } = parseArgs({
+  options: {
+    update: { type: 'boolean', default: false },
+    baseline: { type: 'string', default: path.join('compat', 'baseline.json') },
+  },
 });
 
-console.log(`\nEvents (${events.length}):`);
-events.forEach(event => {
-  const params = event.inputs.map(input => `${input.type} ${input.name}`).join(', ');
-  console.log(`  - ${event.name}(${params})`);
+const artifactsDir = path.join(process.cwd(), 'build', 'contracts');
+
+console.log("=== Escrow Contract Verification ===\n");
+
+// Snapshot the current build
+const current = {};
+for (const name of CONTRACTS) {
+  const artifactPath = path.join(artifactsDir, `${name}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    console.error(`✗ ${artifactPath} not found; run npm run compile first`);
+    process.exit(1);
+  }
+  current[name] = createSnapshot(JSON.parse(fs.readFileSync(artifactPath, 'utf8')));
+}
+
+if (options.update) {
+  fs.mkdirSync(path.dirname(options.baseline), { recursive: true });
+  fs.writeFileSync(options.baseline, `${JSON.stringify(current, null, 2)}\n`);
+  console.log(`✓ Baseline for ${CONTRACTS.length} contracts written to ${options.baseline}`);
+  process.exit(0);
+}
+
+if (!fs.existsSync(options.baseline)) {
+  console.error(`✗ Baseline ${options.baseline} not found; create it with --update`);
+  process.exit(1);
+}
+const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+
+console.log("=== Compatibility ===");
+
+let compatible = true;
+for (const name of CONTRACTS) {
+  console.log(`\n${name}:`);
+  if (!baseline[name]) {
+    console.log("  + new contract, not in the baseline");
+    continue;
+  }
+
+  const report = compareSnapshots(baseline[name], current[name]);
+  for (const kind of ['functions', 'events', 'errors']) {
+    report[kind].added.forEach((signature) => console.log(`  + ${kind.slice(0, -1)} ${signature}`));
+    report[kind].removed.forEach((signature) => console.log(`  - ${kind.slice(0, -1)} ${signature}`));
+    report[kind].changed.forEach(({ signature }) => console.log(`  ~ ${kind.slice(0, -1)} ${signature}`));
+  }
+  report.storage.added.forEach((label) => console.log(`  + storage ${label}`));
+  report.storage.renamed.forEach(({ from, to, slot, offset }) =>
+    console.log(`  ~ storage ${from} renamed to ${to} (slot ${slot} offset ${offset})`)
+  );
+
+  if (report.compatible) {
+    console.log("  ✓ Compatible with the baseline");
+  } else {
+    compatible = false;
+    report.problems.forEach((problem) => console.error(`  ✗ ${problem}`));
+  }
+}
+for (const name of Object.keys(baseline).filter((name) => !CONTRACTS.includes(name))) {
+  console.log(`\n${name}:\n  ✗ in the baseline but no longer checked`);
+  compatible = false;
+}
+
+console.log("\n=== Fee Math Verification (JavaScript computeFees only) ===");
+
+// Checks lib/fees.js alone: this script runs no EVM, so it cannot call the contract's quoteFees().
+// test/ThreePartyEscrow.test.js ("Should match the JavaScript fee math on odd wei amounts") compares the two.
+// Odd wei amounts exercise rounding: fees must round down and never exceed the payout
+const feeCases = [
+  { value: 1n, mediatorDecisive: true, mediatorFeeType: FeeType.BasisPoints, mediatorFee: 500n, platformFeeBps: 250n, expected: [0n, 0n, 1n] },
+  { value: 1001n, mediatorDecisive: true, mediatorFeeType: FeeType.BasisPoints, mediatorFee: 500n, platformFeeBps: 250n, expected: [25n, 50n, 926n] },
+  { value: 999999n, mediatorDecisive: false, mediatorFeeType: FeeType.BasisPoints, mediatorFee: 500n, platformFeeBps: 250n, expected: [24999n, 0n, 975000n] },
+  { value: 101n, mediatorDecisive: true, mediatorFeeType: FeeType.Flat, mediatorFee: 1000n, platformFeeBps: 100n, expected: [1n, 100n, 0n] },
+  { value: 10007n, mediatorDecisive: true, mediatorFeeType: FeeType.Flat, mediatorFee: 3n, platformFeeBps: 0n, expected: [0n, 3n, 10004n] },
+];
+
+let feeMathCorrect = true;
+feeCases.forEach(({ expected, ...params }) => {
+  const { platformFeeAmount, mediatorFeeAmount, netAmount } = computeFees(params);
+  const actual = [platformFeeAmount, mediatorFeeAmount, netAmount];
+  const matches = actual.every((fee, i) => fee === expected[i]);
+  const conserves = platformFeeAmount + mediatorFeeAmount + netAmount === params.value;
+  if (!matches || !conserves) {
+    feeMathCorrect = false;
+    console.error(`✗ ${params.value} wei: expected ${expected.join('/')}, got ${actual.join('/')}`);
+  }
 });
-
-// Verify bytecode exists
-console.log(`\nBytecode: ${artifact.bytecode.length} characters`);
-console.log("✓ Contract bytecode generated successfully");
-
-// Verify key features
-console.log("\n=== Feature Verification ===");
-
-const hasDeposit = functions.some(f => f.name === 'deposit');
-const hasApproveRelease = functions.some(f => f.name === 'approveRelease');
-const hasApproveRefund = functions.some(f => f.name === 'approveRefund');
-const hasGetState = functions.some(f => f.name === 'getEscrowState');
-
-console.log(`✓ Deposit function: ${hasDeposit ? 'Present' : 'Missing'}`);
-console.log(`✓ Approve release function: ${hasApproveRelease ? 'Present' : 'Missing'}`);
-console.log(`✓ Approve refund function: ${hasApproveRefund ? 'Present' : 'Missing'}`);
-console.log(`✓ Get state function: ${hasGetState ? 'Present' : 'Missing'}`);
-
-const hasFundsDeposited = events.some(e => e.name === 'FundsDeposited');
-const hasApprovalGiven = events.some(e => e.name === 'ApprovalGiven');
-const hasFundsReleased = events.some(e => e.name === 'FundsReleased');
-const hasFundsRefunded = events.some(e => e.name === 'FundsRefunded');
-
-console.log(`✓ FundsDeposited event: ${hasFundsDeposited ? 'Present' : 'Missing'}`);
-console.log(`✓ ApprovalGiven event: ${hasApprovalGiven ? 'Present' : 'Missing'}`);
-console.log(`✓ FundsReleased event: ${hasFundsReleased ? 'Present' : 'Missing'}`);
-console.log(`✓ FundsRefunded event: ${hasFundsRefunded ? 'Present' : 'Missing'}`);
-
-// Load and verify the source code
-const sourcePath = path.join(process.cwd(), 'contracts', 'ThreePartyEscrow.sol');
-const source = fs.readFileSync(sourcePath, 'utf8');
-
-console.log("\n=== Source Code Verification ===");
-
-const has2of3Logic = source.includes('_countReleaseApprovals() >= 2') && 
-                     source.includes('_countRefundApprovals() >= 2');
-console.log(`✓ 2-of-3 approval mechanism: ${has2of3Logic ? 'Implemented' : 'Missing'}`);
-
-const hasSeparateTracking = source.includes('buyerApprovedRelease') && 
-                            source.includes('buyerApprovedRefund');
-console.log(`✓ Separate release/refund tracking: ${hasSeparateTracking ? 'Implemented' : 'Missing'}`);
-
-const hasOnlyPartyModifier = source.includes('modifier onlyParty');
-console.log(`✓ Party-only access control: ${hasOnlyPartyModifier ? 'Implemented' : 'Missing'}`);
-
-const hasFundsNotReleasedModifier = source.includes('modifier fundsNotReleased');
-console.log(`✓ Prevent double-release: ${hasFundsNotReleasedModifier ? 'Implemented' : 'Missing'}`);
-
-const hasChecksEffectsInteractions = source.includes('fundsReleased = true') && 
-                                      source.includes('amount = 0') &&
-                                      source.includes('.call{value:');
-console.log(`✓ Checks-Effects-Interactions pattern: ${hasChecksEffectsInteractions ? 'Implemented' : 'Missing'}`);
+console.log(`${feeMathCorrect ? '✓' : '✗'} computeFees rounding on odd wei amounts: ${feeMathCorrect ? 'Correct' : 'Incorrect'}`);
 
 console.log("\n=== Summary ===");
-console.log("✓ All core features implemented");
-console.log("✓ Security best practices followed");
-console.log("✓ Contract ready for deployment");
-console.log("\nVerification complete!");
+if (compatible && feeMathCorrect) {
+  console.log("✓ Compatible with the committed baseline");
+} else {
+  if (!compatible) {
+    console.error(`✗ Incompatible with ${options.baseline}; if the break is intended, record it with --update`);
+  }
+  if (!feeMathCorrect) {
+    console.error("✗ computeFees in lib/fees.js does not match the expected rounding");
+  }
+  process.exitCode = 1;
+}
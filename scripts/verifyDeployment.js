@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { artifacts, ethers, network } from "hardhat";
+import { loadManifest } from "../lib/deployments.js";
+import { recompile, signReport, verifyDeployment } from "../lib/verification.js";
+
+/**
+ * Verifies that a deployed escrow runs the ThreePartyEscrow sources in this
+ * repository with the claimed parties, and writes a signed JSON report
+ *
+ * The escrow is ESCROW_ADDRESS, or ESCROW_NAME from the network's deployment
+ * manifest (DEPLOY_MANIFEST overrides its path), in which case the claimed
+ * parties default to the recorded constructor arguments. EXPECTED_BUYER,
+ * EXPECTED_SELLER and EXPECTED_MEDIATOR set or override the claims.
+ *
+ * The sources are recompiled with the compiler version and settings of the
+ * Hardhat build that scripts/deploy.js deploys, or of SOLC_INPUT (e.g.
+ * build/solc-input.json from scripts/compile.js). The report is signed with
+ * VERIFIER_PRIVATE_KEY, or the network's first account, and written to
+ * REPORT_FILE or printed. Exits with code 1 if verification fails.
+ *
+ * Usage:
+ * ESCROW_NAME=order-1001 npx hardhat run scripts/verifyDeployment.js --network <network-name>
+ * ESCROW_ADDRESS=0x... EXPECTED_SELLER=0x... npx hardhat run scripts/verifyDeployment.js --network <network-name>
+ */
+async function main() {
+  let record;
+  if (process.env.SOLC_INPUT) {
+    record = JSON.parse(fs.readFileSync(process.env.SOLC_INPUT, "utf8"));
+  } else {
+    const buildInfo = await artifacts.getBuildInfo("contracts/ThreePartyEscrow.sol:ThreePartyEscrow");
+    record = { solcVersion: buildInfo.solcLongVersion, input: buildInfo.input };
+  }
+  // Compile before touching the network, so the RPC connection does not sit idle through the build
+  console.error(`Recompiling ThreePartyEscrow with solc ${record.solcVersion}...`);
+  const build = await recompile({ record });
+
+  let address = process.env.ESCROW_ADDRESS;
+  const expected = {};
+  if (process.env.ESCROW_NAME) {
+    const manifestPath = process.env.DEPLOY_MANIFEST ?? path.join("deployments", `${network.name}.json`);
+    const { chainId } = await ethers.provider.getNetwork();
+    const entry = loadManifest(manifestPath, { network: network.name, chainId }).deployments[process.env.ESCROW_NAME];
+    if (!entry) {
+      throw new Error(`${process.env.ESCROW_NAME} is not in ${manifestPath}`);
+    }
+    address = entry.address;
+    [expected.buyer, expected.seller, expected.mediator] = entry.constructorArgs;
+  }
+  if (!address) {
+    throw new Error("Set ESCROW_ADDRESS or ESCROW_NAME to the escrow to verify");
+  }
+  for (const role of ["buyer", "seller", "mediator"]) {
+    expected[role] = process.env[`EXPECTED_${role.toUpperCase()}`] ?? expected[role];
+  }
+
+  const signer = process.env.VERIFIER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.VERIFIER_PRIVATE_KEY, ethers.provider)
+    : (await ethers.getSigners())[0];
+
+  console.error(`Verifying ${address} on ${network.name}...`);
+  const report = await verifyDeployment({ provider: ethers.provider, address, build, expected });
+  const signed = await signReport(report, signer);
+
+  const json = `${JSON.stringify(signed, null, 2)}\n`;
+  if (process.env.REPORT_FILE) {
+    fs.writeFileSync(process.env.REPORT_FILE, json);
+    console.error(`Report signed by ${signed.signer} written to ${process.env.REPORT_FILE}`);
+  } else {
+    process.stdout.write(json);
+  }
+
+  console.error(`Bytecode: ${report.bytecode.match ? "matches" : "DOES NOT MATCH"}${report.bytecode.metadataMatch ? " (including metadata)" : ""}`);
+  for (const [role, party] of Object.entries(report.parties)) {
+    console.error(`${role}: ${party.onChain}${party.match ? "" : ` (expected ${party.expected})`}`);
+  }
+  console.error(report.verified ? "✓ Verified" : "✗ Verification failed");
+  if (!report.verified) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode ?? 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
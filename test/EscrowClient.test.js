@@ -0,0 +1,173 @@
+import { expect } from "chai";
+import os from "os";
+import { ethers } from "hardhat";
+import {
+  Direction,
+  ERROR_MESSAGES,
+  EscrowClient,
+  EscrowError,
+  formatEscrowError,
+  isEscrowError,
+  loadArtifact,
+} from "../lib/index.js";
+
+describe("EscrowClient", function () {
+  let client;
+  let buyer, seller, mediator, other;
+  const depositAmount = ethers.parseEther("1.0");
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, other] = await ethers.getSigners();
+
+    client = await EscrowClient.deploy(other, {
+      buyer: buyer.address,
+      seller: seller.address,
+      mediator: mediator.address,
+    });
+  });
+
+  it("Should run a refund end to end", async function () {
+    await client.connect(buyer).deposit(depositAmount);
+    await client.connect(seller).approve(Direction.Refund);
+    await client.connect(mediator).approve(Direction.Refund);
+    expect((await client.getState()).state).to.equal("RefundApproved");
+
+    await expect(client.connect(buyer).finalize(Direction.Refund)).to.changeEtherBalance(buyer, depositAmount);
+
+    const state = await client.getState();
+    expect(state.state).to.equal("Refunded");
+    expect(state.fundsRefunded).to.be.true;
+    expect(state.amount).to.equal(0);
+  });
+
+  it("Should revoke a vote", async function () {
+    await client.connect(buyer).deposit(depositAmount);
+    await client.connect(seller).approve(Direction.Release);
+    await client.connect(seller).revoke(Direction.Release);
+
+    expect((await client.getState()).approvals.release.count).to.equal(0);
+  });
+
+  it("Should report pooled funding in the state", async function () {
+    await client.connect(buyer).configureFunding(depositAmount);
+    await client.connect(buyer).setContributor(other.address);
+    await client.connect(other).deposit(ethers.parseEther("0.25"));
+    await client.connect(buyer).deposit(ethers.parseEther("0.75"));
+
+    const { state, amount, funding } = await client.getState();
+    expect(state).to.equal("Funded");
+    expect(amount).to.equal(depositAmount);
+    expect(funding).to.deep.equal({
+      target: depositAmount,
+      contributed: depositAmount,
+      contributions: [
+        { contributor: other.address, amount: ethers.parseEther("0.25") },
+        { contributor: buyer.address, amount: ethers.parseEther("0.75") },
+      ],
+    });
+  });
+
+  it("Should attach to a deployed escrow", async function () {
+    const attached = EscrowClient.attach(await client.getAddress(), ethers.provider);
+    const state = await attached.getState();
+
+    expect(state.buyer).to.equal(buyer.address);
+    expect(state.state).to.equal("AwaitingDeposit");
+  });
+
+  it("Should decode custom errors into EscrowError", async function () {
+    const error = await client.connect(other).approve(Direction.Release).catch((e) => e);
+
+    expect(error).to.be.instanceOf(EscrowError);
+    expect(isEscrowError(error, "NotAParty")).to.be.true;
+    expect(error.args).to.deep.equal([other.address]);
+    expect(error.params).to.deep.equal({ caller: other.address });
+    expect(error.reason).to.equal(`${other.address} is not a party to this escrow`);
+    expect(error.message).to.equal(error.reason);
+    expect(error.cause).to.exist;
+  });
+
+  it("Should decode uint8 and enum parameters as numbers", async function () {
+    await client.connect(buyer).deposit(depositAmount);
+    await client.connect(buyer).approve(Direction.Release);
+    const error = await client.connect(buyer).finalize(Direction.Release).catch((e) => e);
+
+    expect(error.errorName).to.equal("InsufficientApprovals");
+    expect(error.params).to.deep.equal({ have: 1, need: 2 });
+    expect(error.reason).to.equal("Need 2 approvals, have 1");
+
+    const again = await client.connect(buyer).approve(Direction.Release).catch((e) => e);
+    expect(again.params).to.deep.equal({ party: buyer.address, direction: Direction.Release });
+    expect(again.reason).to.equal(`${buyer.address} already approved release`);
+  });
+
+  it("Should decode constructor reverts", async function () {
+    const error = await EscrowClient.deploy(buyer, {
+      buyer: buyer.address,
+      seller: buyer.address,
+      mediator: mediator.address,
+    }).catch((e) => e);
+
+    expect(error).to.be.instanceOf(EscrowError);
+    expect(error.errorName).to.equal("DuplicateParty");
+    expect(error.reason).to.equal("The buyer and seller must be different addresses");
+  });
+
+  it("Should word errors from another locale's catalog", async function () {
+    const de = {
+      roles: ["Käufer", "Verkäufer", "Vermittler"],
+      errors: {
+        DuplicateParty: ({ first, second }, { roles }) => `${roles[first]} und ${roles[second]} müssen verschieden sein`,
+      },
+    };
+    const catalogs = { ...ERROR_MESSAGES, de };
+    const error = await EscrowClient.deploy(buyer, {
+      buyer: buyer.address,
+      seller: buyer.address,
+      mediator: mediator.address,
+    }).catch((e) => e);
+
+    expect(error.localize({ locale: "de", catalogs })).to.equal("Käufer und Verkäufer müssen verschieden sein");
+    expect(formatEscrowError({ errorName: "NoFundsDeposited", args: [], params: {} }, { locale: "de", catalogs })).to.equal(
+      "No funds deposited"
+    );
+    expect(formatEscrowError({ errorName: "Unknown", args: [1n, "x"], params: {} })).to.equal("Unknown(1, x)");
+  });
+
+  it("Should deposit tokens into a token escrow", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+    const contract = await ThreePartyTokenEscrow.deploy(
+      buyer.address, seller.address, mediator.address, await token.getAddress()
+    );
+    const tokenClient = new EscrowClient(contract);
+    const value = ethers.parseUnits("100", 6);
+    await token.mint(buyer.address, value);
+    await token.connect(buyer).approve(await contract.getAddress(), value);
+
+    await tokenClient.connect(buyer).deposit(value);
+
+    const state = await tokenClient.getState();
+    expect(state.token).to.equal(await token.getAddress());
+    expect(state.amount).to.equal(value);
+  });
+
+  it("Should reject an unknown direction", async function () {
+    expect(() => client.approve(2)).to.throw(TypeError, "Unknown direction: 2");
+  });
+
+  it("Should report a missing artifact", async function () {
+    expect(() => loadArtifact("DoesNotExist")).to.throw("Artifact for DoesNotExist not found");
+  });
+
+  it("Should load artifacts relative to the package, not the working directory", async function () {
+    const cwd = process.cwd();
+    process.chdir(os.tmpdir());
+    try {
+      expect(loadArtifact().abi).to.deep.equal(loadArtifact("ThreePartyEscrow", cwd).abi);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
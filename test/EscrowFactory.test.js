@@ -0,0 +1,158 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { deployViaFactory, predictEscrowAddress } from "../lib/factory.js";
+
+describe("EscrowFactory", function () {
+  let factory;
+  let buyer, seller, mediator, other;
+  const salt = ethers.id("order-1");
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, other] = await ethers.getSigners();
+
+    const EscrowFactory = await ethers.getContractFactory("EscrowFactory");
+    factory = await EscrowFactory.deploy();
+  });
+
+  describe("Implementation", function () {
+    it("Should deploy an implementation that cannot be re-initialized", async function () {
+      const implementation = await ethers.getContractAt("ThreePartyEscrow", await factory.implementation());
+      expect(await implementation.initialized()).to.be.true;
+      await expect(
+        implementation.initialize(buyer.address, seller.address, mediator.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(implementation, "AlreadyInitialized");
+    });
+  });
+
+  describe("Create Escrow", function () {
+    it("Should deploy an initialized escrow at the predicted address", async function () {
+      const predicted = await factory.predictEscrowAddress(
+        buyer.address, seller.address, mediator.address, ethers.ZeroAddress, salt
+      );
+
+      await expect(factory.createEscrow(buyer.address, seller.address, mediator.address, salt))
+        .to.emit(factory, "EscrowCreated")
+        .withArgs(predicted, buyer.address, seller.address, mediator.address, ethers.ZeroAddress, salt);
+
+      const escrow = await ethers.getContractAt("ThreePartyEscrow", predicted);
+      expect(await escrow.buyer()).to.equal(buyer.address);
+      expect(await escrow.seller()).to.equal(seller.address);
+      expect(await escrow.mediator()).to.equal(mediator.address);
+      expect(await factory.isEscrow(predicted)).to.be.true;
+    });
+
+    it("Should reject initializing a clone twice", async function () {
+      await factory.createEscrow(buyer.address, seller.address, mediator.address, salt);
+      const escrow = await ethers.getContractAt("ThreePartyEscrow", (await factory.getEscrows())[0]);
+
+      await expect(
+        escrow.connect(other).initialize(other.address, seller.address, mediator.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyInitialized");
+    });
+
+    it("Should apply the same party validation as the constructor", async function () {
+      const implementation = await ethers.getContractAt("ThreePartyEscrow", await factory.implementation());
+      await expect(
+        factory.createEscrow(buyer.address, buyer.address, mediator.address, salt)
+      ).to.be.revertedWithCustomError(implementation, "DuplicateParty").withArgs(0, 1);
+    });
+
+    it("Should reject reusing a salt for the same parties", async function () {
+      await factory.createEscrow(buyer.address, seller.address, mediator.address, salt);
+      await expect(
+        factory.createEscrow(buyer.address, seller.address, mediator.address, salt)
+      ).to.be.revertedWithCustomError(factory, "CloneFailed").withArgs(
+        await factory.implementation(),
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(
+            ["address", "address", "address", "address", "bytes32"],
+            [buyer.address, seller.address, mediator.address, ethers.ZeroAddress, salt]
+          )
+        )
+      );
+    });
+
+    it("Should allow the same salt for different parties", async function () {
+      await factory.createEscrow(buyer.address, seller.address, mediator.address, salt);
+      await factory.createEscrow(other.address, seller.address, mediator.address, salt);
+      expect(await factory.escrowCount()).to.equal(2);
+    });
+
+    it("Should deploy a token escrow bound to the given token", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const tokenContract = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      const tokenAddress = await tokenContract.getAddress();
+
+      await factory.createTokenEscrow(buyer.address, seller.address, mediator.address, tokenAddress, salt);
+      const escrow = await ethers.getContractAt("ThreePartyEscrow", (await factory.getEscrows())[0]);
+
+      expect(await escrow.token()).to.equal(tokenAddress);
+      expect(await escrow.getAddress()).to.equal(
+        await factory.predictEscrowAddress(buyer.address, seller.address, mediator.address, tokenAddress, salt)
+      );
+    });
+
+    it("Should reject a token escrow without a token", async function () {
+      await expect(
+        factory.createTokenEscrow(buyer.address, seller.address, mediator.address, ethers.ZeroAddress, salt)
+      ).to.be.revertedWithCustomError(factory, "ZeroTokenAddress");
+    });
+
+    it("Should run a full release flow through a clone", async function () {
+      await factory.createEscrow(buyer.address, seller.address, mediator.address, salt);
+      const escrow = await ethers.getContractAt("ThreePartyEscrow", (await factory.getEscrows())[0]);
+      const depositAmount = ethers.parseEther("1.0");
+
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(mediator).approveRelease();
+
+      await expect(escrow.connect(buyer).finalizeRelease()).to.changeEtherBalances(
+        [escrow, seller],
+        [-depositAmount, depositAmount]
+      );
+      expect(await escrow.getEscrowStatus()).to.equal("Funds Released");
+    });
+  });
+
+  describe("Registry", function () {
+    it("Should index escrows by buyer, seller and mediator", async function () {
+      await factory.createEscrow(buyer.address, seller.address, mediator.address, salt);
+      await factory.createEscrow(other.address, buyer.address, mediator.address, salt);
+      const [first, second] = await factory.getEscrows();
+
+      expect(await factory.getEscrowsByBuyer(buyer.address)).to.deep.equal([first]);
+      expect(await factory.getEscrowsBySeller(buyer.address)).to.deep.equal([second]);
+      expect(await factory.getEscrowsByMediator(mediator.address)).to.deep.equal([first, second]);
+      expect(await factory.getEscrowsByMediator(seller.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("JavaScript helpers", function () {
+    it("Should predict the same address as the factory", async function () {
+      const predicted = predictEscrowAddress({
+        factory: await factory.getAddress(),
+        implementation: await factory.implementation(),
+        buyer: buyer.address,
+        seller: seller.address,
+        mediator: mediator.address,
+        salt,
+      });
+
+      expect(predicted).to.equal(
+        await factory.predictEscrowAddress(buyer.address, seller.address, mediator.address, ethers.ZeroAddress, salt)
+      );
+    });
+
+    it("Should deploy via factory and resolve the predicted address", async function () {
+      const deployment = await deployViaFactory(factory, {
+        buyer: buyer.address,
+        seller: seller.address,
+        mediator: mediator.address,
+      });
+
+      expect(await deployment.wait()).to.equal(deployment.predictedAddress);
+      expect(await factory.isEscrow(deployment.predictedAddress)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+describe("MilestoneEscrow", function () {
+  let escrow;
+  let buyer, seller, mediator, other;
+  const amounts = [ethers.parseEther("1.0"), ethers.parseEther("2.0"), ethers.parseEther("0.5")];
+  const descriptions = ["Design", "Implementation", "Handover"].map((text) => ethers.id(text));
+  const total = amounts.reduce((sum, value) => sum + value, 0n);
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, other] = await ethers.getSigners();
+
+    const MilestoneEscrow = await ethers.getContractFactory("MilestoneEscrow");
+    escrow = await MilestoneEscrow.deploy(buyer.address, seller.address, mediator.address, amounts, descriptions);
+  });
+
+  describe("Deployment", function () {
+    it("Should store every milestone", async function () {
+      expect(await escrow.getMilestoneCount()).to.equal(3);
+      expect(await escrow.totalAmount()).to.equal(total);
+
+      const state = await escrow.getMilestoneState(1);
+      expect(state._amount).to.equal(amounts[1]);
+      expect(state._descriptionHash).to.equal(descriptions[1]);
+    });
+
+    it("Should reject an empty milestone list", async function () {
+      const MilestoneEscrow = await ethers.getContractFactory("MilestoneEscrow");
+      await expect(
+        MilestoneEscrow.deploy(buyer.address, seller.address, mediator.address, [], [])
+      ).to.be.revertedWithCustomError(MilestoneEscrow, "NoMilestones");
+    });
+
+    it("Should reject mismatched milestone arrays", async function () {
+      const MilestoneEscrow = await ethers.getContractFactory("MilestoneEscrow");
+      await expect(
+        MilestoneEscrow.deploy(buyer.address, seller.address, mediator.address, amounts, descriptions.slice(1))
+      ).to.be.revertedWithCustomError(MilestoneEscrow, "LengthMismatch").withArgs(3, 2);
+    });
+
+    it("Should reject zero milestone amounts", async function () {
+      const MilestoneEscrow = await ethers.getContractFactory("MilestoneEscrow");
+      await expect(
+        MilestoneEscrow.deploy(buyer.address, seller.address, mediator.address, [0], [descriptions[0]])
+      ).to.be.revertedWithCustomError(MilestoneEscrow, "ZeroMilestoneAmount").withArgs(0);
+    });
+
+    it("Should reject buyer being same as seller", async function () {
+      const MilestoneEscrow = await ethers.getContractFactory("MilestoneEscrow");
+      await expect(
+        MilestoneEscrow.deploy(buyer.address, buyer.address, mediator.address, amounts, descriptions)
+      ).to.be.revertedWithCustomError(MilestoneEscrow, "DuplicateParty").withArgs(0, 1);
+    });
+  });
+
+  describe("Deposit", function () {
+    it("Should require the milestone total", async function () {
+      await expect(
+        escrow.connect(buyer).deposit({ value: amounts[0] })
+      ).to.be.revertedWithCustomError(escrow, "DepositMismatch").withArgs(amounts[0], total);
+
+      await expect(escrow.connect(buyer).deposit({ value: total }))
+        .to.emit(escrow, "FundsDeposited")
+        .withArgs(buyer.address, total);
+      expect(await escrow.funded()).to.be.true;
+    });
+
+    it("Should reject deposit from non-buyer", async function () {
+      await expect(
+        escrow.connect(seller).deposit({ value: total })
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(seller.address);
+    });
+
+    it("Should reject multiple deposits", async function () {
+      await escrow.connect(buyer).deposit({ value: total });
+      await expect(
+        escrow.connect(buyer).deposit({ value: total })
+      ).to.be.revertedWithCustomError(escrow, "AlreadyFunded");
+    });
+
+    it("Should require deposit before approval", async function () {
+      await expect(
+        escrow.connect(buyer).approveRelease(0)
+      ).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
+    });
+  });
+
+  describe("Per-milestone approvals", function () {
+    beforeEach(async function () {
+      await escrow.connect(buyer).deposit({ value: total });
+    });
+
+    it("Should release one milestone while the rest stays locked", async function () {
+      await expect(escrow.connect(buyer).approveRelease(0))
+        .to.emit(escrow, "ApprovalGiven")
+        .withArgs(buyer.address, 0);
+      await escrow.connect(seller).approveRelease(0);
+
+      await expect(escrow.connect(seller).finalizeRelease(0)).to.changeEtherBalances(
+        [escrow, seller],
+        [-amounts[0], amounts[0]]
+      );
+
+      expect((await escrow.getMilestoneState(0))._released).to.be.true;
+      expect((await escrow.getMilestoneState(1))._released).to.be.false;
+      expect(await ethers.provider.getBalance(await escrow.getAddress())).to.equal(total - amounts[0]);
+    });
+
+    it("Should refund one milestone independently", async function () {
+      await escrow.connect(buyer).approveRefund(2);
+      await escrow.connect(mediator).approveRefund(2);
+
+      await expect(escrow.connect(buyer).finalizeRefund(2))
+        .to.emit(escrow, "MilestoneRefunded")
+        .withArgs(2, buyer.address, amounts[2]);
+    });
+
+    it("Should not count approvals across milestones", async function () {
+      await escrow.connect(buyer).approveRelease(0);
+      await escrow.connect(seller).approveRelease(1);
+
+      await expect(
+        escrow.connect(buyer).finalizeRelease(0)
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+      await expect(
+        escrow.connect(buyer).finalizeRelease(1)
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+    });
+
+    it("Should reject double approval on the same milestone", async function () {
+      await escrow.connect(mediator).approveRelease(1);
+      await expect(
+        escrow.connect(mediator).approveRelease(1)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyApproved").withArgs(mediator.address, 0);
+    });
+
+    it("Should reject approval from non-party", async function () {
+      await expect(
+        escrow.connect(other).approveRelease(0)
+      ).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(other.address);
+    });
+
+    it("Should reject unknown milestones", async function () {
+      await expect(
+        escrow.connect(buyer).approveRelease(3)
+      ).to.be.revertedWithCustomError(escrow, "MilestoneNotFound").withArgs(3);
+    });
+
+    it("Should prevent operations on a finalized milestone", async function () {
+      await escrow.connect(buyer).approveRelease(0);
+      await escrow.connect(seller).approveRelease(0);
+      await escrow.connect(buyer).finalizeRelease(0);
+
+      await expect(
+        escrow.connect(mediator).approveRefund(0)
+      ).to.be.revertedWithCustomError(escrow, "MilestoneClosed").withArgs(0);
+    });
+  });
+
+  describe("Get Escrow Progress", function () {
+    it("Should report progress across milestones", async function () {
+      await escrow.connect(buyer).deposit({ value: total });
+      await escrow.connect(buyer).approveRelease(0);
+      await escrow.connect(seller).approveRelease(0);
+      await escrow.connect(buyer).finalizeRelease(0);
+      await escrow.connect(buyer).approveRefund(2);
+      await escrow.connect(seller).approveRefund(2);
+      await escrow.connect(buyer).finalizeRefund(2);
+
+      const progress = await escrow.getEscrowProgress();
+      expect(progress._funded).to.be.true;
+      expect(progress._milestoneCount).to.equal(3);
+      expect(progress._releasedCount).to.equal(1);
+      expect(progress._refundedCount).to.equal(1);
+      expect(progress._releasedAmount).to.equal(amounts[0]);
+      expect(progress._refundedAmount).to.equal(amounts[2]);
+      expect(progress._lockedAmount).to.equal(amounts[1]);
+    });
+  });
+});
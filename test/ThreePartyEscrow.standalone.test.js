@@ -2,15 +2,26 @@ import { expect } from "chai";
 import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
+import { Direction, EscrowClient } from "../lib/index.js";
+
+// Reads an artifact in the format written by scripts/compile.js
+function loadCompiledArtifact(name) {
+  const artifactPath = path.join(process.cwd(), 'build', 'contracts', `${name}.json`);
+  const compiled = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  if (compiled._format !== 'escrow-artifact-1') {
+    throw new Error(`${artifactPath} was not built by scripts/compile.js; run npm run compile`);
+  }
+  return compiled;
+}
 
 describe("ThreePartyEscrow", function () {
   let provider;
-  let escrow;
+  let client, escrow;
   let buyer, seller, mediator, other;
-  let escrowFactory;
+  let artifact, escrowFactory;
 
   before(async function () {
-    // Setup provider (using Hardhat's in-memory network)
+    // Connect to a local node started with `npx hardhat node`
     provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
     
     // Get accounts
@@ -20,17 +31,20 @@ describe("ThreePartyEscrow", function () {
     mediator = await provider.getSigner(accounts[2].address);
     other = await provider.getSigner(accounts[3].address);
 
-    // Load compiled contract
-    const artifactPath = path.join(process.cwd(), 'artifacts', 'contracts', 'ThreePartyEscrow.json');
-    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+    // Load the artifact written by scripts/compile.js
+    artifact = loadCompiledArtifact('ThreePartyEscrow');
     
     // Create contract factory
     escrowFactory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, buyer);
   });
 
   beforeEach(async function () {
-    escrow = await escrowFactory.deploy(buyer.address, seller.address, mediator.address);
-    await escrow.waitForDeployment();
+    client = await EscrowClient.deploy(
+      buyer,
+      { buyer: buyer.address, seller: seller.address, mediator: mediator.address },
+      { artifact }
+    );
+    escrow = client.contract;
   });
 
   describe("Deployment", function () {
@@ -46,41 +60,45 @@ describe("ThreePartyEscrow", function () {
       expect(await escrow.mediator()).to.equal(mediator.address);
     });
 
+    it("Should deploy the artifact's runtime bytecode", async function () {
+      expect(await provider.getCode(await escrow.getAddress())).to.equal(artifact.deployedBytecode);
+    });
+
     it("Should reject zero address for seller", async function () {
       await expect(
-        escrowFactory.deploy(ethers.ZeroAddress, mediator.address)
-      ).to.be.revertedWith("Seller address cannot be zero");
+        escrowFactory.deploy(buyer.address, ethers.ZeroAddress, mediator.address)
+      ).to.be.revertedWithCustomError(escrow, "ZeroAddress").withArgs(1);
     });
 
     it("Should reject zero address for mediator", async function () {
       await expect(
-        escrowFactory.deploy(seller.address, ethers.ZeroAddress)
-      ).to.be.revertedWith("Mediator address cannot be zero");
+        escrowFactory.deploy(buyer.address, seller.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(escrow, "ZeroAddress").withArgs(2);
     });
 
     it("Should reject same address for seller and mediator", async function () {
       await expect(
-        escrowFactory.deploy(seller.address, seller.address)
-      ).to.be.revertedWith("Seller and mediator must be different");
+        escrowFactory.deploy(buyer.address, seller.address, seller.address)
+      ).to.be.revertedWithCustomError(escrow, "DuplicateParty").withArgs(1, 2);
     });
 
     it("Should reject buyer being same as seller", async function () {
       await expect(
-        escrowFactory.deploy(buyer.address, mediator.address)
-      ).to.be.revertedWith("Buyer and seller must be different");
+        escrowFactory.deploy(buyer.address, buyer.address, mediator.address)
+      ).to.be.revertedWithCustomError(escrow, "DuplicateParty").withArgs(0, 1);
     });
 
     it("Should reject buyer being same as mediator", async function () {
       await expect(
-        escrowFactory.deploy(seller.address, buyer.address)
-      ).to.be.revertedWith("Buyer and mediator must be different");
+        escrowFactory.deploy(buyer.address, seller.address, buyer.address)
+      ).to.be.revertedWithCustomError(escrow, "DuplicateParty").withArgs(0, 2);
     });
   });
 
   describe("Deposit", function () {
     it("Should allow buyer to deposit funds", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      await expect(escrow.connect(buyer).deposit({ value: depositAmount }))
+      await expect(client.connect(buyer).deposit(depositAmount))
         .to.emit(escrow, "FundsDeposited")
         .withArgs(buyer.address, depositAmount);
       
@@ -89,114 +107,129 @@ describe("ThreePartyEscrow", function () {
 
     it("Should reject deposit from non-buyer", async function () {
       await expect(
-        escrow.connect(seller).deposit({ value: ethers.parseEther("1.0") })
-      ).to.be.revertedWith("Only buyer can deposit");
+        client.connect(seller).deposit(ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(seller.address);
     });
 
     it("Should reject deposit of zero amount", async function () {
       await expect(
-        escrow.connect(buyer).deposit({ value: 0 })
-      ).to.be.revertedWith("Deposit must be greater than 0");
+        client.connect(buyer).deposit(0)
+      ).to.be.revertedWithCustomError(escrow, "ZeroDeposit");
+    });
+
+    it("Should add later deposits to the funds held", async function () {
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).deposit(ethers.parseEther("0.5"));
+      expect(await escrow.amount()).to.equal(ethers.parseEther("1.5"));
     });
 
-    it("Should reject multiple deposits", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
+    it("Should reject deposits once the parties reach consensus", async function () {
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(seller).approveRelease();
       await expect(
-        escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") })
-      ).to.be.revertedWith("Funds already deposited");
+        client.connect(buyer).deposit(ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(escrow, "InvalidState").withArgs(2);
     });
   });
 
   describe("Release Approval - 2 of 3 mechanism", function () {
     beforeEach(async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
     });
 
     it("Should allow buyer to approve release", async function () {
-      await expect(escrow.connect(buyer).approveRelease())
+      await expect(client.connect(buyer).approve(Direction.Release))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(buyer.address);
+        .withArgs(buyer.address, Direction.Release);
       
       expect(await escrow.buyerApprovedRelease()).to.be.true;
     });
 
     it("Should allow seller to approve release", async function () {
-      await expect(escrow.connect(seller).approveRelease())
+      await expect(client.connect(seller).approve(Direction.Release))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(seller.address);
+        .withArgs(seller.address, Direction.Release);
       
       expect(await escrow.sellerApprovedRelease()).to.be.true;
     });
 
     it("Should allow mediator to approve release", async function () {
-      await expect(escrow.connect(mediator).approveRelease())
+      await expect(client.connect(mediator).approve(Direction.Release))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(mediator.address);
+        .withArgs(mediator.address, Direction.Release);
       
       expect(await escrow.mediatorApprovedRelease()).to.be.true;
     });
 
     it("Should reject approval from non-party", async function () {
       await expect(
-        escrow.connect(other).approveRelease()
-      ).to.be.revertedWith("Only parties can call this function");
+        client.connect(other).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(other.address);
     });
 
     it("Should reject double approval from same party", async function () {
-      await escrow.connect(buyer).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
       await expect(
-        escrow.connect(buyer).approveRelease()
-      ).to.be.revertedWith("Buyer already approved release");
+        client.connect(buyer).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyApproved").withArgs(buyer.address, Direction.Release);
     });
 
-    it("Should release funds when buyer and seller approve", async function () {
+    it("Should release funds when buyer and seller approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const sellerBalanceBefore = await provider.getBalance(seller.address);
       
-      await escrow.connect(buyer).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
+      await client.connect(seller).approve(Direction.Release);
       
-      await expect(escrow.connect(seller).approveRelease())
+      const tx = await client.connect(buyer).finalize(Direction.Release);
+      const receipt = await tx.wait();
+      await expect(tx)
         .to.emit(escrow, "FundsReleased")
         .withArgs(seller.address, depositAmount);
       
       expect(await escrow.fundsReleased()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
       
-      const sellerBalanceAfter = await provider.getBalance(seller.address);
-      // Seller balance should increase (minus gas costs for transaction)
-      expect(sellerBalanceAfter).to.be.greaterThan(sellerBalanceBefore);
+      // Read around the finalize block, since ethers briefly caches identical "latest" queries
+      const sellerBalanceBefore = await provider.getBalance(seller.address, receipt.blockNumber - 1);
+      const sellerBalanceAfter = await provider.getBalance(seller.address, receipt.blockNumber);
+      expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + depositAmount);
     });
 
-    it("Should release funds when buyer and mediator approve", async function () {
+    it("Should release funds when buyer and mediator approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const sellerBalanceBefore = await provider.getBalance(seller.address);
       
-      await escrow.connect(buyer).approveRelease();
-      await escrow.connect(mediator).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
+      await client.connect(mediator).approve(Direction.Release);
+      
+      const receipt = await (await client.connect(mediator).finalize(Direction.Release)).wait();
       
       expect(await escrow.fundsReleased()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
       
-      const sellerBalanceAfter = await provider.getBalance(seller.address);
+      const sellerBalanceBefore = await provider.getBalance(seller.address, receipt.blockNumber - 1);
+      const sellerBalanceAfter = await provider.getBalance(seller.address, receipt.blockNumber);
       expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + depositAmount);
     });
 
-    it("Should release funds when seller and mediator approve", async function () {
+    it("Should release funds when seller and mediator approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const sellerBalanceBefore = await provider.getBalance(seller.address);
       
-      await escrow.connect(seller).approveRelease();
-      await escrow.connect(mediator).approveRelease();
+      await client.connect(seller).approve(Direction.Release);
+      await client.connect(mediator).approve(Direction.Release);
+      
+      const receipt = await (await client.connect(buyer).finalize(Direction.Release)).wait();
       
       expect(await escrow.fundsReleased()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
       
-      const sellerBalanceAfter = await provider.getBalance(seller.address);
+      const sellerBalanceBefore = await provider.getBalance(seller.address, receipt.blockNumber - 1);
+      const sellerBalanceAfter = await provider.getBalance(seller.address, receipt.blockNumber);
       expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + depositAmount);
     });
 
     it("Should not release funds with only one approval", async function () {
-      await escrow.connect(buyer).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
       
       expect(await escrow.fundsReleased()).to.be.false;
       expect(await escrow.amount()).to.equal(ethers.parseEther("1.0"));
@@ -205,137 +238,136 @@ describe("ThreePartyEscrow", function () {
 
   describe("Refund Approval - 2 of 3 mechanism", function () {
     beforeEach(async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
     });
 
     it("Should allow buyer to approve refund", async function () {
-      await expect(escrow.connect(buyer).approveRefund())
+      await expect(client.connect(buyer).approve(Direction.Refund))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(buyer.address);
+        .withArgs(buyer.address, Direction.Refund);
       
       expect(await escrow.buyerApprovedRefund()).to.be.true;
     });
 
     it("Should allow seller to approve refund", async function () {
-      await expect(escrow.connect(seller).approveRefund())
+      await expect(client.connect(seller).approve(Direction.Refund))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(seller.address);
+        .withArgs(seller.address, Direction.Refund);
       
       expect(await escrow.sellerApprovedRefund()).to.be.true;
     });
 
     it("Should allow mediator to approve refund", async function () {
-      await expect(escrow.connect(mediator).approveRefund())
+      await expect(client.connect(mediator).approve(Direction.Refund))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(mediator.address);
+        .withArgs(mediator.address, Direction.Refund);
       
       expect(await escrow.mediatorApprovedRefund()).to.be.true;
     });
 
-    it("Should refund when buyer and seller approve", async function () {
+    it("Should refund when buyer and seller approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const buyerBalanceBefore = await provider.getBalance(buyer.address);
       
-      await escrow.connect(seller).approveRefund();
+      await client.connect(buyer).approve(Direction.Refund);
+      await client.connect(seller).approve(Direction.Refund);
       
-      const tx = await escrow.connect(buyer).approveRefund();
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * (receipt.effectiveGasPrice || receipt.gasPrice);
+      const receipt = await (await client.connect(seller).finalize(Direction.Refund)).wait();
       
       expect(await escrow.fundsRefunded()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
       
-      const buyerBalanceAfter = await provider.getBalance(buyer.address);
-      expect(buyerBalanceAfter).to.equal(buyerBalanceBefore + depositAmount - gasUsed);
+      const buyerBalanceBefore = await provider.getBalance(buyer.address, receipt.blockNumber - 1);
+      const buyerBalanceAfter = await provider.getBalance(buyer.address, receipt.blockNumber);
+      expect(buyerBalanceAfter).to.equal(buyerBalanceBefore + depositAmount);
     });
 
-    it("Should refund when buyer and mediator approve", async function () {
+    it("Should refund when buyer and mediator approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const buyerBalanceBefore = await provider.getBalance(buyer.address);
       
-      await escrow.connect(mediator).approveRefund();
+      await client.connect(buyer).approve(Direction.Refund);
+      await client.connect(mediator).approve(Direction.Refund);
       
-      const tx = await escrow.connect(buyer).approveRefund();
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * (receipt.effectiveGasPrice || receipt.gasPrice);
+      const receipt = await (await client.connect(mediator).finalize(Direction.Refund)).wait();
       
       expect(await escrow.fundsRefunded()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
       
-      const buyerBalanceAfter = await provider.getBalance(buyer.address);
-      expect(buyerBalanceAfter).to.equal(buyerBalanceBefore + depositAmount - gasUsed);
+      const buyerBalanceBefore = await provider.getBalance(buyer.address, receipt.blockNumber - 1);
+      const buyerBalanceAfter = await provider.getBalance(buyer.address, receipt.blockNumber);
+      expect(buyerBalanceAfter).to.equal(buyerBalanceBefore + depositAmount);
     });
 
-    it("Should refund when seller and mediator approve", async function () {
+    it("Should refund when seller and mediator approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const buyerBalanceBefore = await provider.getBalance(buyer.address);
       
-      await escrow.connect(seller).approveRefund();
-      await escrow.connect(mediator).approveRefund();
+      await client.connect(seller).approve(Direction.Refund);
+      await client.connect(mediator).approve(Direction.Refund);
+      
+      const receipt = await (await client.connect(seller).finalize(Direction.Refund)).wait();
       
       expect(await escrow.fundsRefunded()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
       
-      const buyerBalanceAfter = await provider.getBalance(buyer.address);
+      const buyerBalanceBefore = await provider.getBalance(buyer.address, receipt.blockNumber - 1);
+      const buyerBalanceAfter = await provider.getBalance(buyer.address, receipt.blockNumber);
       expect(buyerBalanceAfter).to.equal(buyerBalanceBefore + depositAmount);
     });
   });
 
   describe("Edge Cases", function () {
     it("Should prevent operations after funds released", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
-      await escrow.connect(buyer).approveRelease();
-      await escrow.connect(seller).approveRelease();
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).approve(Direction.Release);
+      await client.connect(seller).approve(Direction.Release);
+      await client.connect(buyer).finalize(Direction.Release);
       
       await expect(
-        escrow.connect(mediator).approveRelease()
-      ).to.be.revertedWith("Funds already released or refunded");
+        client.connect(mediator).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
     });
 
     it("Should prevent operations after funds refunded", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
-      await escrow.connect(buyer).approveRefund();
-      await escrow.connect(seller).approveRefund();
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).approve(Direction.Refund);
+      await client.connect(seller).approve(Direction.Refund);
+      await client.connect(buyer).finalize(Direction.Refund);
       
       await expect(
-        escrow.connect(mediator).approveRefund()
-      ).to.be.revertedWith("Funds already released or refunded");
+        client.connect(mediator).approve(Direction.Refund)
+      ).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
     });
 
     it("Should require deposit before approval", async function () {
       await expect(
-        escrow.connect(buyer).approveRelease()
-      ).to.be.revertedWith("No funds deposited");
+        client.connect(buyer).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
     });
   });
 
   describe("Get Escrow State", function () {
     it("Should return correct initial state", async function () {
-      const state = await escrow.getEscrowState();
-      
-      expect(state._buyer).to.equal(buyer.address);
-      expect(state._seller).to.equal(seller.address);
-      expect(state._mediator).to.equal(mediator.address);
-      expect(state._amount).to.equal(0);
-      expect(state._buyerApprovedRelease).to.be.false;
-      expect(state._sellerApprovedRelease).to.be.false;
-      expect(state._mediatorApprovedRelease).to.be.false;
-      expect(state._buyerApprovedRefund).to.be.false;
-      expect(state._sellerApprovedRefund).to.be.false;
-      expect(state._mediatorApprovedRefund).to.be.false;
-      expect(state._fundsReleased).to.be.false;
-      expect(state._fundsRefunded).to.be.false;
+      const state = await client.getState();
+      
+      expect(state.buyer).to.equal(buyer.address);
+      expect(state.seller).to.equal(seller.address);
+      expect(state.mediator).to.equal(mediator.address);
+      expect(state.amount).to.equal(0);
+      expect(state.state).to.equal("AwaitingDeposit");
+      expect(state.approvals.release).to.deep.equal({ buyer: false, seller: false, mediator: false, count: 0 });
+      expect(state.approvals.refund).to.deep.equal({ buyer: false, seller: false, mediator: false, count: 0 });
+      expect(state.fundsReleased).to.be.false;
+      expect(state.fundsRefunded).to.be.false;
     });
 
     it("Should return correct state after deposit and approvals", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
-      await escrow.connect(buyer).approveRelease();
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).approve(Direction.Release);
       
-      const state = await escrow.getEscrowState();
+      const state = await client.getState();
       
-      expect(state._amount).to.equal(ethers.parseEther("1.0"));
-      expect(state._buyerApprovedRelease).to.be.true;
-      expect(state._fundsReleased).to.be.false;
+      expect(state.amount).to.equal(ethers.parseEther("1.0"));
+      expect(state.approvals.release.buyer).to.be.true;
+      expect(state.fundsReleased).to.be.false;
     });
   });
 });
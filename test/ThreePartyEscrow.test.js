@@ -1,15 +1,22 @@
 import { expect } from "chai";
 import { ethers } from "hardhat";
+import { computeFees, FeeType } from "../lib/fees.js";
+import { Direction, signVote } from "../lib/signatures.js";
+import { EscrowClient } from "../lib/escrowClient.js";
 
 describe("ThreePartyEscrow", function () {
-  let escrow;
+  let client, escrow;
   let buyer, seller, mediator, other;
 
+  function deploy(buyerAddress, sellerAddress, mediatorAddress) {
+    return EscrowClient.deploy(buyer, { buyer: buyerAddress, seller: sellerAddress, mediator: mediatorAddress });
+  }
+
   beforeEach(async function () {
     [buyer, seller, mediator, other] = await ethers.getSigners();
     
-    const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
-    escrow = await ThreePartyEscrow.deploy(buyer.address, seller.address, mediator.address);
+    client = await deploy(buyer.address, seller.address, mediator.address);
+    escrow = client.contract;
   });
 
   describe("Deployment", function () {
@@ -26,52 +33,46 @@ describe("ThreePartyEscrow", function () {
     });
 
     it("Should reject zero address for buyer", async function () {
-      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
       await expect(
-        ThreePartyEscrow.deploy(ethers.ZeroAddress, seller.address, mediator.address)
-      ).to.be.revertedWith("Buyer address cannot be zero");
+        deploy(ethers.ZeroAddress, seller.address, mediator.address)
+      ).to.be.revertedWithCustomError(escrow, "ZeroAddress").withArgs(0);
     });
 
     it("Should reject zero address for seller", async function () {
-      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
       await expect(
-        ThreePartyEscrow.deploy(buyer.address, ethers.ZeroAddress, mediator.address)
-      ).to.be.revertedWith("Seller address cannot be zero");
+        deploy(buyer.address, ethers.ZeroAddress, mediator.address)
+      ).to.be.revertedWithCustomError(escrow, "ZeroAddress").withArgs(1);
     });
 
     it("Should reject zero address for mediator", async function () {
-      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
       await expect(
-        ThreePartyEscrow.deploy(buyer.address, seller.address, ethers.ZeroAddress)
-      ).to.be.revertedWith("Mediator address cannot be zero");
+        deploy(buyer.address, seller.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(escrow, "ZeroAddress").withArgs(2);
     });
 
     it("Should reject same address for seller and mediator", async function () {
-      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
       await expect(
-        ThreePartyEscrow.deploy(buyer.address, seller.address, seller.address)
-      ).to.be.revertedWith("Seller and mediator must be different");
+        deploy(buyer.address, seller.address, seller.address)
+      ).to.be.revertedWithCustomError(escrow, "DuplicateParty").withArgs(1, 2);
     });
 
     it("Should reject buyer being same as seller", async function () {
-      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
       await expect(
-        ThreePartyEscrow.deploy(buyer.address, buyer.address, mediator.address)
-      ).to.be.revertedWith("Buyer and seller must be different");
+        deploy(buyer.address, buyer.address, mediator.address)
+      ).to.be.revertedWithCustomError(escrow, "DuplicateParty").withArgs(0, 1);
     });
 
     it("Should reject buyer being same as mediator", async function () {
-      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
       await expect(
-        ThreePartyEscrow.deploy(buyer.address, seller.address, buyer.address)
-      ).to.be.revertedWith("Buyer and mediator must be different");
+        deploy(buyer.address, seller.address, buyer.address)
+      ).to.be.revertedWithCustomError(escrow, "DuplicateParty").withArgs(0, 2);
     });
   });
 
   describe("Deposit", function () {
     it("Should allow buyer to deposit funds", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      await expect(escrow.connect(buyer).deposit({ value: depositAmount }))
+      await expect(client.connect(buyer).deposit(depositAmount))
         .to.emit(escrow, "FundsDeposited")
         .withArgs(buyer.address, depositAmount);
       
@@ -80,122 +81,126 @@ describe("ThreePartyEscrow", function () {
 
     it("Should reject deposit from non-buyer", async function () {
       await expect(
-        escrow.connect(seller).deposit({ value: ethers.parseEther("1.0") })
-      ).to.be.revertedWith("Only buyer can deposit");
+        client.connect(seller).deposit(ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(seller.address);
     });
 
     it("Should reject deposit of zero amount", async function () {
       await expect(
-        escrow.connect(buyer).deposit({ value: 0 })
-      ).to.be.revertedWith("Deposit must be greater than 0");
+        client.connect(buyer).deposit(0)
+      ).to.be.revertedWithCustomError(escrow, "ZeroDeposit");
     });
 
-    it("Should reject multiple deposits", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
+    it("Should add later deposits to the funds held", async function () {
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).deposit(ethers.parseEther("0.5"));
+      expect(await escrow.amount()).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should reject deposits once the parties reach consensus", async function () {
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(seller).approveRelease();
       await expect(
-        escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") })
-      ).to.be.revertedWith("Funds already deposited");
+        client.connect(buyer).deposit(ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(escrow, "InvalidState").withArgs(2);
     });
   });
 
   describe("Release Approval - 2 of 3 mechanism", function () {
     beforeEach(async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
     });
 
     it("Should allow buyer to approve release", async function () {
-      await expect(escrow.connect(buyer).approveRelease())
+      await expect(client.connect(buyer).approve(Direction.Release))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(buyer.address);
+        .withArgs(buyer.address, Direction.Release);
       
       expect(await escrow.buyerApprovedRelease()).to.be.true;
     });
 
     it("Should allow seller to approve release", async function () {
-      await expect(escrow.connect(seller).approveRelease())
+      await expect(client.connect(seller).approve(Direction.Release))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(seller.address);
+        .withArgs(seller.address, Direction.Release);
       
       expect(await escrow.sellerApprovedRelease()).to.be.true;
     });
 
     it("Should allow mediator to approve release", async function () {
-      await expect(escrow.connect(mediator).approveRelease())
+      await expect(client.connect(mediator).approve(Direction.Release))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(mediator.address);
+        .withArgs(mediator.address, Direction.Release);
       
       expect(await escrow.mediatorApprovedRelease()).to.be.true;
     });
 
     it("Should reject approval from non-party", async function () {
       await expect(
-        escrow.connect(other).approveRelease()
-      ).to.be.revertedWith("Only parties can call this function");
+        client.connect(other).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(other.address);
     });
 
     it("Should reject double approval from same party", async function () {
-      await escrow.connect(buyer).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
       await expect(
-        escrow.connect(buyer).approveRelease()
-      ).to.be.revertedWith("Buyer already approved release");
+        client.connect(buyer).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyApproved").withArgs(buyer.address, Direction.Release);
     });
 
     it("Should release funds when buyer and seller approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
       
-      await escrow.connect(buyer).approveRelease();
-      await escrow.connect(seller).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
+      await client.connect(seller).approve(Direction.Release);
       
-      await expect(escrow.connect(buyer).finalizeRelease())
+      const tx = client.connect(buyer).finalize(Direction.Release);
+      await expect(tx)
         .to.emit(escrow, "FundsReleased")
         .withArgs(seller.address, depositAmount);
+      await expect(tx).to.changeEtherBalances([escrow, seller], [-depositAmount, depositAmount]);
       
       expect(await escrow.fundsReleased()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
-      
-      const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
-      expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + depositAmount);
     });
 
     it("Should release funds when buyer and mediator approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
       
-      await escrow.connect(buyer).approveRelease();
-      await escrow.connect(mediator).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
+      await client.connect(mediator).approve(Direction.Release);
       
-      await escrow.connect(seller).finalizeRelease();
+      await expect(client.connect(seller).finalize(Direction.Release)).to.changeEtherBalances(
+        [escrow, seller],
+        [-depositAmount, depositAmount]
+      );
       
       expect(await escrow.fundsReleased()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
-      
-      const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
-      expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + depositAmount);
     });
 
     it("Should release funds when seller and mediator approve and finalize", async function () {
       const depositAmount = ethers.parseEther("1.0");
-      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
       
-      await escrow.connect(seller).approveRelease();
-      await escrow.connect(mediator).approveRelease();
+      await client.connect(seller).approve(Direction.Release);
+      await client.connect(mediator).approve(Direction.Release);
       
-      await escrow.connect(buyer).finalizeRelease();
+      await expect(client.connect(buyer).finalize(Direction.Release)).to.changeEtherBalances(
+        [escrow, seller],
+        [-depositAmount, depositAmount]
+      );
       
       expect(await escrow.fundsReleased()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
-      
-      const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
-      expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + depositAmount);
     });
 
     it("Should not release funds with only one approval", async function () {
-      await escrow.connect(buyer).approveRelease();
+      await client.connect(buyer).approve(Direction.Release);
       
       await expect(
-        escrow.connect(buyer).finalizeRelease()
-      ).to.be.revertedWith("Need at least 2 approvals to release funds");
+        client.connect(buyer).finalize(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
       
       expect(await escrow.fundsReleased()).to.be.false;
       expect(await escrow.amount()).to.equal(ethers.parseEther("1.0"));
@@ -204,29 +209,29 @@ describe("ThreePartyEscrow", function () {
 
   describe("Refund Approval - 2 of 3 mechanism", function () {
     beforeEach(async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
     });
 
     it("Should allow buyer to approve refund", async function () {
-      await expect(escrow.connect(buyer).approveRefund())
+      await expect(client.connect(buyer).approve(Direction.Refund))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(buyer.address);
+        .withArgs(buyer.address, Direction.Refund);
       
       expect(await escrow.buyerApprovedRefund()).to.be.true;
     });
 
     it("Should allow seller to approve refund", async function () {
-      await expect(escrow.connect(seller).approveRefund())
+      await expect(client.connect(seller).approve(Direction.Refund))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(seller.address);
+        .withArgs(seller.address, Direction.Refund);
       
       expect(await escrow.sellerApprovedRefund()).to.be.true;
     });
 
     it("Should allow mediator to approve refund", async function () {
-      await expect(escrow.connect(mediator).approveRefund())
+      await expect(client.connect(mediator).approve(Direction.Refund))
         .to.emit(escrow, "ApprovalGiven")
-        .withArgs(mediator.address);
+        .withArgs(mediator.address, Direction.Refund);
       
       expect(await escrow.mediatorApprovedRefund()).to.be.true;
     });
@@ -235,10 +240,10 @@ describe("ThreePartyEscrow", function () {
       const depositAmount = ethers.parseEther("1.0");
       const buyerBalanceBefore = await ethers.provider.getBalance(buyer.address);
       
-      await escrow.connect(seller).approveRefund();
-      await escrow.connect(buyer).approveRefund();
+      await client.connect(seller).approve(Direction.Refund);
+      await client.connect(buyer).approve(Direction.Refund);
       
-      const tx = await escrow.connect(buyer).finalizeRefund();
+      const tx = await client.connect(buyer).finalize(Direction.Refund);
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed * (receipt.effectiveGasPrice || receipt.gasPrice);
       
@@ -253,10 +258,10 @@ describe("ThreePartyEscrow", function () {
       const depositAmount = ethers.parseEther("1.0");
       const buyerBalanceBefore = await ethers.provider.getBalance(buyer.address);
       
-      await escrow.connect(mediator).approveRefund();
-      await escrow.connect(buyer).approveRefund();
+      await client.connect(mediator).approve(Direction.Refund);
+      await client.connect(buyer).approve(Direction.Refund);
       
-      const tx = await escrow.connect(buyer).finalizeRefund();
+      const tx = await client.connect(buyer).finalize(Direction.Refund);
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed * (receipt.effectiveGasPrice || receipt.gasPrice);
       
@@ -271,10 +276,10 @@ describe("ThreePartyEscrow", function () {
       const depositAmount = ethers.parseEther("1.0");
       const buyerBalanceBefore = await ethers.provider.getBalance(buyer.address);
       
-      await escrow.connect(seller).approveRefund();
-      await escrow.connect(mediator).approveRefund();
+      await client.connect(seller).approve(Direction.Refund);
+      await client.connect(mediator).approve(Direction.Refund);
       
-      await escrow.connect(buyer).finalizeRefund();
+      await client.connect(buyer).finalize(Direction.Refund);
       
       expect(await escrow.fundsRefunded()).to.be.true;
       expect(await escrow.amount()).to.equal(0);
@@ -286,31 +291,31 @@ describe("ThreePartyEscrow", function () {
 
   describe("Edge Cases", function () {
     it("Should prevent operations after funds released", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
-      await escrow.connect(buyer).approveRelease();
-      await escrow.connect(seller).approveRelease();
-      await escrow.connect(buyer).finalizeRelease();
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).approve(Direction.Release);
+      await client.connect(seller).approve(Direction.Release);
+      await client.connect(buyer).finalize(Direction.Release);
       
       await expect(
-        escrow.connect(mediator).approveRelease()
-      ).to.be.revertedWith("Funds already released or refunded");
+        client.connect(mediator).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
     });
 
     it("Should prevent operations after funds refunded", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
-      await escrow.connect(buyer).approveRefund();
-      await escrow.connect(seller).approveRefund();
-      await escrow.connect(buyer).finalizeRefund();
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).approve(Direction.Refund);
+      await client.connect(seller).approve(Direction.Refund);
+      await client.connect(buyer).finalize(Direction.Refund);
       
       await expect(
-        escrow.connect(mediator).approveRefund()
-      ).to.be.revertedWith("Funds already released or refunded");
+        client.connect(mediator).approve(Direction.Refund)
+      ).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
     });
 
     it("Should require deposit before approval", async function () {
       await expect(
-        escrow.connect(buyer).approveRelease()
-      ).to.be.revertedWith("No funds deposited");
+        client.connect(buyer).approve(Direction.Release)
+      ).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
     });
   });
 
@@ -357,33 +362,1590 @@ describe("ThreePartyEscrow", function () {
     });
   });
 
-  describe("Get Escrow State", function () {
-    it("Should return correct initial state", async function () {
-      const state = await escrow.getEscrowState();
-      
-      expect(state._buyer).to.equal(buyer.address);
-      expect(state._seller).to.equal(seller.address);
-      expect(state._mediator).to.equal(mediator.address);
-      expect(state._amount).to.equal(0);
-      expect(state._buyerApprovedRelease).to.be.false;
-      expect(state._sellerApprovedRelease).to.be.false;
-      expect(state._mediatorApprovedRelease).to.be.false;
-      expect(state._buyerApprovedRefund).to.be.false;
-      expect(state._sellerApprovedRefund).to.be.false;
-      expect(state._mediatorApprovedRefund).to.be.false;
-      expect(state._fundsReleased).to.be.false;
-      expect(state._fundsRefunded).to.be.false;
+  describe("Timeouts", function () {
+    const DAY = 24 * 60 * 60;
+    const depositAmount = ethers.parseEther("1.0");
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      await escrow.connect(buyer).configureTimeouts(7 * DAY, 3 * DAY);
+      await escrow.connect(buyer).deposit({ value: depositAmount });
     });
 
-    it("Should return correct state after deposit and approvals", async function () {
-      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
-      await escrow.connect(buyer).approveRelease();
-      
-      const state = await escrow.getEscrowState();
-      
-      expect(state._amount).to.equal(ethers.parseEther("1.0"));
-      expect(state._buyerApprovedRelease).to.be.true;
-      expect(state._fundsReleased).to.be.false;
+    it("Should start the delivery deadline at deposit", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      expect(await escrow.deliveryDeadline()).to.equal(block.timestamp + 7 * DAY);
+    });
+
+    it("Should only let the buyer configure timeouts before deposit", async function () {
+      await expect(
+        escrow.connect(buyer).configureTimeouts(DAY, DAY)
+      ).to.be.revertedWithCustomError(escrow, "InvalidState");
+
+      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
+      const fresh = await ThreePartyEscrow.deploy(buyer.address, seller.address, mediator.address);
+      await expect(
+        fresh.connect(seller).configureTimeouts(DAY, DAY)
+      ).to.be.revertedWithCustomError(fresh, "NotBuyer").withArgs(seller.address);
+    });
+
+    it("Should let the buyer reclaim after the delivery deadline", async function () {
+      await expect(
+        escrow.connect(buyer).reclaimAfterDeadline()
+      ).to.be.revertedWithCustomError(escrow, "ReclaimNotAvailable");
+
+      await increaseTime(7 * DAY + 1);
+      expect(await escrow.getEscrowStatus()).to.equal("Expired");
+
+      await expect(escrow.connect(buyer).reclaimAfterDeadline()).to.changeEtherBalances(
+        [escrow, buyer],
+        [-depositAmount, depositAmount]
+      );
+      expect(await escrow.getEscrowStatus()).to.equal("Funds Refunded");
+    });
+
+    it("Should only let the buyer reclaim", async function () {
+      await increaseTime(7 * DAY + 1);
+      await expect(
+        escrow.connect(mediator).reclaimAfterDeadline()
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(mediator.address);
+    });
+
+    it("Should not let the buyer reclaim once release consensus exists", async function () {
+      await escrow.connect(seller).approveRelease();
+      await escrow.connect(mediator).approveRelease();
+      await increaseTime(7 * DAY + 1);
+
+      await expect(
+        escrow.connect(buyer).reclaimAfterDeadline()
+      ).to.be.revertedWithCustomError(escrow, "ReclaimNotAvailable");
+      expect(await escrow.getEscrowStatus()).to.equal("Approved");
+    });
+
+    it("Should not let the buyer reclaim after delivery was claimed", async function () {
+      await escrow.connect(seller).claimDelivery();
+      await increaseTime(7 * DAY + 1);
+
+      await expect(
+        escrow.connect(buyer).reclaimAfterDeadline()
+      ).to.be.revertedWithCustomError(escrow, "ReclaimNotAvailable");
+    });
+
+    it("Should reject delivery claims after the deadline", async function () {
+      await increaseTime(7 * DAY + 1);
+      await expect(
+        escrow.connect(seller).claimDelivery()
+      ).to.be.revertedWithCustomError(escrow, "DeliveryDeadlinePassed");
+    });
+
+    it("Should let the seller claim after an unchallenged inspection period", async function () {
+      await expect(escrow.connect(seller).claimDelivery()).to.emit(escrow, "DeliveryClaimed");
+      await expect(
+        escrow.connect(seller).claimAfterInspection()
+      ).to.be.revertedWithCustomError(escrow, "ClaimNotAvailable");
+
+      await increaseTime(3 * DAY + 1);
+      expect(await escrow.getEscrowStatus()).to.equal("Claimable");
+
+      await expect(escrow.connect(seller).claimAfterInspection()).to.changeEtherBalances(
+        [escrow, seller],
+        [-depositAmount, depositAmount]
+      );
+      expect(await escrow.getEscrowStatus()).to.equal("Funds Released");
+    });
+
+    it("Should block the seller claim when the buyer disputes delivery", async function () {
+      await escrow.connect(seller).claimDelivery();
+      await expect(escrow.connect(buyer).disputeDelivery())
+        .to.emit(escrow, "DeliveryDisputed")
+        .withArgs(buyer.address);
+
+      await increaseTime(3 * DAY + 1);
+      expect(await escrow.getEscrowStatus()).to.equal("Pending");
+      await expect(
+        escrow.connect(seller).claimAfterInspection()
+      ).to.be.revertedWithCustomError(escrow, "ClaimNotAvailable");
+    });
+
+    it("Should reject disputes after the inspection period", async function () {
+      await escrow.connect(seller).claimDelivery();
+      await increaseTime(3 * DAY + 1);
+
+      await expect(
+        escrow.connect(buyer).disputeDelivery()
+      ).to.be.revertedWithCustomError(escrow, "InspectionPeriodOver");
+    });
+
+    it("Should still allow 2-of-3 consensus on a disputed delivery", async function () {
+      await escrow.connect(seller).claimDelivery();
+      await escrow.connect(buyer).disputeDelivery();
+      await escrow.connect(buyer).approveRefund();
+      await escrow.connect(mediator).approveRefund();
+
+      await escrow.connect(buyer).finalizeRefund();
+      expect(await escrow.fundsRefunded()).to.be.true;
+    });
+
+    it("Should disable timeouts when not configured", async function () {
+      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
+      const fresh = await ThreePartyEscrow.deploy(buyer.address, seller.address, mediator.address);
+      await fresh.connect(buyer).deposit({ value: depositAmount });
+      await increaseTime(365 * DAY);
+
+      expect(await fresh.getEscrowStatus()).to.equal("Pending");
+      await expect(
+        fresh.connect(buyer).reclaimAfterDeadline()
+      ).to.be.revertedWithCustomError(fresh, "ReclaimNotAvailable");
+      await expect(
+        fresh.connect(seller).claimDelivery()
+      ).to.be.revertedWithCustomError(fresh, "TimeoutsNotConfigured");
+    });
+  });
+
+  describe("Disputes", function () {
+    const depositAmount = ethers.parseEther("1.0");
+    const reasonHash = ethers.id("Goods arrived damaged");
+    const contentHash = ethers.id("photo.jpg contents");
+    const rationaleHash = ethers.id("Photos show transit damage");
+
+    beforeEach(async function () {
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+    });
+
+    it("Should let the buyer or seller raise a dispute with a reason", async function () {
+      await expect(escrow.connect(seller).raiseDispute(reasonHash))
+        .to.emit(escrow, "DisputeRaised")
+        .withArgs(seller.address, reasonHash)
+        .and.to.emit(escrow, "StateChanged")
+        .withArgs(1, 4);
+
+      expect(await escrow.disputeRaisedBy()).to.equal(seller.address);
+      expect(await escrow.disputeReasonHash()).to.equal(reasonHash);
+      expect(await escrow.state()).to.equal(4);
+    });
+
+    it("Should reject invalid disputes", async function () {
+      await expect(
+        escrow.connect(mediator).raiseDispute(reasonHash)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyerOrSeller").withArgs(mediator.address);
+      await expect(
+        escrow.connect(buyer).raiseDispute(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(escrow, "HashRequired");
+
+      await escrow.connect(buyer).raiseDispute(reasonHash);
+      await expect(
+        escrow.connect(seller).raiseDispute(reasonHash)
+      ).to.be.revertedWithCustomError(escrow, "DisputeAlreadyRaised");
+    });
+
+    it("Should not raise a dispute before deposit or after consensus", async function () {
+      const fresh = await deploy(buyer.address, seller.address, mediator.address);
+      await expect(
+        fresh.contract.connect(buyer).raiseDispute(reasonHash)
+      ).to.be.revertedWithCustomError(fresh.contract, "NoFundsDeposited");
+
+      await escrow.connect(seller).approveRelease();
+      await escrow.connect(mediator).approveRelease();
+      await expect(
+        escrow.connect(buyer).raiseDispute(reasonHash)
+      ).to.be.revertedWithCustomError(escrow, "InvalidState");
+    });
+
+    it("Should record numbered evidence from the buyer and seller", async function () {
+      await expect(
+        escrow.connect(buyer).submitEvidence("cas://photo", contentHash)
+      ).to.be.revertedWithCustomError(escrow, "NoDisputeRaised");
+
+      await escrow.connect(buyer).raiseDispute(reasonHash);
+      await expect(escrow.connect(buyer).submitEvidence("cas://photo", contentHash))
+        .to.emit(escrow, "EvidenceSubmitted")
+        .withArgs(buyer.address, 0, "cas://photo", contentHash);
+      await expect(escrow.connect(seller).submitEvidence("cas://receipt", reasonHash))
+        .to.emit(escrow, "EvidenceSubmitted")
+        .withArgs(seller.address, 1, "cas://receipt", reasonHash);
+      expect(await escrow.evidenceCount()).to.equal(2);
+    });
+
+    it("Should reject invalid evidence", async function () {
+      await escrow.connect(buyer).raiseDispute(reasonHash);
+
+      await expect(
+        escrow.connect(mediator).submitEvidence("cas://photo", contentHash)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyerOrSeller").withArgs(mediator.address);
+      await expect(
+        escrow.connect(buyer).submitEvidence("", contentHash)
+      ).to.be.revertedWithCustomError(escrow, "EvidenceUriRequired");
+      await expect(
+        escrow.connect(buyer).submitEvidence("cas://photo", ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(escrow, "HashRequired");
+    });
+
+    it("Should count the mediator's ruling as its approval", async function () {
+      await escrow.connect(buyer).raiseDispute(reasonHash);
+      await escrow.connect(buyer).approveRefund();
+
+      await expect(escrow.connect(mediator).rule(Direction.Refund, rationaleHash))
+        .to.emit(escrow, "RulingIssued")
+        .withArgs(mediator.address, Direction.Refund, rationaleHash)
+        .and.to.emit(escrow, "ApprovalGiven")
+        .withArgs(mediator.address, Direction.Refund);
+      expect(await escrow.rulingRationaleHash()).to.equal(rationaleHash);
+      expect(await escrow.mediatorApprovedRefund()).to.be.true;
+      expect(await escrow.state()).to.equal(3);
+
+      await expect(escrow.connect(buyer).finalizeRefund()).to.changeEtherBalances(
+        [escrow, buyer],
+        [-depositAmount, depositAmount]
+      );
+    });
+
+    it("Should replace a vote the mediator cast the other way", async function () {
+      await escrow.connect(seller).raiseDispute(reasonHash);
+      await escrow.connect(mediator).approveRefund();
+
+      await escrow.connect(mediator).rule(Direction.Release, rationaleHash);
+
+      expect(await escrow.mediatorApprovedRelease()).to.be.true;
+      expect(await escrow.mediatorApprovedRefund()).to.be.false;
+      expect(await escrow.state()).to.equal(4);
+    });
+
+    it("Should accept a ruling that confirms the mediator's earlier vote", async function () {
+      await escrow.connect(seller).raiseDispute(reasonHash);
+      await escrow.connect(mediator).approveRelease();
+
+      await expect(escrow.connect(mediator).rule(Direction.Release, rationaleHash))
+        .to.emit(escrow, "RulingIssued")
+        .and.not.to.emit(escrow, "ApprovalGiven");
+      expect(await escrow.getReleaseApprovalCount()).to.equal(1);
+    });
+
+    it("Should only let the mediator rule once on an open dispute", async function () {
+      await expect(
+        escrow.connect(mediator).rule(Direction.Release, rationaleHash)
+      ).to.be.revertedWithCustomError(escrow, "NoDisputeRaised");
+
+      await escrow.connect(buyer).raiseDispute(reasonHash);
+      await expect(
+        escrow.connect(buyer).rule(Direction.Refund, rationaleHash)
+      ).to.be.revertedWithCustomError(escrow, "NotMediator").withArgs(buyer.address);
+      await expect(
+        escrow.connect(mediator).rule(Direction.Refund, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(escrow, "HashRequired");
+
+      await escrow.connect(mediator).rule(Direction.Refund, rationaleHash);
+      await expect(
+        escrow.connect(mediator).rule(Direction.Release, rationaleHash)
+      ).to.be.revertedWithCustomError(escrow, "RulingAlreadyIssued");
+    });
+
+    it("Should return to Disputed when consensus is lost during a dispute", async function () {
+      await escrow.connect(buyer).raiseDispute(reasonHash);
+      await escrow.connect(buyer).approveRefund();
+      await escrow.connect(mediator).rule(Direction.Refund, rationaleHash);
+
+      await escrow.connect(buyer).revokeRefundApproval();
+      expect(await escrow.state()).to.equal(4);
+    });
+
+    it("Should block the timeout payouts once a dispute is raised", async function () {
+      const DAY = 24 * 60 * 60;
+      const fresh = (await deploy(buyer.address, seller.address, mediator.address)).contract;
+      await fresh.connect(buyer).configureTimeouts(7 * DAY, 3 * DAY);
+      await fresh.connect(buyer).deposit({ value: depositAmount });
+      await fresh.connect(seller).raiseDispute(reasonHash);
+
+      await ethers.provider.send("evm_increaseTime", [7 * DAY + 1]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(
+        fresh.connect(buyer).reclaimAfterDeadline()
+      ).to.be.revertedWithCustomError(fresh, "ReclaimNotAvailable");
+    });
+
+    it("Should let the buyer give a reason after disputing a delivery", async function () {
+      const DAY = 24 * 60 * 60;
+      const fresh = (await deploy(buyer.address, seller.address, mediator.address)).contract;
+      await fresh.connect(buyer).configureTimeouts(7 * DAY, 3 * DAY);
+      await fresh.connect(buyer).deposit({ value: depositAmount });
+      await fresh.connect(seller).claimDelivery();
+      await fresh.connect(buyer).disputeDelivery();
+
+      await expect(fresh.connect(buyer).raiseDispute(reasonHash))
+        .to.emit(fresh, "DisputeRaised")
+        .and.not.to.emit(fresh, "StateChanged");
+      expect(await fresh.state()).to.equal(4);
+    });
+  });
+
+  describe("Role Rotation", function () {
+    const depositAmount = ethers.parseEther("1.0");
+    const DAY = 24 * 60 * 60;
+    let newMediator, newKey;
+
+    async function replaceMediator() {
+      await escrow.connect(buyer).nominateMediator(newMediator.address);
+      await escrow.connect(seller).nominateMediator(newMediator.address);
+      return escrow.connect(newMediator).acceptMediatorRole();
+    }
+
+    async function rotateKey(party, role) {
+      await escrow.connect(party).proposeKeyRotation(newKey.address);
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+      return escrow.connect(newKey).acceptKeyRotation(role);
+    }
+
+    beforeEach(async function () {
+      [, , , , newMediator, newKey] = await ethers.getSigners();
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+    });
+
+    it("Should replace the mediator once buyer and seller nominate the same candidate", async function () {
+      await escrow.connect(buyer).nominateMediator(newMediator.address);
+      await expect(
+        escrow.connect(newMediator).acceptMediatorRole()
+      ).to.be.revertedWithCustomError(escrow, "NominationIncomplete");
+
+      await expect(escrow.connect(seller).nominateMediator(newMediator.address))
+        .to.emit(escrow, "MediatorNominated")
+        .withArgs(seller.address, newMediator.address);
+      await expect(escrow.connect(newMediator).acceptMediatorRole())
+        .to.emit(escrow, "PartyReplaced")
+        .withArgs(2, mediator.address, newMediator.address);
+
+      expect(await escrow.mediator()).to.equal(newMediator.address);
+      expect(await escrow.mediatorNominee()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should reset the nomination when the other side nominates someone else", async function () {
+      await escrow.connect(buyer).nominateMediator(newMediator.address);
+      await escrow.connect(seller).nominateMediator(newKey.address);
+
+      expect(await escrow.buyerNominatedMediator()).to.be.false;
+      await expect(
+        escrow.connect(newKey).acceptMediatorRole()
+      ).to.be.revertedWithCustomError(escrow, "NominationIncomplete");
+      await expect(
+        escrow.connect(newMediator).acceptMediatorRole()
+      ).to.be.revertedWithCustomError(escrow, "NotNominee").withArgs(newMediator.address);
+    });
+
+    it("Should reject invalid nominations", async function () {
+      await expect(
+        escrow.connect(mediator).nominateMediator(newMediator.address)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyerOrSeller").withArgs(mediator.address);
+      await expect(
+        escrow.connect(buyer).nominateMediator(seller.address)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyAParty");
+      await expect(
+        escrow.connect(buyer).nominateMediator(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(escrow, "ZeroAddress").withArgs(2);
+    });
+
+    it("Should strip a replaced mediator of its votes, ruling and signatures", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const staleVote = await signVote(mediator, escrow, { direction: Direction.Refund, deadline });
+
+      await escrow.connect(buyer).raiseDispute(ethers.id("Seller paid the mediator"));
+      await escrow.connect(buyer).approveRefund();
+      await escrow.connect(mediator).rule(Direction.Refund, ethers.id("Refund"));
+      expect(await escrow.state()).to.equal(3);
+
+      await expect(replaceMediator())
+        .to.emit(escrow, "ApprovalRevoked")
+        .withArgs(mediator.address, Direction.Refund)
+        .and.to.emit(escrow, "StateChanged")
+        .withArgs(3, 4);
+      expect(await escrow.mediatorApprovedRefund()).to.be.false;
+      expect(await escrow.rulingRationaleHash()).to.equal(ethers.ZeroHash);
+
+      await expect(escrow.connect(mediator).approveRelease()).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(mediator.address);
+      await expect(escrow.connect(mediator).rule(Direction.Release, ethers.id("x"))).to.be.revertedWithCustomError(escrow, "NotMediator").withArgs(mediator.address);
+      await expect(escrow.connect(mediator).finalizeRefund()).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(mediator.address);
+      await expect(escrow.connect(other).approveWithSig(Direction.Refund, staleVote)).to.be.revertedWithCustomError(escrow, "NotAParty");
+
+      await escrow.connect(newMediator).rule(Direction.Release, ethers.id("Damage happened after delivery"));
+      expect(await escrow.getReleaseApprovalCount()).to.equal(1);
+      expect(await escrow.getRefundApprovalCount()).to.equal(1);
+    });
+
+    it("Should rotate a party's key only after the timelock", async function () {
+      await expect(escrow.connect(seller).proposeKeyRotation(newKey.address)).to.emit(escrow, "KeyRotationProposed");
+      const [newAddress, executableAt] = await escrow.keyRotations(1);
+      expect(newAddress).to.equal(newKey.address);
+      expect(executableAt).to.equal((await ethers.provider.getBlock("latest")).timestamp + 2 * DAY);
+
+      await expect(escrow.connect(newKey).acceptKeyRotation(1)).to.be.revertedWithCustomError(escrow, "KeyRotationTimelocked");
+      await expect(escrow.connect(newKey).acceptKeyRotation(0)).to.be.revertedWithCustomError(escrow, "NotRotationTarget").withArgs(newKey.address);
+
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(escrow.connect(newKey).acceptKeyRotation(1))
+        .to.emit(escrow, "PartyReplaced")
+        .withArgs(1, seller.address, newKey.address);
+      expect(await escrow.seller()).to.equal(newKey.address);
+      expect((await escrow.keyRotations(1)).newAddress).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should leave the old key powerless after a rotation", async function () {
+      await escrow.connect(seller).approveRelease();
+      await rotateKey(seller, 1);
+
+      expect(await escrow.sellerApprovedRelease()).to.be.false;
+      await expect(escrow.connect(seller).approveRelease()).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(seller.address);
+      await expect(escrow.connect(seller).proposeKeyRotation(seller.address)).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(seller.address);
+      await expect(escrow.connect(seller).claimDelivery()).to.be.revertedWithCustomError(escrow, "NotSeller").withArgs(seller.address);
+
+      await escrow.connect(newKey).approveRelease();
+      await escrow.connect(mediator).approveRelease();
+      await expect(escrow.connect(mediator).finalizeRelease()).to.changeEtherBalances(
+        [seller, newKey],
+        [0, depositAmount]
+      );
+    });
+
+    it("Should drop the old key's settlement approval", async function () {
+      await escrow.connect(buyer).proposeSettlement(5000);
+      await rotateKey(buyer, 0);
+
+      const proposalHash = await escrow.settlementProposalHash();
+      expect(await escrow.settlementApprovals(proposalHash, buyer.address)).to.be.false;
+      await escrow.connect(seller).approveSettlement(proposalHash);
+      await expect(
+        escrow.connect(seller).finalizeSettlement()
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+    });
+
+    it("Should let a party cancel its pending rotation", async function () {
+      await escrow.connect(mediator).proposeKeyRotation(newKey.address);
+      await expect(escrow.connect(mediator).cancelKeyRotation())
+        .to.emit(escrow, "KeyRotationCancelled")
+        .withArgs(2, newKey.address);
+
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(escrow.connect(newKey).acceptKeyRotation(2)).to.be.revertedWithCustomError(escrow, "NotRotationTarget").withArgs(newKey.address);
+      await expect(escrow.connect(mediator).cancelKeyRotation()).to.be.revertedWithCustomError(escrow, "NoKeyRotationPending");
+    });
+
+    it("Should discard a pending rotation when the mediator is replaced", async function () {
+      await escrow.connect(mediator).proposeKeyRotation(newKey.address);
+      await replaceMediator();
+
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(escrow.connect(newKey).acceptKeyRotation(2)).to.be.revertedWithCustomError(escrow, "NotRotationTarget").withArgs(newKey.address);
+    });
+
+    it("Should not rotate to an address that is already a party", async function () {
+      await expect(
+        escrow.connect(buyer).proposeKeyRotation(mediator.address)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyAParty");
+
+      // The candidate became a party while the rotation was pending
+      await escrow.connect(buyer).proposeKeyRotation(newMediator.address);
+      await replaceMediator();
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(escrow.connect(newMediator).acceptKeyRotation(0)).to.be.revertedWithCustomError(escrow, "AlreadyAParty");
+    });
+
+    it("Should report pending role changes through the SDK", async function () {
+      await (await client.connect(seller).nominateMediator(newMediator.address)).wait();
+      await (await client.connect(mediator).proposeKeyRotation(newKey.address)).wait();
+
+      const changes = await client.getRoleChanges();
+      expect(changes.mediatorNomination).to.deep.equal({ candidate: newMediator.address, buyer: false, seller: true });
+      expect(changes.keyRotations.buyer).to.equal(null);
+      expect(changes.keyRotations.mediator.newAddress).to.equal(newKey.address);
+    });
+  });
+
+  describe("Settlement", function () {
+    const depositAmount = ethers.parseEther("1.0");
+
+    beforeEach(async function () {
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+    });
+
+    it("Should record a proposal with the proposer's approval", async function () {
+      await expect(escrow.connect(mediator).proposeSettlement(7000))
+        .to.emit(escrow, "SettlementProposed");
+
+      const proposalHash = await escrow.settlementProposalHash();
+      expect(await escrow.proposedSellerShareBps()).to.equal(7000);
+      expect(await escrow.settlementApprovals(proposalHash, mediator.address)).to.be.true;
+    });
+
+    it("Should split funds once 2 of 3 approve the proposal", async function () {
+      await escrow.connect(mediator).proposeSettlement(7000);
+      const proposalHash = await escrow.settlementProposalHash();
+      await escrow.connect(seller).approveSettlement(proposalHash);
+      expect(await escrow.getEscrowStatus()).to.equal("Approved");
+
+      const sellerAmount = ethers.parseEther("0.7");
+      const buyerAmount = ethers.parseEther("0.3");
+      const tx = escrow.connect(mediator).finalizeSettlement();
+
+      await expect(tx)
+        .to.emit(escrow, "FundsSettled")
+        .withArgs(proposalHash, sellerAmount, buyerAmount);
+      await expect(tx).to.changeEtherBalances(
+        [escrow, seller, buyer],
+        [-depositAmount, sellerAmount, buyerAmount]
+      );
+      expect(await escrow.fundsSettled()).to.be.true;
+      expect(await escrow.amount()).to.equal(0);
+      expect(await escrow.getEscrowStatus()).to.equal("Funds Settled");
+    });
+
+    it("Should round the seller share down and give the remainder to the buyer", async function () {
+      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
+      const oddEscrow = await ThreePartyEscrow.deploy(buyer.address, seller.address, mediator.address);
+      await oddEscrow.connect(buyer).deposit({ value: 101 });
+
+      await oddEscrow.connect(buyer).proposeSettlement(5000);
+      await oddEscrow.connect(seller).approveSettlement(await oddEscrow.settlementProposalHash());
+
+      await expect(oddEscrow.connect(buyer).finalizeSettlement()).to.changeEtherBalances(
+        [oddEscrow, seller, buyer],
+        [-101, 50, 51]
+      );
+    });
+
+    it("Should not settle with only one approval", async function () {
+      await escrow.connect(buyer).proposeSettlement(3000);
+      await expect(
+        escrow.connect(buyer).finalizeSettlement()
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+    });
+
+    it("Should reset consensus when a new split is proposed", async function () {
+      await escrow.connect(buyer).proposeSettlement(3000);
+      const firstHash = await escrow.settlementProposalHash();
+      await escrow.connect(seller).proposeSettlement(8000);
+      const secondHash = await escrow.settlementProposalHash();
+
+      expect(secondHash).to.not.equal(firstHash);
+      await expect(
+        escrow.connect(mediator).approveSettlement(firstHash)
+      ).to.be.revertedWithCustomError(escrow, "ProposalNotCurrent");
+      await expect(
+        escrow.connect(seller).finalizeSettlement()
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+    });
+
+    it("Should give a re-proposed split a fresh hash", async function () {
+      await escrow.connect(buyer).proposeSettlement(5000);
+      const firstHash = await escrow.settlementProposalHash();
+      await escrow.connect(buyer).proposeSettlement(5000);
+
+      expect(await escrow.settlementProposalHash()).to.not.equal(firstHash);
+    });
+
+    it("Should reject double approval of the same proposal", async function () {
+      await escrow.connect(buyer).proposeSettlement(5000);
+      await expect(
+        escrow.connect(buyer).approveSettlement(await escrow.settlementProposalHash())
+      ).to.be.revertedWithCustomError(escrow, "SettlementAlreadyApproved").withArgs(buyer.address);
+    });
+
+    it("Should reject shares above 100%", async function () {
+      await expect(
+        escrow.connect(buyer).proposeSettlement(10001)
+      ).to.be.revertedWithCustomError(escrow, "BpsTooHigh");
+    });
+
+    it("Should reject proposals from non-parties", async function () {
+      await expect(
+        escrow.connect(other).proposeSettlement(5000)
+      ).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(other.address);
+    });
+
+    it("Should prevent operations after settlement", async function () {
+      await escrow.connect(buyer).proposeSettlement(5000);
+      await escrow.connect(seller).approveSettlement(await escrow.settlementProposalHash());
+      await escrow.connect(buyer).finalizeSettlement();
+
+      await expect(
+        escrow.connect(mediator).approveRelease()
+      ).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+    });
+  });
+
+  describe("Fees", function () {
+    const depositAmount = ethers.parseEther("1.0");
+    let platform;
+
+    beforeEach(async function () {
+      platform = (await ethers.getSigners())[4];
+    });
+
+    it("Should only let the buyer configure fees before deposit", async function () {
+      await expect(
+        escrow.connect(mediator).configureFees(FeeType.BasisPoints, 500, platform.address, 100)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(mediator.address);
+
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await expect(
+        escrow.connect(buyer).configureFees(FeeType.BasisPoints, 500, platform.address, 100)
+      ).to.be.revertedWithCustomError(escrow, "InvalidState");
+    });
+
+    it("Should reject invalid fee configurations", async function () {
+      await expect(
+        escrow.connect(buyer).configureFees(FeeType.BasisPoints, 9000, platform.address, 1001)
+      ).to.be.revertedWithCustomError(escrow, "BpsTooHigh");
+      await expect(
+        escrow.connect(buyer).configureFees(FeeType.None, 0, ethers.ZeroAddress, 100)
+      ).to.be.revertedWithCustomError(escrow, "InvalidFeeConfig");
+      await expect(
+        escrow.connect(buyer).configureFees(FeeType.None, 5, platform.address, 0)
+      ).to.be.revertedWithCustomError(escrow, "InvalidFeeConfig");
+    });
+
+    it("Should charge the mediator fee when the mediator's vote was decisive", async function () {
+      await escrow.connect(buyer).configureFees(FeeType.BasisPoints, 500, platform.address, 100);
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await escrow.connect(seller).approveRelease();
+      await escrow.connect(mediator).approveRelease();
+
+      const platformFee = ethers.parseEther("0.01");
+      const mediatorFee = ethers.parseEther("0.05");
+      const net = depositAmount - platformFee - mediatorFee;
+      const tx = escrow.connect(buyer).finalizeRelease();
+
+      await expect(tx).to.emit(escrow, "PlatformFeePaid").withArgs(platform.address, platformFee);
+      await expect(tx).to.emit(escrow, "MediatorFeePaid").withArgs(mediator.address, mediatorFee);
+      await expect(tx).to.emit(escrow, "FundsReleased").withArgs(seller.address, net);
+      await expect(tx).to.changeEtherBalances(
+        [escrow, platform, mediator, seller],
+        [-depositAmount, platformFee, mediatorFee, net]
+      );
+    });
+
+    it("Should not charge the mediator fee when buyer and seller agree", async function () {
+      await escrow.connect(buyer).configureFees(FeeType.Flat, ethers.parseEther("0.1"), platform.address, 100);
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(seller).approveRelease();
+
+      await expect(escrow.connect(buyer).finalizeRelease()).to.not.emit(escrow, "MediatorFeePaid");
+    });
+
+    it("Should not charge the mediator fee when all three parties agree", async function () {
+      await escrow.connect(buyer).configureFees(FeeType.Flat, ethers.parseEther("0.1"), ethers.ZeroAddress, 0);
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await escrow.connect(buyer).approveRefund();
+      await escrow.connect(seller).approveRefund();
+      await escrow.connect(mediator).approveRefund();
+
+      await expect(escrow.connect(buyer).finalizeRefund()).to.changeEtherBalances(
+        [escrow, buyer, mediator],
+        [-depositAmount, depositAmount, 0]
+      );
+    });
+
+    it("Should charge a flat mediator fee on a decisive refund", async function () {
+      const flatFee = ethers.parseEther("0.02");
+      await escrow.connect(buyer).configureFees(FeeType.Flat, flatFee, ethers.ZeroAddress, 0);
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await escrow.connect(buyer).approveRefund();
+      await escrow.connect(mediator).approveRefund();
+
+      await expect(escrow.connect(seller).finalizeRefund()).to.changeEtherBalances(
+        [escrow, buyer, mediator],
+        [-depositAmount, depositAmount - flatFee, flatFee]
+      );
+    });
+
+    it("Should deduct fees before splitting a settlement", async function () {
+      await escrow.connect(buyer).configureFees(FeeType.BasisPoints, 1000, platform.address, 1000);
+      await escrow.connect(buyer).deposit({ value: 1001 });
+      await escrow.connect(mediator).proposeSettlement(5000);
+      await escrow.connect(seller).approveSettlement(await escrow.settlementProposalHash());
+
+      // 1001 wei: platform 100, mediator 100, net 801 split 400 / 401
+      await expect(escrow.connect(seller).finalizeSettlement()).to.changeEtherBalances(
+        [escrow, platform, mediator, seller, buyer],
+        [-1001, 100, 100, 400, 401]
+      );
+    });
+
+    it("Should match the JavaScript fee math on odd wei amounts", async function () {
+      const config = { mediatorFeeType: FeeType.BasisPoints, mediatorFee: 333n, platformFeeBps: 77n };
+      await escrow.connect(buyer).configureFees(
+        config.mediatorFeeType, config.mediatorFee, platform.address, config.platformFeeBps
+      );
+
+      for (const value of [1n, 3n, 99n, 10001n, 123456789n, ethers.parseEther("1.000000000000000001")]) {
+        for (const mediatorDecisive of [true, false]) {
+          const quoted = await escrow.quoteFees(value, mediatorDecisive);
+          const expected = computeFees({ value, mediatorDecisive, ...config });
+
+          expect(quoted.platformFeeAmount).to.equal(expected.platformFeeAmount);
+          expect(quoted.mediatorFeeAmount).to.equal(expected.mediatorFeeAmount);
+          expect(quoted.netAmount).to.equal(expected.netAmount);
+          expect(quoted.platformFeeAmount + quoted.mediatorFeeAmount + quoted.netAmount).to.equal(value);
+        }
+      }
+    });
+
+    it("Should cap a flat mediator fee at the payout", async function () {
+      await escrow.connect(buyer).configureFees(FeeType.Flat, 1000, platform.address, 100);
+      const quoted = await escrow.quoteFees(101, true);
+
+      expect(quoted.platformFeeAmount).to.equal(1);
+      expect(quoted.mediatorFeeAmount).to.equal(100);
+      expect(quoted.netAmount).to.equal(0);
+    });
+  });
+
+  describe("Pull Payments", function () {
+    const depositAmount = ethers.parseEther("1.0");
+    let receiver, receiverEscrow;
+
+    beforeEach(async function () {
+      const RejectingReceiver = await ethers.getContractFactory("RejectingReceiver");
+      receiver = await RejectingReceiver.deploy();
+
+      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
+      receiverEscrow = await ThreePartyEscrow.deploy(buyer.address, await receiver.getAddress(), mediator.address);
+    });
+
+    it("Should fail to finalize a push payment to a rejecting seller", async function () {
+      await receiverEscrow.connect(buyer).deposit({ value: depositAmount });
+      await receiverEscrow.connect(buyer).approveRelease();
+      await receiverEscrow.connect(mediator).approveRelease();
+
+      await expect(
+        receiverEscrow.connect(buyer).finalizeRelease()
+      ).to.be.revertedWithCustomError(receiverEscrow, "TransferFailed");
+    });
+
+    it("Should settle even when the seller rejects Ether", async function () {
+      await receiverEscrow.connect(buyer).configurePullPayments(true);
+      await receiverEscrow.connect(buyer).deposit({ value: depositAmount });
+      await receiver.approveRelease(await receiverEscrow.getAddress());
+      await receiverEscrow.connect(mediator).approveRelease();
+
+      await expect(receiverEscrow.connect(buyer).finalizeRelease())
+        .to.emit(receiverEscrow, "PaymentCredited")
+        .withArgs(await receiver.getAddress(), depositAmount);
+
+      expect(await receiverEscrow.fundsReleased()).to.be.true;
+      expect(await receiverEscrow.getEscrowStatus()).to.equal("Funds Released");
+      expect(await receiverEscrow.pendingWithdrawals(await receiver.getAddress())).to.equal(depositAmount);
+
+      // The recipient can only hurt itself by rejecting the withdrawal
+      await expect(
+        receiver.withdraw(await receiverEscrow.getAddress())
+      ).to.be.revertedWithCustomError(escrow, "TransferFailed");
+
+      await receiver.setAcceptPayments(true);
+      await expect(receiver.withdraw(await receiverEscrow.getAddress())).to.changeEtherBalances(
+        [receiverEscrow, receiver],
+        [-depositAmount, depositAmount]
+      );
+      expect(await receiverEscrow.pendingWithdrawals(await receiver.getAddress())).to.equal(0);
+    });
+
+    it("Should credit every recipient of a settlement", async function () {
+      await escrow.connect(buyer).configurePullPayments(true);
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await escrow.connect(buyer).proposeSettlement(2500);
+      await escrow.connect(seller).approveSettlement(await escrow.settlementProposalHash());
+      await escrow.connect(buyer).finalizeSettlement();
+
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.25"));
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.75"));
+
+      await expect(escrow.connect(seller).withdraw())
+        .to.emit(escrow, "Withdrawn")
+        .withArgs(seller.address, ethers.parseEther("0.25"));
+    });
+
+    it("Should reject withdrawals with nothing owed", async function () {
+      await expect(escrow.connect(other).withdraw()).to.be.revertedWithCustomError(escrow, "NothingToWithdraw").withArgs(other.address);
+    });
+
+    it("Should only let the buyer enable pull payments before deposit", async function () {
+      await expect(
+        escrow.connect(seller).configurePullPayments(true)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(seller.address);
+
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      await expect(
+        escrow.connect(buyer).configurePullPayments(true)
+      ).to.be.revertedWithCustomError(escrow, "InvalidState");
+    });
+  });
+
+  describe("Contributions", function () {
+    const target = ethers.parseEther("1.0");
+    let insurer, coBuyer;
+
+    async function approveContributors(...contributors) {
+      for (const contributor of contributors) {
+        await escrow.connect(buyer).setContributor(contributor.address ?? contributor, true);
+      }
+    }
+
+    beforeEach(async function () {
+      [, , , , insurer, coBuyer] = await ethers.getSigners();
+    });
+
+    it("Should only accept third-party contributions from approved contributors", async function () {
+      await expect(
+        escrow.connect(insurer).deposit({ value: target })
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(insurer.address);
+      await expect(
+        escrow.connect(seller).setContributor(insurer.address, true)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(seller.address);
+
+      await expect(escrow.connect(buyer).setContributor(insurer.address, true))
+        .to.emit(escrow, "ContributorApproved")
+        .withArgs(insurer.address, true);
+      await expect(escrow.connect(insurer).deposit({ value: ethers.parseEther("0.4") }))
+        .to.emit(escrow, "ContributionReceived")
+        .withArgs(insurer.address, ethers.parseEther("0.4"), ethers.parseEther("0.4"));
+
+      await escrow.connect(buyer).setContributor(insurer.address, false);
+      await expect(
+        escrow.connect(insurer).deposit({ value: 1 })
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(insurer.address);
+      expect(await escrow.contributions(insurer.address)).to.equal(ethers.parseEther("0.4"));
+    });
+
+    it("Should not let outsiders use up the contributor slots", async function () {
+      await escrow.connect(buyer).configureFunding(target);
+      for (const outsider of (await ethers.getSigners()).slice(6, 16)) {
+        await expect(
+          escrow.connect(outsider).deposit({ value: 1 })
+        ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(outsider.address);
+      }
+
+      await expect(escrow.connect(buyer).deposit({ value: target }))
+        .to.emit(escrow, "FundsDeposited")
+        .withArgs(buyer.address, target);
+    });
+
+    it("Should stay unfunded until contributions reach the target", async function () {
+      await escrow.connect(buyer).configureFunding(target);
+      await approveContributors(insurer);
+      await escrow.connect(insurer).deposit({ value: ethers.parseEther("0.4") });
+
+      expect(await escrow.state()).to.equal(0);
+      expect(await escrow.amount()).to.equal(0);
+      await expect(escrow.connect(buyer).approveRelease()).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
+
+      await expect(escrow.connect(buyer).deposit({ value: ethers.parseEther("0.7") }))
+        .to.emit(escrow, "FundsDeposited")
+        .withArgs(buyer.address, ethers.parseEther("1.1"));
+      expect(await escrow.state()).to.equal(1);
+      expect(await escrow.amount()).to.equal(ethers.parseEther("1.1"));
+    });
+
+    it("Should let any contributor top up a funded escrow", async function () {
+      await escrow.connect(buyer).configureFunding(target);
+      await escrow.connect(buyer).deposit({ value: target });
+      await approveContributors(insurer);
+
+      await expect(escrow.connect(insurer).deposit({ value: ethers.parseEther("0.25") }))
+        .to.emit(escrow, "ContributionReceived")
+        .withArgs(insurer.address, ethers.parseEther("0.25"), ethers.parseEther("1.25"))
+        .and.not.to.emit(escrow, "FundsDeposited");
+      expect(await escrow.amount()).to.equal(ethers.parseEther("1.25"));
+      expect(await escrow.contributions(insurer.address)).to.equal(ethers.parseEther("0.25"));
+
+      const [contributors, amounts] = await escrow.getContributions();
+      expect(contributors).to.deep.equal([buyer.address, insurer.address]);
+      expect(amounts).to.deep.equal([target, ethers.parseEther("0.25")]);
+    });
+
+    it("Should refund each contributor its share", async function () {
+      await escrow.connect(buyer).configureFunding(target);
+      await approveContributors(insurer, coBuyer);
+      await escrow.connect(insurer).deposit({ value: ethers.parseEther("0.3") });
+      await escrow.connect(buyer).deposit({ value: ethers.parseEther("0.5") });
+      await escrow.connect(coBuyer).deposit({ value: ethers.parseEther("0.2") });
+      await escrow.connect(buyer).approveRefund();
+      await escrow.connect(seller).approveRefund();
+
+      // The buyer is paid directly; other contributors' shares are credited for withdrawal
+      const tx = escrow.connect(mediator).finalizeRefund();
+      await expect(tx).to.changeEtherBalances([escrow, buyer], [-ethers.parseEther("0.5"), ethers.parseEther("0.5")]);
+      await expect(tx).to.emit(escrow, "ContributionRefunded").withArgs(insurer.address, ethers.parseEther("0.3"));
+      await expect(tx).to.emit(escrow, "FundsRefunded").withArgs(buyer.address, target);
+      expect(await escrow.pendingWithdrawals(insurer.address)).to.equal(ethers.parseEther("0.3"));
+      expect(await escrow.pendingWithdrawals(coBuyer.address)).to.equal(ethers.parseEther("0.2"));
+
+      await expect(escrow.connect(insurer).withdraw()).to.changeEtherBalance(insurer, ethers.parseEther("0.3"));
+    });
+
+    it("Should refund even when a contributor rejects Ether", async function () {
+      const RejectingReceiver = await ethers.getContractFactory("RejectingReceiver");
+      const receiver = await RejectingReceiver.deploy();
+      await approveContributors(await receiver.getAddress());
+      await receiver.deposit(await escrow.getAddress(), { value: 1 });
+      await escrow.connect(buyer).deposit({ value: target });
+      await escrow.connect(buyer).approveRefund();
+      await escrow.connect(seller).approveRefund();
+
+      await expect(escrow.connect(buyer).finalizeRefund()).to.changeEtherBalance(buyer, target);
+      expect(await escrow.fundsRefunded()).to.be.true;
+      expect(await escrow.pendingWithdrawals(await receiver.getAddress())).to.equal(1);
+
+      // Only the rejecting contributor's own withdrawal fails
+      await expect(
+        receiver.withdraw(await escrow.getAddress())
+      ).to.be.revertedWithCustomError(escrow, "TransferFailed");
+    });
+
+    it("Should split a settlement's refund pro rata, leaving the rounding to the buyer", async function () {
+      await escrow.connect(buyer).configureFunding(11);
+      await approveContributors(insurer, coBuyer);
+      await escrow.connect(insurer).deposit({ value: 3 });
+      await escrow.connect(buyer).deposit({ value: 5 });
+      await escrow.connect(coBuyer).deposit({ value: 3 });
+      await escrow.connect(buyer).proposeSettlement(5000);
+      await escrow.connect(seller).approveSettlement(await escrow.settlementProposalHash());
+
+      // 11 wei: seller 5, refund 6 split 6 * 3 / 11 = 1 each, buyer 4
+      await expect(escrow.connect(buyer).finalizeSettlement()).to.changeEtherBalances(
+        [escrow, seller, buyer],
+        [-9, 5, 4]
+      );
+      expect(await escrow.pendingWithdrawals(insurer.address)).to.equal(1);
+      expect(await escrow.pendingWithdrawals(coBuyer.address)).to.equal(1);
+    });
+
+    it("Should return contributions when an underfunded escrow is cancelled", async function () {
+      await escrow.connect(buyer).configureFunding(target);
+      await approveContributors(insurer);
+      await escrow.connect(insurer).deposit({ value: ethers.parseEther("0.4") });
+
+      await escrow.connect(seller).cancel();
+      expect(await escrow.state()).to.equal(7);
+      expect(await escrow.pendingWithdrawals(insurer.address)).to.equal(ethers.parseEther("0.4"));
+    });
+
+    it("Should fix the terms once funding starts", async function () {
+      await expect(
+        escrow.connect(insurer).configureFunding(target)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(insurer.address);
+
+      await escrow.connect(buyer).configureFunding(target);
+      await approveContributors(insurer);
+      await escrow.connect(insurer).deposit({ value: 1 });
+
+      await expect(
+        escrow.connect(buyer).configureFunding(1)
+      ).to.be.revertedWithCustomError(escrow, "FundingStarted").withArgs(1);
+      await expect(
+        escrow.connect(buyer).configureFees(FeeType.BasisPoints, 500, insurer.address, 100)
+      ).to.be.revertedWithCustomError(escrow, "FundingStarted").withArgs(1);
+    });
+
+    it("Should move a contribution with a rotated key, keeping the ledger order", async function () {
+      const DAY = 24 * 60 * 60;
+      await escrow.connect(buyer).configureFunding(target);
+      await approveContributors(insurer, coBuyer);
+      await escrow.connect(buyer).deposit({ value: ethers.parseEther("0.3") });
+      await escrow.connect(insurer).deposit({ value: ethers.parseEther("0.3") });
+      await escrow.connect(coBuyer).deposit({ value: ethers.parseEther("0.4") });
+
+      // The new key already contributed, so the buyer's contribution merges into its entry
+      await escrow.connect(buyer).proposeKeyRotation(insurer.address);
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+      await escrow.connect(insurer).acceptKeyRotation(0);
+
+      const [contributors, amounts] = await escrow.getContributions();
+      expect(contributors).to.deep.equal([insurer.address, coBuyer.address]);
+      expect(amounts).to.deep.equal([ethers.parseEther("0.6"), ethers.parseEther("0.4")]);
+      expect(await escrow.contributions(buyer.address)).to.equal(0);
+    });
+
+    it("Should cap the number of contributors", async function () {
+      const signers = (await ethers.getSigners()).slice(6, 17);
+      await escrow.connect(buyer).configureFunding(target);
+      await approveContributors(...signers);
+      for (const signer of signers.slice(0, 10)) {
+        await escrow.connect(signer).deposit({ value: 1 });
+      }
+
+      await expect(
+        escrow.connect(signers[10]).deposit({ value: 1 })
+      ).to.be.revertedWithCustomError(escrow, "TooManyContributors").withArgs(10);
+      await escrow.connect(signers[0]).deposit({ value: 1 });
+      expect(await escrow.totalContributed()).to.equal(11);
+    });
+  });
+
+  describe("Revocation", function () {
+    beforeEach(async function () {
+      await escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") });
+    });
+
+    it("Should let a party revoke its release approval", async function () {
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(seller).approveRelease();
+
+      await expect(escrow.connect(seller).revokeReleaseApproval())
+        .to.emit(escrow, "ApprovalRevoked")
+        .withArgs(seller.address, Direction.Release);
+
+      expect(await escrow.sellerApprovedRelease()).to.be.false;
+      expect(await escrow.getReleaseApprovalCount()).to.equal(1);
+      await expect(
+        escrow.connect(buyer).finalizeRelease()
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+    });
+
+    it("Should let a party revoke its refund approval", async function () {
+      await escrow.connect(mediator).approveRefund();
+
+      await expect(escrow.connect(mediator).revokeRefundApproval())
+        .to.emit(escrow, "ApprovalRevoked")
+        .withArgs(mediator.address, Direction.Refund);
+      expect(await escrow.mediatorApprovedRefund()).to.be.false;
+    });
+
+    it("Should let a party approve again after revoking", async function () {
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(buyer).revokeReleaseApproval();
+
+      await expect(escrow.connect(buyer).approveRelease())
+        .to.emit(escrow, "ApprovalGiven")
+        .withArgs(buyer.address, Direction.Release);
+    });
+
+    it("Should reject revoking an approval that was never given", async function () {
+      await escrow.connect(buyer).approveRefund();
+
+      await expect(
+        escrow.connect(buyer).revokeReleaseApproval()
+      ).to.be.revertedWithCustomError(escrow, "NoApprovalToRevoke").withArgs(buyer.address, Direction.Release);
+      await expect(
+        escrow.connect(seller).revokeRefundApproval()
+      ).to.be.revertedWithCustomError(escrow, "NoApprovalToRevoke").withArgs(seller.address, Direction.Refund);
+    });
+
+    it("Should reject revocation from non-party", async function () {
+      await expect(
+        escrow.connect(other).revokeReleaseApproval()
+      ).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(other.address);
+    });
+
+    it("Should reject revocation after funds are released", async function () {
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(seller).approveRelease();
+      await escrow.connect(buyer).finalizeRelease();
+
+      await expect(
+        escrow.connect(seller).revokeReleaseApproval()
+      ).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+    });
+
+    it("Should clear a party's refund vote when it approves release", async function () {
+      await escrow.connect(buyer).approveRefund();
+
+      await expect(escrow.connect(buyer).approveRelease())
+        .to.emit(escrow, "ApprovalRevoked")
+        .withArgs(buyer.address, Direction.Refund)
+        .and.to.emit(escrow, "ApprovalGiven")
+        .withArgs(buyer.address, Direction.Release);
+
+      expect(await escrow.buyerApprovedRelease()).to.be.true;
+      expect(await escrow.buyerApprovedRefund()).to.be.false;
+    });
+
+    it("Should clear a party's release vote when it approves refund", async function () {
+      await escrow.connect(seller).approveRelease();
+      await escrow.connect(mediator).approveRelease();
+      await escrow.connect(mediator).approveRefund();
+
+      expect(await escrow.mediatorApprovedRelease()).to.be.false;
+      expect(await escrow.getReleaseApprovalCount()).to.equal(1);
+      expect(await escrow.getRefundApprovalCount()).to.equal(1);
+      expect(await escrow.getEscrowStatus()).to.equal("Pending");
+    });
+
+    it("Should not emit ApprovalRevoked when there was no opposite vote", async function () {
+      await expect(escrow.connect(buyer).approveRelease()).to.not.emit(escrow, "ApprovalRevoked");
+    });
+  });
+
+  describe("Signed Votes", function () {
+    const depositAmount = ethers.parseEther("1.0");
+    let deadline;
+
+    beforeEach(async function () {
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    it("Should record a relayed vote without the signer paying gas", async function () {
+      const vote = await signVote(seller, escrow, { direction: Direction.Release, deadline });
+      const sellerBalance = await ethers.provider.getBalance(seller.address);
+
+      await expect(escrow.connect(other).approveWithSig(Direction.Release, vote))
+        .to.emit(escrow, "ApprovalGiven")
+        .withArgs(seller.address, Direction.Release);
+
+      expect(await escrow.sellerApprovedRelease()).to.be.true;
+      expect(await escrow.nonces(seller.address)).to.equal(1);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(sellerBalance);
+    });
+
+    it("Should approve and finalize a release with two signatures in one transaction", async function () {
+      const votes = [
+        await signVote(seller, escrow, { direction: Direction.Release, deadline }),
+        await signVote(mediator, escrow, { direction: Direction.Release, deadline }),
+      ];
+
+      await expect(escrow.connect(other).finalizeWithSignatures(Direction.Release, votes)).to.changeEtherBalances(
+        [escrow, seller],
+        [-depositAmount, depositAmount]
+      );
+      expect(await escrow.fundsReleased()).to.be.true;
+    });
+
+    it("Should approve and finalize a refund with two signatures in one transaction", async function () {
+      const votes = [
+        await signVote(buyer, escrow, { direction: Direction.Refund, deadline }),
+        await signVote(mediator, escrow, { direction: Direction.Refund, deadline }),
+      ];
+
+      await expect(escrow.connect(other).finalizeWithSignatures(Direction.Refund, votes))
+        .to.emit(escrow, "FundsRefunded")
+        .withArgs(buyer.address, depositAmount);
+    });
+
+    it("Should combine a signed vote with an on-chain approval", async function () {
+      await escrow.connect(buyer).approveRelease();
+      const vote = await signVote(seller, escrow, { direction: Direction.Release, deadline });
+
+      await escrow.connect(other).finalizeWithSignatures(Direction.Release, [vote]);
+      expect(await escrow.fundsReleased()).to.be.true;
+    });
+
+    it("Should reject a batch without consensus", async function () {
+      const vote = await signVote(seller, escrow, { direction: Direction.Release, deadline });
+
+      await expect(
+        escrow.connect(other).finalizeWithSignatures(Direction.Release, [vote])
+      ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+    });
+
+    it("Should reject an expired signature", async function () {
+      const vote = await signVote(seller, escrow, { direction: Direction.Release, deadline });
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        escrow.connect(other).approveWithSig(Direction.Release, vote)
+      ).to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const vote = await signVote(seller, escrow, { direction: Direction.Refund, deadline });
+      await escrow.connect(other).approveWithSig(Direction.Refund, vote);
+
+      await expect(
+        escrow.connect(other).approveWithSig(Direction.Refund, vote)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject a signature submitted for the other direction", async function () {
+      const vote = await signVote(seller, escrow, { direction: Direction.Release, deadline });
+
+      await expect(
+        escrow.connect(other).approveWithSig(Direction.Refund, vote)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject a signature claimed for another party", async function () {
+      const vote = await signVote(other, escrow, { direction: Direction.Release, deadline });
+
+      await expect(
+        escrow.connect(other).approveWithSig(Direction.Release, { ...vote, signer: seller.address })
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject a vote from a non-party", async function () {
+      const vote = await signVote(other, escrow, { direction: Direction.Release, deadline });
+
+      await expect(
+        escrow.connect(other).approveWithSig(Direction.Release, vote)
+      ).to.be.revertedWithCustomError(escrow, "NotAParty");
+    });
+
+    it("Should reject a signature bound to another escrow", async function () {
+      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
+      const otherEscrow = await ThreePartyEscrow.deploy(buyer.address, seller.address, mediator.address);
+      const vote = await signVote(seller, otherEscrow, { direction: Direction.Release, deadline });
+
+      await expect(
+        escrow.connect(other).approveWithSig(Direction.Release, vote)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should still prevent double approval through a signature", async function () {
+      await escrow.connect(seller).approveRelease();
+      const vote = await signVote(seller, escrow, { direction: Direction.Release, deadline });
+
+      await expect(
+        escrow.connect(other).approveWithSig(Direction.Release, vote)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyApproved").withArgs(seller.address, Direction.Release);
+    });
+  });
+
+  describe("State Machine", function () {
+    const DAY = 24 * 60 * 60;
+    const depositAmount = ethers.parseEther("1.0");
+    const State = {
+      AwaitingDeposit: 0,
+      Funded: 1,
+      ReleaseApproved: 2,
+      RefundApproved: 3,
+      Disputed: 4,
+      Released: 5,
+      Refunded: 6,
+      Cancelled: 7,
+      Settled: 8,
+    };
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    async function expectTransition(tx, from, to) {
+      await expect(tx).to.emit(escrow, "StateChanged").withArgs(from, to);
+      expect(await escrow.state()).to.equal(to);
+    }
+
+    async function fund() {
+      await escrow.connect(buyer).deposit({ value: depositAmount });
+    }
+
+    async function reachReleaseApproved() {
+      await fund();
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(seller).approveRelease();
+    }
+
+    async function reachRefundApproved() {
+      await fund();
+      await escrow.connect(seller).approveRefund();
+      await escrow.connect(mediator).approveRefund();
+    }
+
+    async function reachDisputed() {
+      await escrow.connect(buyer).configureTimeouts(7 * DAY, 3 * DAY);
+      await fund();
+      await escrow.connect(seller).claimDelivery();
+      await escrow.connect(buyer).disputeDelivery();
+    }
+
+    it("Should start in AwaitingDeposit", async function () {
+      expect(await escrow.state()).to.equal(State.AwaitingDeposit);
+    });
+
+    describe("Legal transitions", function () {
+      it("AwaitingDeposit -> Funded on deposit", async function () {
+        await expectTransition(
+          escrow.connect(buyer).deposit({ value: depositAmount }),
+          State.AwaitingDeposit,
+          State.Funded
+        );
+      });
+
+      it("AwaitingDeposit -> Cancelled when the buyer cancels", async function () {
+        await expectTransition(escrow.connect(buyer).cancel(), State.AwaitingDeposit, State.Cancelled);
+      });
+
+      it("AwaitingDeposit -> Cancelled when the seller cancels", async function () {
+        await expectTransition(escrow.connect(seller).cancel(), State.AwaitingDeposit, State.Cancelled);
+      });
+
+      it("Funded -> ReleaseApproved on the second release approval", async function () {
+        await fund();
+        await expect(escrow.connect(buyer).approveRelease()).to.not.emit(escrow, "StateChanged");
+        await expectTransition(escrow.connect(mediator).approveRelease(), State.Funded, State.ReleaseApproved);
+      });
+
+      it("Funded -> RefundApproved on the second refund approval", async function () {
+        await fund();
+        await escrow.connect(buyer).approveRefund();
+        await expectTransition(escrow.connect(seller).approveRefund(), State.Funded, State.RefundApproved);
+      });
+
+      it("Funded -> Disputed when the buyer disputes delivery", async function () {
+        await escrow.connect(buyer).configureTimeouts(7 * DAY, 3 * DAY);
+        await fund();
+        await escrow.connect(seller).claimDelivery();
+        await expectTransition(escrow.connect(buyer).disputeDelivery(), State.Funded, State.Disputed);
+      });
+
+      it("Disputed -> ReleaseApproved on release consensus", async function () {
+        await reachDisputed();
+        await escrow.connect(seller).approveRelease();
+        await expectTransition(escrow.connect(mediator).approveRelease(), State.Disputed, State.ReleaseApproved);
+      });
+
+      it("Disputed -> RefundApproved on refund consensus", async function () {
+        await reachDisputed();
+        await escrow.connect(buyer).approveRefund();
+        await expectTransition(escrow.connect(mediator).approveRefund(), State.Disputed, State.RefundApproved);
+      });
+
+      it("ReleaseApproved stays put on a third release approval", async function () {
+        await reachReleaseApproved();
+        await expect(escrow.connect(mediator).approveRelease()).to.not.emit(escrow, "StateChanged");
+        expect(await escrow.state()).to.equal(State.ReleaseApproved);
+      });
+
+      it("ReleaseApproved -> Funded when an approval is revoked", async function () {
+        await reachReleaseApproved();
+        await expectTransition(escrow.connect(seller).revokeReleaseApproval(), State.ReleaseApproved, State.Funded);
+      });
+
+      it("RefundApproved -> Disputed when an approval is revoked on a disputed delivery", async function () {
+        await reachDisputed();
+        await escrow.connect(buyer).approveRefund();
+        await escrow.connect(mediator).approveRefund();
+        await expectTransition(escrow.connect(mediator).revokeRefundApproval(), State.RefundApproved, State.Disputed);
+      });
+
+      it("ReleaseApproved -> RefundApproved when a release voter switches sides", async function () {
+        await fund();
+        await escrow.connect(buyer).approveRefund();
+        await escrow.connect(seller).approveRelease();
+        await escrow.connect(mediator).approveRelease();
+        await expectTransition(escrow.connect(mediator).approveRefund(), State.ReleaseApproved, State.RefundApproved);
+      });
+
+      it("ReleaseApproved -> Released on finalization", async function () {
+        await reachReleaseApproved();
+        await expectTransition(escrow.connect(buyer).finalizeRelease(), State.ReleaseApproved, State.Released);
+      });
+
+      it("RefundApproved -> Refunded on finalization", async function () {
+        await reachRefundApproved();
+        await expectTransition(escrow.connect(buyer).finalizeRefund(), State.RefundApproved, State.Refunded);
+      });
+
+      it("Funded -> Released when the seller claims after inspection", async function () {
+        await escrow.connect(buyer).configureTimeouts(7 * DAY, 3 * DAY);
+        await fund();
+        await escrow.connect(seller).claimDelivery();
+        await increaseTime(3 * DAY + 1);
+        await expectTransition(escrow.connect(seller).claimAfterInspection(), State.Funded, State.Released);
+      });
+
+      it("Funded -> Refunded when the buyer reclaims after the deadline", async function () {
+        await escrow.connect(buyer).configureTimeouts(7 * DAY, 0);
+        await fund();
+        await increaseTime(7 * DAY + 1);
+        await expectTransition(escrow.connect(buyer).reclaimAfterDeadline(), State.Funded, State.Refunded);
+      });
+
+      it("RefundApproved -> Refunded when the buyer reclaims after the deadline", async function () {
+        await escrow.connect(buyer).configureTimeouts(7 * DAY, 0);
+        await reachRefundApproved();
+        await increaseTime(7 * DAY + 1);
+        await expectTransition(escrow.connect(buyer).reclaimAfterDeadline(), State.RefundApproved, State.Refunded);
+      });
+
+      it("Funded -> Settled on a split settlement", async function () {
+        await fund();
+        await escrow.connect(buyer).proposeSettlement(5000);
+        await escrow.connect(seller).approveSettlement(await escrow.settlementProposalHash());
+        await expectTransition(escrow.connect(buyer).finalizeSettlement(), State.Funded, State.Settled);
+      });
+
+      it("Disputed -> Settled on a split settlement", async function () {
+        await reachDisputed();
+        await escrow.connect(buyer).proposeSettlement(5000);
+        await escrow.connect(mediator).approveSettlement(await escrow.settlementProposalHash());
+        await expectTransition(escrow.connect(seller).finalizeSettlement(), State.Disputed, State.Settled);
+      });
+    });
+
+    describe("Illegal transitions", function () {
+      it("AwaitingDeposit: cannot approve or finalize", async function () {
+        await expect(escrow.connect(buyer).approveRelease()).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
+        await expect(escrow.connect(buyer).approveRefund()).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
+        await expect(escrow.connect(buyer).finalizeRelease()).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
+        await expect(escrow.connect(buyer).finalizeRefund()).to.be.revertedWithCustomError(escrow, "NoFundsDeposited");
+      });
+
+      it("AwaitingDeposit: only the buyer or seller can cancel", async function () {
+        await expect(escrow.connect(mediator).cancel()).to.be.revertedWithCustomError(escrow, "NotBuyerOrSeller").withArgs(mediator.address);
+        await expect(escrow.connect(other).cancel()).to.be.revertedWithCustomError(escrow, "NotBuyerOrSeller").withArgs(other.address);
+      });
+
+      it("Cancelled: cannot deposit, configure or cancel again", async function () {
+        await escrow.connect(seller).cancel();
+
+        await expect(
+          escrow.connect(buyer).deposit({ value: depositAmount })
+        ).to.be.revertedWithCustomError(escrow, "InvalidState").withArgs(7);
+        await expect(
+          escrow.connect(buyer).configureTimeouts(DAY, DAY)
+        ).to.be.revertedWithCustomError(escrow, "InvalidState");
+        await expect(escrow.connect(buyer).cancel()).to.be.revertedWithCustomError(escrow, "InvalidState");
+      });
+
+      it("Funded: cannot cancel", async function () {
+        await fund();
+
+        await expect(escrow.connect(buyer).cancel()).to.be.revertedWithCustomError(escrow, "InvalidState");
+      });
+
+      it("Funded: cannot finalize without consensus", async function () {
+        await fund();
+        await escrow.connect(buyer).approveRelease();
+        await escrow.connect(seller).approveRefund();
+
+        await expect(
+          escrow.connect(buyer).finalizeRelease()
+        ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+        await expect(
+          escrow.connect(buyer).finalizeRefund()
+        ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+        expect(await escrow.state()).to.equal(State.Funded);
+      });
+
+      it("ReleaseApproved: cannot refund or be disputed", async function () {
+        await escrow.connect(buyer).configureTimeouts(7 * DAY, 3 * DAY);
+        await fund();
+        await escrow.connect(seller).claimDelivery();
+        await escrow.connect(seller).approveRelease();
+        await escrow.connect(mediator).approveRelease();
+
+        await expect(escrow.connect(buyer).approveRefund()).to.not.emit(escrow, "StateChanged");
+        await expect(
+          escrow.connect(buyer).finalizeRefund()
+        ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+        await expect(escrow.connect(buyer).disputeDelivery()).to.be.revertedWithCustomError(escrow, "InvalidState");
+      });
+
+      it("RefundApproved: cannot release", async function () {
+        await reachRefundApproved();
+
+        await expect(escrow.connect(buyer).approveRelease()).to.not.emit(escrow, "StateChanged");
+        await expect(
+          escrow.connect(seller).finalizeRelease()
+        ).to.be.revertedWithCustomError(escrow, "InsufficientApprovals").withArgs(1, 2);
+      });
+
+      it("Disputed: the seller cannot claim after inspection", async function () {
+        await reachDisputed();
+        await increaseTime(3 * DAY + 1);
+
+        await expect(
+          escrow.connect(seller).claimAfterInspection()
+        ).to.be.revertedWithCustomError(escrow, "ClaimNotAvailable");
+      });
+
+      it("Released: no further approvals, payouts or deposits", async function () {
+        await reachReleaseApproved();
+        await escrow.connect(buyer).finalizeRelease();
+
+        await expect(escrow.connect(mediator).approveRefund()).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+        await expect(escrow.connect(buyer).finalizeRelease()).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+        await expect(
+          escrow.connect(buyer).deposit({ value: depositAmount })
+        ).to.be.revertedWithCustomError(escrow, "InvalidState");
+      });
+
+      it("Refunded: no further approvals, payouts or deposits", async function () {
+        await reachRefundApproved();
+        await escrow.connect(buyer).finalizeRefund();
+
+        await expect(escrow.connect(seller).approveRelease()).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+        await expect(escrow.connect(buyer).finalizeRefund()).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+        await expect(
+          escrow.connect(buyer).deposit({ value: depositAmount })
+        ).to.be.revertedWithCustomError(escrow, "InvalidState");
+      });
+
+      it("Settled: no further approvals, payouts or deposits", async function () {
+        await fund();
+        await escrow.connect(buyer).proposeSettlement(5000);
+        await escrow.connect(seller).approveSettlement(await escrow.settlementProposalHash());
+        await escrow.connect(buyer).finalizeSettlement();
+
+        await expect(escrow.connect(seller).approveRelease()).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+        await expect(escrow.connect(buyer).finalizeSettlement()).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+        await expect(
+          escrow.connect(buyer).deposit({ value: depositAmount })
+        ).to.be.revertedWithCustomError(escrow, "InvalidState");
+      });
+    });
+
+    describe("Approval counts", function () {
+      it("Should report approvals per direction", async function () {
+        await fund();
+        await escrow.connect(buyer).approveRelease();
+        await escrow.connect(seller).approveRefund();
+        await escrow.connect(mediator).approveRelease();
+
+        expect(await escrow.getReleaseApprovalCount()).to.equal(2);
+        expect(await escrow.getRefundApprovalCount()).to.equal(1);
+      });
+    });
+  });
+
+  describe("Get Escrow State", function () {
+    it("Should return correct initial state", async function () {
+      const state = await client.getState();
+      
+      expect(state.address).to.equal(await escrow.getAddress());
+      expect(state.buyer).to.equal(buyer.address);
+      expect(state.seller).to.equal(seller.address);
+      expect(state.mediator).to.equal(mediator.address);
+      expect(state.token).to.be.null;
+      expect(state.amount).to.equal(0);
+      expect(state.state).to.equal("AwaitingDeposit");
+      expect(state.approvals.release).to.deep.equal({ buyer: false, seller: false, mediator: false, count: 0 });
+      expect(state.approvals.refund).to.deep.equal({ buyer: false, seller: false, mediator: false, count: 0 });
+      expect(state.fundsReleased).to.be.false;
+      expect(state.fundsRefunded).to.be.false;
+      expect(state.fundsSettled).to.be.false;
+    });
+
+    it("Should return correct state after deposit and approvals", async function () {
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(buyer).approve(Direction.Release);
+      
+      const state = await client.getState();
+      
+      expect(state.amount).to.equal(ethers.parseEther("1.0"));
+      expect(state.state).to.equal("Funded");
+      expect(state.approvals.release.buyer).to.be.true;
+      expect(state.approvals.release.count).to.equal(1);
+      expect(state.fundsReleased).to.be.false;
+    });
+
+    it("Should match the raw getEscrowState tuple", async function () {
+      await client.connect(buyer).deposit(ethers.parseEther("1.0"));
+      await client.connect(seller).approve(Direction.Refund);
+
+      const tuple = await escrow.getEscrowState();
+      const state = await client.getState();
+
+      expect(state.amount).to.equal(tuple._amount);
+      expect(state.approvals.refund.seller).to.equal(tuple._sellerApprovedRefund);
+      expect(state.approvals.release.seller).to.equal(tuple._sellerApprovedRelease);
     });
   });
 });
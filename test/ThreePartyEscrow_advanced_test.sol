@@ -66,20 +66,15 @@ contract ThreePartyEscrowAdvancedTest {
         Assert.ok(!newEscrow.fundsRefunded(), "Funds should not be refunded initially");
     }
     
-    /// Test multiple deposits are rejected even with different amounts
+    /// Test deposits of different amounts accumulate
     /// #sender: account-0
     /// #value: 3000000000000000000
-    function testMultipleDepositsRejectedDifferentAmounts() public payable {
+    function testMultipleDepositsAccumulateDifferentAmounts() public payable {
         escrow.deposit{value: 1 ether}();
+        escrow.deposit{value: 2 ether}();
         
-        try escrow.deposit{value: 2 ether}() {
-            Assert.ok(false, "Second deposit should be rejected");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Funds already deposited", "Should reject second deposit");
-        }
-        
-        // Original deposit should remain
-        Assert.equal(escrow.amount(), 1 ether, "Original deposit should remain");
+        Assert.equal(escrow.amount(), 3 ether, "Deposits should accumulate");
+        Assert.equal(escrow.totalContributed(), 3 ether, "Total contributed should match");
     }
     
     /// Test approval before deposit is rejected
@@ -87,14 +82,14 @@ contract ThreePartyEscrowAdvancedTest {
     function testApprovalBeforeDepositRejected() public {
         try escrow.approveRelease() {
             Assert.ok(false, "Approval before deposit should be rejected");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "No funds deposited", "Should require deposit first");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.NoFundsDeposited.selector), "Should require deposit first");
         }
         
         try escrow.approveRefund() {
             Assert.ok(false, "Refund approval before deposit should be rejected");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "No funds deposited", "Should require deposit first");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.NoFundsDeposited.selector), "Should require deposit first");
         }
     }
     
@@ -103,14 +98,14 @@ contract ThreePartyEscrowAdvancedTest {
     function testFinalizeBeforeDepositRejected() public {
         try escrow.finalizeRelease() {
             Assert.ok(false, "Finalize before deposit should be rejected");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "No funds deposited", "Should require deposit first");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.NoFundsDeposited.selector), "Should require deposit first");
         }
         
         try escrow.finalizeRefund() {
             Assert.ok(false, "Finalize refund before deposit should be rejected");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "No funds deposited", "Should require deposit first");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.NoFundsDeposited.selector), "Should require deposit first");
         }
     }
     
@@ -146,9 +141,9 @@ contract ThreePartyEscrowAdvancedTest {
         Assert.ok(escrow.buyerApprovedRelease(), "Release approval should be recorded");
         Assert.ok(!escrow.buyerApprovedRefund(), "Refund approval should still be false");
         
-        // Approve refund
+        // Approve refund - replaces the release approval
         escrow.approveRefund();
-        Assert.ok(escrow.buyerApprovedRelease(), "Release approval should persist");
+        Assert.ok(!escrow.buyerApprovedRelease(), "Release approval should be cleared");
         Assert.ok(escrow.buyerApprovedRefund(), "Refund approval should be recorded");
     }
     
@@ -162,15 +157,15 @@ contract ThreePartyEscrowAdvancedTest {
         // Try finalize release (should fail - need 2 approvals)
         try escrow.finalizeRelease() {
             Assert.ok(false, "Should need 2 approvals");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Need at least 2 approvals to release funds", "Correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.InsufficientApprovals.selector, uint8(1), uint8(2)), "Correct error");
         }
         
         // Try finalize refund (should fail - need 2 approvals)
         try escrow.finalizeRefund() {
             Assert.ok(false, "Should need 2 approvals");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Need at least 2 approvals to refund funds", "Correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.InsufficientApprovals.selector, uint8(1), uint8(2)), "Correct error");
         }
     }
     
@@ -215,4 +210,14 @@ contract ThreePartyEscrowAdvancedTest {
         string memory status = escrow.getEscrowStatus();
         Assert.equal(status, "Pending", "Initial status should be Pending");
     }
+    
+    /// Asserts that `reason` is exactly the revert data `expected`, arguments included
+    function assertRevert(bytes memory reason, bytes memory expected, string memory message) internal {
+        Assert.equal(keccak256(reason), keccak256(expected), message);
+    }
+    
+    /// Asserts that `reason` is the custom error `selector`, whatever its arguments
+    function assertRevertSelector(bytes memory reason, bytes4 selector, string memory message) internal {
+        Assert.ok(bytes4(reason) == selector, message);
+    }
 }
@@ -50,8 +50,8 @@ contract ThreePartyEscrowTest {
     function testDeploymentRejectsZeroBuyer() public {
         try new ThreePartyEscrow(address(0), acc1, acc2) {
             Assert.ok(false, "Should reject zero buyer address");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Buyer address cannot be zero", "Should reject with correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.ZeroAddress.selector, ThreePartyEscrow.Role.Buyer), "Should reject with correct error");
         }
     }
     
@@ -59,8 +59,8 @@ contract ThreePartyEscrowTest {
     function testDeploymentRejectsZeroSeller() public {
         try new ThreePartyEscrow(acc0, address(0), acc2) {
             Assert.ok(false, "Should reject zero seller address");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Seller address cannot be zero", "Should reject with correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.ZeroAddress.selector, ThreePartyEscrow.Role.Seller), "Should reject with correct error");
         }
     }
     
@@ -68,8 +68,8 @@ contract ThreePartyEscrowTest {
     function testDeploymentRejectsZeroMediator() public {
         try new ThreePartyEscrow(acc0, acc1, address(0)) {
             Assert.ok(false, "Should reject zero mediator address");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Mediator address cannot be zero", "Should reject with correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.ZeroAddress.selector, ThreePartyEscrow.Role.Mediator), "Should reject with correct error");
         }
     }
     
@@ -77,8 +77,8 @@ contract ThreePartyEscrowTest {
     function testDeploymentRejectsSameBuyerSeller() public {
         try new ThreePartyEscrow(acc0, acc0, acc2) {
             Assert.ok(false, "Should reject same buyer and seller");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Buyer and seller must be different", "Should reject with correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.DuplicateParty.selector, ThreePartyEscrow.Role.Buyer, ThreePartyEscrow.Role.Seller), "Should reject with correct error");
         }
     }
     
@@ -86,8 +86,8 @@ contract ThreePartyEscrowTest {
     function testDeploymentRejectsSameBuyerMediator() public {
         try new ThreePartyEscrow(acc0, acc1, acc0) {
             Assert.ok(false, "Should reject same buyer and mediator");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Buyer and mediator must be different", "Should reject with correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.DuplicateParty.selector, ThreePartyEscrow.Role.Buyer, ThreePartyEscrow.Role.Mediator), "Should reject with correct error");
         }
     }
     
@@ -95,8 +95,8 @@ contract ThreePartyEscrowTest {
     function testDeploymentRejectsSameSellerMediator() public {
         try new ThreePartyEscrow(acc0, acc1, acc1) {
             Assert.ok(false, "Should reject same seller and mediator");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Seller and mediator must be different", "Should reject with correct error");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.DuplicateParty.selector, ThreePartyEscrow.Role.Seller, ThreePartyEscrow.Role.Mediator), "Should reject with correct error");
         }
     }
     
@@ -112,8 +112,8 @@ contract ThreePartyEscrowTest {
     function testOnlyBuyerCanDeposit() public payable {
         try escrow.deposit{value: 1 ether}() {
             Assert.ok(false, "Non-buyer should not be able to deposit");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Only buyer can deposit", "Should reject non-buyer deposit");
+        } catch (bytes memory reason) {
+            assertRevertSelector(reason, ThreePartyEscrow.NotBuyer.selector, "Should reject non-buyer deposit");
         }
     }
     
@@ -121,28 +121,26 @@ contract ThreePartyEscrowTest {
     function testDepositRejectsZeroAmount() public {
         try escrow.deposit{value: 0}() {
             Assert.ok(false, "Should reject zero deposit");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Deposit must be greater than 0", "Should reject zero deposit");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.ZeroDeposit.selector), "Should reject zero deposit");
         }
     }
     
     /// #sender: account-0
     /// #value: 2000000000000000000
-    function testDepositRejectsDoubleDeposit() public payable {
+    function testDepositTopsUpFunds() public payable {
         escrow.deposit{value: 1 ether}();
-        try escrow.deposit{value: 1 ether}() {
-            Assert.ok(false, "Should reject double deposit");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Funds already deposited", "Should reject double deposit");
-        }
+        escrow.deposit{value: 1 ether}();
+        Assert.equal(escrow.amount(), 2 ether, "Second deposit should top up the amount");
+        Assert.equal(escrow.contributions(address(this)), 2 ether, "Contributions should track both deposits");
     }
     
     /// #sender: account-0
     function testApprovalRequiresFundsDeposited() public {
         try escrow.approveRelease() {
             Assert.ok(false, "Should require funds deposited before approval");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "No funds deposited", "Should require deposit first");
+        } catch (bytes memory reason) {
+            assertRevert(reason, abi.encodeWithSelector(ThreePartyEscrow.NoFundsDeposited.selector), "Should require deposit first");
         }
     }
     
@@ -161,8 +159,8 @@ contract ThreePartyEscrowTest {
         escrow.approveRelease();
         try escrow.approveRelease() {
             Assert.ok(false, "Should prevent double approval");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Buyer already approved release", "Should reject double approval");
+        } catch (bytes memory reason) {
+            assertRevertSelector(reason, ThreePartyEscrow.AlreadyApproved.selector, "Should reject double approval");
         }
     }
     
@@ -174,8 +172,8 @@ contract ThreePartyEscrowTest {
         // Send funds to temp escrow from acc0 context is tricky in Remix, so we test rejection
         try tempEscrow.approveRelease() {
             Assert.ok(false, "Non-party should not be able to approve");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Only parties can call this function", "Should reject non-party");
+        } catch (bytes memory reason) {
+            assertRevertSelector(reason, ThreePartyEscrow.NotAParty.selector, "Should reject non-party");
         }
     }
     
@@ -202,8 +200,18 @@ contract ThreePartyEscrowTest {
         escrow.approveRefund();
         try escrow.approveRefund() {
             Assert.ok(false, "Should prevent double refund approval");
-        } catch Error(string memory reason) {
-            Assert.equal(reason, "Buyer already approved refund", "Should reject double refund approval");
+        } catch (bytes memory reason) {
+            assertRevertSelector(reason, ThreePartyEscrow.AlreadyApproved.selector, "Should reject double refund approval");
         }
     }
+    
+    /// Asserts that `reason` is exactly the revert data `expected`, arguments included
+    function assertRevert(bytes memory reason, bytes memory expected, string memory message) internal {
+        Assert.equal(keccak256(reason), keccak256(expected), message);
+    }
+    
+    /// Asserts that `reason` is the custom error `selector`, whatever its arguments
+    function assertRevertSelector(bytes memory reason, bytes4 selector, string memory message) internal {
+        Assert.ok(bytes4(reason) == selector, message);
+    }
 }
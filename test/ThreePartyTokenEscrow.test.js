@@ -0,0 +1,192 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+describe("ThreePartyTokenEscrow", function () {
+  let escrow, token;
+  let buyer, seller, mediator, other;
+  const depositAmount = ethers.parseUnits("100", 6);
+
+  async function signPermit(owner, spender, value, deadline) {
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await token.getAddress(),
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = {
+      owner: owner.address,
+      spender,
+      value,
+      nonce: await token.nonces(owner.address),
+      deadline,
+    };
+    return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+  }
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, other] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    await token.mint(buyer.address, depositAmount * 2n);
+
+    const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+    escrow = await ThreePartyTokenEscrow.deploy(
+      buyer.address, seller.address, mediator.address, await token.getAddress()
+    );
+  });
+
+  describe("Deployment", function () {
+    it("Should bind the token", async function () {
+      expect(await escrow.token()).to.equal(await token.getAddress());
+    });
+
+    it("Should reject zero token address", async function () {
+      const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+      await expect(
+        ThreePartyTokenEscrow.deploy(buyer.address, seller.address, mediator.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(ThreePartyTokenEscrow, "TokenNotContract").withArgs(ethers.ZeroAddress);
+    });
+
+    it("Should reject a token address without code", async function () {
+      const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+      await expect(
+        ThreePartyTokenEscrow.deploy(buyer.address, seller.address, mediator.address, other.address)
+      ).to.be.revertedWithCustomError(ThreePartyTokenEscrow, "TokenNotContract").withArgs(other.address);
+    });
+  });
+
+  describe("Deposit", function () {
+    it("Should allow buyer to deposit tokens after approval", async function () {
+      await token.connect(buyer).approve(await escrow.getAddress(), depositAmount);
+
+      await expect(escrow.connect(buyer).depositToken(depositAmount))
+        .to.emit(escrow, "FundsDeposited")
+        .withArgs(buyer.address, depositAmount);
+
+      expect(await escrow.amount()).to.equal(depositAmount);
+      expect(await token.balanceOf(await escrow.getAddress())).to.equal(depositAmount);
+    });
+
+    it("Should allow buyer to deposit with a permit signature", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const sig = await signPermit(buyer, await escrow.getAddress(), depositAmount, deadline);
+
+      await escrow.connect(buyer).depositWithPermit(depositAmount, deadline, sig.v, sig.r, sig.s);
+
+      expect(await escrow.amount()).to.equal(depositAmount);
+    });
+
+    it("Should tolerate a permit that was already submitted", async function () {
+      const escrowAddress = await escrow.getAddress();
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const sig = await signPermit(buyer, escrowAddress, depositAmount, deadline);
+      await token.connect(other).permit(buyer.address, escrowAddress, depositAmount, deadline, sig.v, sig.r, sig.s);
+
+      await escrow.connect(buyer).depositWithPermit(depositAmount, deadline, sig.v, sig.r, sig.s);
+
+      expect(await escrow.amount()).to.equal(depositAmount);
+    });
+
+    it("Should reject an invalid permit without allowance", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const sig = await signPermit(other, await escrow.getAddress(), depositAmount, deadline);
+
+      await expect(
+        escrow.connect(buyer).depositWithPermit(depositAmount, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should reject token deposit without allowance", async function () {
+      await expect(
+        escrow.connect(buyer).depositToken(depositAmount)
+      ).to.be.revertedWithCustomError(escrow, "TokenTransferFailed")
+        .withArgs(await token.getAddress(), buyer.address, await escrow.getAddress(), depositAmount);
+    });
+
+    it("Should reject token deposit from non-buyer", async function () {
+      await token.mint(seller.address, depositAmount);
+      await token.connect(seller).approve(await escrow.getAddress(), depositAmount);
+
+      await expect(
+        escrow.connect(seller).depositToken(depositAmount)
+      ).to.be.revertedWithCustomError(escrow, "NotBuyer").withArgs(seller.address);
+    });
+
+    it("Should reject Ether deposits", async function () {
+      await expect(
+        escrow.connect(buyer).deposit({ value: ethers.parseEther("1.0") })
+      ).to.be.revertedWithCustomError(escrow, "NotEtherEscrow");
+    });
+
+    it("Should reject token deposits into an Ether escrow", async function () {
+      const ThreePartyEscrow = await ethers.getContractFactory("ThreePartyEscrow");
+      const etherEscrow = await ThreePartyEscrow.deploy(buyer.address, seller.address, mediator.address);
+
+      await expect(
+        etherEscrow.connect(buyer).depositToken(depositAmount)
+      ).to.be.revertedWithCustomError(etherEscrow, "NotTokenEscrow");
+    });
+  });
+
+  describe("Settlement", function () {
+    beforeEach(async function () {
+      await token.connect(buyer).approve(await escrow.getAddress(), depositAmount);
+      await escrow.connect(buyer).depositToken(depositAmount);
+    });
+
+    it("Should release tokens to seller after 2 approvals", async function () {
+      await escrow.connect(buyer).approveRelease();
+      await escrow.connect(mediator).approveRelease();
+
+      await expect(escrow.connect(seller).finalizeRelease())
+        .to.emit(escrow, "FundsReleased")
+        .withArgs(seller.address, depositAmount);
+
+      expect(await token.balanceOf(seller.address)).to.equal(depositAmount);
+      expect(await token.balanceOf(await escrow.getAddress())).to.equal(0);
+    });
+
+    it("Should refund tokens to buyer after 2 approvals", async function () {
+      await escrow.connect(seller).approveRefund();
+      await escrow.connect(mediator).approveRefund();
+
+      await expect(escrow.connect(buyer).finalizeRefund())
+        .to.emit(escrow, "FundsRefunded")
+        .withArgs(buyer.address, depositAmount);
+
+      expect(await token.balanceOf(buyer.address)).to.equal(depositAmount * 2n);
+    });
+  });
+
+  describe("Non-standard tokens", function () {
+    it("Should handle tokens that do not return a bool", async function () {
+      const MockNonStandardERC20 = await ethers.getContractFactory("MockNonStandardERC20");
+      const usdt = await MockNonStandardERC20.deploy();
+      await usdt.mint(buyer.address, depositAmount);
+
+      const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+      const usdtEscrow = await ThreePartyTokenEscrow.deploy(
+        buyer.address, seller.address, mediator.address, await usdt.getAddress()
+      );
+
+      await usdt.connect(buyer).approve(await usdtEscrow.getAddress(), depositAmount);
+      await usdtEscrow.connect(buyer).depositToken(depositAmount);
+      await usdtEscrow.connect(buyer).approveRelease();
+      await usdtEscrow.connect(seller).approveRelease();
+      await usdtEscrow.connect(buyer).finalizeRelease();
+
+      expect(await usdt.balanceOf(seller.address)).to.equal(depositAmount);
+      expect(await usdtEscrow.fundsReleased()).to.be.true;
+    });
+  });
+});
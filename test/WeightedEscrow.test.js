@@ -0,0 +1,227 @@
+import { expect } from "chai";
+import { ethers, network } from "hardhat";
+import { Direction, EscrowError, WeightedEscrowClient, validateApproverSet } from "../lib/index.js";
+
+describe("WeightedEscrow", function () {
+  let WeightedEscrow, buyer, seller;
+  const amount = ethers.parseEther("1.0");
+
+  // Fresh funded wallets, so no test depends on how many Hardhat accounts there are
+  async function generateApprovers(weights) {
+    return Promise.all(
+      weights.map(async (weight) => {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await network.provider.send("hardhat_setBalance", [wallet.address, ethers.toBeHex(ethers.parseEther("10"))]);
+        return { wallet, address: wallet.address, weight: BigInt(weight) };
+      })
+    );
+  }
+
+  async function deploy(approvers, releaseThreshold, refundThreshold) {
+    return WeightedEscrow.deploy(
+      buyer.address,
+      seller.address,
+      approvers.map(({ address }) => address),
+      approvers.map(({ weight }) => weight),
+      releaseThreshold,
+      refundThreshold
+    );
+  }
+
+  beforeEach(async function () {
+    WeightedEscrow = await ethers.getContractFactory("WeightedEscrow");
+    [buyer, seller] = await ethers.getSigners();
+  });
+
+  describe("Deployment", function () {
+    for (const size of [1, 3, 7]) {
+      it(`Should store a generated set of ${size} with their weights`, async function () {
+        const approvers = await generateApprovers(Array.from({ length: size }, (_, i) => i + 1));
+        const total = approvers.reduce((sum, { weight }) => sum + weight, 0n);
+        const escrow = await deploy(approvers, total / 2n + 1n, total / 2n + 1n);
+
+        const [addresses, weights] = await escrow.getApprovers();
+        expect(addresses).to.deep.equal(approvers.map(({ address }) => address));
+        expect(weights).to.deep.equal(approvers.map(({ weight }) => weight));
+        expect(await escrow.totalWeight()).to.equal(total);
+        for (const { address, weight } of approvers) {
+          expect(await escrow.weightOf(address)).to.equal(weight);
+        }
+      });
+    }
+
+    it("Should reject an empty approver list", async function () {
+      await expect(deploy([], 1, 1)).to.be.revertedWithCustomError(WeightedEscrow, "NoApprovers");
+    });
+
+    it("Should reject mismatched approver arrays", async function () {
+      const [approver] = await generateApprovers([1]);
+      await expect(
+        WeightedEscrow.deploy(buyer.address, seller.address, [approver.address], [1, 1], 1, 1)
+      ).to.be.revertedWithCustomError(WeightedEscrow, "LengthMismatch").withArgs(1, 2);
+    });
+
+    it("Should reject a zero approver address", async function () {
+      const approvers = [...(await generateApprovers([1])), { address: ethers.ZeroAddress, weight: 1n }];
+      await expect(deploy(approvers, 2, 2)).to.be.revertedWithCustomError(WeightedEscrow, "ZeroApprover").withArgs(1);
+    });
+
+    it("Should reject duplicate approvers", async function () {
+      const [approver] = await generateApprovers([1]);
+      await expect(deploy([approver, approver], 2, 2)).to.be.revertedWithCustomError(WeightedEscrow, "DuplicateApprover").withArgs(approver.address);
+    });
+
+    it("Should reject zero weights", async function () {
+      const approvers = await generateApprovers([1, 0]);
+      await expect(deploy(approvers, 1, 1)).to.be.revertedWithCustomError(WeightedEscrow, "ZeroWeight").withArgs(approvers[1].address);
+    });
+
+    it("Should reject thresholds outside the total weight", async function () {
+      const approvers = await generateApprovers([1, 1, 1]);
+      await expect(deploy(approvers, 0, 2)).to.be.revertedWithCustomError(WeightedEscrow, "ThresholdOutOfRange").withArgs(Direction.Release, 0, 3);
+      await expect(deploy(approvers, 2, 4)).to.be.revertedWithCustomError(WeightedEscrow, "ThresholdOutOfRange").withArgs(Direction.Refund, 4, 3);
+    });
+
+    it("Should reject thresholds that let both directions reach consensus", async function () {
+      const approvers = await generateApprovers([1, 1, 1, 1]);
+      await expect(deploy(approvers, 2, 2)).to.be.revertedWithCustomError(WeightedEscrow, "ConflictingThresholds").withArgs(2, 2, 4);
+    });
+
+    it("Should reject buyer being same as seller", async function () {
+      const [approver] = await generateApprovers([1]);
+      await expect(
+        WeightedEscrow.deploy(buyer.address, buyer.address, [approver.address], [1], 1, 1)
+      ).to.be.revertedWithCustomError(WeightedEscrow, "DuplicateParty").withArgs(0, 1);
+    });
+  });
+
+  describe("Weighted approvals", function () {
+    let escrow, approvers;
+
+    // 5 approvers totalling 10: release needs 6, refund needs 5
+    beforeEach(async function () {
+      approvers = await generateApprovers([4, 2, 2, 1, 1]);
+      escrow = await deploy(approvers, 6, 5);
+      await escrow.connect(buyer).deposit({ value: amount });
+    });
+
+    it("Should only let approvers vote", async function () {
+      await expect(escrow.connect(seller).approveRelease()).to.be.revertedWithCustomError(escrow, "NotApprover").withArgs(seller.address);
+    });
+
+    it("Should release once the approving weight reaches the threshold", async function () {
+      await expect(escrow.connect(approvers[0].wallet).approveRelease())
+        .to.emit(escrow, "ApprovalGiven")
+        .withArgs(approvers[0].address, Direction.Release, 4);
+      await expect(escrow.connect(approvers[3].wallet).finalizeRelease()).to.be.revertedWithCustomError(escrow, "ThresholdNotReached").withArgs(Direction.Release, 4, 6);
+
+      await expect(escrow.connect(approvers[1].wallet).approveRelease()).to.emit(escrow, "StateChanged").withArgs(1, 2);
+      expect(await escrow.releaseWeight()).to.equal(6);
+
+      await expect(escrow.connect(buyer).finalizeRelease()).to.changeEtherBalances([escrow, seller], [-amount, amount]);
+      expect(await escrow.state()).to.equal(4);
+    });
+
+    it("Should refund once the low-weight approvers together reach the threshold", async function () {
+      for (const approver of approvers.slice(1)) {
+        await escrow.connect(approver.wallet).approveRefund();
+      }
+      expect(await escrow.state()).to.equal(3);
+
+      await expect(escrow.connect(seller).finalizeRefund()).to.changeEtherBalances([escrow, buyer], [-amount, amount]);
+      expect(await escrow.state()).to.equal(5);
+    });
+
+    it("Should move an approver's weight when they switch sides", async function () {
+      await escrow.connect(approvers[0].wallet).approveRelease();
+      await escrow.connect(approvers[1].wallet).approveRelease();
+      expect(await escrow.state()).to.equal(2);
+
+      await expect(escrow.connect(approvers[1].wallet).approveRefund())
+        .to.emit(escrow, "ApprovalRevoked")
+        .withArgs(approvers[1].address, Direction.Release, 2);
+      expect(await escrow.releaseWeight()).to.equal(4);
+      expect(await escrow.refundWeight()).to.equal(2);
+      expect(await escrow.state()).to.equal(1);
+    });
+
+    it("Should drop back to Funded when an approval is revoked", async function () {
+      await escrow.connect(approvers[0].wallet).approveRelease();
+      await escrow.connect(approvers[2].wallet).approveRelease();
+      await escrow.connect(approvers[2].wallet).revokeReleaseApproval();
+
+      expect(await escrow.state()).to.equal(1);
+      await expect(escrow.connect(approvers[2].wallet).revokeReleaseApproval()).to.be.revertedWithCustomError(escrow, "NoApprovalToRevoke").withArgs(approvers[2].address, Direction.Release);
+    });
+
+    it("Should only let parties finalize", async function () {
+      const [outsider] = await generateApprovers([1]);
+      await escrow.connect(approvers[0].wallet).approveRelease();
+      await escrow.connect(approvers[1].wallet).approveRelease();
+
+      await expect(escrow.connect(outsider.wallet).finalizeRelease()).to.be.revertedWithCustomError(escrow, "NotAParty").withArgs(outsider.address);
+    });
+
+    it("Should reject votes once funds are paid out", async function () {
+      await escrow.connect(approvers[0].wallet).approveRelease();
+      await escrow.connect(approvers[1].wallet).approveRelease();
+      await escrow.connect(seller).finalizeRelease();
+
+      await expect(escrow.connect(approvers[4].wallet).approveRefund()).to.be.revertedWithCustomError(escrow, "FundsAlreadyPaidOut");
+    });
+  });
+
+  describe("SDK", function () {
+    it("Should validate configurations with the constructor's errors", async function () {
+      const approvers = await generateApprovers([1, 1, 1, 1]);
+      const config = { buyer: buyer.address, seller: seller.address, approvers, releaseThreshold: 3, refundThreshold: 2 };
+
+      expect(validateApproverSet(config)).to.equal(4n);
+      expect(() => validateApproverSet({ ...config, refundThreshold: 1 })).to.throw(EscrowError).with.property("errorName", "ConflictingThresholds");
+      expect(() => validateApproverSet({ ...config, approvers: [...approvers, approvers[0]] })).to.throw(EscrowError).with.property("errorName", "DuplicateApprover");
+      expect(() => validateApproverSet({ ...config, approvers: [] })).to.throw(EscrowError).with.property("errorName", "NoApprovers");
+    });
+
+    it("Should deploy, vote and report every approver's vote", async function () {
+      const approvers = await generateApprovers([3, 2, 2]);
+      const client = await WeightedEscrowClient.deploy(buyer, {
+        buyer: buyer.address,
+        seller: seller.address,
+        approvers,
+        releaseThreshold: 5,
+        refundThreshold: 3,
+      });
+      await (await client.deposit(amount)).wait();
+      await (await client.connect(approvers[0].wallet).approve(Direction.Release)).wait();
+      await (await client.connect(approvers[2].wallet).approve(Direction.Refund)).wait();
+
+      const state = await client.getState();
+      expect(state.state).to.equal("Funded");
+      expect(state.approvers).to.deep.equal([
+        { address: approvers[0].address, weight: 3n, vote: "release" },
+        { address: approvers[1].address, weight: 2n, vote: null },
+        { address: approvers[2].address, weight: 2n, vote: "refund" },
+      ]);
+      expect(state.release).to.deep.equal({ weight: 3n, threshold: 5n });
+      expect(state.refund).to.deep.equal({ weight: 2n, threshold: 3n });
+
+      await (await client.connect(approvers[1].wallet).approve(Direction.Release)).wait();
+      await (await client.connect(seller).finalize(Direction.Release)).wait();
+      expect((await client.getState()).state).to.equal("Released");
+    });
+
+    it("Should decode reverts into EscrowErrors", async function () {
+      const approvers = await generateApprovers([1]);
+      const client = await WeightedEscrowClient.deploy(buyer, {
+        buyer: buyer.address,
+        seller: seller.address,
+        approvers,
+        releaseThreshold: 1,
+        refundThreshold: 1,
+      });
+
+      await expect(client.connect(approvers[0].wallet).approve(Direction.Release)).to.be.rejectedWith("No funds deposited");
+      expect(() => client.approve(2)).to.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { Direction, EscrowClient, createApiServer } from "../lib/index.js";
+import { EscrowIndexer } from "../lib/indexer.js";
+
+// Default Hardhat accounts #1 and #3
+const KEYS = {
+  seller: "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+  other: "0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6",
+};
+
+describe("Escrow API", function () {
+  let buyer, seller, mediator, other;
+  let client, address;
+  let indexer, server, baseUrl;
+  const depositAmount = ethers.parseEther("1.0");
+
+  async function listen(options) {
+    const instance = createApiServer({ provider: ethers.provider, ...options });
+    await new Promise((resolve) => instance.listen(0, "127.0.0.1", resolve));
+    return instance;
+  }
+
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function signedCall(key, to, method, args = []) {
+    const wallet = new ethers.Wallet(key, ethers.provider);
+    const data = client.contract.interface.encodeFunctionData(method, args);
+    // Fixed gas limit so transactions that would revert can still be signed
+    return wallet.signTransaction(await wallet.populateTransaction({ to, data, gasLimit: 200000 }));
+  }
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, other] = await ethers.getSigners();
+    client = await EscrowClient.deploy(buyer, {
+      buyer: buyer.address,
+      seller: seller.address,
+      mediator: mediator.address,
+    });
+    address = await client.getAddress();
+
+    indexer = new EscrowIndexer({ provider: ethers.provider });
+    server = await listen({ indexer });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    indexer.close();
+  });
+
+  describe("GET /escrows/:address", function () {
+    it("Should return the decoded state with derived status", async function () {
+      await client.deposit(depositAmount);
+      await client.approve(Direction.Release);
+
+      const { status, body } = await request("GET", `/escrows/${address.toLowerCase()}`);
+
+      expect(status).to.equal(200);
+      expect(body.address).to.equal(address);
+      expect(body.buyer).to.equal(buyer.address);
+      expect(body.amount).to.equal(depositAmount.toString());
+      expect(body.state).to.equal("Funded");
+      expect(body.status).to.equal("Pending");
+      expect(body.approvals.release).to.deep.equal({ buyer: true, seller: false, mediator: false, count: 1 });
+      expect(body.consensus).to.be.null;
+      expect(body.awaitingVotes).to.deep.equal(["seller", "mediator"]);
+    });
+
+    it("Should report consensus once two parties agree", async function () {
+      await client.deposit(depositAmount);
+      await client.approve(Direction.Refund);
+      await client.connect(mediator).approve(Direction.Refund);
+
+      const { body } = await request("GET", `/escrows/${address}`);
+
+      expect(body.state).to.equal("RefundApproved");
+      expect(body.status).to.equal("Approved");
+      expect(body.consensus).to.equal("refund");
+      expect(body.awaitingVotes).to.be.empty;
+    });
+
+    it("Should reject invalid and unknown addresses", async function () {
+      expect(await request("GET", "/escrows/0x1234")).to.deep.equal({
+        status: 400,
+        body: { error: "Not an address: 0x1234" },
+      });
+      expect((await request("GET", `/escrows/${other.address}`)).status).to.equal(404);
+    });
+  });
+
+  describe("GET /escrows", function () {
+    it("Should list a party's escrows from the indexer", async function () {
+      const second = await EscrowClient.deploy(buyer, {
+        buyer: buyer.address,
+        seller: seller.address,
+        mediator: other.address,
+      });
+      await indexer.addEscrow(address);
+      await indexer.addEscrow(await second.getAddress());
+      await client.deposit(depositAmount);
+      await client.approve(Direction.Refund);
+      await client.connect(seller).approve(Direction.Release);
+      await indexer.sync();
+
+      const all = await request("GET", `/escrows?party=${seller.address}`);
+      expect(all.status).to.equal(200);
+      expect(all.body.escrows).to.have.lengthOf(2);
+
+      const split = await request("GET", `/escrows?party=${mediator.address}&role=mediator&split=true`);
+      expect(split.body.escrows.map((escrow) => escrow.address)).to.deep.equal([address]);
+      expect(split.body.escrows[0].deposited).to.equal(depositAmount.toString());
+    });
+
+    it("Should validate filters", async function () {
+      expect((await request("GET", "/escrows?role=arbiter")).status).to.equal(400);
+      expect((await request("GET", "/escrows?state=Lost")).status).to.equal(400);
+      expect((await request("GET", "/escrows?split=maybe")).status).to.equal(400);
+    });
+
+    it("Should answer 501 without an indexer", async function () {
+      await new Promise((resolve) => server.close(resolve));
+      server = await listen({});
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      expect((await request("GET", "/escrows")).status).to.equal(501);
+    });
+  });
+
+  describe("POST /escrows/:address/approvals", function () {
+    beforeEach(async function () {
+      await client.deposit(depositAmount);
+    });
+
+    it("Should broadcast a pre-signed approval", async function () {
+      const signedTransaction = await signedCall(KEYS.seller, address, "approveRelease");
+
+      const { status, body } = await request("POST", `/escrows/${address}/approvals`, { signedTransaction });
+
+      expect(status).to.equal(202);
+      expect(body.from).to.equal(seller.address);
+      expect(body.method).to.equal("approveRelease");
+      expect(await ethers.provider.getTransactionReceipt(body.transactionHash)).to.not.be.null;
+      expect((await client.getState()).approvals.release.seller).to.be.true;
+    });
+
+    it("Should refuse a vote the escrow would reject", async function () {
+      const signedTransaction = await signedCall(KEYS.other, address, "approveRelease");
+
+      const { status, body } = await request("POST", `/escrows/${address}/approvals`, { signedTransaction });
+
+      expect(status).to.equal(422);
+      expect(body.errorName).to.equal("NotAParty");
+      expect(body.params).to.deep.equal({ caller: other.address });
+      expect(body.error).to.equal(`${other.address} is not a party to this escrow`);
+    });
+
+    it("Should only accept signed approvals for the escrow in the path", async function () {
+      const finalize = await signedCall(KEYS.seller, address, "finalizeRelease");
+      expect((await request("POST", `/escrows/${address}/approvals`, { signedTransaction: finalize })).status).to.equal(400);
+
+      const elsewhere = await signedCall(KEYS.seller, other.address, "approveRelease");
+      const misdirected = await request("POST", `/escrows/${address}/approvals`, { signedTransaction: elsewhere });
+      expect(misdirected.status).to.equal(400);
+      expect(misdirected.body.error).to.contain("is addressed to");
+
+      const unsigned = ethers.Transaction.from({ to: address, data: "0x", chainId: 31337 }).unsignedSerialized;
+      expect((await request("POST", `/escrows/${address}/approvals`, { signedTransaction: unsigned })).status).to.equal(400);
+      expect((await request("POST", `/escrows/${address}/approvals`, {})).status).to.equal(400);
+    });
+  });
+
+  it("Should serve the OpenAPI document", async function () {
+    const { status, body } = await request("GET", "/openapi.json");
+
+    expect(status).to.equal(200);
+    expect(body.openapi).to.match(/^3\./);
+    expect(Object.keys(body.paths)).to.have.members(["/escrows", "/escrows/{address}", "/escrows/{address}/approvals"]);
+  });
+
+  it("Should answer unknown routes and methods", async function () {
+    expect((await request("GET", "/nope")).status).to.equal(404);
+    expect((await request("DELETE", `/escrows/${address}`)).status).to.equal(405);
+  });
+});
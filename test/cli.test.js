@@ -0,0 +1,205 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "hardhat";
+import { run } from "../lib/cli.js";
+
+// Default Hardhat accounts #0-#2
+const KEYS = {
+  buyer: "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+  seller: "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+  mediator: "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a",
+};
+
+describe("escrow CLI", function () {
+  let buyer, seller, mediator;
+
+  function output() {
+    const chunks = [];
+    return { write: (chunk) => chunks.push(chunk), text: () => chunks.join("") };
+  }
+
+  async function cli(args, { key = KEYS.buyer, env = {}, signal } = {}) {
+    const stdout = output();
+    const stderr = output();
+    const code = await run(args, {
+      env: { ESCROW_PRIVATE_KEY: key, ...env },
+      stdout,
+      stderr,
+      provider: ethers.provider,
+      signal,
+    });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  }
+
+  async function deployEscrow() {
+    const { code, stdout } = await cli([
+      "deploy", "--seller", seller.address, "--mediator", mediator.address, "--json",
+    ]);
+    expect(code).to.equal(0);
+    return JSON.parse(stdout).address;
+  }
+
+  beforeEach(async function () {
+    [buyer, seller, mediator] = await ethers.getSigners();
+  });
+
+  it("Should deploy with the signer as buyer", async function () {
+    const { code, stdout } = await cli(["deploy", "--seller", seller.address, "--mediator", mediator.address, "--json"]);
+
+    expect(code).to.equal(0);
+    const deployed = JSON.parse(stdout);
+    expect(deployed.buyer).to.equal(buyer.address);
+    expect(await ethers.provider.getCode(deployed.address)).to.not.equal("0x");
+  });
+
+  it("Should run a release from deposit to payout", async function () {
+    const address = await deployEscrow();
+
+    expect((await cli(["deposit", address, "--amount", "1.5"])).code).to.equal(0);
+    expect((await cli(["approve", address, "release"])).code).to.equal(0);
+    expect((await cli(["approve", address, "release"], { key: KEYS.seller })).code).to.equal(0);
+
+    const balanceBefore = await ethers.provider.getBalance(seller.address);
+    const finalized = await cli(["finalize", address, "--json"], { key: KEYS.mediator });
+    expect(finalized.code).to.equal(0);
+    expect(JSON.parse(finalized.stdout).direction).to.equal("release");
+    expect(await ethers.provider.getBalance(seller.address)).to.equal(balanceBefore + ethers.parseEther("1.5"));
+
+    const status = JSON.parse((await cli(["status", address, "--json"])).stdout);
+    expect(status.state).to.equal("Released");
+    expect(status.amount).to.equal("0");
+  });
+
+  it("Should print a readable status", async function () {
+    const address = await deployEscrow();
+    await cli(["deposit", address, "--amount", "1"]);
+    await cli(["approve", address, "refund"], { key: KEYS.mediator });
+
+    const { stdout } = await cli(["status", address]);
+    expect(stdout).to.contain("State:    Funded");
+    expect(stdout).to.contain("Amount:   1.0 ETH");
+    expect(stdout).to.contain("Refund:   1 (mediator)");
+  });
+
+  it("Should deposit tokens into a token escrow", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    await token.mint(buyer.address, ethers.parseUnits("50", 6));
+    const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+    const escrow = await ThreePartyTokenEscrow.deploy(
+      buyer.address, seller.address, mediator.address, await token.getAddress()
+    );
+
+    const { code } = await cli(["deposit", await escrow.getAddress(), "--amount", "50"]);
+
+    expect(code).to.equal(0);
+    expect(await escrow.amount()).to.equal(ethers.parseUnits("50", 6));
+  });
+
+  it("Should not approve tokens for a deposit the escrow would reject", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    await token.mint(seller.address, ethers.parseUnits("50", 6));
+    const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+    const escrow = await ThreePartyTokenEscrow.deploy(
+      buyer.address, seller.address, mediator.address, await token.getAddress()
+    );
+    const nonce = await ethers.provider.getTransactionCount(seller.address);
+
+    const { code, stderr } = await cli(["deposit", await escrow.getAddress(), "--amount", "50"], { key: KEYS.seller });
+
+    expect(code).to.equal(1);
+    expect(stderr).to.equal(`Error: Only the buyer can do this (called by ${seller.address})\n`);
+    expect(await token.allowance(seller.address, await escrow.getAddress())).to.equal(0);
+    expect(await ethers.provider.getTransactionCount(seller.address)).to.equal(nonce);
+  });
+
+  it("Should sign with an encrypted keystore", async function () {
+    const wallet = new ethers.Wallet(KEYS.seller);
+    const json = ethers.encryptKeystoreJsonSync(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      "hunter2",
+      { scrypt: { N: 1 << 10 } }
+    );
+    const keystore = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-")), "seller.json");
+    fs.writeFileSync(keystore, json);
+
+    const address = await deployEscrow();
+    await cli(["deposit", address, "--amount", "1"]);
+    const { code } = await cli(["approve", address, "refund", "--keystore", keystore], {
+      key: null,
+      env: { ESCROW_KEYSTORE_PASSWORD: "hunter2" },
+    });
+
+    expect(code).to.equal(0);
+    expect(JSON.parse((await cli(["status", address, "--json"])).stdout).approvals.refund.seller).to.be.true;
+  });
+
+  it("Should watch events until the escrow is paid out", async function () {
+    const address = await deployEscrow();
+    const lines = [];
+    const watching = run(["watch", address, "--from-block", "0", "--interval", "20", "--json"], {
+      env: {},
+      stdout: { write: (chunk) => lines.push(JSON.parse(chunk)) },
+      stderr: output(),
+      provider: ethers.provider,
+    });
+
+    await cli(["deposit", address, "--amount", "1"]);
+    await cli(["approve", address, "refund"], { key: KEYS.seller });
+    await cli(["approve", address, "refund"], { key: KEYS.mediator });
+    await cli(["finalize", address, "refund"]);
+
+    expect(await watching).to.equal(0);
+    const events = lines.map((line) => line.event);
+    expect(events).to.include.members(["FundsDeposited", "ApprovalGiven", "FundsRefunded"]);
+    expect(lines.filter((line) => line.event === "StateChanged").at(-1).args.to).to.equal("6");
+  });
+
+  it("Should stop watching when aborted", async function () {
+    const address = await deployEscrow();
+    const controller = new AbortController();
+    const watching = cli(["watch", address, "--interval", "20"], { signal: controller.signal });
+    controller.abort();
+
+    expect((await watching).code).to.equal(0);
+  });
+
+  it("Should report contract reverts with exit code 1", async function () {
+    const address = await deployEscrow();
+
+    const { code, stderr } = await cli(["approve", address, "release"]);
+    expect(code).to.equal(1);
+    expect(stderr).to.equal("Error: No funds deposited\n");
+  });
+
+  it("Should refuse a finalize without consensus before sending it", async function () {
+    const address = await deployEscrow();
+    expect((await cli(["deposit", address, "--amount", "1"])).code).to.equal(0);
+    expect((await cli(["approve", address, "release"])).code).to.equal(0);
+    const nonce = await ethers.provider.getTransactionCount(buyer.address);
+
+    const { code, stderr } = await cli(["finalize", address, "release"]);
+    expect(code).to.equal(1);
+    expect(stderr).to.equal("Error: Need 2 approvals, have 1\n");
+    expect(await ethers.provider.getTransactionCount(buyer.address)).to.equal(nonce);
+  });
+
+  it("Should reject invalid usage with exit code 2", async function () {
+    expect((await cli(["approve", seller.address, "sideways"])).code).to.equal(2);
+    expect((await cli(["deploy", "--seller", "nope", "--mediator", mediator.address])).code).to.equal(2);
+    expect((await cli(["launch"])).stderr).to.contain("Unknown command: launch");
+    expect((await cli(["status", "--bogus"])).code).to.equal(2);
+  });
+
+  it("Should require a signer for transactions", async function () {
+    const { code, stderr } = await cli(["deploy", "--seller", seller.address, "--mediator", mediator.address], {
+      key: null,
+    });
+
+    expect(code).to.equal(2);
+    expect(stderr).to.contain("Set ESCROW_PRIVATE_KEY or ESCROW_KEYSTORE");
+  });
+});
@@ -0,0 +1,138 @@
+import { expect } from "chai";
+import fs from "fs";
+import { compareSnapshots, createSnapshot, loadArtifact } from "../lib/index.js";
+
+describe("ABI and storage compatibility", function () {
+  const types = {
+    t_address: { label: "address", numberOfBytes: "20" },
+    t_bool: { label: "bool", numberOfBytes: "1" },
+    t_uint128: { label: "uint128", numberOfBytes: "16" },
+    t_uint256: { label: "uint256", numberOfBytes: "32" },
+  };
+
+  function artifact({ abi = [], storage = [] } = {}) {
+    return {
+      abi,
+      storageLayout: {
+        storage: storage.map(([label, slot, offset, type]) => ({ label, slot: String(slot), offset, type })),
+        types,
+      },
+    };
+  }
+
+  const baseAbi = [
+    "function deposit() payable",
+    "function amount() view returns (uint256)",
+    "event FundsDeposited(address indexed buyer, uint256 amount)",
+    "error NotAParty(address account)",
+  ];
+  const baseStorage = [
+    ["buyer", 0, 0, "t_address"],
+    ["released", 0, 20, "t_bool"],
+    ["amount", 1, 0, "t_uint256"],
+  ];
+
+  function compare(current) {
+    return compareSnapshots(createSnapshot(artifact({ abi: baseAbi, storage: baseStorage })), createSnapshot(artifact(current)));
+  }
+
+  it("Should accept an identical build", function () {
+    const report = compare({ abi: baseAbi, storage: baseStorage });
+    expect(report.compatible).to.equal(true);
+    expect(report.problems).to.deep.equal([]);
+  });
+
+  it("Should report additions as compatible", function () {
+    const report = compare({
+      abi: [...baseAbi, "function cancel()", "event Cancelled()", "error TooLate(uint256 deadline)"],
+      storage: [...baseStorage, ["refunded", 0, 21, "t_bool"], ["deadline", 2, 0, "t_uint256"]],
+    });
+
+    expect(report.compatible).to.equal(true);
+    expect(report.functions.added).to.deep.equal(["cancel()"]);
+    expect(report.events.added).to.deep.equal(["Cancelled()"]);
+    expect(report.errors.added).to.deep.equal(["TooLate(uint256)"]);
+    expect(report.storage.added).to.deep.equal(["refunded", "deadline"]);
+  });
+
+  it("Should flag removed functions, events and errors", function () {
+    const report = compare({ abi: ["function deposit() payable"], storage: baseStorage });
+
+    expect(report.compatible).to.equal(false);
+    expect(report.functions.removed).to.deep.equal(["amount()"]);
+    expect(report.events.removed).to.deep.equal(["FundsDeposited(address,uint256)"]);
+    expect(report.errors.removed).to.deep.equal(["NotAParty(address)"]);
+    expect(report.problems).to.have.length(3);
+  });
+
+  it("Should treat a changed signature as a removal plus an addition", function () {
+    const report = compare({ abi: [...baseAbi.slice(1), "function deposit(uint256 value) payable"], storage: baseStorage });
+
+    expect(report.functions.removed).to.deep.equal(["deposit()"]);
+    expect(report.functions.added).to.deep.equal(["deposit(uint256)"]);
+    expect(report.compatible).to.equal(false);
+  });
+
+  it("Should flag changed return types, mutability and indexed flags", function () {
+    const report = compare({
+      abi: [
+        "function deposit()",
+        "function amount() view returns (uint128)",
+        "event FundsDeposited(address buyer, uint256 amount)",
+        "error NotAParty(address account)",
+      ],
+      storage: baseStorage,
+    });
+
+    expect(report.functions.changed.map(({ signature }) => signature)).to.deep.equal(["amount()", "deposit()"]);
+    expect(report.events.changed.map(({ signature }) => signature)).to.deep.equal(["FundsDeposited(address,uint256)"]);
+    expect(report.problems).to.include("function deposit() changed: payable -> nonpayable");
+    expect(report.problems).to.include("function amount() changed: returns (uint256) -> (uint128)");
+  });
+
+  it("Should flag storage that changes type or moves", function () {
+    const report = compare({
+      abi: baseAbi,
+      storage: [["buyer", 0, 0, "t_address"], ["amount", 1, 0, "t_uint128"], ["released", 2, 0, "t_bool"]],
+    });
+
+    expect(report.compatible).to.equal(false);
+    expect(report.storage.collisions).to.deep.equal([
+      "storage released moved from slot 0 offset 20 to slot 2 offset 0",
+      "storage at slot 1 offset 0 changed from uint256 amount to uint128 amount",
+    ]);
+  });
+
+  it("Should report a renamed variable as compatible", function () {
+    const report = compare({
+      abi: baseAbi,
+      storage: [["buyer", 0, 0, "t_address"], ["paused", 0, 20, "t_bool"], ["amount", 1, 0, "t_uint256"]],
+    });
+
+    expect(report.storage.renamed).to.deep.equal([{ from: "released", to: "paused", slot: 0, offset: 20 }]);
+    expect(report.storage.collisions).to.deep.equal([]);
+    expect(report.compatible).to.equal(true);
+  });
+
+  it("Should flag a new variable that overlaps the baseline layout", function () {
+    // A variable inserted in the middle shifts everything after it
+    const report = compare({
+      abi: baseAbi,
+      storage: [["buyer", 0, 0, "t_address"], ["released", 0, 20, "t_bool"], ["fee", 1, 0, "t_uint128"], ["amount", 2, 0, "t_uint256"]],
+    });
+
+    expect(report.compatible).to.equal(false);
+    expect(report.storage.collisions).to.deep.equal([
+      "storage amount moved from slot 1 offset 0 to slot 2 offset 0",
+      "storage fee at slot 1 offset 0 overlaps amount from the baseline",
+    ]);
+  });
+
+  it("Should match the committed baseline for the current ThreePartyEscrow ABI", function () {
+    const baseline = JSON.parse(fs.readFileSync("compat/baseline.json", "utf8")).ThreePartyEscrow;
+    // Hardhat artifacts carry no storage layout; scripts/verify.js checks it on build/contracts
+    const report = compareSnapshots({ ...baseline, storage: [] }, createSnapshot(loadArtifact()));
+
+    expect(report.problems).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,195 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "hardhat";
+import {
+  DeploymentError,
+  computeConfigHash,
+  deployEscrows,
+  loadArtifact,
+  loadDeploymentConfig,
+  loadManifest,
+} from "../lib/index.js";
+
+describe("Escrow deployments", function () {
+  let deployer, buyer, seller, mediator, other;
+  let dir, manifestPath;
+  const artifact = loadArtifact();
+
+  function config(...escrows) {
+    return {
+      escrows: escrows.map((overrides, i) => ({
+        name: `escrow-${i + 1}`,
+        buyer: buyer.address,
+        seller: seller.address,
+        mediator: mediator.address,
+        ...overrides,
+      })),
+    };
+  }
+
+  function deploy(batch, options = {}) {
+    return deployEscrows({
+      signer: deployer,
+      network: "hardhat",
+      config: batch,
+      manifestPath,
+      artifact,
+      compilerVersion: "0.8.20",
+      ...options,
+    });
+  }
+
+  function readManifest() {
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  }
+
+  beforeEach(async function () {
+    [deployer, buyer, seller, mediator, other] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-deploy-"));
+    manifestPath = path.join(dir, "hardhat.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should deploy a batch and record it in the manifest", async function () {
+    const { deployed, skipped } = await deploy(config({}, { seller: other.address }));
+
+    expect(deployed).to.deep.equal(["escrow-1", "escrow-2"]);
+    expect(skipped).to.be.empty;
+
+    const manifest = readManifest();
+    expect(manifest).to.include({ version: 1, network: "hardhat", chainId: 31337 });
+    const entry = manifest.deployments["escrow-2"];
+    expect(entry.status).to.equal("deployed");
+    expect(entry.contract).to.equal("ThreePartyEscrow");
+    expect(entry.constructorArgs).to.deep.equal([buyer.address, other.address, mediator.address]);
+    expect(entry.bytecodeHash).to.equal(ethers.keccak256(artifact.bytecode));
+    expect(entry.compilerVersion).to.equal("0.8.20");
+    expect(entry.deployer).to.equal(deployer.address);
+
+    const receipt = await ethers.provider.getTransactionReceipt(entry.transactionHash);
+    expect(receipt.contractAddress).to.equal(entry.address);
+    expect(entry.blockNumber).to.equal(receipt.blockNumber);
+
+    const escrow = await ethers.getContractAt("ThreePartyEscrow", entry.address);
+    expect(await escrow.seller()).to.equal(other.address);
+  });
+
+  it("Should skip escrows that are already deployed", async function () {
+    await deploy(config({}));
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    const { deployed, skipped } = await deploy(config({}, { seller: other.address }));
+
+    expect(skipped).to.deep.equal(["escrow-1"]);
+    expect(deployed).to.deep.equal(["escrow-2"]);
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 1);
+  });
+
+  it("Should refuse to redeploy a name with a different configuration", async function () {
+    await deploy(config({}));
+
+    await expect(deploy(config({ mediator: other.address }))).to.be.rejectedWith(
+      DeploymentError,
+      "already deployed at"
+    );
+  });
+
+  it("Should refuse identical configurations under another name", async function () {
+    await deploy(config({}));
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    const batch = config({}, { seller: other.address }, { name: "copy" });
+    await expect(deploy(batch)).to.be.rejectedWith(DeploymentError, "copy is identical to escrow-1");
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+  });
+
+  it("Should resume a batch that stopped after sending a transaction", async function () {
+    const batch = config({}, { seller: other.address });
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+    const [item] = batch.escrows;
+
+    // Simulate a run that sent escrow-1 and crashed before recording the receipt
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+    const tx = await deployer.sendTransaction(await factory.getDeployTransaction(item.buyer, item.seller, item.mediator));
+    const bytecodeHash = ethers.keccak256(artifact.bytecode);
+    const constructorArgs = [item.buyer, item.seller, item.mediator];
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({
+        version: 1,
+        network: "hardhat",
+        chainId: 31337,
+        deployments: {
+          "escrow-1": {
+            status: "pending",
+            contract: "ThreePartyEscrow",
+            address: ethers.getCreateAddress({ from: deployer.address, nonce }),
+            transactionHash: tx.hash,
+            blockNumber: null,
+            deployer: deployer.address,
+            constructorArgs,
+            bytecodeHash,
+            compilerVersion: "0.8.20",
+            configHash: computeConfigHash("ThreePartyEscrow", bytecodeHash, constructorArgs),
+          },
+        },
+      })
+    );
+
+    const { deployed } = await deploy(batch);
+
+    expect(deployed).to.deep.equal(["escrow-1", "escrow-2"]);
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 2);
+    const manifest = readManifest();
+    expect(manifest.deployments["escrow-1"]).to.include({ status: "deployed", transactionHash: tx.hash });
+    expect(manifest.deployments["escrow-1"].blockNumber).to.be.a("number");
+  });
+
+  it("Should keep completed entries when a batch fails part-way", async function () {
+    let sent = 0;
+    const batch = config({}, { seller: other.address });
+    await expect(
+      deploy(batch, {
+        log: (message) => {
+          if (message.includes("deployed at") && ++sent === 1) throw new Error("interrupted");
+        },
+      })
+    ).to.be.rejectedWith("interrupted");
+    expect(Object.keys(readManifest().deployments)).to.deep.equal(["escrow-1"]);
+
+    const { deployed, skipped } = await deploy(batch);
+    expect(skipped).to.deep.equal(["escrow-1"]);
+    expect(deployed).to.deep.equal(["escrow-2"]);
+  });
+
+  it("Should reject a manifest from another chain", async function () {
+    fs.writeFileSync(manifestPath, JSON.stringify({ version: 1, network: "sepolia", chainId: 11155111, deployments: {} }));
+
+    expect(() => loadManifest(manifestPath, { network: "hardhat", chainId: 31337n })).to.throw(
+      DeploymentError,
+      "belongs to chain 11155111"
+    );
+  });
+
+  it("Should validate config files", async function () {
+    const file = path.join(dir, "config.json");
+    const write = (value) => fs.writeFileSync(file, JSON.stringify(value));
+
+    write(config({}));
+    expect(loadDeploymentConfig(file).escrows).to.have.lengthOf(1);
+
+    write(config({}, { name: "escrow-1" }));
+    expect(() => loadDeploymentConfig(file)).to.throw(DeploymentError, "duplicate escrow name");
+
+    write(config({ mediator: "0x1234" }));
+    expect(() => loadDeploymentConfig(file)).to.throw(DeploymentError, "escrow-1.mediator is not an address");
+
+    write({});
+    expect(() => loadDeploymentConfig(file)).to.throw(DeploymentError, "must be an array");
+  });
+});
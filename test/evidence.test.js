@@ -0,0 +1,131 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "hardhat";
+import {
+  Direction,
+  EscrowClient,
+  bundleEvidence,
+  fileContentStore,
+  prepareDispute,
+  prepareRuling,
+  verifyEvidence,
+} from "../lib/index.js";
+
+describe("Dispute evidence", function () {
+  let buyer, seller, mediator;
+  let client, dir, store;
+
+  async function send(signer, call) {
+    const tx = await signer.sendTransaction({ to: await client.getAddress(), data: call.data });
+    return tx.wait();
+  }
+
+  beforeEach(async function () {
+    [buyer, seller, mediator] = await ethers.getSigners();
+    client = await EscrowClient.deploy(buyer, { buyer: buyer.address, seller: seller.address, mediator: mediator.address });
+    await (await client.deposit(ethers.parseEther("1"))).wait();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-evidence-"));
+    store = fileContentStore(path.join(dir, "store"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should store files by content hash", async function () {
+    const uri = await store.put(ethers.toUtf8Bytes("invoice"));
+
+    expect(uri).to.equal(`cas://${ethers.id("invoice")}`);
+    expect(ethers.toUtf8String(await store.get(uri))).to.equal("invoice");
+    await expect(store.get(`cas://${ethers.ZeroHash}`)).to.be.rejectedWith("is not in the store");
+    await expect(store.get("https://example.com/photo.jpg")).to.be.rejectedWith(TypeError);
+  });
+
+  it("Should bundle files with their hashes", async function () {
+    const photo = path.join(dir, "photo.jpg");
+    fs.writeFileSync(photo, Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+
+    const { bundle, uri, contentHash, call } = await bundleEvidence({
+      store,
+      files: [photo, { name: "chat.txt", data: "seller: shipped on Monday" }],
+      description: "Damaged on arrival",
+    });
+
+    expect(bundle.description).to.equal("Damaged on arrival");
+    expect(bundle.files.map(({ name, size }) => [name, size])).to.deep.equal([["photo.jpg", 4], ["chat.txt", 25]]);
+    expect(bundle.files[1].contentHash).to.equal(ethers.id("seller: shipped on Monday"));
+    expect(ethers.keccak256(await store.get(uri))).to.equal(contentHash);
+    expect(call.method).to.equal("submitEvidence");
+    expect(call.args).to.deep.equal([uri, contentHash]);
+  });
+
+  it("Should reject an empty bundle", async function () {
+    await expect(bundleEvidence({ store, files: [] })).to.be.rejectedWith(TypeError);
+  });
+
+  it("Should raise a dispute with evidence and collect it from the event log", async function () {
+    const prepared = await prepareDispute({
+      store,
+      reason: "The package arrived damaged",
+      files: [{ name: "photo.jpg", data: "photo bytes" }],
+    });
+    expect(prepared.calls.map(({ method }) => method)).to.deep.equal(["raiseDispute", "submitEvidence"]);
+
+    for (const call of prepared.calls) {
+      await send(buyer, call);
+    }
+    const sellerEvidence = await bundleEvidence({ store, files: [{ name: "tracking.txt", data: "delivered intact" }] });
+    await (await client.connect(seller).submitEvidence(...sellerEvidence.call.args)).wait();
+
+    const dispute = await client.getDispute();
+    expect(dispute.raisedBy).to.equal(buyer.address);
+    expect(dispute.reasonHash).to.equal(prepared.reason.contentHash);
+    expect(ethers.toUtf8String(await store.get(prepared.reason.uri))).to.equal("The package arrived damaged");
+    expect(dispute.evidence.map(({ index, submitter }) => [index, submitter])).to.deep.equal([
+      [0, buyer.address],
+      [1, seller.address],
+    ]);
+    expect(dispute.ruling).to.equal(null);
+
+    for (const evidence of dispute.evidence) {
+      const checked = await verifyEvidence({ store, uri: evidence.uri, contentHash: evidence.contentHash });
+      expect(checked.valid).to.equal(true);
+    }
+  });
+
+  it("Should record the mediator's ruling as its vote", async function () {
+    const prepared = await prepareDispute({ store, reason: "Never delivered" });
+    expect(prepared.calls).to.have.length(1);
+    await send(buyer, prepared.calls[0]);
+    await (await client.approve(Direction.Refund)).wait();
+
+    const ruling = await prepareRuling({ store, direction: Direction.Refund, rationale: "No proof of shipment" });
+    await send(mediator, ruling.call);
+
+    const dispute = await client.getDispute();
+    expect(dispute.ruling).to.include({ direction: Direction.Refund, rationaleHash: ruling.contentHash });
+    expect((await client.getState()).state).to.equal("RefundApproved");
+  });
+
+  it("Should detect evidence that changed after submission", async function () {
+    const { bundle, uri, contentHash } = await bundleEvidence({
+      store,
+      files: [{ name: "a.txt", data: "original" }, { name: "b.txt", data: "untouched" }],
+    });
+    fs.writeFileSync(path.join(dir, "store", bundle.files[0].uri.slice("cas://".length)), "forged");
+
+    const checked = await verifyEvidence({ store, uri, contentHash });
+    expect(checked.valid).to.equal(false);
+    expect(checked.files.map(({ name, valid }) => [name, valid])).to.deep.equal([["a.txt", false], ["b.txt", true]]);
+
+    const wrongHash = await verifyEvidence({ store, uri, contentHash: ethers.id("other") });
+    expect(wrongHash).to.deep.equal({ valid: false, bundle: null, files: [] });
+  });
+
+  it("Should return no dispute for an escrow without one", async function () {
+    expect(await client.getDispute()).to.equal(null);
+  });
+});
@@ -0,0 +1,294 @@
+import { expect } from "chai";
+import { getEventListeners } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "hardhat";
+import { Direction, EscrowClient } from "../lib/index.js";
+import { EscrowIndexer } from "../lib/indexer.js";
+
+describe("EscrowIndexer", function () {
+  let buyer, seller, mediator, other;
+  let indexer;
+  const depositAmount = ethers.parseEther("1.0");
+
+  async function deploy(parties = {}) {
+    const client = await EscrowClient.deploy(buyer, {
+      buyer: buyer.address,
+      seller: seller.address,
+      mediator: mediator.address,
+      ...parties,
+    });
+    const startBlock = await ethers.provider.getBlockNumber();
+    return { client, address: await client.getAddress(), startBlock };
+  }
+
+  async function follow(escrow) {
+    await indexer.addEscrow(escrow.address, { startBlock: escrow.startBlock });
+  }
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, other] = await ethers.getSigners();
+    indexer = new EscrowIndexer({ provider: ethers.provider, confirmations: 3 });
+  });
+
+  afterEach(function () {
+    indexer.close();
+  });
+
+  it("Should reconstruct the timeline of a released escrow", async function () {
+    const escrow = await deploy();
+    await follow(escrow);
+    await escrow.client.deposit(depositAmount);
+    await escrow.client.approve(Direction.Release);
+    await escrow.client.connect(seller).approve(Direction.Release);
+    await escrow.client.connect(seller).finalize(Direction.Release);
+
+    const { head } = await indexer.sync();
+    expect(head).to.equal(await ethers.provider.getBlockNumber());
+
+    const timeline = indexer.getTimeline(escrow.address);
+    expect(timeline.map((event) => event.event)).to.deep.equal([
+      "ContributionReceived",
+      "StateChanged",
+      "FundsDeposited",
+      "ApprovalGiven",
+      "ApprovalGiven",
+      "StateChanged",
+      "StateChanged",
+      "FundsReleased",
+    ]);
+    expect(timeline[2].args).to.deep.equal({ buyer: buyer.address, amount: depositAmount.toString() });
+    expect(timeline[3].args).to.deep.equal({ approver: buyer.address, direction: String(Direction.Release) });
+    expect(timeline[0].timestamp).to.be.a("number");
+
+    const summary = indexer.getSummary(escrow.address);
+    expect(summary.state).to.equal("Released");
+    expect(summary.deposited).to.equal(depositAmount);
+    expect(summary.votes).to.deep.equal({ release: ["buyer", "seller"], refund: [] });
+    expect(summary.split).to.be.false;
+  });
+
+  it("Should index incrementally without duplicating events", async function () {
+    const escrow = await deploy();
+    await follow(escrow);
+    await escrow.client.deposit(depositAmount);
+    await indexer.sync();
+
+    await escrow.client.approve(Direction.Refund);
+    await indexer.sync();
+    await indexer.sync();
+
+    const names = indexer.getTimeline(escrow.address).map((event) => event.event);
+    expect(names).to.deep.equal(["ContributionReceived", "StateChanged", "FundsDeposited", "ApprovalGiven"]);
+  });
+
+  it("Should count contributions and top-ups as deposited", async function () {
+    const escrow = await deploy();
+    await follow(escrow);
+    await escrow.client.configureFunding(depositAmount);
+    await escrow.client.setContributor(other.address);
+    await escrow.client.connect(other).deposit(depositAmount / 4n);
+    await escrow.client.deposit(depositAmount);
+    await escrow.client.connect(other).deposit(depositAmount / 4n);
+
+    await indexer.sync();
+
+    const summary = indexer.getSummary(escrow.address);
+    expect(summary.state).to.equal("Funded");
+    expect(summary.deposited).to.equal(depositAmount * 3n / 2n);
+  });
+
+  it("Should skip events before the start block", async function () {
+    const escrow = await deploy();
+    await escrow.client.deposit(depositAmount);
+    await indexer.addEscrow(escrow.address, { startBlock: (await ethers.provider.getBlockNumber()) + 1 });
+    await escrow.client.approve(Direction.Release);
+
+    await indexer.sync();
+
+    expect(indexer.getTimeline(escrow.address).map((event) => event.event)).to.deep.equal(["ApprovalGiven"]);
+  });
+
+  it("Should follow several escrows in small batches", async function () {
+    indexer.close();
+    indexer = new EscrowIndexer({ provider: ethers.provider, confirmations: 3, batchSize: 2 });
+
+    const first = await deploy();
+    const second = await deploy();
+    await follow(first);
+    await follow(second);
+    await first.client.deposit(depositAmount);
+    await second.client.deposit(depositAmount * 2n);
+    await first.client.approve(Direction.Release);
+
+    await indexer.sync();
+
+    expect(indexer.getSummary(first.address).votes.release).to.deep.equal(["buyer"]);
+    expect(indexer.getSummary(second.address).deposited).to.equal(depositAmount * 2n);
+    expect(indexer.getTimeline(second.address)).to.have.lengthOf(3);
+  });
+
+  it("Should find escrows where a mediator faces split approvals", async function () {
+    const split = await deploy();
+    const agreed = await deploy();
+    const elsewhere = await deploy({ mediator: other.address });
+    for (const escrow of [split, agreed, elsewhere]) {
+      await follow(escrow);
+      await escrow.client.deposit(depositAmount);
+    }
+    await split.client.approve(Direction.Refund);
+    await split.client.connect(seller).approve(Direction.Release);
+    await agreed.client.approve(Direction.Release);
+    await elsewhere.client.approve(Direction.Refund);
+    await elsewhere.client.connect(seller).approve(Direction.Release);
+
+    await indexer.sync();
+
+    const waiting = indexer.findEscrows({ party: mediator.address, role: "mediator", split: true });
+    expect(waiting.map((escrow) => escrow.address)).to.deep.equal([split.address]);
+    expect(waiting[0].votes).to.deep.equal({ release: ["seller"], refund: ["buyer"] });
+
+    expect(indexer.findEscrows({ party: mediator.address, role: "mediator" })).to.have.lengthOf(2);
+    expect(indexer.findEscrows({ party: other.address })).to.have.lengthOf(1);
+    expect(indexer.findEscrows({ party: seller.address, role: "buyer" })).to.be.empty;
+    expect(indexer.findEscrows({ state: "Funded", split: false }).map((escrow) => escrow.address)).to.deep.equal([
+      agreed.address,
+    ]);
+    expect(() => indexer.findEscrows({ party: buyer.address, role: "arbiter" })).to.throw("Unknown role");
+  });
+
+  it("Should drop a revoked vote from the split", async function () {
+    const escrow = await deploy();
+    await follow(escrow);
+    await escrow.client.deposit(depositAmount);
+    await escrow.client.approve(Direction.Refund);
+    await escrow.client.connect(seller).approve(Direction.Release);
+    await escrow.client.connect(seller).revoke(Direction.Release);
+
+    await indexer.sync();
+
+    const summary = indexer.getSummary(escrow.address);
+    expect(summary.votes).to.deep.equal({ release: [], refund: ["buyer"] });
+    expect(summary.split).to.be.false;
+  });
+
+  it("Should keep the new vote when a party switches sides", async function () {
+    const escrow = await deploy();
+    await follow(escrow);
+    await escrow.client.deposit(depositAmount);
+    await escrow.client.approve(Direction.Refund);
+    await escrow.client.connect(seller).approve(Direction.Release);
+    await escrow.client.approve(Direction.Release);
+
+    await indexer.sync();
+
+    const summary = indexer.getSummary(escrow.address);
+    expect(summary.state).to.equal("ReleaseApproved");
+    expect(summary.votes).to.deep.equal({ release: ["buyer", "seller"], refund: [] });
+    expect(summary.split).to.be.false;
+    expect(indexer.findEscrows({ split: true })).to.deep.equal([]);
+  });
+
+  it("Should follow a replaced mediator", async function () {
+    const escrow = await deploy();
+    await follow(escrow);
+    await escrow.client.deposit(depositAmount);
+    await escrow.client.connect(mediator).approve(Direction.Refund);
+    await escrow.client.nominateMediator(other.address);
+    await escrow.client.connect(seller).nominateMediator(other.address);
+    await escrow.client.connect(other).acceptMediatorRole();
+
+    await indexer.sync();
+
+    const summary = indexer.getSummary(escrow.address);
+    expect(summary.mediator).to.equal(other.address);
+    expect(summary.votes).to.deep.equal({ release: [], refund: [] });
+    expect(indexer.findEscrows({ party: other.address, role: "mediator" })).to.have.lengthOf(1);
+    expect(indexer.findEscrows({ party: mediator.address })).to.be.empty;
+  });
+
+  it("Should rewind and reindex after a reorg", async function () {
+    const escrow = await deploy();
+    await follow(escrow);
+    await escrow.client.deposit(depositAmount);
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await escrow.client.approve(Direction.Release);
+    await escrow.client.connect(seller).approve(Direction.Release);
+    expect((await indexer.sync()).rewoundTo).to.be.null;
+    expect(indexer.getSummary(escrow.address).state).to.equal("ReleaseApproved");
+
+    // Replace the two approval blocks with a different branch
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await escrow.client.approve(Direction.Refund);
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+
+    const { rewoundTo, head } = await indexer.sync();
+    expect(rewoundTo).to.be.a("number");
+    expect(rewoundTo).to.be.below(head);
+
+    const summary = indexer.getSummary(escrow.address);
+    expect(summary.state).to.equal("Funded");
+    expect(summary.votes).to.deep.equal({ release: [], refund: ["buyer"] });
+    expect(indexer.getTimeline(escrow.address).map((event) => event.event)).to.deep.equal([
+      "ContributionReceived",
+      "StateChanged",
+      "FundsDeposited",
+      "ApprovalGiven",
+    ]);
+  });
+
+  it("Should resume from a database file after a restart", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-indexer-"));
+    const database = path.join(dir, "escrows.db");
+    try {
+      indexer.close();
+      indexer = new EscrowIndexer({ provider: ethers.provider, database });
+      const escrow = await deploy();
+      await follow(escrow);
+      await escrow.client.deposit(depositAmount);
+      await indexer.sync();
+      indexer.close();
+
+      await escrow.client.approve(Direction.Release);
+      indexer = new EscrowIndexer({ provider: ethers.provider, database });
+      await follow(escrow);
+      await indexer.sync();
+
+      expect(indexer.getTimeline(escrow.address).map((event) => event.event)).to.deep.equal([
+        "ContributionReceived",
+        "StateChanged",
+        "FundsDeposited",
+        "ApprovalGiven",
+      ]);
+    } finally {
+      // afterEach closes the reopened database
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should follow until aborted without piling up abort listeners", async function () {
+    const controller = new AbortController();
+    const listeners = [];
+
+    await indexer.follow({
+      interval: 1,
+      signal: controller.signal,
+      onSync() {
+        listeners.push(getEventListeners(controller.signal, "abort").length);
+        if (listeners.length === 3) controller.abort();
+      },
+    });
+
+    expect(listeners).to.deep.equal([0, 0, 0]);
+  });
+
+  it("Should be exported from the indexer subpath only", async function () {
+    const { name } = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+    expect((await import(`${name}/indexer`)).EscrowIndexer).to.equal(EscrowIndexer);
+    expect(await import(name)).to.not.have.property("EscrowIndexer");
+  });
+});
@@ -0,0 +1,255 @@
+import { expect } from "chai";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { ethers } from "hardhat";
+import { Direction, EscrowClient } from "../lib/index.js";
+import { EscrowIndexer } from "../lib/indexer.js";
+import {
+  NotificationWatcher,
+  emailNotifier,
+  fileMailTransport,
+  signPayload,
+  stdoutNotifier,
+  webhookNotifier,
+} from "../lib/notifications.js";
+
+describe("NotificationWatcher", function () {
+  let buyer, seller, mediator;
+  let client, address;
+  let indexer, watcher, received;
+  const depositAmount = ethers.parseEther("1.0");
+
+  function recorder(name = "recorder") {
+    return { name, notify: async (notification) => received.push(notification) };
+  }
+
+  async function watch(notifiers, options = {}) {
+    indexer = new EscrowIndexer({ provider: ethers.provider, database: options.indexerDatabase });
+    await indexer.addEscrow(address);
+    watcher = new NotificationWatcher({ indexer, notifiers, retryDelay: 0, ...options });
+    return watcher;
+  }
+
+  function closeAll() {
+    watcher?.close();
+    indexer?.close();
+    watcher = indexer = undefined;
+  }
+
+  beforeEach(async function () {
+    [buyer, seller, mediator] = await ethers.getSigners();
+    client = await EscrowClient.deploy(buyer, {
+      buyer: buyer.address,
+      seller: seller.address,
+      mediator: mediator.address,
+    });
+    address = await client.getAddress();
+    received = [];
+  });
+
+  afterEach(closeAll);
+
+  it("Should tell the remaining parties when a vote becomes decisive", async function () {
+    await watch([recorder()]);
+    await client.deposit(depositAmount);
+    await client.approve(Direction.Release);
+
+    expect(await watcher.poll()).to.deep.equal({ queued: 1, delivered: 1, failed: 0 });
+
+    expect(received).to.have.lengthOf(1);
+    expect(received[0].kind).to.equal("vote-decisive");
+    expect(received[0].escrow).to.equal(address);
+    expect(received[0].recipients).to.deep.equal([
+      { role: "seller", address: seller.address },
+      { role: "mediator", address: mediator.address },
+    ]);
+    expect(received[0].message).to.equal("buyer voted release; a vote from the seller or mediator decides");
+  });
+
+  it("Should ask the mediator to break conflicting votes", async function () {
+    await watch([recorder()]);
+    await client.deposit(depositAmount);
+    await client.approve(Direction.Refund);
+    await client.connect(seller).approve(Direction.Release);
+
+    await watcher.poll();
+
+    expect(received.map((notification) => notification.kind)).to.deep.equal(["vote-decisive", "votes-conflict"]);
+    const conflict = received[1];
+    expect(conflict.recipients).to.deep.equal([{ role: "mediator", address: mediator.address }]);
+    expect(conflict.votes).to.deep.equal({ release: ["seller"], refund: ["buyer"] });
+  });
+
+  it("Should not report a conflict after a party switches to the majority", async function () {
+    await watch([recorder()]);
+    await client.deposit(depositAmount);
+    await client.approve(Direction.Refund);
+    await client.connect(seller).approve(Direction.Release);
+    await watcher.poll();
+
+    await client.approve(Direction.Release);
+    await client.connect(mediator).approve(Direction.Refund);
+    await watcher.poll();
+
+    expect(received.map((notification) => notification.kind)).to.deep.equal(["vote-decisive", "votes-conflict"]);
+  });
+
+  it("Should notify every party when funds settle", async function () {
+    await client.deposit(depositAmount);
+    await client.approve(Direction.Refund);
+    await client.connect(mediator).approve(Direction.Refund);
+    await client.finalize(Direction.Refund);
+    await watch([recorder()]);
+
+    await watcher.poll();
+
+    const settled = received.find((notification) => notification.kind === "funds-settled");
+    expect(settled.outcome).to.equal("refunded");
+    expect(settled.recipients.map(({ role }) => role)).to.deep.equal(["buyer", "seller", "mediator"]);
+  });
+
+  it("Should only notify once per event", async function () {
+    await watch([recorder()]);
+    await client.deposit(depositAmount);
+    await client.approve(Direction.Release);
+    await watcher.poll();
+    await watcher.poll();
+
+    await client.connect(seller).approve(Direction.Refund);
+    await watcher.poll();
+
+    expect(received.map((notification) => notification.kind)).to.deep.equal(["vote-decisive", "votes-conflict"]);
+  });
+
+  it("Should retry failed deliveries and give up after the last attempt", async function () {
+    let calls = 0;
+    const flaky = {
+      name: "flaky",
+      notify: async () => {
+        if (++calls < 3) throw new Error("timeout");
+      },
+    };
+    const broken = { name: "broken", notify: async () => { throw new Error("unreachable"); } };
+    await watch([flaky, broken], { maxAttempts: 3 });
+    await client.deposit(depositAmount);
+    await client.approve(Direction.Release);
+
+    expect(await watcher.poll()).to.deep.equal({ queued: 1, delivered: 0, failed: 0 });
+    expect(await watcher.poll()).to.deep.equal({ queued: 0, delivered: 0, failed: 0 });
+    expect(await watcher.poll()).to.deep.equal({ queued: 0, delivered: 1, failed: 1 });
+    expect(await watcher.poll()).to.deep.equal({ queued: 0, delivered: 0, failed: 0 });
+
+    const [notification] = watcher.getNotifications();
+    expect(notification.deliveries.flaky).to.deep.equal({ status: "delivered", attempts: 3, lastError: null });
+    expect(notification.deliveries.broken).to.deep.equal({ status: "failed", attempts: 3, lastError: "unreachable" });
+  });
+
+  it("Should not resend delivered notifications after a restart", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-notify-"));
+    const options = { database: path.join(dir, "outbox.db"), indexerDatabase: path.join(dir, "escrows.db") };
+    let failing = true;
+    const sometimes = {
+      name: "sometimes",
+      notify: async (notification) => {
+        if (failing) throw new Error("down");
+        received.push(notification);
+      },
+    };
+    try {
+      await watch([recorder(), sometimes], options);
+      await client.deposit(depositAmount);
+      await client.approve(Direction.Release);
+      await watcher.poll();
+      closeAll();
+
+      // The recorder already delivered; only the failed delivery is retried
+      failing = false;
+      await watch([recorder(), sometimes], options);
+      await watcher.poll();
+
+      expect(received).to.have.lengthOf(2);
+      expect(received[0].id).to.equal(received[1].id);
+      expect(watcher.getNotifications()[0].deliveries.sometimes.status).to.equal("delivered");
+    } finally {
+      closeAll();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject duplicate notifier names", async function () {
+    indexer = new EscrowIndexer({ provider: ethers.provider });
+    expect(() => new NotificationWatcher({ indexer, notifiers: [recorder("a"), recorder("a")] })).to.throw("unique");
+  });
+
+  describe("Notifiers", function () {
+    it("Should POST webhooks with an HMAC signature", async function () {
+      const requests = [];
+      const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on("data", (chunk) => chunks.push(chunk));
+        request.on("end", () => {
+          requests.push({ headers: request.headers, body: Buffer.concat(chunks).toString("utf8") });
+          response.writeHead(requests.length === 1 ? 500 : 204).end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const url = `http://127.0.0.1:${server.address().port}/hook`;
+        await watch([webhookNotifier({ url, secret: "s3cret" })]);
+        await client.deposit(depositAmount);
+        await client.approve(Direction.Release);
+
+        // The first request is answered with 500 and retried
+        expect(await watcher.poll()).to.include({ delivered: 0 });
+        expect(await watcher.poll()).to.include({ delivered: 1 });
+
+        const { headers, body } = requests[1];
+        expect(headers["x-escrow-signature"]).to.equal(`sha256=${signPayload("s3cret", body)}`);
+        expect(headers["x-escrow-notification-id"]).to.equal(JSON.parse(body).id);
+        expect(JSON.parse(body).kind).to.equal("vote-decisive");
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("Should email recipients through the address book", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-mail-"));
+      try {
+        const notifier = emailNotifier({
+          transport: fileMailTransport(dir),
+          from: "escrow@example.com",
+          addressBook: { [mediator.address.toLowerCase()]: "mediator@example.com" },
+        });
+        await watch([notifier]);
+        await client.deposit(depositAmount);
+        await client.approve(Direction.Refund);
+        await client.connect(seller).approve(Direction.Release);
+
+        await watcher.poll();
+
+        const messages = fs.readdirSync(dir).map((file) => fs.readFileSync(path.join(dir, file), "utf8"));
+        expect(messages).to.have.lengthOf(2);
+        expect(messages.every((message) => message.includes("To: mediator@example.com"))).to.be.true;
+        expect(messages.some((message) => message.includes(`Subject: Escrow ${address}: votes-conflict`))).to.be.true;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should print notifications to a stream", async function () {
+      const lines = [];
+      await watch([stdoutNotifier({ stream: { write: (chunk) => lines.push(chunk) } })]);
+      await client.deposit(depositAmount);
+      await client.approve(Direction.Release);
+
+      await watcher.poll();
+
+      expect(lines).to.deep.equal([
+        `[vote-decisive] ${address}: buyer voted release; a vote from the seller or mediator decides\n`,
+      ]);
+    });
+  });
+});
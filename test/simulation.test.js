@@ -0,0 +1,117 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { Direction, EscrowClient, EscrowError } from "../lib/index.js";
+
+describe("Action simulation", function () {
+  let client;
+  let buyer, seller, mediator, other;
+  const depositAmount = ethers.parseEther("1.0");
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, other] = await ethers.getSigners();
+
+    client = await EscrowClient.deploy(buyer, {
+      buyer: buyer.address,
+      seller: seller.address,
+      mediator: mediator.address,
+    });
+  });
+
+  it("Should estimate gas for an action that would succeed", async function () {
+    const simulation = await client.simulate("deposit", buyer, { value: depositAmount });
+
+    expect(simulation.ok).to.be.true;
+    expect(simulation.from).to.equal(buyer.address);
+    expect(simulation.prediction).to.be.null;
+    expect(simulation.error).to.be.null;
+    expect(simulation.reason).to.be.null;
+    expect(simulation.gas > 0n).to.be.true;
+  });
+
+  it("Should explain a finalize without consensus and send nothing", async function () {
+    await (await client.connect(buyer).deposit(depositAmount)).wait();
+    await (await client.connect(buyer).approve(Direction.Release)).wait();
+    const nonce = await ethers.provider.getTransactionCount(seller.address);
+
+    const simulation = await client.simulate("finalizeRelease", seller);
+
+    expect(simulation.ok).to.be.false;
+    expect(simulation.gas).to.be.null;
+    expect(simulation.prediction.errorName).to.equal("InsufficientApprovals");
+    expect(simulation.prediction.params).to.deep.equal({ have: 1, need: 2 });
+    expect(simulation.error).to.be.instanceOf(EscrowError);
+    expect(simulation.error.errorName).to.equal("InsufficientApprovals");
+    expect(simulation.reason).to.equal("Need 2 approvals, have 1");
+    expect(await ethers.provider.getTransactionCount(seller.address)).to.equal(nonce);
+  });
+
+  it("Should predict the same error as the dry-run for each action", async function () {
+    const cases = [
+      ["deposit", seller, { value: depositAmount }, "NotBuyer"],
+      ["deposit", buyer, { value: 0n }, "ZeroDeposit"],
+      ["approveRelease", other, {}, "NotAParty"],
+      ["approveRefund", buyer, {}, "NoFundsDeposited"],
+      ["finalizeRefund", mediator, {}, "NoFundsDeposited"],
+    ];
+    for (const [action, signer, options, errorName] of cases) {
+      const simulation = await client.simulate(action, signer, options);
+      expect(simulation.prediction?.errorName, action).to.equal(errorName);
+      expect(simulation.error?.errorName, action).to.equal(errorName);
+    }
+
+    await (await client.connect(buyer).deposit(depositAmount)).wait();
+    await (await client.connect(seller).approve(Direction.Refund)).wait();
+    await (await client.connect(mediator).approve(Direction.Refund)).wait();
+
+    const again = await client.simulate("approveRefund", seller);
+    expect(again.prediction.params).to.deep.equal({ party: seller.address, direction: Direction.Refund });
+    expect(again.error.errorName).to.equal("AlreadyApproved");
+    expect((await client.simulate("deposit", buyer, { value: depositAmount })).prediction.params).to.deep.equal({
+      current: 3,
+    });
+    expect((await client.simulate("finalizeRefund", buyer)).ok).to.be.true;
+
+    await (await client.connect(buyer).finalize(Direction.Refund)).wait();
+    expect((await client.simulate("finalizeRefund", buyer)).error.errorName).to.equal("FundsAlreadyPaidOut");
+  });
+
+  it("Should allow contributions and top-ups from approved contributors", async function () {
+    await (await client.connect(buyer).configureFunding(depositAmount)).wait();
+    expect((await client.simulate("deposit", other, { value: depositAmount })).prediction.errorName).to.equal("NotBuyer");
+
+    await (await client.connect(buyer).setContributor(other.address)).wait();
+    expect((await client.simulate("deposit", other, { value: depositAmount / 2n })).ok).to.be.true;
+
+    await (await client.connect(buyer).deposit(depositAmount)).wait();
+    const topUp = await client.simulate("deposit", other, { value: depositAmount / 2n });
+    expect(topUp.prediction).to.be.null;
+    expect(topUp.ok).to.be.true;
+  });
+
+  it("Should simulate token deposits through depositToken", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    const ThreePartyTokenEscrow = await ethers.getContractFactory("ThreePartyTokenEscrow");
+    const contract = await ThreePartyTokenEscrow.deploy(
+      buyer.address, seller.address, mediator.address, await token.getAddress()
+    );
+    const tokenClient = new EscrowClient(contract);
+    const value = ethers.parseUnits("100", 6);
+    await token.mint(buyer.address, value);
+
+    // Without an allowance the state allows the deposit but the dry-run catches the failed transfer
+    const unapproved = await tokenClient.simulate("deposit", buyer, { value });
+    expect(unapproved.prediction).to.be.null;
+    expect(unapproved.ok).to.be.false;
+    expect(unapproved.error.errorName).to.equal("TokenTransferFailed");
+    expect(unapproved.reason).to.equal(`Token transfer of ${value} from ${buyer.address} failed`);
+
+    await token.connect(buyer).approve(await contract.getAddress(), value);
+    expect((await tokenClient.simulate("deposit", buyer, { value })).ok).to.be.true;
+  });
+
+  it("Should reject unknown actions and deposits without a value", async function () {
+    await expect(client.simulate("cancel", buyer)).to.be.rejectedWith(TypeError, "Cannot simulate cancel");
+    await expect(client.simulate("deposit", buyer)).to.be.rejectedWith(TypeError, "needs options.value");
+  });
+});
@@ -0,0 +1,129 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import solc from "solc";
+import {
+  VerificationError,
+  cloneCreationCode,
+  recompile,
+  recoverReportSigner,
+  signReport,
+  stripMetadata,
+  verifyDeployment,
+} from "../lib/index.js";
+
+describe("Deployment verification", function () {
+  let buyer, seller, mediator, verifier, other;
+  let build;
+
+  // Recorded the way scripts/compile.js records build/solc-input.json
+  const record = {
+    solcVersion: solc.version(),
+    input: {
+      language: "Solidity",
+      sources: { "contracts/ThreePartyEscrow.sol": {} },
+      settings: { optimizer: { enabled: true, runs: 200 } },
+    },
+  };
+
+  async function deploy(bytecode = build.bytecode) {
+    const factory = new ethers.ContractFactory(build.abi, bytecode, buyer);
+    const escrow = await factory.deploy(buyer.address, seller.address, mediator.address);
+    return escrow.getAddress();
+  }
+
+  function verify(address, expected = { buyer: buyer.address, seller: seller.address, mediator: mediator.address }) {
+    return verifyDeployment({ provider: ethers.provider, address, build, expected });
+  }
+
+  before(async function () {
+    this.timeout(120000);
+    build = await recompile({ record, compiler: solc });
+  });
+
+  beforeEach(async function () {
+    [buyer, seller, mediator, verifier, other] = await ethers.getSigners();
+  });
+
+  it("Should verify an escrow built from the audited sources with the claimed parties", async function () {
+    const address = await deploy();
+
+    const report = await verify(address);
+
+    expect(report.verified).to.equal(true);
+    expect(report.address).to.equal(address);
+    expect(report.chainId).to.equal(31337);
+    expect(report.proxy).to.equal(null);
+    expect(report.bytecode.match).to.equal(true);
+    expect(report.bytecode.metadataMatch).to.equal(true);
+    expect(report.bytecode.deployedHash).to.equal(ethers.keccak256(await ethers.provider.getCode(address)));
+    expect(report.sources).to.have.property("contracts/ThreePartyEscrow.sol");
+    expect(report.parties.buyer).to.deep.equal({ slot: 0, offset: 0, onChain: buyer.address, expected: buyer.address, match: true });
+    expect(report.parties.seller.slot).to.equal(1);
+    expect(report.parties.mediator.slot).to.equal(2);
+  });
+
+  it("Should fail when a claimed party does not match storage", async function () {
+    const address = await deploy();
+
+    const report = await verify(address, { buyer: buyer.address, seller: other.address });
+
+    expect(report.verified).to.equal(false);
+    expect(report.bytecode.match).to.equal(true);
+    expect(report.parties.seller).to.include({ onChain: seller.address, expected: other.address, match: false });
+    // Parties that are not claimed are only read back
+    expect(report.parties.mediator).to.include({ onChain: mediator.address, expected: null, match: true });
+  });
+
+  it("Should ignore a different metadata hash", async function () {
+    const { metadata } = stripMetadata(build.deployedBytecode);
+    // Flip a byte of the IPFS hash, as a change to comments or file paths would
+    const altered = `${metadata.slice(0, 24)}${metadata.slice(24, 26) === "00" ? "01" : "00"}${metadata.slice(26)}`;
+    const address = await deploy(build.bytecode.replace(metadata.slice(2), altered.slice(2)));
+
+    const report = await verify(address);
+
+    expect(report.bytecode.match).to.equal(true);
+    expect(report.bytecode.metadataMatch).to.equal(false);
+    expect(report.verified).to.equal(true);
+  });
+
+  it("Should fail for different code", async function () {
+    const token = await (await ethers.getContractFactory("MockERC20")).deploy("Token", "TKN", 18);
+
+    const report = await verify(await token.getAddress());
+
+    expect(report.bytecode.match).to.equal(false);
+    expect(report.verified).to.equal(false);
+  });
+
+  it("Should follow a clone to its implementation and read the clone's parties", async function () {
+    const implementation = await deploy();
+    const tx = await buyer.sendTransaction({ data: cloneCreationCode(implementation) });
+    const { contractAddress } = await tx.wait();
+    const clone = new ethers.Contract(contractAddress, build.abi, buyer);
+    await (await clone.initialize(other.address, seller.address, mediator.address, ethers.ZeroAddress)).wait();
+
+    const report = await verify(contractAddress, { buyer: other.address, seller: seller.address, mediator: mediator.address });
+
+    expect(report.proxy).to.deep.equal({ type: "eip1167", implementation });
+    expect(report.parties.buyer.onChain).to.equal(other.address);
+    expect(report.verified).to.equal(true);
+  });
+
+  it("Should reject an address without code", async function () {
+    await expect(verify(other.address)).to.be.rejectedWith(VerificationError, "No contract deployed");
+  });
+
+  it("Should sign the report so any change is detectable", async function () {
+    const signed = await signReport(await verify(await deploy()), verifier);
+
+    expect(signed.signer).to.equal(verifier.address);
+    expect(recoverReportSigner(signed)).to.equal(verifier.address);
+    // Key order does not matter, the content does
+    const reordered = JSON.parse(JSON.stringify({ ...signed, report: { verified: signed.report.verified, ...signed.report } }));
+    expect(recoverReportSigner(reordered)).to.equal(verifier.address);
+    const tampered = structuredClone(signed);
+    tampered.report.parties.seller.onChain = other.address;
+    expect(recoverReportSigner(tampered)).to.not.equal(verifier.address);
+  });
+});